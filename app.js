@@ -12,7 +12,15 @@ require('dotenv').config();
 const connectDB = require('./src/utils/database');
 const incomeRoutes = require('./src/routes/income');
 const taxRoutes = require('./src/routes/tax');
+const taxPaymentRoutes = require('./src/routes/taxPayment');
+const tdsRoutes = require('./src/routes/tds');
 const invoiceRoutes = require('./src/routes/invoice');
+const purchaseRoutes = require('./src/routes/purchase');
+const exchangeRateRoutes = require('./src/routes/exchangeRate');
+const gstRoutes = require('./src/routes/gst');
+const brandingRoutes = require('./src/routes/branding');
+const userRoutes = require('./src/routes/user');
+const authRoutes = require('./src/routes/auth');
 
 // Create Express app
 const app = express();
@@ -49,60 +57,18 @@ app.get('/health', (req, res) => {
   });
 });
 
-// User model for creating test users
-const User = require('./src/models/user');
-
-// Create test user endpoint
-app.post('/api/create-user', async (req, res) => {
-  try {
-    const { name, email } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists'
-      });
-    }
-
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      gstRegistered: false,
-      deductions: {},
-      expenses: [],
-      panNumber: '',
-      bankDetails: {}
-    });
-
-    const savedUser = await user.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Test user created successfully',
-      data: {
-        userId: savedUser._id,
-        name: savedUser.name,
-        email: savedUser.email
-      }
-    });
-
-  } catch (error) {
-    console.error('Error creating user:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create user',
-      error: error.message
-    });
-  }
-});
-
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/income', incomeRoutes);
+app.use('/api/tax/payments', taxPaymentRoutes);
+app.use('/api/tax/tds', tdsRoutes);
 app.use('/api/tax', taxRoutes);
 app.use('/api/invoice', invoiceRoutes);
+app.use('/api/gst/purchases', purchaseRoutes);
+app.use('/api/gst', gstRoutes);
+app.use('/api/exchangeRates', exchangeRateRoutes);
+app.use('/api/user/branding', brandingRoutes);
+app.use('/api/user', userRoutes);
 
 // Root endpoint for API documentation
 app.get('/api', (req, res) => {
@@ -111,17 +77,45 @@ app.get('/api', (req, res) => {
     message: 'Welcome to Freelancer Tax Buddy API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       income: '/api/income',
       tax: '/api/tax',
       invoice: '/api/invoice',
+      gst: '/api/gst',
+      exchangeRates: '/api/exchangeRates',
+      user: '/api/user',
       health: '/api/health'
     },
     documentation: {
+      signup: 'POST /api/auth/signup',
+      login: 'POST /api/auth/login',
       addIncome: 'POST /api/income/addIncome',
-      calculateTax: 'GET /api/tax/calculateTax?userId=...',
+      calculateTax: 'GET /api/tax/calculateTax?fy=2024-25',
       getDeductions: 'POST /api/tax/getDeductions',
       generateInvoice: 'POST /api/invoice/generateInvoice',
-      nextDueDate: 'GET /api/tax/nextDueDate?userId=...'
+      createInvoice: 'POST /api/invoice',
+      listInvoices: 'GET /api/invoice',
+      downloadInvoice: 'GET /api/invoice/:id/pdf',
+      setInvoiceStatus: 'PUT /api/invoice/:id/status',
+      recordInvoicePayment: 'POST /api/invoice/:id/payments',
+      gstSummary: 'GET /api/gst/summary?period=2024-07',
+      gstr1: 'GET /api/gst/gstr1?period=2024-07',
+      gstr3b: 'GET /api/gst/gstr3b?period=2024-07',
+      recordPurchase: 'POST /api/gst/purchases',
+      nextDueDate: 'GET /api/tax/nextDueDate',
+      gstThreshold: 'GET /api/tax/gstThreshold?fy=2024-25',
+      itr4Draft: 'GET /api/tax/itr4?fy=2024-25',
+      advanceTaxInterest: 'POST /api/tax/interest',
+      recordTaxPayment: 'POST /api/tax/payments',
+      listTaxPayments: 'GET /api/tax/payments?fy=2024-25',
+      importTdsStatement: 'POST /api/tax/tds/import',
+      tdsReconciliation: 'GET /api/tax/tds/reconciliation?fy=2024-25',
+      importExchangeRates: 'POST /api/exchangeRates/import',
+      listExchangeRates: 'GET /api/exchangeRates?currency=USD',
+      getUser: 'GET /api/user/me',
+      updateUser: 'PUT /api/user/me',
+      getBranding: 'GET /api/user/branding',
+      updateBranding: 'PUT /api/user/branding'
     }
   });
 });
@@ -152,7 +146,7 @@ app.use('/api', (req, res) => {
     success: false,
     message: 'API endpoint not found',
     path: req.originalUrl,
-    availableEndpoints: ['/api/income', '/api/tax', '/api/invoice', '/api/health']
+    availableEndpoints: ['/api/auth', '/api/income', '/api/tax', '/api/invoice', '/api/gst', '/api/exchangeRates', '/api/user', '/api/health']
   });
 });
 
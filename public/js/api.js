@@ -3,6 +3,15 @@
  * Provides a clean interface for making HTTP requests to the backend API
  */
 
+import { getAuthToken, setAuthToken, setCurrentUserId, clearSession } from './utils.js';
+import {
+  EXPORT_PLACE_OF_SUPPLY,
+  calculateExportGst,
+  calculateGstSplit,
+  calculateLineItems,
+  getPlaceOfSupply
+} from '../shared/gstEngine.mjs';
+
 class ApiService {
   constructor() {
     // Use same origin for integrated server
@@ -12,22 +21,38 @@ class ApiService {
     };
   }
 
+  /**
+   * Authorization header for the current session, if any
+   */
+  authHeaders() {
+    const token = getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
   /**
    * Generic request method with error handling
    */
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
-      headers: { ...this.defaultHeaders, ...options.headers },
       ...options,
+      headers: { ...this.defaultHeaders, ...this.authHeaders(), ...options.headers },
     };
 
     try {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      // A rejected token means the session has expired: sign in again
+      if (response.status === 401 && getAuthToken()) {
+        clearSession();
+        window.dispatchEvent(new Event('sessionexpired'));
+      }
+      
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        // Show the first validation message rather than "Validation failed"
+        const message = data.errors?.[0]?.msg || data.message;
+        throw new Error(message || `HTTP error! status: ${response.status}`);
       }
 
       return data;
@@ -87,6 +112,48 @@ class ApiService {
   }
 }
 
+/**
+ * Auth API Methods
+ */
+class AuthApi {
+  constructor(apiService) {
+    this.api = apiService;
+  }
+
+  /**
+   * Create an account and start a session
+   */
+  async signup(userData) {
+    const response = await this.api.post('/auth/signup', userData);
+    this.startSession(response.data);
+    return response.data.user;
+  }
+
+  /**
+   * Sign in and start a session
+   */
+  async login(credentials) {
+    const response = await this.api.post('/auth/login', credentials);
+    this.startSession(response.data);
+    return response.data.user;
+  }
+
+  /**
+   * End the current session
+   */
+  logout() {
+    clearSession();
+  }
+
+  /**
+   * Remember the token and user returned by signup/login
+   */
+  startSession({ token, user }) {
+    setAuthToken(token);
+    setCurrentUserId(user._id);
+  }
+}
+
 /**
  * Income API Methods
  */
@@ -103,10 +170,10 @@ class IncomeApi {
   }
 
   /**
-   * Get all income for a user
+   * Get all income for the signed-in user
    */
-  async getUserIncome(userId) {
-    return this.api.get(`/income/${userId}`);
+  async getUserIncome() {
+    return this.api.get('/income');
   }
 
   /**
@@ -124,10 +191,17 @@ class IncomeApi {
   }
 
   /**
-   * Get income summary
+   * Get income summary for a financial year (defaults to the current one)
    */
-  async getIncomeSummary(userId) {
-    return this.api.get(`/income/summary/${userId}`);
+  async getIncomeSummary(fy) {
+    return this.api.get('/income/summary', fy ? { fy } : {});
+  }
+
+  /**
+   * Get the financial years that have income
+   */
+  async getFinancialYears() {
+    return this.api.get('/income/financialYears');
   }
 }
 
@@ -140,10 +214,10 @@ class TaxApi {
   }
 
   /**
-   * Calculate complete tax for user
+   * Calculate complete tax for a financial year (defaults to the current one)
    */
-  async calculateTax(userId) {
-    return this.api.get('/tax/calculateTax', { userId });
+  async calculateTax(fy) {
+    return this.api.get('/tax/calculateTax', fy ? { fy } : {});
   }
 
   /**
@@ -156,22 +230,83 @@ class TaxApi {
   /**
    * Get next due dates
    */
-  async getNextDueDate(userId) {
-    return this.api.get('/tax/nextDueDate', { userId });
+  async getNextDueDate() {
+    return this.api.get('/tax/nextDueDate');
+  }
+
+  /**
+   * Compare tax regimes on the user's income for the year (or a given income)
+   * using the deductions stored on their profile
+   */
+  async compareRegimes(income, fy) {
+    const params = {};
+    if (income) params.income = income;
+    if (fy) params.fy = fy;
+    return this.api.get('/tax/regimeComparison', params);
+  }
+
+  /**
+   * List recorded tax payments (challans), optionally for one financial year
+   */
+  async getTaxPayments(fy) {
+    return this.api.get('/tax/payments', fy ? { fy } : {});
+  }
+
+  /**
+   * Record a tax payment (challan)
+   */
+  async addTaxPayment(paymentData) {
+    return this.api.post('/tax/payments', paymentData);
+  }
+
+  /**
+   * Delete a recorded tax payment
+   */
+  async deleteTaxPayment(paymentId) {
+    return this.api.delete(`/tax/payments/${paymentId}`);
+  }
+
+  /**
+   * Import a Form 26AS (text/CSV) or AIS (JSON) statement ({ content, format })
+   */
+  async importTdsStatement(statement) {
+    return this.api.post('/tax/tds/import', statement);
+  }
+
+  /**
+   * Reconcile imported TDS credits with income entries for a financial year
+   */
+  async getTdsReconciliation(fy) {
+    return this.api.get('/tax/tds/reconciliation', fy ? { fy } : {});
+  }
+
+  /**
+   * Calculate interest under Sections 234B/234C on advance tax payments
+   * ({ fy, payments: [{ date, amount }], filingDate, taxLiability })
+   */
+  async calculateInterest(interestData) {
+    return this.api.post('/tax/interest', interestData);
+  }
+
+  /**
+   * Draft ITR-4 JSON and the report of fields to complete
+   */
+  async getItr4(fy) {
+    return this.api.get('/tax/itr4', fy ? { fy } : {});
   }
 
   /**
-   * Compare tax regimes
+   * Aggregate turnover against the GST registration threshold
    */
-  async compareRegimes(income) {
-    return this.api.get('/tax/regimeComparison', { income });
+  async getGstThreshold(fy) {
+    return this.api.get('/tax/gstThreshold', fy ? { fy } : {});
   }
 
   /**
-   * Calculate advance tax
+   * Calculate advance tax for a financial year (defaults to the current one)
    */
-  async calculateAdvanceTax(userId) {
-    return this.api.get('/tax/advanceTax', { userId });
+  async calculateAdvanceTax(fy) {
+    return this.api.get('/tax/advanceTax', fy ? { fy } : {});
   }
 }
 
@@ -184,13 +319,12 @@ class InvoiceApi {
   }
 
   /**
-   * Generate PDF invoice
+   * Fetch a PDF endpoint and return the file as a blob
    */
-  async generateInvoice(invoiceData) {
-    const response = await fetch(`${this.api.baseURL}/invoice/generateInvoice`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(invoiceData),
+  async fetchPdf(endpoint, options = {}) {
+    const response = await fetch(`${this.api.baseURL}${endpoint}`, {
+      ...options,
+      headers: { ...this.api.defaultHeaders, ...this.api.authHeaders() },
     });
 
     if (!response.ok) {
@@ -200,6 +334,72 @@ class InvoiceApi {
     return response.blob();
   }
 
+  /**
+   * Generate PDF invoice
+   */
+  async generateInvoice(invoiceData) {
+    return this.fetchPdf('/invoice/generateInvoice', {
+      method: 'POST',
+      body: JSON.stringify(invoiceData),
+    });
+  }
+
+  /**
+   * Create and number a new invoice
+   */
+  async createInvoice(invoiceData) {
+    return this.api.post('/invoice', invoiceData);
+  }
+
+  /**
+   * Get all invoices for the signed-in user
+   */
+  async getInvoices(params = {}) {
+    return this.api.get('/invoice', params);
+  }
+
+  /**
+   * Update an invoice
+   */
+  async updateInvoice(invoiceId, invoiceData) {
+    return this.api.put(`/invoice/${invoiceId}`, invoiceData);
+  }
+
+  /**
+   * Cancel an invoice
+   */
+  async cancelInvoice(invoiceId) {
+    return this.api.delete(`/invoice/${invoiceId}`);
+  }
+
+  /**
+   * Issue a draft, mark an invoice sent or cancel it
+   */
+  async setStatus(invoiceId, status) {
+    return this.api.put(`/invoice/${invoiceId}/status`, { status });
+  }
+
+  /**
+   * Record a payment against an invoice; the server adds it to income
+   */
+  async recordPayment(invoiceId, payment) {
+    return this.api.post(`/invoice/${invoiceId}/payments`, payment);
+  }
+
+  /**
+   * Download a saved invoice as PDF
+   */
+  async downloadInvoice(invoiceId) {
+    return this.fetchPdf(`/invoice/${invoiceId}/pdf`, { method: 'GET' });
+  }
+
+  /**
+   * Get the number the next invoice will be issued under
+   */
+  async getNextInvoiceNumber() {
+    return this.api.get('/invoice/nextNumber');
+  }
+
   /**
    * Get invoice preview
    */
@@ -222,6 +422,94 @@ class InvoiceApi {
   }
 }
 
+/**
+ * GST API Methods
+ */
+class GstApi {
+  constructor(apiService) {
+    this.api = apiService;
+  }
+
+  /**
+   * Outward supplies for a month, with exports shown separately
+   */
+  async getSummary(period) {
+    return this.api.get('/gst/summary', period ? { period } : {});
+  }
+
+  /**
+   * GSTR-1 in the offline tool's JSON layout, ready to upload
+   */
+  async getGstr1File(period) {
+    return this.api.get('/gst/gstr1', { period, download: 'true' });
+  }
+
+  /**
+   * GSTR-3B summary for a month ({ period }) or a quarter ({ quarter })
+   */
+  async getGstr3b(params = {}) {
+    return this.api.get('/gst/gstr3b', params);
+  }
+
+  /**
+   * List purchase bills, optionally for one tax period
+   */
+  async getPurchases(period) {
+    return this.api.get('/gst/purchases', period ? { period } : {});
+  }
+
+  /**
+   * Record a purchase bill
+   */
+  async addPurchase(purchaseData) {
+    return this.api.post('/gst/purchases', purchaseData);
+  }
+
+  /**
+   * Delete a purchase bill
+   */
+  async deletePurchase(purchaseId) {
+    return this.api.delete(`/gst/purchases/${purchaseId}`);
+  }
+}
+
+/**
+ * Exchange Rate API Methods
+ */
+class ExchangeRateApi {
+  constructor(apiService) {
+    this.api = apiService;
+  }
+
+  /**
+   * The user's rate table, optionally for one currency
+   */
+  async getRates(currency) {
+    return this.api.get('/exchangeRates', currency ? { currency } : {});
+  }
+
+  /**
+   * Add or replace one day's rate
+   */
+  async addRate(rateData) {
+    return this.api.post('/exchangeRates', rateData);
+  }
+
+  /**
+   * Import a CSV rate table ({ content, source })
+   */
+  async importRates(table) {
+    return this.api.post('/exchangeRates/import', table);
+  }
+
+  /**
+   * Delete one rate
+   */
+  async deleteRate(rateId) {
+    return this.api.delete(`/exchangeRates/${rateId}`);
+  }
+}
+
 /**
  * User API Methods
  */
@@ -231,24 +519,31 @@ class UserApi {
   }
 
   /**
-   * Get user profile
+   * Get the signed-in user's profile
    */
-  async getProfile(userId) {
-    return this.api.get(`/user/${userId}`);
+  async getProfile() {
+    return this.api.get('/user/me');
   }
 
   /**
-   * Update user profile
+   * Update the signed-in user's profile
    */
-  async updateProfile(userId, profileData) {
-    return this.api.put(`/user/${userId}`, profileData);
+  async updateProfile(profileData) {
+    return this.api.put('/user/me', profileData);
   }
 
   /**
-   * Create new user
+   * Get the logo, signature, accent colour, footer and terms printed on invoices
    */
-  async createUser(userData) {
-    return this.api.post('/user/create', userData);
+  async getBranding() {
+    return this.api.get('/user/branding');
+  }
+
+  /**
+   * Update invoice branding. Images are data URLs; an empty value removes a field.
+   */
+  async updateBranding(branding) {
+    return this.api.put('/user/branding', branding);
   }
 }
 
@@ -256,9 +551,12 @@ class UserApi {
  * Main API Service Instance
  */
 const apiService = new ApiService();
+const authApi = new AuthApi(apiService);
 const incomeApi = new IncomeApi(apiService);
 const taxApi = new TaxApi(apiService);
 const invoiceApi = new InvoiceApi(apiService);
+const gstApi = new GstApi(apiService);
+const exchangeRateApi = new ExchangeRateApi(apiService);
 const userApi = new UserApi(apiService);
 
 /**
@@ -277,6 +575,7 @@ class MockDataService {
         clientName: 'Tech Corp',
         amount: 50000,
         tdsDeducted: true,
+        tds: { section: '194J', rate: 0.1, amount: 5000 },
         gstApplicable: false,
         notes: 'Website development project',
         date: '2024-01-15',
@@ -303,6 +602,7 @@ class MockDataService {
         clientName: 'Startup XYZ',
         amount: 75000,
         tdsDeducted: true,
+        tds: { section: '194J', rate: 0.1, amount: 7500 },
         gstApplicable: true,
         notes: 'Mobile app development',
         date: '2024-03-05',
@@ -316,17 +616,66 @@ class MockDataService {
     this.mockUser = {
       _id: this.mockUserId,
       name: 'John Doe',
+      fullName: 'John Doe',
       email: 'john@freelancer.com',
       phone: '+91 98765 43210',
       pan: 'ABCDE1234F',
       gstRegistered: false,
       gstNumber: null,
+      stateCode: '27',
+      gstFilingFrequency: 'monthly',
+      invoiceTemplate: 'standard',
       bankName: 'State Bank of India',
       accountNumber: '1234567890123456',
       ifscCode: 'SBIN0001234',
       accountHolder: 'John Doe'
     };
 
+    this.mockInvoices = [
+      {
+        _id: '1',
+        invoiceNumber: 'INV/2023-24/0001',
+        clientName: 'Tech Corp',
+        amount: 50000,
+        description: 'Website development project',
+        tds: true,
+        gst: false,
+        tdsAmount: 5000,
+        gstAmount: 0,
+        netAmount: 45000,
+        date: '2024-01-15',
+        status: 'paid'
+      },
+      {
+        _id: '2',
+        invoiceNumber: 'INV/2023-24/0002',
+        clientName: 'Design Studio',
+        amount: 30000,
+        description: 'UI/UX design services',
+        tds: false,
+        gst: false,
+        tdsAmount: 0,
+        gstAmount: 0,
+        netAmount: 30000,
+        date: '2024-02-10',
+        status: 'issued'
+      },
+      {
+        _id: '3',
+        invoiceNumber: 'INV/2023-24/0003',
+        clientName: 'Startup XYZ',
+        amount: 75000,
+        description: 'Mobile app development',
+        tds: true,
+        gst: true,
+        tdsAmount: 7500,
+        gstAmount: 13500,
+        netAmount: 81000,
+        date: '2024-03-05',
+        status: 'issued'
+      }
+    ];
+
     this.mockTaxCalculation = {
       grossIncome: 155000,
       deductions: 150000,
@@ -342,7 +691,18 @@ class MockDataService {
         september: 113,
         december: 188,
         march: 250
-      }
+      },
+      remainingLiability: 250
+    };
+
+    this.mockTaxPayments = [];
+
+    this.mockBranding = {
+      logo: null,
+      signature: null,
+      accentColor: null,
+      footerText: null,
+      terms: null
     };
   }
 
@@ -353,14 +713,19 @@ class MockDataService {
   }
 
   async addMockIncome(incomeData) {
+    // Foreign receipts are kept in rupees at the rate entered
+    const entry = incomeData.currency && incomeData.currency !== 'INR'
+      ? { ...incomeData, amount: Math.round(incomeData.originalAmount * incomeData.exchangeRate * 100) / 100 }
+      : incomeData;
     const newIncome = {
       _id: Date.now().toString(),
-      ...incomeData,
+      ...entry,
       userId: this.mockUserId,
       date: new Date().toISOString().split('T')[0],
-      netAmount: this.calculateNetAmount(incomeData),
-      tdsAmount: incomeData.tdsDeducted ? incomeData.amount * 0.1 : 0,
-      gstAmount: incomeData.gstApplicable ? incomeData.amount * 0.18 : 0
+      tdsDeducted: (entry.tds?.amount || 0) > 0,
+      netAmount: this.calculateNetAmount(entry),
+      tdsAmount: entry.tds?.amount || 0,
+      gstAmount: entry.gstApplicable ? entry.amount * 0.18 : 0
     };
     this.mockIncome.push(newIncome);
     return new Promise(resolve => {
@@ -375,6 +740,153 @@ class MockDataService {
     });
   }
 
+  async getMockInvoices() {
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.mockInvoices), 300);
+    });
+  }
+
+  async addMockInvoice(invoiceData) {
+    const isExport = invoiceData.invoiceType === 'export';
+    const exchangeRate = isExport ? invoiceData.exchangeRate : 1;
+    const supplierStateCode = this.mockUser.stateCode;
+    const placeOfSupply = isExport ? EXPORT_PLACE_OF_SUPPLY : getPlaceOfSupply({
+      clientStateCode: invoiceData.clientStateCode,
+      clientGstin: invoiceData.clientGstin,
+      supplierStateCode
+    });
+    let taxOf;
+    if (isExport) {
+      taxOf = (value, rate) => calculateExportGst(value, { gstPayment: invoiceData.exportDetails.gstPayment, rate });
+    } else if (invoiceData.gstApplicable) {
+      taxOf = (value, rate) => calculateGstSplit(value, { supplierStateCode, placeOfSupply, rate });
+    }
+    const totals = calculateLineItems(invoiceData.items, { exchangeRate, taxOf });
+    const amount = totals.subtotal;
+    const tdsRate = invoiceData.tdsRate ?? 0.1;
+    const tdsAmount = invoiceData.tds ? Math.round(amount * tdsRate) : 0;
+    const supplyType = isExport ? 'export' : calculateGstSplit(0, { supplierStateCode, placeOfSupply }).supplyType;
+    const gstAmount = totals.total;
+    const newInvoice = {
+      _id: Date.now().toString(),
+      invoiceNumber: this.getNextMockInvoiceNumber(),
+      clientName: invoiceData.clientName,
+      clientGstin: invoiceData.clientGstin || '',
+      amount,
+      description: totals.lines.map(item => item.description).join(', '),
+      items: totals.lines,
+      tds: Boolean(invoiceData.tds),
+      tdsSection: invoiceData.tdsSection || '194J',
+      tdsRate,
+      gst: Boolean(invoiceData.gstApplicable),
+      invoiceType: isExport ? 'export' : 'domestic',
+      currency: isExport ? invoiceData.currency : 'INR',
+      exchangeRate,
+      exportDetails: invoiceData.exportDetails,
+      taxableValue: totals.taxableValue,
+      placeOfSupply,
+      supplyType,
+      tdsAmount,
+      cgstAmount: totals.cgst,
+      sgstAmount: totals.sgst,
+      igstAmount: totals.igst,
+      gstAmount,
+      netAmount: isExport ? amount : amount + gstAmount - tdsAmount,
+      date: new Date().toISOString().split('T')[0],
+      status: 'issued'
+    };
+    this.mockInvoices.unshift(newInvoice);
+    return new Promise(resolve => {
+      setTimeout(() => resolve(newInvoice), 300);
+    });
+  }
+
+  async getMockTaxPayments(fy) {
+    const payments = fy
+      ? this.mockTaxPayments.filter(payment => payment.financialYear === fy)
+      : this.mockTaxPayments;
+    return new Promise(resolve => {
+      setTimeout(() => resolve(payments), 300);
+    });
+  }
+
+  async addMockTaxPayment(paymentData) {
+    // Advance tax is for the year it is paid in; other challans name their year
+    const date = new Date(paymentData.paymentDate);
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    const newPayment = {
+      _id: Date.now().toString(),
+      financialYear: `${startYear}-${String(startYear + 1).slice(-2)}`,
+      ...paymentData
+    };
+    this.mockTaxPayments.unshift(newPayment);
+    return new Promise(resolve => {
+      setTimeout(() => resolve(newPayment), 300);
+    });
+  }
+
+  async deleteMockTaxPayment(paymentId) {
+    this.mockTaxPayments = this.mockTaxPayments.filter(payment => payment._id !== paymentId);
+    return new Promise(resolve => {
+      setTimeout(() => resolve({ success: true }), 300);
+    });
+  }
+
+  async updateMockInvoiceStatus(invoiceId, status) {
+    const invoice = this.mockInvoices.find(inv => inv._id === invoiceId);
+    invoice.status = status;
+    return new Promise(resolve => {
+      setTimeout(() => resolve(invoice), 300);
+    });
+  }
+
+  // As the server does: the payment settles the invoice along with the TDS
+  // withheld (in rupees, converted at the payment's rate), and its fee
+  // part, before GST, is added to income
+  async addMockInvoicePayment(invoiceId, payment) {
+    const invoice = this.mockInvoices.find(inv => inv._id === invoiceId);
+    const totalAmount = invoice.netAmount + invoice.tdsAmount;
+    const tdsAmount = payment.tdsAmount || 0;
+    const exchangeRate = payment.exchangeRate || invoice.exchangeRate || 1;
+    const settled = payment.amount + tdsAmount / exchangeRate;
+    const fee = Math.round(settled * invoice.amount / totalAmount * 100) / 100;
+
+    invoice.payments = [...(invoice.payments || []), { ...payment, tdsAmount, exchangeRate }];
+    invoice.amountReceived = (invoice.amountReceived || 0) + payment.amount;
+    invoice.tdsWithheld = (invoice.tdsWithheld || 0) + tdsAmount;
+    invoice.balanceDue = Math.round((totalAmount - invoice.payments.reduce((sum, received) => {
+      return sum + received.amount + received.tdsAmount / received.exchangeRate;
+    }, 0)) * 100) / 100;
+    invoice.status = invoice.balanceDue <= 0 ? 'paid' : 'partially-paid';
+
+    await this.addMockIncome({
+      clientName: invoice.clientName,
+      amount: fee,
+      currency: invoice.currency || 'INR',
+      originalAmount: fee,
+      exchangeRate,
+      tds: tdsAmount > 0 ? { section: '194J', amount: tdsAmount } : {},
+      gstApplicable: invoice.gst,
+      paymentMode: payment.paymentMode,
+      notes: `Payment against invoice ${invoice.invoiceNumber}`,
+      invoiceId
+    });
+    return invoice;
+  }
+
+  getNextMockInvoiceNumber() {
+    const today = new Date();
+    const startYear = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+    const financialYear = `${startYear}-${String(startYear + 1).slice(-2)}`;
+    const count = this.mockInvoices.filter(inv => inv.invoiceNumber.includes(`/${financialYear}/`)).length;
+    return `INV/${financialYear}/${String(count + 1).padStart(4, '0')}`;
+  }
+
+  getMockInvoicePdf(invoice) {
+    const pdfContent = `Invoice ${invoice.invoiceNumber} for ${invoice.clientName}\nAmount: ₹${invoice.amount}\nDescription: ${invoice.description}`;
+    return new Blob([pdfContent], { type: 'application/pdf' });
+  }
+
   async getMockTaxCalculation() {
     return new Promise(resolve => {
       setTimeout(() => resolve(this.mockTaxCalculation), 300);
@@ -387,10 +899,31 @@ class MockDataService {
     });
   }
 
+  async updateMockUser(profileData) {
+    this.mockUser = { ...this.mockUser, ...profileData };
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.mockUser), 300);
+    });
+  }
+
+  async getMockBranding() {
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.mockBranding), 300);
+    });
+  }
+
+  async updateMockBranding(branding) {
+    const updates = Object.fromEntries(Object.entries(branding).map(([field, value]) => [field, value || null]));
+    this.mockBranding = { ...this.mockBranding, ...updates };
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.mockBranding), 300);
+    });
+  }
+
   calculateNetAmount(incomeData) {
     let netAmount = incomeData.amount;
-    if (incomeData.tdsDeducted) {
-      netAmount -= incomeData.amount * 0.1;
+    if (incomeData.tds?.amount) {
+      netAmount -= incomeData.tds.amount;
     }
     if (incomeData.gstApplicable) {
       netAmount += incomeData.amount * 0.18;
@@ -401,6 +934,140 @@ class MockDataService {
 
 const mockDataService = new MockDataService();
 
+/**
+ * Add the derived amounts the income screens show to an Income document.
+ * TDS is what the client actually deducted, as recorded on the entry.
+ */
+function toIncomeView(income) {
+  const tdsAmount = income.tds?.amount || 0;
+  const gstAmount = income.gstApplicable ? income.amount * 0.18 : 0;
+
+  return {
+    ...income,
+    tdsAmount,
+    gstAmount,
+    netAmount: income.amount - tdsAmount + gstAmount
+  };
+}
+
+/**
+ * Flatten a User document into the field names used by the profile forms
+ */
+function toProfileView(user) {
+  const bankDetails = user.bankDetails || {};
+
+  return {
+    _id: user._id,
+    name: user.name,
+    fullName: user.name,
+    email: user.email,
+    phone: user.phone,
+    pan: user.panNumber,
+    gstRegistered: user.gstRegistered,
+    gstNumber: user.gstNumber,
+    stateCode: user.stateCode,
+    gstFilingFrequency: user.gstFilingFrequency || 'monthly',
+    invoiceTemplate: (user.invoiceSettings && user.invoiceSettings.defaultTemplateId) || 'standard',
+    presumptive44ADA: Boolean(user.taxProfile && user.taxProfile.presumptive44ADA),
+    deductions: user.deductions || {},
+    bankName: bankDetails.bankName,
+    accountNumber: bankDetails.accountNumber,
+    ifscCode: bankDetails.ifscCode,
+    accountHolder: bankDetails.accountHolder,
+    upiId: bankDetails.upiId,
+    expenses: user.expenses || []
+  };
+}
+
+/**
+ * Map profile/bank form data onto the User update payload
+ */
+function toUserUpdate(formData) {
+  const fieldMap = {
+    fullName: 'name',
+    email: 'email',
+    phone: 'phone',
+    pan: 'panNumber',
+    gstRegistered: 'gstRegistered',
+    gstNumber: 'gstNumber',
+    stateCode: 'stateCode',
+    gstFilingFrequency: 'gstFilingFrequency',
+    expenses: 'expenses'
+  };
+  const bankFields = ['bankName', 'accountNumber', 'ifscCode', 'accountHolder', 'upiId'];
+  const update = {};
+
+  Object.entries(fieldMap).forEach(([formField, userField]) => {
+    if (formData[formField] !== undefined) {
+      update[userField] = formData[formField];
+    }
+  });
+
+  bankFields.forEach(field => {
+    if (formData[field] !== undefined) {
+      update.bankDetails = update.bankDetails || {};
+      update.bankDetails[field] = formData[field];
+    }
+  });
+
+  if (formData.invoiceTemplate !== undefined) {
+    update.invoiceSettings = { defaultTemplateId: formData.invoiceTemplate };
+  }
+
+  if (formData.presumptive44ADA !== undefined) {
+    update.taxProfile = { presumptive44ADA: formData.presumptive44ADA };
+  }
+
+  if (formData.deductions !== undefined) {
+    update.deductions = formData.deductions;
+  }
+
+  return update;
+}
+
+/**
+ * Flatten an Invoice document into the fields used by the invoice page
+ */
+function toInvoiceView(invoice) {
+  const items = invoice.items || [];
+
+  return {
+    _id: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    clientName: invoice.client ? invoice.client.name : '',
+    clientGstin: invoice.client ? invoice.client.gstin || '' : '',
+    amount: invoice.subtotal,
+    description: items.map(item => item.description).join(', '),
+    items,
+    tds: invoice.tds,
+    tdsSection: invoice.tdsSection,
+    tdsRate: invoice.tdsRate,
+    gst: invoice.gstApplicable,
+    invoiceType: invoice.invoiceType,
+    currency: invoice.currency,
+    exchangeRate: invoice.exchangeRate,
+    rateSource: invoice.rateSource,
+    exportDetails: invoice.exportDetails,
+    taxableValue: invoice.taxableValue,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    tdsAmount: invoice.tdsAmount,
+    cgstAmount: invoice.cgstAmount,
+    sgstAmount: invoice.sgstAmount,
+    igstAmount: invoice.igstAmount,
+    gstAmount: invoice.gstAmount,
+    netAmount: invoice.netReceivable,
+    totalAmount: invoice.totalAmount,
+    payments: invoice.payments || [],
+    amountReceived: invoice.amountReceived,
+    tdsWithheld: invoice.tdsWithheld,
+    balanceDue: invoice.balanceDue,
+    date: invoice.invoiceDate,
+    dueDate: invoice.dueDate,
+    status: invoice.status
+  };
+}
+
 /**
  * Unified API interface that tries real API first, falls back to mock data
  */
@@ -421,12 +1088,13 @@ class UnifiedApi {
     }
   }
 
-  async getIncome(userId) {
+  async getIncome() {
     if (this.useMockData) {
       return mockDataService.getMockIncome();
     }
     try {
-      return await incomeApi.getUserIncome(userId);
+      const response = await incomeApi.getUserIncome();
+      return response.data.map(toIncomeView);
     } catch (error) {
       console.warn('Falling back to mock data for income');
       return mockDataService.getMockIncome();
@@ -438,7 +1106,8 @@ class UnifiedApi {
       return mockDataService.addMockIncome(incomeData);
     }
     try {
-      return await incomeApi.addIncome(incomeData);
+      const response = await incomeApi.addIncome(incomeData);
+      return toIncomeView(response.data);
     } catch (error) {
       console.warn('Falling back to mock data for add income');
       return mockDataService.addMockIncome(incomeData);
@@ -457,35 +1126,337 @@ class UnifiedApi {
     }
   }
 
-  async calculateTax(userId) {
+  async calculateTax(fy) {
     if (this.useMockData) {
       return mockDataService.getMockTaxCalculation();
     }
     try {
-      return await taxApi.calculateTax(userId);
+      const response = await taxApi.calculateTax(fy);
+      return response.data;
     } catch (error) {
       console.warn('Falling back to mock data for tax calculation');
       return mockDataService.getMockTaxCalculation();
     }
   }
 
-  async getUserProfile(userId) {
+  /**
+   * Regime comparison from the server, or null when offline so the caller
+   * can fall back to a local calculation
+   */
+  async compareRegimes(income, fy) {
+    if (this.useMockData) {
+      return null;
+    }
+    try {
+      const response = await taxApi.compareRegimes(income, fy);
+      return response.data;
+    } catch (error) {
+      console.warn('Falling back to local regime comparison');
+      return null;
+    }
+  }
+
+  async getTaxPayments(fy) {
+    if (this.useMockData) {
+      return mockDataService.getMockTaxPayments(fy);
+    }
+    try {
+      const response = await taxApi.getTaxPayments(fy);
+      return response.data;
+    } catch (error) {
+      console.warn('Falling back to mock data for tax payments');
+      return mockDataService.getMockTaxPayments(fy);
+    }
+  }
+
+  async addTaxPayment(paymentData) {
+    if (this.useMockData) {
+      return mockDataService.addMockTaxPayment(paymentData);
+    }
+    const response = await taxApi.addTaxPayment(paymentData);
+    return response.data;
+  }
+
+  async deleteTaxPayment(paymentId) {
+    if (this.useMockData) {
+      return mockDataService.deleteMockTaxPayment(paymentId);
+    }
+    return taxApi.deleteTaxPayment(paymentId);
+  }
+
+  /**
+   * Import a TDS statement. Needs the server, so offline this returns null.
+   */
+  async importTdsStatement(statement) {
+    if (this.useMockData) {
+      return null;
+    }
+    const response = await taxApi.importTdsStatement(statement);
+    return response.data;
+  }
+
+  /**
+   * TDS reconciliation report from the server, or null when offline
+   */
+  async getTdsReconciliation(fy) {
+    if (this.useMockData) {
+      return null;
+    }
+    try {
+      const response = await taxApi.getTdsReconciliation(fy);
+      return response.data;
+    } catch (error) {
+      console.warn('TDS reconciliation not available');
+      return null;
+    }
+  }
+
+  /**
+   * ITR-4 draft from the server, or null when offline
+   */
+  async getItr4(fy) {
+    if (this.useMockData) {
+      return null;
+    }
+    const response = await taxApi.getItr4(fy);
+    return response.data;
+  }
+
+  /**
+   * GST registration threshold status from the server, or null when offline
+   */
+  async getGstThreshold(fy) {
+    if (this.useMockData) {
+      return null;
+    }
+    try {
+      const response = await taxApi.getGstThreshold(fy);
+      return response.data;
+    } catch (error) {
+      console.warn('GST threshold status not available');
+      return null;
+    }
+  }
+
+  /**
+   * 234B/234C interest from the server, or null when offline so the caller
+   * can fall back to the shared tax engine
+   */
+  async calculateInterest(interestData) {
+    if (this.useMockData) {
+      return null;
+    }
+    try {
+      const response = await taxApi.calculateInterest(interestData);
+      return response.data;
+    } catch (error) {
+      console.warn('Falling back to local interest calculation');
+      return null;
+    }
+  }
+
+  /**
+   * GSTR-3B summary from the server, or null when offline
+   */
+  async getGstr3b(params) {
+    if (this.useMockData) {
+      return null;
+    }
+    try {
+      const response = await gstApi.getGstr3b(params);
+      return response.data;
+    } catch (error) {
+      console.warn('GSTR-3B summary not available');
+      return null;
+    }
+  }
+
+  /**
+   * GSTR-1 JSON for upload. Needs the server, so offline this returns null.
+   */
+  async getGstr1File(period) {
+    if (this.useMockData) {
+      return null;
+    }
+    return gstApi.getGstr1File(period);
+  }
+
+  /**
+   * Purchase bills for a tax period; none when offline
+   */
+  async getPurchases(period) {
+    if (this.useMockData) {
+      return [];
+    }
+    try {
+      const response = await gstApi.getPurchases(period);
+      return response.data;
+    } catch (error) {
+      console.warn('Purchases not available');
+      return [];
+    }
+  }
+
+  /**
+   * Record a purchase bill. Needs the server, so offline this returns null.
+   */
+  async addPurchase(purchaseData) {
+    if (this.useMockData) {
+      return null;
+    }
+    const response = await gstApi.addPurchase(purchaseData);
+    return response.data;
+  }
+
+  async deletePurchase(purchaseId) {
+    return gstApi.deletePurchase(purchaseId);
+  }
+
+  /**
+   * The user's exchange rate table; empty when offline
+   */
+  async getExchangeRates(currency) {
+    if (this.useMockData) {
+      return [];
+    }
+    try {
+      const response = await exchangeRateApi.getRates(currency);
+      return response.data;
+    } catch (error) {
+      console.warn('Exchange rates not available');
+      return [];
+    }
+  }
+
+  /**
+   * Save one day's rate. Needs the server, so offline this returns null.
+   */
+  async addExchangeRate(rateData) {
+    if (this.useMockData) {
+      return null;
+    }
+    const response = await exchangeRateApi.addRate(rateData);
+    return response.data;
+  }
+
+  /**
+   * Import a CSV rate table. Needs the server, so offline this returns null.
+   */
+  async importExchangeRates(table) {
+    if (this.useMockData) {
+      return null;
+    }
+    const response = await exchangeRateApi.importRates(table);
+    return response.data;
+  }
+
+  async deleteExchangeRate(rateId) {
+    return exchangeRateApi.deleteRate(rateId);
+  }
+
+  async getUserProfile() {
     if (this.useMockData) {
       return mockDataService.getMockUser();
     }
     try {
-      return await userApi.getProfile(userId);
+      const response = await userApi.getProfile();
+      return toProfileView(response.data);
     } catch (error) {
       console.warn('Falling back to mock data for user profile');
       return mockDataService.getMockUser();
     }
   }
 
+  async updateProfile(profileData) {
+    if (this.useMockData) {
+      return mockDataService.updateMockUser(profileData);
+    }
+    const response = await userApi.updateProfile(toUserUpdate(profileData));
+    return toProfileView(response.data);
+  }
+
+  async getBranding() {
+    if (this.useMockData) {
+      return mockDataService.getMockBranding();
+    }
+    try {
+      const response = await userApi.getBranding();
+      return response.data;
+    } catch (error) {
+      console.warn('Falling back to mock data for branding');
+      return mockDataService.getMockBranding();
+    }
+  }
+
+  async updateBranding(branding) {
+    if (this.useMockData) {
+      return mockDataService.updateMockBranding(branding);
+    }
+    const response = await userApi.updateBranding(branding);
+    return response.data;
+  }
+
+  async getInvoices() {
+    if (this.useMockData) {
+      return mockDataService.getMockInvoices();
+    }
+    try {
+      const response = await invoiceApi.getInvoices();
+      return response.data.map(toInvoiceView);
+    } catch (error) {
+      console.warn('Falling back to mock data for invoices');
+      return mockDataService.getMockInvoices();
+    }
+  }
+
+  async createInvoice(invoiceData) {
+    if (this.useMockData) {
+      return mockDataService.addMockInvoice(invoiceData);
+    }
+    const response = await invoiceApi.createInvoice(invoiceData);
+    return toInvoiceView(response.data);
+  }
+
+  async downloadInvoice(invoice) {
+    if (this.useMockData) {
+      return mockDataService.getMockInvoicePdf(invoice);
+    }
+    return invoiceApi.downloadInvoice(invoice._id);
+  }
+
+  async setInvoiceStatus(invoiceId, status) {
+    if (this.useMockData) {
+      return mockDataService.updateMockInvoiceStatus(invoiceId, status);
+    }
+    const response = await invoiceApi.setStatus(invoiceId, status);
+    return toInvoiceView(response.data);
+  }
+
+  async recordInvoicePayment(invoiceId, payment) {
+    if (this.useMockData) {
+      return mockDataService.addMockInvoicePayment(invoiceId, payment);
+    }
+    const response = await invoiceApi.recordPayment(invoiceId, payment);
+    return toInvoiceView(response.data);
+  }
+
+  async getNextInvoiceNumber() {
+    if (this.useMockData) {
+      return mockDataService.getNextMockInvoiceNumber();
+    }
+    try {
+      const response = await invoiceApi.getNextInvoiceNumber();
+      return response.data.invoiceNumber;
+    } catch (error) {
+      console.warn('Falling back to mock data for next invoice number');
+      return mockDataService.getNextMockInvoiceNumber();
+    }
+  }
+
   async generateInvoice(invoiceData) {
     if (this.useMockData) {
       // For mock data, return a simulated PDF blob
-      const pdfContent = `Invoice for ${invoiceData.clientName}\nAmount: ₹${invoiceData.amount}\nDescription: ${invoiceData.description}`;
-      return new Blob([pdfContent], { type: 'application/pdf' });
+      return mockDataService.getMockInvoicePdf(invoiceData);
     }
     try {
       return await invoiceApi.generateInvoice(invoiceData);
@@ -502,9 +1473,12 @@ const unifiedApi = new UnifiedApi();
 // Export individual services for advanced usage
 export {
   apiService,
+  authApi,
   incomeApi,
   taxApi,
   invoiceApi,
+  gstApi,
+  exchangeRateApi,
   userApi,
   mockDataService,
   unifiedApi
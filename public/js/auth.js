@@ -0,0 +1,95 @@
+/**
+ * Sign In JavaScript
+ * Handles the sign-in and sign-up forms and ending the session
+ */
+
+import {
+  getAuthToken,
+  escapeHtml,
+  showToast,
+  showLoading,
+  hideLoading,
+  parseFormData
+} from './utils.js';
+import { authApi } from './api.js';
+
+/**
+ * Resolve once the user has a session, showing the sign-in screen until
+ * they sign in or create an account
+ */
+export function requireSession() {
+  if (getAuthToken()) {
+    return Promise.resolve();
+  }
+  
+  document.body.classList.add('signed-out');
+  
+  return new Promise(resolve => {
+    setupAuthForms(() => {
+      document.body.classList.remove('signed-out');
+      resolve();
+    });
+  });
+}
+
+/**
+ * Setup the sign-in and sign-up forms and the links between them
+ */
+function setupAuthForms(onSignedIn) {
+  document.querySelectorAll('[data-auth-form]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showAuthForm(link.dataset.authForm);
+    });
+  });
+  
+  document.getElementById('loginForm').addEventListener('submit', (e) => {
+    handleAuthSubmit(e, credentials => authApi.login(credentials), onSignedIn);
+  });
+  document.getElementById('signupForm').addEventListener('submit', (e) => {
+    handleAuthSubmit(e, userData => authApi.signup(userData), onSignedIn);
+  });
+}
+
+/**
+ * Show the sign-in or the sign-up form
+ */
+function showAuthForm(formId) {
+  ['loginForm', 'signupForm'].forEach(id => {
+    document.getElementById(id).style.display = id === formId ? '' : 'none';
+  });
+}
+
+/**
+ * Handle sign-in and sign-up form submission
+ */
+async function handleAuthSubmit(e, submit, onSignedIn) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const formData = parseFormData(form);
+  
+  try {
+    showLoading(form.id === 'signupForm' ? 'Creating your account...' : 'Signing in...');
+    
+    const user = await submit(formData);
+    form.reset();
+    
+    hideLoading();
+    showToast(`Welcome, ${escapeHtml(user.name)}`, 'success');
+    onSignedIn();
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to sign in:', error);
+    showToast(error.message || 'Failed to sign in. Please try again.', 'error');
+  }
+}
+
+/**
+ * End the session and go back to the sign-in screen
+ */
+export function signOut() {
+  authApi.logout();
+  window.location.reload();
+}
@@ -10,11 +10,11 @@ import {
   showToast, 
   showLoading, 
   hideLoading,
-  getCurrentUserId,
-  getNextTaxDueDate,
   calculatePercentage
 } from './utils.js';
 import { unifiedApi } from './api.js';
+import { getNextAdvanceTaxInstalment } from '../shared/taxEngine.mjs';
+import { getNextGstDue } from '../shared/gstEngine.mjs';
 import { drawIncomeChart, drawTaxChart } from './charts.js';
 
 /**
@@ -24,6 +24,7 @@ let dashboardState = {
   incomeData: [],
   taxData: null,
   user: null,
+  gstThreshold: null,
   isLoading: false,
   charts: {
     income: null,
@@ -44,6 +45,7 @@ export async function initDashboard() {
     
     // Update UI
     updateStatCards();
+    updateGstThresholdAlert();
     updateRecentTransactions();
     updateCharts();
     
@@ -67,19 +69,19 @@ export async function initDashboard() {
  * Load all dashboard data
  */
 async function loadDashboardData() {
-  const userId = getCurrentUserId();
-  
   try {
     // Load data in parallel
-    const [incomeData, taxData, userData] = await Promise.all([
-      unifiedApi.getIncome(userId),
-      unifiedApi.calculateTax(userId),
-      unifiedApi.getUserProfile(userId)
+    const [incomeData, taxData, userData, gstThreshold] = await Promise.all([
+      unifiedApi.getIncome(),
+      unifiedApi.calculateTax(),
+      unifiedApi.getUserProfile(),
+      unifiedApi.getGstThreshold()
     ]);
     
     dashboardState.incomeData = incomeData || [];
     dashboardState.taxData = taxData;
     dashboardState.user = userData;
+    dashboardState.gstThreshold = gstThreshold;
     
   } catch (error) {
     console.error('Failed to load dashboard data:', error);
@@ -96,16 +98,63 @@ function updateStatCards() {
   // Calculate totals
   const totalIncome = incomeData.reduce((sum, item) => sum + (item.netAmount || 0), 0);
   const totalInvoices = incomeData.length;
-  const totalTax = taxData?.totalTax || 0;
+  // Tax still to pay after TDS and recorded challans
+  const totalTax = taxData?.remainingLiability ?? taxData?.totalTax ?? 0;
   
-  // Get next due date
-  const nextDue = getNextTaxDueDate();
+  // Next due date: the advance tax instalment or, for a GST registered
+  // user, the GST return or payment, whichever comes first
+  const nextDue = getNextDueDate();
   
   // Update DOM elements with animation
   updateStatCard('totalIncome', totalIncome, '₹');
   updateStatCard('totalInvoices', totalInvoices);
   updateStatCard('taxDue', totalTax, '₹');
   updateStatCard('nextDue', nextDue.name);
+  
+  const nextDueDetail = document.getElementById('nextDueDetail');
+  if (nextDueDetail) {
+    nextDueDetail.textContent = `${nextDue.label} · ${nextDue.daysUntil === 1 ? '1 day' : `${nextDue.daysUntil} days`}`;
+  }
+}
+
+/**
+ * The next advance tax or GST due date, whichever is sooner
+ */
+function getNextDueDate() {
+  const { user } = dashboardState;
+  const advanceTax = { ...getNextAdvanceTaxInstalment(), label: 'Advance Tax' };
+  if (!user || !user.gstRegistered) {
+    return advanceTax;
+  }
+  
+  const gstDue = getNextGstDue(new Date(), {
+    frequency: user.gstFilingFrequency,
+    stateCode: user.stateCode
+  });
+  return gstDue.date < advanceTax.date ? { ...gstDue, label: gstDue.form } : advanceTax;
+}
+
+/**
+ * Warn an unregistered user whose turnover has crossed, or is heading
+ * for, the GST registration threshold
+ */
+function updateGstThresholdAlert() {
+  const alert = document.getElementById('gstThresholdAlert');
+  if (!alert) return;
+  
+  const status = dashboardState.gstThreshold;
+  if (!status || !status.warning) {
+    alert.style.display = 'none';
+    return;
+  }
+  
+  const exceeded = status.status === 'exceeded';
+  alert.classList.toggle('exceeded', exceeded);
+  document.getElementById('gstThresholdTitle').textContent = exceeded
+    ? 'GST registration required'
+    : `GST turnover at ${status.percentOfThreshold}% of ${formatCurrency(status.threshold)}`;
+  document.getElementById('gstThresholdMessage').textContent = status.warning;
+  alert.style.display = 'flex';
 }
 
 /**
@@ -209,11 +258,15 @@ function setupRefreshButton() {
 }
 
 /**
- * Setup auto-refresh
+ * Setup auto-refresh, once however often the dashboard is shown
  */
+let autoRefreshTimer = null;
+
 function setupAutoRefresh() {
+  if (autoRefreshTimer) return;
+  
   // Refresh every 5 minutes
-  setInterval(async () => {
+  autoRefreshTimer = setInterval(async () => {
     if (!document.hidden) {
       try {
         await loadDashboardData();
@@ -240,6 +293,7 @@ async function refreshDashboard() {
     
     await loadDashboardData();
     updateStatCards();
+    updateGstThresholdAlert();
     updateRecentTransactions();
     updateCharts();
     
@@ -347,16 +401,6 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
-/**
- * Handle page visibility changes
- */
-document.addEventListener('visibilitychange', () => {
-  if (!document.hidden && getCurrentPageName() === 'dashboard') {
-    // Refresh data when page becomes visible
-    refreshDashboard();
-  }
-});
-
 /**
  * Cleanup function for dashboard
  */
@@ -9,11 +9,14 @@ import {
   showToast, 
   showLoading, 
   hideLoading,
-  getCurrentUserId,
   parseFormData,
   validateForm,
   clearFormErrors,
-  showFormError
+  showFormError,
+  loadTaxRules,
+  getTaxRules,
+  getUserSettings,
+  findExchangeRate
 } from './utils.js';
 import { unifiedApi } from './api.js';
 
@@ -22,10 +25,13 @@ import { unifiedApi } from './api.js';
  */
 let incomeState = {
   incomeList: [],
+  rates: [],
   isLoading: false,
   editingId: null,
   sortBy: 'date',
-  sortOrder: 'desc'
+  sortOrder: 'desc',
+  // Form handlers are attached on the first visit only; later visits reload data
+  handlersReady: false
 };
 
 /**
@@ -36,18 +42,23 @@ export async function initIncome() {
     console.log('Initializing income page...');
     showLoading('Loading income data...');
     
-    // Load income data
-    await loadIncomeData();
+    // Load income data, the TDS sections for the form and the rate table
+    await Promise.all([loadIncomeData(), loadTaxRules(), loadExchangeRates()]);
     
     // Update UI
     updateIncomeTable();
     updateStatistics();
+    updateRatesTable();
     
-    // Setup form handlers
-    setupIncomeForm();
-    
-    // Setup filters and sorting
-    setupFilters();
+    if (!incomeState.handlersReady) {
+      // Setup form handlers
+      setupIncomeForm();
+      setupRateForms();
+      
+      // Setup filters and sorting
+      setupFilters();
+      incomeState.handlersReady = true;
+    }
     
     hideLoading();
     showToast('Income data loaded successfully', 'success');
@@ -63,16 +74,21 @@ export async function initIncome() {
  * Load income data
  */
 async function loadIncomeData() {
-  const userId = getCurrentUserId();
-  
   try {
-    incomeState.incomeList = await unifiedApi.getIncome(userId);
+    incomeState.incomeList = await unifiedApi.getIncome();
   } catch (error) {
     console.error('Failed to load income data:', error);
     throw error;
   }
 }
 
+/**
+ * Load the user's exchange rate table
+ */
+async function loadExchangeRates() {
+  incomeState.rates = await unifiedApi.getExchangeRates();
+}
+
 /**
  * Setup income form handlers
  */
@@ -92,6 +108,9 @@ function setupIncomeForm() {
     element.addEventListener('change', calculateNetAmount);
   });
   
+  setupCurrencyFields(form);
+  setupTdsFields(form);
+  
   // Form validation
   const inputs = form.querySelectorAll('input, textarea');
   inputs.forEach(input => {
@@ -99,6 +118,201 @@ function setupIncomeForm() {
   });
 }
 
+/**
+ * Setup the TDS details: section list from the tax rules, the rate that
+ * goes with each section, and an amount worked out from the rate until the
+ * user types the amount the client actually deducted
+ */
+function setupTdsFields(form) {
+  const tdsCheckbox = form.querySelector('#tdsDeducted');
+  const details = form.querySelector('#tdsDetails');
+  const sectionSelect = form.querySelector('#tdsSection');
+  const rateInput = form.querySelector('#tdsRate');
+  const tdsAmountInput = form.querySelector('#tdsAmount');
+  const sections = getTaxRules().tds || {};
+  
+  sectionSelect.innerHTML = Object.entries(sections).map(([section, { description }]) =>
+    `<option value="${section}">${section} - ${description}</option>`
+  ).join('');
+  
+  const fillAmount = () => {
+    if (tdsAmountInput.dataset.edited) return;
+    const amount = getRupeeAmount(form);
+    const rate = parseFloat(rateInput.value) || 0;
+    tdsAmountInput.value = amount && rate ? Math.round(amount * rate / 100) : '';
+  };
+  
+  const fillRate = () => {
+    const section = sections[sectionSelect.value];
+    rateInput.value = section ? +(section.rates[0] * 100).toFixed(2) : '';
+    fillAmount();
+  };
+  
+  tdsCheckbox.addEventListener('change', () => {
+    details.style.display = tdsCheckbox.checked ? 'block' : 'none';
+    if (tdsCheckbox.checked && !rateInput.value) {
+      fillRate();
+    }
+    calculateNetAmount();
+  });
+  
+  sectionSelect.addEventListener('change', () => {
+    fillRate();
+    calculateNetAmount();
+  });
+  
+  [form.querySelector('#amount'), rateInput].forEach(element => {
+    element.addEventListener('input', () => {
+      fillAmount();
+      calculateNetAmount();
+    });
+  });
+  
+  tdsAmountInput.addEventListener('input', () => {
+    tdsAmountInput.dataset.edited = tdsAmountInput.value ? 'true' : '';
+    calculateNetAmount();
+  });
+  
+  form.addEventListener('reset', () => {
+    delete tdsAmountInput.dataset.edited;
+    details.style.display = 'none';
+  });
+}
+
+/**
+ * Start the form in the default currency from Settings and show the
+ * conversion and FIRC fields when the client paid in a foreign currency
+ */
+function setupCurrencyFields(form) {
+  const currencySelect = form.querySelector('#incomeCurrency');
+  const details = form.querySelector('#incomeForexDetails');
+  const currencyLabel = form.querySelector('#incomeAmountCurrency');
+  
+  const setDefaultCurrency = () => {
+    const { currency } = getUserSettings();
+    if (currency && currencySelect.querySelector(`option[value="${currency}"]`)) {
+      currencySelect.value = currency;
+    }
+  };
+  
+  const toggle = () => {
+    const isForeign = currencySelect.value !== 'INR';
+    details.style.display = isForeign ? 'block' : 'none';
+    currencyLabel.textContent = isForeign ? currencySelect.value : '₹';
+    updateRateSource(form);
+  };
+  
+  setDefaultCurrency();
+  toggle();
+  
+  currencySelect.addEventListener('change', () => {
+    toggle();
+    calculateNetAmount();
+  });
+  ['#incomeDate', '#incomeExchangeRate'].forEach(selector => {
+    form.querySelector(selector).addEventListener('input', () => {
+      updateRateSource(form);
+      calculateNetAmount();
+    });
+  });
+  form.addEventListener('reset', () => setTimeout(() => {
+    setDefaultCurrency();
+    toggle();
+  }));
+}
+
+/**
+ * Conversion rate for the form: the one typed in, else the table rate
+ */
+function getFormExchangeRate(form) {
+  const currency = form.querySelector('#incomeCurrency').value;
+  if (currency === 'INR') {
+    return 1;
+  }
+  
+  const typed = parseFloat(form.querySelector('#incomeExchangeRate').value);
+  if (typed > 0) {
+    return typed;
+  }
+  
+  const tableRate = findExchangeRate(incomeState.rates, currency, form.querySelector('#incomeDate').value);
+  return tableRate ? tableRate.rate : null;
+}
+
+/**
+ * The amount entered on the form, in rupees
+ */
+function getRupeeAmount(form) {
+  const amount = parseFloat(form.querySelector('#amount').value) || 0;
+  return Math.round(amount * (getFormExchangeRate(form) || 0) * 100) / 100;
+}
+
+/**
+ * Say which rate a foreign receipt will be converted at
+ */
+function updateRateSource(form) {
+  const hint = form.querySelector('#incomeRateSource');
+  const currency = form.querySelector('#incomeCurrency').value;
+  if (currency === 'INR') {
+    hint.textContent = '';
+    return;
+  }
+  
+  if (parseFloat(form.querySelector('#incomeExchangeRate').value) > 0) {
+    hint.textContent = 'Rate entered by you';
+    return;
+  }
+  
+  const tableRate = findExchangeRate(incomeState.rates, currency, form.querySelector('#incomeDate').value);
+  hint.textContent = tableRate
+    ? `${tableRate.source}, ${formatDate(tableRate.date)}: ₹${tableRate.rate}`
+    : `No ${currency} rate in your table for this date; enter one`;
+}
+
+/**
+ * Currency, amount and remittance details entered on the income form.
+ * Foreign receipts send the amount in that currency and let the server
+ * convert it; a rate is only sent when the user typed one.
+ */
+function getCurrencyDetails(form, formData) {
+  if (formData.currency === 'INR') {
+    return { currency: 'INR', amount: formData.amount };
+  }
+  
+  const reference = formData.fircReference.toUpperCase();
+  return {
+    currency: formData.currency,
+    originalAmount: formData.amount,
+    ...(formData.exchangeRate > 0 && { exchangeRate: formData.exchangeRate }),
+    ...(formData.date && { date: formData.date }),
+    ...((reference || formData.fircBank) && {
+      firc: {
+        ...(reference && { reference }),
+        ...(formData.fircBank && { bank: formData.fircBank })
+      }
+    })
+  };
+}
+
+/**
+ * TDS details entered on the income form, or null when no TDS was deducted
+ */
+function getTdsDetails(form) {
+  if (!form.querySelector('#tdsDeducted').checked) {
+    return null;
+  }
+  
+  const rate = parseFloat(form.querySelector('#tdsRate').value);
+  const tan = form.querySelector('#tdsTan').value.trim().toUpperCase();
+  
+  return {
+    section: form.querySelector('#tdsSection').value,
+    rate: Number.isNaN(rate) ? undefined : rate / 100,
+    amount: parseFloat(form.querySelector('#tdsAmount').value) || 0,
+    ...(tan && { tan })
+  };
+}
+
 /**
  * Setup filters and sorting
  */
@@ -163,20 +377,25 @@ async function handleIncomeSubmit(e) {
     return;
   }
   
+  if (!getFormExchangeRate(form)) {
+    showToast(`Enter the ${formData.currency} exchange rate or import a rate table`, 'error');
+    return;
+  }
+  
   try {
     showLoading('Saving income entry...');
     
     // Calculate derived values
-    const netAmount = calculateNetAmount(formData);
-    const tdsAmount = formData.tdsDeducted ? formData.amount * 0.1 : 0;
-    const gstAmount = formData.gstApplicable ? formData.amount * 0.18 : 0;
+    const tds = getTdsDetails(form);
     
     const incomeData = {
-      ...formData,
-      netAmount,
-      tdsAmount,
-      gstAmount,
-      userId: getCurrentUserId()
+      clientName: formData.clientName,
+      ...getCurrencyDetails(form, formData),
+      tdsDeducted: Boolean(tds),
+      gstApplicable: Boolean(formData.gstApplicable),
+      paymentMode: formData.paymentMode,
+      notes: formData.notes,
+      ...(tds && { tds })
     };
     
     // Save income
@@ -210,27 +429,42 @@ function calculateNetAmount() {
   const form = document.getElementById('incomeForm');
   if (!form) return;
   
-  const amount = parseFloat(form.querySelector('#amount').value) || 0;
-  const tdsDeducted = form.querySelector('#tdsDeducted').checked;
+  const currency = form.querySelector('#incomeCurrency').value;
+  const amount = getRupeeAmount(form);
+  const tds = getTdsDetails(form);
   const gstApplicable = form.querySelector('#gstApplicable').checked;
   
-  const tdsAmount = tdsDeducted ? amount * 0.1 : 0;
+  const tdsAmount = tds ? tds.amount : 0;
   const gstAmount = gstApplicable ? amount * 0.18 : 0;
   const netAmount = amount - tdsAmount + gstAmount;
   
   // Update calculation display
   let calculationDisplay = `
     <div class="calculation-display">
+  `;
+  
+  if (currency !== 'INR') {
+    const original = parseFloat(form.querySelector('#amount').value) || 0;
+    calculationDisplay += `
+      <div class="calc-row">
+        <span>Received (${currency} @ ₹${getFormExchangeRate(form) || 0}):</span>
+        <span>${formatCurrency(original, currency)}</span>
+      </div>
+    `;
+  }
+  
+  calculationDisplay += `
       <div class="calc-row">
         <span>Amount:</span>
         <span>${formatCurrency(amount)}</span>
       </div>
   `;
   
-  if (tdsDeducted) {
+  if (tds) {
+    const tdsRate = tds.rate !== undefined ? ` @ ${+(tds.rate * 100).toFixed(2)}%` : '';
     calculationDisplay += `
       <div class="calc-row">
-        <span>TDS (10%):</span>
+        <span>TDS (${tds.section}${tdsRate}):</span>
         <span style="color: var(--success-color)">-${formatCurrency(tdsAmount)}</span>
       </div>
     `;
@@ -261,6 +495,8 @@ function calculateNetAmount() {
     form.appendChild(displayElement);
   }
   displayElement.innerHTML = calculationDisplay;
+  
+  return netAmount;
 }
 
 /**
@@ -342,10 +578,17 @@ function updateIncomeTable() {
           ${income.notes ? `<br><small>${income.notes}</small>` : ''}
         </div>
       </td>
-      <td>${formatCurrency(income.amount)}</td>
       <td>
-        ${income.tdsDeducted ? 
-          `<span class="badge success">${formatCurrency(income.tdsAmount)}</span>` : 
+        ${formatCurrency(income.amount)}
+        ${income.currency && income.currency !== 'INR' ?
+          `<br><small>${formatCurrency(income.originalAmount, income.currency)} @ ₹${income.exchangeRate}</small>` : ''
+        }
+        ${income.firc?.reference ? `<br><small>FIRC ${income.firc.reference}</small>` : ''}
+      </td>
+      <td>
+        ${income.tdsAmount > 0 ? 
+          `<span class="badge success">${formatCurrency(income.tdsAmount)}</span>
+           ${income.tds?.section ? `<br><small>${income.tds.section}</small>` : ''}` : 
           '<span class="badge">-</span>'
         }
       </td>
@@ -482,6 +725,27 @@ function editIncome(incomeId) {
   // Populate form
   setFormData(form, income);
   
+  // Foreign receipts are edited in the currency they were paid in, and
+  // keep a table rate only when the rate was typed in
+  const isForeign = income.currency && income.currency !== 'INR';
+  form.querySelector('#amount').value = isForeign ? income.originalAmount || '' : income.amount;
+  form.querySelector('#incomeDate').value = isForeign && income.date ? String(income.date).slice(0, 10) : '';
+  if (income.rateSource !== 'Manual entry') {
+    form.querySelector('#incomeExchangeRate').value = '';
+  }
+  form.querySelector('#fircReference').value = income.firc?.reference || '';
+  form.querySelector('#fircBank').value = income.firc?.bank || '';
+  form.querySelector('#incomeCurrency').value = income.currency || 'INR';
+  form.querySelector('#incomeCurrency').dispatchEvent(new Event('change'));
+  
+  const tds = income.tds || {};
+  form.querySelector('#tdsDetails').style.display = income.tdsAmount > 0 ? 'block' : 'none';
+  form.querySelector('#tdsSection').value = tds.section || '';
+  form.querySelector('#tdsRate').value = tds.rate !== undefined ? +(tds.rate * 100).toFixed(2) : '';
+  form.querySelector('#tdsAmount').value = tds.amount || '';
+  form.querySelector('#tdsAmount').dataset.edited = tds.amount ? 'true' : '';
+  form.querySelector('#tdsTan').value = tds.tan || '';
+  
   // Update calculation
   calculateNetAmount();
   
@@ -524,6 +788,156 @@ async function deleteIncome(incomeId) {
   }
 }
 
+/**
+ * Setup the rate table import and the form for adding a single rate
+ */
+function setupRateForms() {
+  const importForm = document.getElementById('rateImportForm');
+  const rateForm = document.getElementById('rateForm');
+  if (!importForm || !rateForm) return;
+  
+  importForm.addEventListener('submit', handleRateImportSubmit);
+  rateForm.addEventListener('submit', handleRateSubmit);
+}
+
+/**
+ * Upload the chosen CSV rate table, then refresh the table and the rate
+ * shown on the income form
+ */
+async function handleRateImportSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const file = form.querySelector('#rateTableFile').files[0];
+  if (!file) {
+    showToast('Choose a CSV rate table to import', 'error');
+    return;
+  }
+  
+  try {
+    showLoading('Importing exchange rates...');
+    
+    const result = await unifiedApi.importExchangeRates({
+      content: await file.text(),
+      source: form.querySelector('#rateTableSource').value.trim() || undefined
+    });
+    if (!result) {
+      hideLoading();
+      showToast('Rate import needs a connection to the server', 'warning');
+      return;
+    }
+    
+    await refreshRates();
+    form.reset();
+    
+    hideLoading();
+    showToast(`Imported ${result.parsed} rates for ${result.currencies.join(', ')}`, 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to import exchange rates:', error);
+    showToast(`Failed to import rates: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Save one day's rate entered by hand
+ */
+async function handleRateSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const formData = parseFormData(form);
+  if (!formData.date || !(formData.rate > 0)) {
+    showToast('Enter the date and the rate in rupees', 'error');
+    return;
+  }
+  
+  try {
+    const saved = await unifiedApi.addExchangeRate({
+      currency: formData.currency,
+      date: formData.date,
+      rate: formData.rate
+    });
+    if (!saved) {
+      showToast('Saving rates needs a connection to the server', 'warning');
+      return;
+    }
+    
+    await refreshRates();
+    form.reset();
+    
+    showToast('Exchange rate saved', 'success');
+    
+  } catch (error) {
+    console.error('Failed to save exchange rate:', error);
+    showToast(`Failed to save rate: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete one rate from the table
+ */
+async function deleteExchangeRate(rateId) {
+  if (!confirm('Delete this exchange rate?')) return;
+  
+  try {
+    await unifiedApi.deleteExchangeRate(rateId);
+    await refreshRates();
+    
+    showToast('Exchange rate deleted', 'success');
+    
+  } catch (error) {
+    console.error('Failed to delete exchange rate:', error);
+    showToast('Failed to delete exchange rate. Please try again.', 'error');
+  }
+}
+
+/**
+ * Reload the rate table and the rate the income form would use
+ */
+async function refreshRates() {
+  await loadExchangeRates();
+  updateRatesTable();
+  
+  const form = document.getElementById('incomeForm');
+  if (form) {
+    updateRateSource(form);
+    calculateNetAmount();
+  }
+}
+
+/**
+ * Show the rate table, newest first
+ */
+function updateRatesTable() {
+  const tbody = document.getElementById('ratesTableBody');
+  if (!tbody) return;
+  
+  if (incomeState.rates.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="5" class="empty-state">No exchange rates yet</td>
+      </tr>
+    `;
+    return;
+  }
+  
+  tbody.innerHTML = incomeState.rates.map(rate => `
+    <tr>
+      <td>${formatDate(rate.date)}</td>
+      <td>${rate.currency}</td>
+      <td>₹${rate.rate}</td>
+      <td>${rate.source || '-'}</td>
+      <td>
+        <button class="btn btn-sm btn-danger" onclick="deleteExchangeRate('${rate._id}')" title="Delete">
+          <i class="fas fa-trash"></i>
+        </button>
+      </td>
+    </tr>
+  `).join('');
+}
+
 /**
  * Export income data
  */
@@ -617,3 +1031,4 @@ document.addEventListener('keydown', (e) => {
 window.editIncome = editIncome;
 window.deleteIncome = deleteIncome;
 window.exportIncomeData = exportIncomeData;
+window.deleteExchangeRate = deleteExchangeRate;
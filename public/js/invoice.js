@@ -9,21 +9,50 @@ import {
   showToast, 
   showLoading, 
   hideLoading,
-  getCurrentUserId,
   parseFormData,
   validateForm,
-  downloadFile
+  downloadFile,
+  findExchangeRate,
+  escapeHtml,
+  loadTaxRules,
+  getTaxRules
 } from './utils.js';
 import { unifiedApi } from './api.js';
+import {
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC,
+  EXPORT_PLACE_OF_SUPPLY,
+  GST_RATES,
+  GST_STATES,
+  LINE_UNITS,
+  LUT_DECLARATION,
+  SAC_CODES,
+  calculateExportGst,
+  calculateGstSplit,
+  calculateLineItems,
+  lineAmount,
+  summariseTaxByRate,
+  formatStateCode,
+  getPlaceOfSupply,
+  getStateCodeFromGstin
+} from '../shared/gstEngine.mjs';
+
+// Invoices that can take a payment: issued and not yet paid in full
+const PAYABLE_STATUSES = ['issued', 'sent', 'partially-paid', 'overdue'];
 
 /**
  * Invoice page state
  */
 let invoiceState = {
   invoiceList: [],
+  rates: [],
   currentPreview: null,
+  nextInvoiceNumber: null,
   isLoading: false,
-  user: null
+  user: null,
+  branding: null,
+  // Form handlers are attached on the first visit only; later visits reload data
+  handlersReady: false
 };
 
 /**
@@ -34,11 +63,14 @@ export async function initInvoice() {
     console.log('Initializing invoice page...');
     showLoading('Loading invoice data...');
     
-    // Load user data
-    await loadUserData();
+    // Load user data, and the TDS sections from the tax rules
+    await Promise.all([loadUserData(), loadTaxRules()]);
     
     // Setup invoice form
-    setupInvoiceForm();
+    if (!invoiceState.handlersReady) {
+      setupInvoiceForm();
+      invoiceState.handlersReady = true;
+    }
     
     // Load invoice history
     await loadInvoiceHistory();
@@ -60,10 +92,8 @@ export async function initInvoice() {
  * Load user data
  */
 async function loadUserData() {
-  const userId = getCurrentUserId();
-  
   try {
-    invoiceState.user = await unifiedApi.getUserProfile(userId);
+    invoiceState.user = await unifiedApi.getUserProfile();
   } catch (error) {
     console.error('Failed to load user data:', error);
     invoiceState.user = {
@@ -77,6 +107,14 @@ async function loadUserData() {
       accountHolder: 'John Doe'
     };
   }
+  
+  // Branding only changes how the preview looks; without it the preview is plain
+  try {
+    invoiceState.branding = await unifiedApi.getBranding();
+  } catch (error) {
+    console.error('Failed to load invoice branding:', error);
+    invoiceState.branding = null;
+  }
 }
 
 /**
@@ -89,11 +127,44 @@ function setupInvoiceForm() {
   // Form submission
   form.addEventListener('submit', handleInvoiceSubmit);
   
+  // Place of supply options; a client GSTIN fills in its state
+  const stateSelect = form.querySelector('#invoiceClientState');
+  if (stateSelect) {
+    stateSelect.innerHTML = '<option value="">Select state</option>' +
+      Object.entries(GST_STATES).map(([code, name]) => `<option value="${code}">${code} - ${name}</option>`).join('');
+    
+    form.querySelector('#invoiceClientGstin').addEventListener('change', (e) => {
+      const stateCode = getStateCodeFromGstin(e.target.value.trim().toUpperCase());
+      if (stateCode && !stateSelect.value) {
+        stateSelect.value = stateCode;
+        updatePreview();
+      }
+    });
+  }
+  
+  // TDS section and rate, shown when TDS applies
+  setupInvoiceTdsFields(form);
+  
+  // Export invoices take a currency, exchange rate and LUT instead of GST and TDS
+  setupExportFields(form);
+  
   // Real-time preview
   const inputs = form.querySelectorAll('input, textarea');
   inputs.forEach(input => {
     input.addEventListener('input', debounce(updatePreview, 500));
   });
+  form.querySelectorAll('select').forEach(select => {
+    select.addEventListener('change', updatePreview);
+  });
+  
+  // Line item rows update the preview through their container
+  setupLineItems(form);
+  
+  // Start from the template chosen on the profile
+  const templateOption = form.querySelector(`#invoicePdfTemplate option[value="${invoiceState.user.invoiceTemplate}"]`);
+  if (templateOption) {
+    templateOption.defaultSelected = true;
+  }
   
   // Preview button
   const previewBtn = document.getElementById('previewInvoice');
@@ -103,46 +174,215 @@ function setupInvoiceForm() {
 }
 
 /**
- * Load invoice history
+ * Line item editor: one row per service with its SAC, quantity, rate,
+ * discount and GST rate. Row inputs are unnamed so parseFormData skips
+ * them; getLineItems reads the rows instead.
+ */
+function setupLineItems(form) {
+  const container = form.querySelector('#invoiceLineItems');
+  if (!container) return;
+  
+  form.querySelector('#sacCodes').innerHTML = Object.entries(SAC_CODES)
+    .map(([code, description]) => `<option value="${code}">${description}</option>`).join('');
+  
+  form.querySelector('#addLineItem').addEventListener('click', () => {
+    addLineItemRow(container);
+    container.lastElementChild.querySelector('[data-field="description"]').focus();
+  });
+  container.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.remove-line-item');
+    if (removeBtn && container.children.length > 1) {
+      removeBtn.closest('.line-item-row').remove();
+      updatePreview();
+    }
+  });
+  container.addEventListener('input', debounce(updatePreview, 500));
+  container.addEventListener('change', updatePreview);
+  form.addEventListener('reset', () => {
+    container.innerHTML = '';
+    addLineItemRow(container);
+  });
+  
+  addLineItemRow(container);
+}
+
+/**
+ * Append an empty line item row
+ */
+function addLineItemRow(container) {
+  const gstOptions = GST_RATES.map(rate =>
+    `<option value="${rate}" ${rate === DEFAULT_GST_RATE ? 'selected' : ''}>${+(rate * 100).toFixed(2)}%</option>`).join('');
+  const unitOptions = LINE_UNITS.map(unit => `<option value="${unit}">${unit}</option>`).join('');
+  
+  container.insertAdjacentHTML('beforeend', `
+    <div class="line-item-row">
+      <input type="text" data-field="description" placeholder="Description" maxlength="500" aria-label="Description">
+      <input type="text" data-field="sac" list="sacCodes" value="${DEFAULT_SAC}" maxlength="6" aria-label="SAC code">
+      <input type="number" data-field="quantity" value="1" min="0" step="0.01" aria-label="Quantity">
+      <select data-field="unit" aria-label="Unit">${unitOptions}</select>
+      <input type="number" data-field="rate" min="0" step="0.01" placeholder="Rate" aria-label="Rate">
+      <input type="number" data-field="discount" min="0" step="0.01" placeholder="Discount" aria-label="Discount">
+      <select data-field="gstRate" aria-label="GST rate">${gstOptions}</select>
+      <button type="button" class="btn btn-sm btn-secondary remove-line-item" title="Remove line">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `);
+}
+
+/**
+ * Line items entered on the invoice form. Rows with neither a description
+ * nor a rate are left out.
+ */
+function getLineItems(form) {
+  return Array.from(form.querySelectorAll('.line-item-row'))
+    .map(row => {
+      const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+      return {
+        description: value('description'),
+        sac: value('sac') || DEFAULT_SAC,
+        quantity: parseFloat(value('quantity')) || 0,
+        unit: value('unit'),
+        rate: parseFloat(value('rate')) || 0,
+        discount: parseFloat(value('discount')) || 0,
+        gstRate: parseFloat(value('gstRate'))
+      };
+    })
+    .filter(item => item.description || item.rate);
+}
+
+/**
+ * Why a line item cannot be billed, or null if it can
+ */
+function checkLineItem(item, index) {
+  const line = `Line ${index + 1}`;
+  if (!item.description) return `${line}: enter a description`;
+  if (!/^99\d{4}$/.test(item.sac)) return `${line}: SAC must be a 6-digit code starting with 99`;
+  if (!(item.quantity > 0)) return `${line}: quantity must be greater than 0`;
+  if (!(item.rate > 0)) return `${line}: enter a rate`;
+  if (item.discount > item.quantity * item.rate) return `${line}: discount is more than quantity x rate`;
+  return null;
+}
+
+/**
+ * Setup the TDS details: section list from the tax rules and the usual
+ * rate for each section, which the user can change
+ */
+function setupInvoiceTdsFields(form) {
+  const tdsCheckbox = form.querySelector('#invoiceTds');
+  const details = form.querySelector('#invoiceTdsDetails');
+  const sectionSelect = form.querySelector('#invoiceTdsSection');
+  const rateInput = form.querySelector('#invoiceTdsRate');
+  const sections = getTaxRules().tds || {};
+  
+  sectionSelect.innerHTML = Object.entries(sections).map(([section, { description }]) =>
+    `<option value="${section}">${section} - ${description}</option>`
+  ).join('');
+  
+  const fillRate = () => {
+    const section = sections[sectionSelect.value];
+    rateInput.value = section ? +(section.rates[0] * 100).toFixed(2) : '';
+  };
+  const toggle = () => {
+    details.style.display = tdsCheckbox.checked && !tdsCheckbox.disabled ? '' : 'none';
+  };
+  
+  fillRate();
+  tdsCheckbox.addEventListener('change', toggle);
+  sectionSelect.addEventListener('change', fillRate);
+  form.addEventListener('reset', () => setTimeout(() => {
+    fillRate();
+    toggle();
+  }));
+}
+
+/**
+ * TDS section and rate (a fraction) from the invoice form, or {} without TDS
+ */
+function getInvoiceTds(formData) {
+  if (!formData.tds || formData.exportInvoice) {
+    return {};
+  }
+  return {
+    tdsSection: formData.tdsSection,
+    tdsRate: (parseFloat(formData.tdsRate) || 0) / 100
+  };
+}
+
+/**
+ * TDS as printed, e.g. "TDS u/s 194J @ 10%". Invoices saved before TDS
+ * details were kept are at 10% under 194J.
+ */
+function getTdsLabel({ tdsSection = '194J', tdsRate = 0.1 }) {
+  return `TDS u/s ${tdsSection} @ ${+(tdsRate * 100).toFixed(2)}%`;
+}
+
+/**
+ * Show the export fields when the client is outside India. The domestic
+ * GST, TDS and state fields are disabled so they are not submitted.
+ */
+function setupExportFields(form) {
+  const exportCheckbox = form.querySelector('#invoiceExport');
+  if (!exportCheckbox) return;
+  
+  const details = form.querySelector('#invoiceExportDetails');
+  const currencySelect = form.querySelector('#invoiceCurrency');
+  const currencyLabel = form.querySelector('#invoiceAmountCurrency');
+  
+  const toggle = () => {
+    const isExport = exportCheckbox.checked;
+    details.style.display = isExport ? 'block' : 'none';
+    currencyLabel.textContent = isExport ? currencySelect.value : '₹';
+    ['#invoiceTds', '#invoiceTdsSection', '#invoiceTdsRate', '#invoiceGst', '#invoiceClientGstin', '#invoiceClientState'].forEach(selector => {
+      form.querySelector(selector).disabled = isExport;
+    });
+    form.querySelector('#invoiceTdsDetails').style.display = !isExport && form.querySelector('#invoiceTds').checked ? '' : 'none';
+  };
+  
+  exportCheckbox.addEventListener('change', toggle);
+  currencySelect.addEventListener('change', toggle);
+  form.addEventListener('reset', () => setTimeout(toggle));
+}
+
+/**
+ * Invoice type, currency and export details from the invoice form
+ */
+function getInvoiceTypeFields(formData) {
+  if (!formData.exportInvoice) {
+    return { invoiceType: 'domestic', currency: 'INR', exchangeRate: 1 };
+  }
+  
+  return {
+    invoiceType: 'export',
+    currency: formData.currency,
+    exchangeRate: formData.currency === 'INR' ? 1 : formData.exchangeRate,
+    exportDetails: {
+      gstPayment: formData.gstPayment,
+      lutArn: formData.lutArn ? formData.lutArn.toUpperCase() : undefined,
+      country: formData.clientCountry || undefined
+    }
+  };
+}
+
+/**
+ * Rate from the user's rate table for an export billed in a foreign
+ * currency with no rate entered; the server converts at the same rate
+ */
+function getTableRate(typeFields) {
+  if (typeFields.invoiceType !== 'export' || typeFields.currency === 'INR' || typeFields.exchangeRate) {
+    return null;
+  }
+  return findExchangeRate(invoiceState.rates, typeFields.currency);
+}
+
+/**
+ * Load invoice history, the next invoice number and the rate table
  */
 async function loadInvoiceHistory() {
   try {
-    // For demo, create some sample invoices
-    invoiceState.invoiceList = [
-      {
-        _id: '1',
-        clientName: 'Tech Corp',
-        amount: 50000,
-        description: 'Website development project',
-        tds: true,
-        gst: false,
-        date: '2024-01-15',
-        invoiceNumber: 'INV-001',
-        status: 'paid'
-      },
-      {
-        _id: '2',
-        clientName: 'Design Studio',
-        amount: 30000,
-        description: 'UI/UX design services',
-        tds: false,
-        gst: false,
-        date: '2024-02-10',
-        invoiceNumber: 'INV-002',
-        status: 'pending'
-      },
-      {
-        _id: '3',
-        clientName: 'Startup XYZ',
-        amount: 75000,
-        description: 'Mobile app development',
-        tds: true,
-        gst: true,
-        date: '2024-03-05',
-        invoiceNumber: 'INV-003',
-        status: 'sent'
-      }
-    ];
+    invoiceState.invoiceList = await unifiedApi.getInvoices();
+    invoiceState.nextInvoiceNumber = await unifiedApi.getNextInvoiceNumber();
+    invoiceState.rates = await unifiedApi.getExchangeRates();
   } catch (error) {
     console.error('Failed to load invoice history:', error);
     invoiceState.invoiceList = [];
@@ -160,9 +400,7 @@ async function handleInvoiceSubmit(e) {
   
   // Validate form
   const validationRules = {
-    clientName: { required: true, label: 'Client Name' },
-    amount: { required: true, min: 1, label: 'Amount' },
-    description: { required: true, label: 'Description' }
+    clientName: { required: true, label: 'Client Name' }
   };
   
   if (!validateForm(form, validationRules)) {
@@ -170,31 +408,49 @@ async function handleInvoiceSubmit(e) {
     return;
   }
   
+  const items = getLineItems(form);
+  const itemError = items.length === 0 ? 'Add at least one line item' : items.map(checkLineItem).find(Boolean);
+  if (itemError) {
+    showToast(itemError, 'error');
+    return;
+  }
+  
+  const typeFields = getInvoiceTypeFields(formData);
+  if (typeFields.invoiceType === 'export') {
+    if (!typeFields.exchangeRate && !getTableRate(typeFields)) {
+      showToast('Enter the exchange rate or import a rate table on the Income page', 'error');
+      return;
+    }
+    if (typeFields.exportDetails.gstPayment === 'lut' && !typeFields.exportDetails.lutArn) {
+      showToast('Enter the LUT ARN to export without payment of IGST', 'error');
+      return;
+    }
+  }
+  
   try {
     showLoading('Generating invoice...');
     
-    // Prepare invoice data
-    const invoiceData = {
-      ...formData,
-      userId: getCurrentUserId(),
-      invoiceNumber: generateInvoiceNumber(),
-      date: new Date().toISOString().split('T')[0]
-    };
-    
-    // Generate PDF
-    const pdfBlob = await unifiedApi.generateInvoice(invoiceData);
+    // Save the invoice; the server assigns the next number in the series
+    const newInvoice = await unifiedApi.createInvoice({
+      clientName: formData.clientName,
+      clientGstin: formData.clientGstin ? formData.clientGstin.trim().toUpperCase() : undefined,
+      clientStateCode: formData.clientStateCode || undefined,
+      items,
+      notes: formData.notes || undefined,
+      templateId: formData.templateId,
+      tds: Boolean(formData.tds),
+      ...getInvoiceTds(formData),
+      gstApplicable: Boolean(formData.gst),
+      ...typeFields
+    });
     
     // Download PDF
-    const filename = `invoice-${invoiceData.invoiceNumber}.pdf`;
-    downloadFile(pdfBlob, filename);
+    const pdfBlob = await unifiedApi.downloadInvoice(newInvoice);
+    downloadFile(pdfBlob, getInvoiceFilename(newInvoice));
     
     // Add to history
-    const newInvoice = {
-      ...invoiceData,
-      _id: Date.now().toString(),
-      status: 'sent'
-    };
     invoiceState.invoiceList.unshift(newInvoice);
+    invoiceState.nextInvoiceNumber = await unifiedApi.getNextInvoiceNumber();
     
     // Update UI
     updateInvoiceList();
@@ -223,19 +479,53 @@ function updatePreview() {
   const previewContainer = document.getElementById('invoiceDocument');
   if (!previewContainer) return;
   
-  // Calculate amounts
-  const amount = formData.amount || 0;
-  const tdsAmount = formData.tds ? amount * 0.1 : 0;
-  const gstAmount = formData.gst ? amount * 0.18 : 0;
-  const netAmount = amount - tdsAmount + gstAmount;
+  // Calculate amounts line by line, as the server does
+  const typeFields = getInvoiceTypeFields(formData);
+  const isExport = typeFields.invoiceType === 'export';
+  const supplierStateCode = getSupplierStateCode();
+  const tableRate = getTableRate(typeFields);
+  const exchangeRate = typeFields.exchangeRate || (tableRate ? tableRate.rate : 0);
+  const placeOfSupply = isExport ? EXPORT_PLACE_OF_SUPPLY : getPlaceOfSupply({
+    clientStateCode: formData.clientStateCode,
+    clientGstin: formData.clientGstin ? formData.clientGstin.trim().toUpperCase() : '',
+    supplierStateCode
+  });
+  let taxOf;
+  if (isExport) {
+    taxOf = (value, rate) => calculateExportGst(value, { gstPayment: typeFields.exportDetails.gstPayment, rate });
+  } else if (formData.gst) {
+    taxOf = (value, rate) => calculateGstSplit(value, { supplierStateCode, placeOfSupply, rate });
+  }
+  const totals = calculateLineItems(getLineItems(form), { exchangeRate, taxOf });
+  const amount = totals.subtotal;
+  const tdsFields = getInvoiceTds(formData);
+  const tdsAmount = formData.tds ? Math.round(amount * (tdsFields.tdsRate || 0)) : 0;
+  const { supplyType } = isExport
+    ? { supplyType: 'export' }
+    : calculateGstSplit(0, { supplierStateCode, placeOfSupply });
+  const gstAmount = totals.total;
+  // IGST paid on an export is refunded to the supplier, not billed to the client
+  const netAmount = isExport ? amount : amount - tdsAmount + gstAmount;
   
   // Update state
   invoiceState.currentPreview = {
     ...formData,
+    ...typeFields,
+    ...tdsFields,
+    exchangeRate,
+    rateSource: tableRate ? `${tableRate.source}, ${formatDate(tableRate.date)}` : undefined,
+    items: totals.lines,
+    amount,
+    taxableValue: totals.taxableValue,
+    placeOfSupply,
+    supplyType,
     tdsAmount,
+    cgstAmount: totals.cgst,
+    sgstAmount: totals.sgst,
+    igstAmount: totals.igst,
     gstAmount,
     netAmount,
-    invoiceNumber: generateInvoiceNumber(),
+    invoiceNumber: invoiceState.nextInvoiceNumber,
     date: new Date().toISOString().split('T')[0]
   };
   
@@ -244,29 +534,107 @@ function updatePreview() {
   previewContainer.innerHTML = previewHTML;
 }
 
+/**
+ * The user's GST state, as set on the profile or read from their GSTIN
+ */
+function getSupplierStateCode() {
+  const { user } = invoiceState;
+  return user.stateCode || getStateCodeFromGstin(user.gstNumber) || null;
+}
+
+/**
+ * GST rows per rate: CGST and SGST for a supply within the state, or IGST
+ */
+function generateGstRowsHTML(invoice) {
+  const row = (label, amount) => `
+          <div class="breakdown-row">
+            <span>${label}:</span>
+            <span style="color: var(--accent-color)">+${formatCurrency(amount || 0)}</span>
+          </div>
+        `;
+  const percent = rate => +(rate * 100).toFixed(2);
+  const isExport = invoice.invoiceType === 'export';
+  
+  if (isExport && invoice.exportDetails?.gstPayment !== 'igst') {
+    return '';
+  }
+  
+  // Invoices saved before the split only carry the total
+  if (!isExport && invoice.supplyType !== 'inter-state' && invoice.cgstAmount === undefined) {
+    return row(`GST (${percent(DEFAULT_GST_RATE)}%)`, invoice.gstAmount);
+  }
+  
+  // Invoices saved before tax was worked out per line are at the standard rate
+  const items = invoice.items || [];
+  const rates = items.length > 0 && items.every(item => item.taxableValue !== undefined)
+    ? summariseTaxByRate(items)
+    : [{ gstRate: DEFAULT_GST_RATE, cgstAmount: invoice.cgstAmount, sgstAmount: invoice.sgstAmount, igstAmount: invoice.igstAmount }];
+  
+  return rates.map(({ gstRate, cgstAmount, sgstAmount, igstAmount }) => {
+    if (isExport) {
+      return row(`IGST (${percent(gstRate)}%, refundable)`, igstAmount);
+    }
+    if (invoice.supplyType === 'inter-state') {
+      return row(`IGST (${percent(gstRate)}%)`, igstAmount);
+    }
+    return row(`CGST (${percent(gstRate / 2)}%)`, cgstAmount) + row(`SGST (${percent(gstRate / 2)}%)`, sgstAmount);
+  }).join('');
+}
+
+/**
+ * Line item table rows. Invoices saved before line items were recorded
+ * show their description and amount as a single line.
+ */
+function generateItemRowsHTML(invoice) {
+  const currency = invoice.currency || 'INR';
+  const showGst = invoice.invoiceType === 'export' ? invoice.exportDetails?.gstPayment === 'igst' : invoice.gst;
+  const items = invoice.items && invoice.items.length > 0
+    ? invoice.items
+    : [{ description: invoice.description || 'Services rendered', amount: invoice.amount || 0 }];
+  
+  return items.map(item => `
+            <tr>
+              <td>${escapeHtml(item.description || 'Services rendered')}<br><small>SAC ${item.sac || DEFAULT_SAC}</small></td>
+              <td>${item.quantity ?? 1}${item.unit ? ` ${item.unit}` : ''}</td>
+              <td>${formatCurrency(item.rate ?? item.amount ?? 0, currency)}</td>
+              <td>${item.discount ? `-${formatCurrency(item.discount, currency)}` : '-'}</td>
+              <td>${showGst ? `${+((item.gstRate ?? DEFAULT_GST_RATE) * 100).toFixed(2)}%` : '-'}</td>
+              <td>${formatCurrency(lineAmount(item), currency)}</td>
+            </tr>
+          `).join('');
+}
+
 /**
  * Generate invoice preview HTML
  */
 function generateInvoicePreviewHTML(invoice) {
   const { user } = invoiceState;
+  const branding = invoiceState.branding || {};
+  const isExport = invoice.invoiceType === 'export';
+  const currency = invoice.currency || 'INR';
   
   return `
-    <div class="invoice-preview-content">
+    <div class="invoice-preview-content"${branding.accentColor ? ` style="--invoice-accent: ${branding.accentColor}"` : ''}>
       <!-- Invoice Header -->
       <div class="invoice-header">
         <div class="invoice-from">
+          ${branding.logo ? `<img class="invoice-logo" src="${branding.logo}" alt="Logo">` : ''}
           <h2>INVOICE</h2>
           <div class="company-info">
-            <strong>${user.name || 'John Doe'}</strong><br>
+            <strong>${escapeHtml(user.name || 'John Doe')}</strong><br>
             ${user.email || 'john@freelancer.com'}<br>
             ${user.phone || '+91 98765 43210'}<br>
             PAN: ${user.pan || 'ABCDE1234F'}
+            ${user.gstNumber ? `<br>GSTIN: ${user.gstNumber}` : ''}
+            ${getSupplierStateCode() ? `<br>State: ${formatStateCode(getSupplierStateCode())}` : ''}
           </div>
         </div>
         <div class="invoice-to">
           <h3>Bill To:</h3>
           <div class="client-info">
-            <strong>${invoice.clientName || 'Client Name'}</strong>
+            <strong>${escapeHtml(invoice.clientName || 'Client Name')}</strong>
+            ${invoice.clientGstin && !isExport ? `<br>GSTIN: ${invoice.clientGstin}` : ''}
+            ${isExport && invoice.exportDetails?.country ? `<br>${escapeHtml(invoice.exportDetails.country)}` : ''}
           </div>
         </div>
       </div>
@@ -275,7 +643,7 @@ function generateInvoicePreviewHTML(invoice) {
       <div class="invoice-details">
         <div class="detail-row">
           <span>Invoice Number:</span>
-          <span>${invoice.invoiceNumber || 'INV-001'}</span>
+          <span>${invoice.invoiceNumber || 'Assigned on save'}</span>
         </div>
         <div class="detail-row">
           <span>Date:</span>
@@ -285,6 +653,18 @@ function generateInvoicePreviewHTML(invoice) {
           <span>Due Date:</span>
           <span>${formatDate(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000))}</span>
         </div>
+        ${invoice.placeOfSupply ? `
+          <div class="detail-row">
+            <span>Place of Supply:</span>
+            <span>${formatStateCode(invoice.placeOfSupply)}</span>
+          </div>
+        ` : ''}
+        ${isExport && currency !== 'INR' ? `
+          <div class="detail-row">
+            <span>Exchange Rate:</span>
+            <span>1 ${currency} = ₹${invoice.exchangeRate || 0}${invoice.rateSource ? ` (${invoice.rateSource})` : ''}</span>
+          </div>
+        ` : ''}
       </div>
       
       <!-- Invoice Items -->
@@ -295,16 +675,13 @@ function generateInvoicePreviewHTML(invoice) {
               <th>Description</th>
               <th>Quantity</th>
               <th>Rate</th>
+              <th>Discount</th>
+              <th>GST</th>
               <th>Amount</th>
             </tr>
           </thead>
           <tbody>
-            <tr>
-              <td>${invoice.description || 'Services rendered'}</td>
-              <td>1</td>
-              <td>${formatCurrency(invoice.amount || 0)}</td>
-              <td>${formatCurrency(invoice.amount || 0)}</td>
-            </tr>
+            ${generateItemRowsHTML(invoice)}
           </tbody>
         </table>
       </div>
@@ -313,23 +690,24 @@ function generateInvoicePreviewHTML(invoice) {
       <div class="invoice-breakdown">
         <div class="breakdown-row">
           <span>Subtotal:</span>
-          <span>${formatCurrency(invoice.amount || 0)}</span>
+          <span>${formatCurrency(invoice.amount || 0, currency)}</span>
         </div>
-        ${invoice.tds ? `
+        ${isExport && currency !== 'INR' ? `
           <div class="breakdown-row">
-            <span>TDS (10%):</span>
-            <span style="color: var(--success-color)">-${formatCurrency(invoice.tdsAmount)}</span>
+            <span>Taxable Value:</span>
+            <span>${formatCurrency(invoice.taxableValue || 0)}</span>
           </div>
         ` : ''}
-        ${invoice.gst ? `
+        ${invoice.tds ? `
           <div class="breakdown-row">
-            <span>GST (18%):</span>
-            <span style="color: var(--accent-color)">+${formatCurrency(invoice.gstAmount)}</span>
+            <span>${getTdsLabel(invoice)}:</span>
+            <span style="color: var(--success-color)">-${formatCurrency(invoice.tdsAmount)}</span>
           </div>
         ` : ''}
+        ${invoice.gst || isExport ? generateGstRowsHTML(invoice) : ''}
         <div class="breakdown-row total">
           <span><strong>Total:</strong></span>
-          <span><strong>${formatCurrency(invoice.netAmount || 0)}</strong></span>
+          <span><strong>${formatCurrency(invoice.netAmount || 0, currency)}</strong></span>
         </div>
       </div>
       
@@ -339,7 +717,7 @@ function generateInvoicePreviewHTML(invoice) {
         <div class="bank-info">
           <div class="bank-row">
             <span>Bank Name:</span>
-            <span>${user.bankName || 'State Bank of India'}</span>
+            <span>${escapeHtml(user.bankName || 'State Bank of India')}</span>
           </div>
           <div class="bank-row">
             <span>Account Number:</span>
@@ -351,16 +729,36 @@ function generateInvoicePreviewHTML(invoice) {
           </div>
           <div class="bank-row">
             <span>Account Holder:</span>
-            <span>${user.accountHolder || 'John Doe'}</span>
+            <span>${escapeHtml(user.accountHolder || 'John Doe')}</span>
           </div>
         </div>
       </div>
       
+      ${branding.signature ? `
+        <!-- Signature -->
+        <div class="invoice-signature">
+          <p>For ${escapeHtml(user.name || 'John Doe')}</p>
+          <img src="${branding.signature}" alt="Signature">
+          <p>Authorised Signatory</p>
+        </div>
+      ` : ''}
+      
       <!-- Footer -->
       <div class="invoice-footer">
-        <p>Thank you for your business!</p>
-        <p>This is a computer-generated invoice and does not require a signature.</p>
+        ${isExport && invoice.exportDetails?.gstPayment !== 'igst' ? `
+          <p><strong>${LUT_DECLARATION}</strong> (LUT ARN: ${invoice.exportDetails?.lutArn || 'N/A'})</p>
+        ` : ''}
+        <p>${escapeHtml(branding.footerText || 'Thank you for your business!')}</p>
+        <p>This is a computer-generated invoice${branding.signature ? '' : ' and does not require a signature'}.</p>
       </div>
+      
+      ${branding.terms ? `
+        <!-- Terms -->
+        <div class="invoice-terms">
+          <h4>Terms &amp; Conditions</h4>
+          <p>${escapeHtml(branding.terms)}</p>
+        </div>
+      ` : ''}
     </div>
   `;
 }
@@ -390,18 +788,22 @@ function updateInvoiceList() {
     <div class="invoice-item list-item" style="animation-delay: ${index * 0.1}s">
       <div class="invoice-info">
         <div class="invoice-header">
-          <h4>${invoice.clientName}</h4>
-          <span class="invoice-number">${invoice.invoiceNumber}</span>
+          <h4>${escapeHtml(invoice.clientName)}</h4>
+          <span class="invoice-number">${invoice.invoiceNumber}${invoice.invoiceType === 'export' ? ' · Export' : ''}</span>
         </div>
         <div class="invoice-details">
           <p><strong>Date:</strong> ${formatDate(invoice.date)}</p>
-          <p><strong>Amount:</strong> ${formatCurrency(invoice.amount)}</p>
-          <p><strong>Net:</strong> ${formatCurrency(invoice.netAmount)}</p>
+          <p><strong>Amount:</strong> ${formatCurrency(invoice.amount, invoice.currency)}</p>
+          <p><strong>Net:</strong> ${formatCurrency(invoice.netAmount, invoice.currency)}</p>
+          ${invoice.payments?.length && invoice.status !== 'paid' ? `
+            <p><strong>Balance:</strong> ${formatCurrency(getBalanceDue(invoice), invoice.currency)}</p>
+          ` : ''}
         </div>
       </div>
       <div class="invoice-status">
         <span class="status-badge ${invoice.status}">${getStatusLabel(invoice.status)}</span>
         <div class="invoice-actions">
+          ${getStatusActionsHTML(invoice)}
           <button class="btn btn-sm btn-secondary" onclick="viewInvoice('${invoice._id}')" title="View">
             <i class="fas fa-eye"></i>
           </button>
@@ -422,7 +824,9 @@ function updateInvoiceList() {
 function getStatusLabel(status) {
   const labels = {
     'draft': 'Draft',
+    'issued': 'Issued',
     'sent': 'Sent',
+    'partially-paid': 'Partially Paid',
     'paid': 'Paid',
     'overdue': 'Overdue',
     'cancelled': 'Cancelled'
@@ -432,15 +836,203 @@ function getStatusLabel(status) {
 }
 
 /**
- * Generate invoice number
+ * What is still owed on an invoice. Invoices listed before payments were
+ * recorded owe their total: the net amount and the TDS to be withheld.
+ */
+function getBalanceDue(invoice) {
+  return invoice.balanceDue ?? invoice.netAmount + (invoice.tdsAmount || 0);
+}
+
+/**
+ * Buttons that move an invoice on: issue a draft, mark it sent, record a payment
+ */
+function getStatusActionsHTML(invoice) {
+  const buttons = [];
+  
+  if (invoice.status === 'draft') {
+    buttons.push(`
+      <button class="btn btn-sm btn-secondary" onclick="setInvoiceStatus('${invoice._id}', 'issued')" title="Issue">
+        <i class="fas fa-check"></i>
+      </button>
+    `);
+  }
+  if (invoice.status === 'issued') {
+    buttons.push(`
+      <button class="btn btn-sm btn-secondary" onclick="setInvoiceStatus('${invoice._id}', 'sent')" title="Mark as sent">
+        <i class="fas fa-paper-plane"></i>
+      </button>
+    `);
+  }
+  if (PAYABLE_STATUSES.includes(invoice.status)) {
+    buttons.push(`
+      <button class="btn btn-sm btn-secondary" onclick="showPaymentModal('${invoice._id}')" title="Record payment">
+        <i class="fas fa-rupee-sign"></i>
+      </button>
+    `);
+  }
+  
+  return buttons.join('');
+}
+
+/**
+ * Issue a draft or mark an invoice sent
+ */
+async function setInvoiceStatus(invoiceId, status) {
+  try {
+    showLoading('Updating invoice...');
+    
+    const updatedInvoice = await unifiedApi.setInvoiceStatus(invoiceId, status);
+    replaceInvoice(updatedInvoice);
+    
+    hideLoading();
+    showToast(`Invoice marked ${getStatusLabel(updatedInvoice.status).toLowerCase()}`, 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to update invoice status:', error);
+    showToast('Failed to update invoice. Please try again.', 'error');
+  }
+}
+
+/**
+ * Put an updated invoice in place of the listed one and redraw the list
+ */
+function replaceInvoice(updatedInvoice) {
+  invoiceState.invoiceList = invoiceState.invoiceList.map(invoice =>
+    invoice._id === updatedInvoice._id ? updatedInvoice : invoice
+  );
+  updateInvoiceList();
+}
+
+/**
+ * Show the payment form for an invoice, filled in for the balance with
+ * the TDS still to be withheld
+ */
+function showPaymentModal(invoiceId) {
+  const invoice = invoiceState.invoiceList.find(inv => inv._id === invoiceId);
+  if (!invoice) return;
+  
+  const currency = invoice.currency || 'INR';
+  const tdsLeft = Math.max((invoice.tdsAmount || 0) - (invoice.tdsWithheld || 0), 0);
+  const amount = Math.max(getBalanceDue(invoice) - tdsLeft, 0);
+  
+  const modalHTML = `
+    <div class="modal-overlay" id="invoicePaymentModal">
+      <div class="modal">
+        <div class="modal-header">
+          <h3>Record Payment - ${invoice.invoiceNumber}</h3>
+          <button class="modal-close" onclick="closeInvoiceModal('invoicePaymentModal')">&times;</button>
+        </div>
+        <form id="invoicePaymentForm" class="form">
+          <div class="modal-body">
+            <p class="form-hint">Balance due: ${formatCurrency(getBalanceDue(invoice), currency)}. The payment is added to your income.</p>
+            
+            <div class="form-row">
+              <div class="form-group">
+                <label for="invoicePaymentAmount">Amount Received (${currency})</label>
+                <input type="number" id="invoicePaymentAmount" name="amount" min="0.01" step="0.01" value="${amount}" required>
+              </div>
+              
+              ${invoice.tds ? `
+                <div class="form-group">
+                  <label for="invoicePaymentTds">TDS Withheld (₹)</label>
+                  <input type="number" id="invoicePaymentTds" name="tdsAmount" min="0" step="0.01" value="${tdsLeft}">
+                </div>
+              ` : ''}
+              
+              ${currency !== 'INR' ? `
+                <div class="form-group">
+                  <label for="invoicePaymentExchangeRate">Exchange Rate (₹ per ${currency})</label>
+                  <input type="number" id="invoicePaymentExchangeRate" name="exchangeRate" min="0" step="0.0001" placeholder="From your rate table">
+                </div>
+              ` : ''}
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group">
+                <label for="invoicePaymentDate">Date Received</label>
+                <input type="date" id="invoicePaymentDate" name="date" value="${new Date().toISOString().split('T')[0]}" required>
+              </div>
+              
+              <div class="form-group">
+                <label for="invoicePaymentMode">Payment Mode</label>
+                <select id="invoicePaymentMode" name="paymentMode">
+                  <option value="bank">Bank Transfer</option>
+                  <option value="upi">UPI</option>
+                  <option value="cheque">Cheque</option>
+                  <option value="cash">Cash</option>
+                </select>
+              </div>
+              
+              <div class="form-group">
+                <label for="invoicePaymentReference">Reference</label>
+                <input type="text" id="invoicePaymentReference" name="reference" maxlength="100" placeholder="UTR or transaction ID">
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" onclick="closeInvoiceModal('invoicePaymentModal')">Cancel</button>
+            <button type="submit" class="btn btn-primary">
+              <i class="fas fa-save"></i>
+              Record Payment
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+  
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+  document.getElementById('invoicePaymentForm').addEventListener('submit', (e) => handlePaymentSubmit(e, invoice));
+  
+  requestAnimationFrame(() => {
+    document.getElementById('invoicePaymentModal').classList.add('active');
+  });
+}
+
+/**
+ * Handle payment form submission
  */
-function generateInvoiceNumber() {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+async function handlePaymentSubmit(e, invoice) {
+  e.preventDefault();
   
-  return `INV-${year}${month}-${random}`;
+  const formData = parseFormData(e.target);
+  if (formData.amount <= 0) {
+    showToast('Enter the amount received', 'error');
+    return;
+  }
+  
+  const payment = {
+    amount: formData.amount,
+    date: formData.date,
+    paymentMode: formData.paymentMode,
+    ...(invoice.tds && { tdsAmount: formData.tdsAmount }),
+    ...(formData.exchangeRate > 0 && { exchangeRate: formData.exchangeRate }),
+    ...(formData.reference && { reference: formData.reference })
+  };
+  
+  try {
+    showLoading('Recording payment...');
+    
+    const updatedInvoice = await unifiedApi.recordInvoicePayment(invoice._id, payment);
+    replaceInvoice(updatedInvoice);
+    closeInvoiceModal('invoicePaymentModal');
+    
+    hideLoading();
+    showToast('Payment recorded and added to income', 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to record payment:', error);
+    showToast(error.message || 'Failed to record payment. Please try again.', 'error');
+  }
+}
+
+/**
+ * Build a download filename from an invoice number (slashes are not allowed in filenames)
+ */
+function getInvoiceFilename(invoice) {
+  return `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
 }
 
 /**
@@ -464,12 +1056,9 @@ async function downloadInvoice(invoiceId) {
   try {
     showLoading('Downloading invoice...');
     
-    // Generate PDF
-    const pdfBlob = await unifiedApi.generateInvoice(invoice);
-    
-    // Download PDF
-    const filename = `invoice-${invoice.invoiceNumber}.pdf`;
-    downloadFile(pdfBlob, filename);
+    // Fetch the stored invoice as PDF
+    const pdfBlob = await unifiedApi.downloadInvoice(invoice);
+    downloadFile(pdfBlob, getInvoiceFilename(invoice));
     
     hideLoading();
     showToast('Invoice downloaded successfully', 'success');
@@ -516,10 +1105,10 @@ function showInvoiceModal(invoice) {
 }
 
 /**
- * Close invoice modal
+ * Close invoice modal, or the payment modal
  */
-function closeInvoiceModal() {
-  const modal = document.getElementById('invoiceModal');
+function closeInvoiceModal(modalId = 'invoiceModal') {
+  const modal = document.getElementById(modalId);
   if (modal) {
     modal.classList.remove('active');
     setTimeout(() => {
@@ -617,5 +1206,7 @@ document.addEventListener('keydown', (e) => {
 window.viewInvoice = viewInvoice;
 window.downloadInvoice = downloadInvoice;
 window.closeInvoiceModal = closeInvoiceModal;
+window.setInvoiceStatus = setInvoiceStatus;
+window.showPaymentModal = showPaymentModal;
 window.downloadInvoiceFromModal = downloadInvoiceFromModal;
 window.exportInvoiceData = exportInvoiceData;
@@ -3,15 +3,22 @@
  * Handles navigation, routing, and app initialization
  */
 
-// Import page modules
-// These will be available as global functions from their respective files
+import { showLoading, hideLoading, showToast, throttle } from './utils.js';
+import { unifiedApi } from './api.js';
+import { requireSession, signOut } from './auth.js';
+import { initDashboard } from './dashboard.js';
+import { initIncome } from './income.js';
+import { initTax } from './tax.js';
+import { initInvoice } from './invoice.js';
+import { initProfile } from './profile.js';
 
 /**
  * Main Application Class
  */
 class TaxBuddyApp {
   constructor() {
-    this.currentPage = 'dashboard';
+    // Nothing is shown until the first page is initialised
+    this.currentPage = null;
     this.pages = new Map();
     this.isInitialized = false;
     
@@ -35,6 +42,17 @@ class TaxBuddyApp {
         });
       }
 
+      // Check backend availability
+      await this.checkBackendStatus();
+      
+      // Sign in before loading anything from the backend; the offline
+      // demo data needs no account
+      if (!unifiedApi.useMockData) {
+        hideLoading();
+        await requireSession();
+        showLoading('Loading your data...');
+      }
+      
       // Initialize navigation
       this.initNavigation();
       
@@ -44,14 +62,11 @@ class TaxBuddyApp {
       // Register page modules
       this.registerPages();
       
-      // Initialize current page
-      await this.initCurrentPage();
-      
       // Setup global event listeners
       this.setupGlobalEventListeners();
       
-      // Check backend availability
-      await this.checkBackendStatus();
+      // Initialize current page
+      await this.initCurrentPage();
       
       // Mark as initialized
       this.isInitialized = true;
@@ -82,6 +97,16 @@ class TaxBuddyApp {
       });
     });
 
+    // Sign out is only offered with an account to sign out of
+    const signOutLink = document.getElementById('signOutLink');
+    if (signOutLink) {
+      signOutLink.style.display = unifiedApi.useMockData ? 'none' : '';
+      signOutLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        signOut();
+      });
+    }
+
     // Handle browser back/forward buttons
     window.addEventListener('popstate', (e) => {
       const page = e.state?.page || 'dashboard';
@@ -131,6 +156,11 @@ class TaxBuddyApp {
     const hash = window.location.hash.slice(1);
     const page = hash && this.pages.has(hash) ? hash : 'dashboard';
     
+    // The markup shows the dashboard until a page has been chosen
+    document.querySelectorAll('.page.active').forEach(element => {
+      element.classList.remove('active');
+    });
+    
     await this.navigateToPage(page, false);
   }
 
@@ -213,15 +243,16 @@ class TaxBuddyApp {
     
     pageElement.classList.remove('page-transition-enter', 'page-transition-enter-active');
     
+    // Update current page before loading its data, so navigating away
+    // while it loads hides the right page
+    this.currentPage = page;
+    
     // Initialize page module
     const pageInit = this.pages.get(page);
     if (pageInit) {
       await pageInit();
     }
     
-    // Update current page
-    this.currentPage = page;
-    
     // Update browser history
     if (updateHistory) {
       const url = `#${page}`;
@@ -262,6 +293,12 @@ class TaxBuddyApp {
       showToast('Connection lost. Working offline.', 'warning');
     });
 
+    // The API rejected the session token: back to the sign-in screen
+    window.addEventListener('sessionexpired', () => {
+      showToast('Your session has expired. Please sign in again.', 'warning');
+      setTimeout(() => window.location.reload(), 1500);
+    });
+
     // Handle escape key for mobile menu
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -430,6 +467,10 @@ export function getCurrentPageName() {
   }
 }
 
+// Page markup and keyboard shortcuts call these without importing main.js
+window.navigateToPage = navigateToPage;
+window.getCurrentPageName = getCurrentPageName;
+
 /**
  * Utility functions for other modules
  */
@@ -441,20 +482,6 @@ export function hidePageLoader() {
   hideLoading();
 }
 
-/**
- * Debounce and throttle utilities for other modules
- */
-function throttle(func, limit) {
-  let inThrottle;
-  return function(...args) {
-    if (!inThrottle) {
-      func.apply(this, args);
-      inThrottle = true;
-      setTimeout(() => inThrottle = false, limit);
-    }
-  };
-}
-
 /**
  * Service Worker registration for PWA capabilities
  */
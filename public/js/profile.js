@@ -13,17 +13,29 @@ import {
   validateEmail,
   validatePAN,
   validateGST,
-  validatePhone
+  validatePhone,
+  getUserSettings
 } from './utils.js';
 import { unifiedApi } from './api.js';
+import { GST_STATES, getStateCodeFromGstin } from '../shared/gstEngine.mjs';
+
+// Invoice branding images: the types PDFs can embed and the largest upload
+const BRANDING_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const MAX_BRANDING_IMAGE_BYTES = 500 * 1024;
+// Colour picker value meaning "no accent colour"
+const DEFAULT_ACCENT_COLOR = '#000000';
 
 /**
  * Profile page state
  */
 let profileState = {
   user: null,
+  branding: null,
+  brandingChanges: {},
   isLoading: false,
-  activeTab: 'personal'
+  activeTab: 'personal',
+  // Form handlers are attached on the first visit only; later visits reload data
+  handlersReady: false
 };
 
 /**
@@ -36,17 +48,26 @@ export async function initProfile() {
     
     // Load user data
     await loadUserData();
+    await loadBranding();
     
-    // Setup forms
-    setupProfileForm();
-    setupBankForm();
-    
-    // Setup tabs
-    setupProfileTabs();
+    if (!profileState.handlersReady) {
+      // Setup forms
+      setupProfileForm();
+      setupBankForm();
+      setupBrandingForm();
+      setupDeductionsForm();
+      
+      // Setup tabs
+      setupProfileTabs();
+      switchTab(profileState.activeTab);
+      profileState.handlersReady = true;
+    }
     
     // Update UI
     updateProfileUI();
     updateBankUI();
+    updateBrandingUI();
+    updateDeductionsUI();
     
     hideLoading();
     showToast('Profile loaded successfully', 'success');
@@ -65,7 +86,7 @@ async function loadUserData() {
   const userId = getCurrentUserId();
   
   try {
-    profileState.user = await unifiedApi.getUserProfile(userId);
+    profileState.user = await unifiedApi.getUserProfile();
   } catch (error) {
     console.error('Failed to load user data:', error);
     // Use default data for demo
@@ -85,6 +106,18 @@ async function loadUserData() {
   }
 }
 
+/**
+ * Load invoice branding
+ */
+async function loadBranding() {
+  try {
+    profileState.branding = await unifiedApi.getBranding();
+  } catch (error) {
+    console.error('Failed to load branding:', error);
+    profileState.branding = {};
+  }
+}
+
 /**
  * Setup profile form handlers
  */
@@ -102,6 +135,20 @@ function setupProfileForm() {
     input.addEventListener('input', () => clearFieldError(input));
   });
   
+  // GST state list; the state follows the GSTIN unless chosen separately
+  const stateSelect = form.querySelector('#stateCode');
+  if (stateSelect) {
+    stateSelect.innerHTML = '<option value="">Select state</option>' +
+      Object.entries(GST_STATES).map(([code, name]) => `<option value="${code}">${code} - ${name}</option>`).join('');
+    
+    form.querySelector('#gstNumber').addEventListener('change', (e) => {
+      const stateCode = getStateCodeFromGstin(e.target.value.trim().toUpperCase());
+      if (stateCode && !stateSelect.value) {
+        stateSelect.value = stateCode;
+      }
+    });
+  }
+  
   // GST registration toggle
   const gstCheckbox = form.querySelector('#gstRegistered');
   const gstNumberGroup = form.querySelector('#gstNumberGroup');
@@ -136,6 +183,70 @@ function setupBankForm() {
   });
 }
 
+/**
+ * Setup branding form handlers
+ * Chosen images are read as data URLs and kept until the form is saved
+ */
+function setupBrandingForm() {
+  const form = document.getElementById('brandingForm');
+  if (!form) return;
+  
+  form.addEventListener('submit', handleBrandingSubmit);
+  
+  form.querySelectorAll('input[type="file"]').forEach(input => {
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      clearFieldError(input);
+      if (!file) return;
+      
+      if (!BRANDING_IMAGE_TYPES.includes(file.type)) {
+        showFieldError(input, 'Choose a PNG or JPEG image');
+        input.value = '';
+        return;
+      }
+      if (file.size > MAX_BRANDING_IMAGE_BYTES) {
+        showFieldError(input, 'Image must be 500 KB or smaller');
+        input.value = '';
+        return;
+      }
+      
+      profileState.brandingChanges[input.dataset.field] = await readAsDataUrl(file);
+      updateBrandingImages();
+    });
+  });
+  
+  form.querySelectorAll('[data-remove]').forEach(button => {
+    button.addEventListener('click', () => {
+      const field = button.dataset.remove;
+      profileState.brandingChanges[field] = '';
+      form.querySelector(`input[data-field="${field}"]`).value = '';
+      updateBrandingImages();
+    });
+  });
+}
+
+/**
+ * Read a chosen file as a data URL
+ */
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Setup deductions form handlers
+ */
+function setupDeductionsForm() {
+  const form = document.getElementById('deductionsForm');
+  if (!form) return;
+  
+  form.addEventListener('submit', handleDeductionsSubmit);
+}
+
 /**
  * Setup profile tabs
  */
@@ -153,6 +264,14 @@ function setupProfileTabs() {
           <i class="fas fa-university"></i>
           Bank Details
         </button>
+        <button class="tab-btn" data-tab="branding">
+          <i class="fas fa-palette"></i>
+          Branding
+        </button>
+        <button class="tab-btn" data-tab="deductions">
+          <i class="fas fa-receipt"></i>
+          Deductions
+        </button>
         <button class="tab-btn" data-tab="settings">
           <i class="fas fa-cog"></i>
           Settings
@@ -160,13 +279,13 @@ function setupProfileTabs() {
       </div>
     `;
     
-    profileSection.insertBefore(tabsHTML, profileSection.querySelector('.profile-form'));
+    profileSection.querySelector('.profile-form').insertAdjacentHTML('beforebegin', tabsHTML);
     
     // Add tab click handlers
     const tabButtons = profileSection.querySelectorAll('.tab-btn');
     tabButtons.forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        switchTab(e.target.dataset.tab);
+      btn.addEventListener('click', () => {
+        switchTab(btn.dataset.tab);
       });
     });
   }
@@ -182,7 +301,7 @@ function createSettingsTab() {
   const profileForm = document.querySelector('.profile-form');
   
   const settingsHTML = `
-    <div class="form-card" id="settingsCard" style="display: none;">
+    <div class="form-card" id="settingsCard" data-tab="settings" style="display: none;">
       <h3>Application Settings</h3>
       <form id="settingsForm" class="form">
         <div class="form-group">
@@ -192,6 +311,7 @@ function createSettingsTab() {
             <option value="USD">US Dollar ($)</option>
             <option value="EUR">Euro (€)</option>
           </select>
+          <small class="form-hint">New income entries start in this currency</small>
         </div>
         
         <div class="form-group">
@@ -277,6 +397,10 @@ function createSettingsTab() {
   // Setup settings form
   const settingsForm = document.getElementById('settingsForm');
   if (settingsForm) {
+    const { currency } = getUserSettings();
+    if (currency) {
+      settingsForm.querySelector('#currency').value = currency;
+    }
     settingsForm.addEventListener('submit', handleSettingsSubmit);
   }
 }
@@ -295,28 +419,10 @@ function switchTab(tabName) {
     }
   });
   
-  // Show/hide corresponding content
-  const profileCard = document.querySelector('.form-card:not(#settingsCard)');
-  const bankCard = document.querySelector('.form-card:nth-child(2)');
-  const settingsCard = document.getElementById('settingsCard');
-  
-  // Hide all cards first
-  if (profileCard) profileCard.style.display = 'none';
-  if (bankCard) bankCard.style.display = 'none';
-  if (settingsCard) settingsCard.style.display = 'none';
-  
-  // Show selected tab
-  switch (tabName) {
-    case 'personal':
-      if (profileCard) profileCard.style.display = 'block';
-      break;
-    case 'bank':
-      if (bankCard) bankCard.style.display = 'block';
-      break;
-    case 'settings':
-      if (settingsCard) settingsCard.style.display = 'block';
-      break;
-  }
+  // Show only the cards that belong to the selected tab
+  document.querySelectorAll('#profile .form-card[data-tab]').forEach(card => {
+    card.style.display = card.dataset.tab === tabName ? 'block' : 'none';
+  });
   
   profileState.activeTab = tabName;
 }
@@ -351,11 +457,15 @@ async function handleProfileSubmit(e) {
     }
   }
   
+  // Unchecked boxes are missing from FormData; send them explicitly so they can be turned off
+  formData.gstRegistered = form.querySelector('#gstRegistered').checked;
+  formData.presumptive44ADA = form.querySelector('#presumptive44ADA').checked;
+  
   try {
     showLoading('Updating profile...');
     
     // Update user profile
-    const updatedUser = await unifiedApi.updateProfile(profileState.user._id, formData);
+    const updatedUser = await unifiedApi.updateProfile(formData);
     
     // Update local state
     profileState.user = { ...profileState.user, ...updatedUser };
@@ -399,7 +509,7 @@ async function handleBankSubmit(e) {
     showLoading('Updating bank details...');
     
     // Update user profile (bank details are part of profile)
-    const updatedUser = await unifiedApi.updateProfile(profileState.user._id, formData);
+    const updatedUser = await unifiedApi.updateProfile(formData);
     
     // Update local state
     profileState.user = { ...profileState.user, ...updatedUser };
@@ -417,6 +527,94 @@ async function handleBankSubmit(e) {
   }
 }
 
+/**
+ * Handle branding form submission
+ * Only images that were chosen or removed are sent
+ */
+async function handleBrandingSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const formData = parseFormData(form);
+  const branding = {
+    ...profileState.brandingChanges,
+    accentColor: formData.accentColor === DEFAULT_ACCENT_COLOR ? '' : formData.accentColor,
+    footerText: formData.footerText || '',
+    terms: formData.terms || ''
+  };
+  
+  try {
+    showLoading('Updating branding...');
+    
+    profileState.branding = await unifiedApi.updateBranding(branding);
+    profileState.brandingChanges = {};
+    
+    // Update UI
+    updateBrandingUI();
+    
+    hideLoading();
+    showToast('Branding updated successfully', 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to update branding:', error);
+    showToast('Failed to update branding. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle deductions form submission
+ * Field names are dotted paths into the user's deductions (e.g. "hra.rentPaid")
+ */
+async function handleDeductionsSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const deductions = {};
+  let isValid = true;
+  
+  form.querySelectorAll('input[name]').forEach(input => {
+    const value = input.type === 'checkbox' ? input.checked : parseFloat(input.value) || 0;
+    
+    clearFieldError(input);
+    if (value < 0) {
+      showFieldError(input, 'Amount cannot be negative');
+      isValid = false;
+      return;
+    }
+    
+    const path = input.name.split('.');
+    const field = path.pop();
+    const group = path.reduce((obj, key) => (obj[key] = obj[key] || {}), deductions);
+    group[field] = value;
+  });
+  
+  if (!isValid) {
+    showToast('Please fix errors in form', 'error');
+    return;
+  }
+  
+  try {
+    showLoading('Updating deductions...');
+    
+    const updatedUser = await unifiedApi.updateProfile({ deductions });
+    
+    // Update local state
+    profileState.user = { ...profileState.user, ...updatedUser };
+    
+    // Update UI
+    updateDeductionsUI();
+    
+    hideLoading();
+    showToast('Deductions updated successfully', 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to update deductions:', error);
+    showToast('Failed to update deductions. Please try again.', 'error');
+  }
+}
+
 /**
  * Handle settings form submission
  */
@@ -650,6 +848,67 @@ function updateBankUI() {
   });
 }
 
+/**
+ * Update branding UI
+ */
+function updateBrandingUI() {
+  const form = document.getElementById('brandingForm');
+  if (!form || !profileState.branding) return;
+  
+  const { accentColor, footerText, terms } = profileState.branding;
+  form.querySelector('#accentColor').value = accentColor || DEFAULT_ACCENT_COLOR;
+  form.querySelector('#footerText').value = footerText || '';
+  form.querySelector('#terms').value = terms || '';
+  form.querySelectorAll('input[type="file"]').forEach(input => {
+    input.value = '';
+  });
+  
+  updateBrandingImages();
+}
+
+/**
+ * Show the logo and signature, including ones chosen but not yet saved
+ */
+function updateBrandingImages() {
+  const form = document.getElementById('brandingForm');
+  if (!form) return;
+  
+  const images = { ...profileState.branding, ...profileState.brandingChanges };
+  [['logo', '#brandingLogoPreview'], ['signature', '#brandingSignaturePreview']].forEach(([field, selector]) => {
+    const preview = form.querySelector(selector);
+    const removeButton = form.querySelector(`[data-remove="${field}"]`);
+    if (images[field]) {
+      preview.src = images[field];
+      preview.hidden = false;
+      removeButton.hidden = false;
+    } else {
+      preview.removeAttribute('src');
+      preview.hidden = true;
+      removeButton.hidden = true;
+    }
+  });
+}
+
+/**
+ * Update deductions UI
+ */
+function updateDeductionsUI() {
+  const form = document.getElementById('deductionsForm');
+  if (!form || !profileState.user) return;
+  
+  const deductions = profileState.user.deductions || {};
+  
+  form.querySelectorAll('input[name]').forEach(input => {
+    const value = input.name.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), deductions);
+    
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = value || '';
+    }
+  });
+}
+
 /**
  * Export all data
  */
@@ -661,7 +920,7 @@ function exportAllData() {
   
   const exportData = {
     user: profileState.user,
-    settings: JSON.parse(localStorage.getItem('userSettings') || '{}'),
+    settings: getUserSettings(),
     exportDate: new Date().toISOString()
   };
   
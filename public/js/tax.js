@@ -5,6 +5,7 @@
 
 import { 
   formatCurrency, 
+  formatDate,
   showToast, 
   showLoading, 
   hideLoading,
@@ -12,11 +13,17 @@ import {
   parseFormData,
   validateForm,
   calculateIndianTax,
-  calculateAdvanceTax,
-  animateNumber
+  loadTaxRules,
+  getFinancialYear,
+  animateNumber,
+  downloadFile
 } from './utils.js';
 import { unifiedApi } from './api.js';
-import { drawBarChart, drawPieChart } from './charts.js';
+import {
+  calculateAdvanceTaxSchedule,
+  calculateAdvanceTaxInterest,
+  getInstalmentDates
+} from '../shared/taxEngine.mjs';
 
 /**
  * Tax page state
@@ -24,8 +31,26 @@ import { drawBarChart, drawPieChart } from './charts.js';
 let taxState = {
   currentCalculation: null,
   userIncome: [],
+  savedCalculation: null,
   isLoading: false,
-  currentRegime: 'new'
+  currentRegime: 'new',
+  interest: null,
+  taxPayments: [],
+  tdsReconciliation: null,
+  gstr3b: null,
+  purchases: [],
+  itr4: null,
+  // Form handlers are attached on the first visit only; later visits reload data
+  handlersReady: false
+};
+
+/**
+ * Challan types as shown to the user
+ */
+const PAYMENT_TYPE_LABELS = {
+  advance: 'Advance Tax',
+  'self-assessment': 'Self-Assessment',
+  regular: 'Regular Assessment'
 };
 
 /**
@@ -36,18 +61,36 @@ export async function initTax() {
     console.log('Initializing tax calculator...');
     showLoading('Loading tax data...');
     
-    // Load user data
+    // Load tax rule tables and user data
+    await loadTaxRules();
     await loadUserData();
     
-    // Setup form handlers
-    setupTaxForm();
+    if (!taxState.handlersReady) {
+      // Setup form handlers
+      setupTaxForm();
+      
+      // Setup regime comparison
+      setupRegimeComparison();
+      
+      // Setup tax payment ledger, Form 26AS / AIS import, GST returns
+      // and purchase bills, and the ITR-4 draft
+      setupTaxPaymentForm();
+      setupTdsImportForm();
+      setupGstPanel();
+      setupItr4Draft();
+      taxState.handlersReady = true;
+    }
     
-    // Setup regime comparison
-    setupRegimeComparison();
+    updateTaxPayments();
+    updateTdsReconciliation();
+    await loadGstPanel();
     
     // Load initial calculation
     await performTaxCalculation();
     
+    // Show 44ADA vs books comparison for users on presumptive taxation
+    updatePresumptiveComparison(taxState.savedCalculation);
+    
     hideLoading();
     showToast('Tax calculator ready', 'success');
     
@@ -62,10 +105,11 @@ export async function initTax() {
  * Load user income data
  */
 async function loadUserData() {
-  const userId = getCurrentUserId();
-  
   try {
-    taxState.userIncome = await unifiedApi.getIncome(userId);
+    taxState.userIncome = await unifiedApi.getIncome();
+    taxState.savedCalculation = await unifiedApi.calculateTax();
+    taxState.taxPayments = await unifiedApi.getTaxPayments(getFinancialYear());
+    taxState.tdsReconciliation = await unifiedApi.getTdsReconciliation(getFinancialYear());
   } catch (error) {
     console.error('Failed to load user income data:', error);
     taxState.userIncome = [];
@@ -93,6 +137,11 @@ function setupTaxForm() {
   regimeInputs.forEach(input => {
     input.addEventListener('change', handleRegimeChange);
   });
+  
+  // Advance tax paid per instalment
+  document.querySelectorAll('.schedule-paid').forEach(input => {
+    input.addEventListener('input', debounce(() => updateAdvanceTaxInterest(taxState.currentCalculation), 500));
+  });
 }
 
 /**
@@ -191,14 +240,14 @@ async function performTaxCalculation(formData = null) {
     
     // Calculate tax
     const income = formData.annualIncome || 0;
-    const deductions = formData.deductions || 150000;
+    const deductions = formData.deductions || 0;
     const regime = formData.regime || 'new';
     
     // Use utility function for calculation
-    const calculation = calculateIndianTax(income, deductions);
+    const calculation = calculateIndianTax(income, deductions, { regime });
     
     // Add advance tax calculation
-    calculation.advanceTax = calculateAdvanceTax(calculation.totalTax);
+    calculation.advanceTax = calculateAdvanceTaxSchedule(calculation.totalTax);
     
     // Add regime comparison if available
     if (regime === 'new') {
@@ -211,6 +260,7 @@ async function performTaxCalculation(formData = null) {
     // Update UI
     updateTaxResults(calculation);
     updateAdvanceTaxSchedule(calculation.advanceTax);
+    await updateAdvanceTaxInterest(calculation);
     updateTaxSlabsVisualization(calculation.slabs);
     
   } catch (error) {
@@ -220,25 +270,12 @@ async function performTaxCalculation(formData = null) {
 }
 
 /**
- * Calculate old regime tax
+ * Calculate old regime tax on the same income and deductions as the new
+ * regime (the standard deduction is only for salary, which the calculator
+ * does not take)
  */
 function calculateOldRegimeTax(income, deductions) {
-  // Simplified old regime calculation
-  const taxableIncome = Math.max(0, income - deductions);
-  let tax = 0;
-  
-  // Old regime slabs (simplified)
-  if (taxableIncome > 250000) {
-    tax += Math.min(taxableIncome - 250000, 250000) * 0.05;
-  }
-  if (taxableIncome > 500000) {
-    tax += Math.min(taxableIncome - 500000, 500000) * 0.2;
-  }
-  if (taxableIncome > 1000000) {
-    tax += (taxableIncome - 1000000) * 0.3;
-  }
-  
-  return tax;
+  return calculateIndianTax(income, deductions, { regime: 'old' }).totalTax;
 }
 
 /**
@@ -274,6 +311,616 @@ function updateAdvanceTaxSchedule(advanceTax) {
   updateAnimatedValue('marchTax', advanceTax.march);
 }
 
+/**
+ * Setup tax payment form handlers. Self-assessment and regular assessment
+ * tax ask which financial year they are for; advance tax is for the year
+ * it is paid in.
+ */
+function setupTaxPaymentForm() {
+  const form = document.getElementById('taxPaymentForm');
+  if (!form) return;
+  
+  const typeSelect = form.querySelector('#paymentType');
+  const yearGroup = form.querySelector('#paymentFinancialYearGroup');
+  const yearSelect = form.querySelector('#paymentFinancialYear');
+  const startYear = parseInt(getFinancialYear().split('-')[0], 10);
+  
+  yearSelect.innerHTML = '<option value="">Select year</option>' + [0, 1, 2].map(yearsBack => {
+    const year = startYear - yearsBack;
+    return `<option value="${year}-${String(year + 1).slice(-2)}">FY ${year}-${String(year + 1).slice(-2)}</option>`;
+  }).join('');
+  
+  const toggle = () => {
+    const isAdvance = typeSelect.value === 'advance';
+    yearGroup.style.display = isAdvance ? 'none' : '';
+    yearSelect.disabled = isAdvance;
+  };
+  
+  typeSelect.addEventListener('change', toggle);
+  form.addEventListener('reset', () => setTimeout(toggle));
+  form.addEventListener('submit', handleTaxPaymentSubmit);
+}
+
+/**
+ * Handle tax payment form submission
+ */
+async function handleTaxPaymentSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const formData = parseFormData(form);
+  
+  const validationRules = {
+    paymentDate: { required: true, label: 'Payment Date' },
+    amount: { required: true, min: 1, label: 'Amount' }
+  };
+  if (formData.type !== 'advance') {
+    validationRules.financialYear = { required: true, label: 'Financial Year' };
+  }
+  
+  if (!validateForm(form, validationRules)) {
+    showToast('Please fix the errors in the form', 'error');
+    return;
+  }
+  
+  // Leave out challan details that were not entered
+  Object.keys(formData).forEach(key => {
+    if (formData[key] === '') delete formData[key];
+  });
+  
+  try {
+    showLoading('Recording payment...');
+    
+    const payment = await unifiedApi.addTaxPayment(formData);
+    if (payment.financialYear === getFinancialYear()) {
+      taxState.taxPayments.unshift(payment);
+    }
+    
+    form.reset();
+    updateTaxPayments();
+    await updateAdvanceTaxInterest(taxState.currentCalculation);
+    
+    hideLoading();
+    showToast(payment.financialYear === getFinancialYear()
+      ? 'Tax payment recorded'
+      : `Tax payment recorded for FY ${payment.financialYear}`, 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to record tax payment:', error);
+    showToast('Failed to record tax payment. Please try again.', 'error');
+  }
+}
+
+/**
+ * Delete a recorded tax payment
+ */
+async function deleteTaxPayment(paymentId) {
+  if (!confirm('Delete this tax payment?')) return;
+  
+  try {
+    await unifiedApi.deleteTaxPayment(paymentId);
+    taxState.taxPayments = taxState.taxPayments.filter(payment => payment._id !== paymentId);
+    
+    updateTaxPayments();
+    await updateAdvanceTaxInterest(taxState.currentCalculation);
+    
+    showToast('Tax payment deleted', 'success');
+    
+  } catch (error) {
+    console.error('Failed to delete tax payment:', error);
+    showToast('Failed to delete tax payment. Please try again.', 'error');
+  }
+}
+
+/**
+ * Setup Form 26AS / AIS statement import
+ */
+function setupTdsImportForm() {
+  const form = document.getElementById('tdsImportForm');
+  if (!form) return;
+  
+  form.addEventListener('submit', handleTdsImportSubmit);
+}
+
+/**
+ * Upload the chosen statement, then refresh the reconciliation and the
+ * tax calculation, whose TDS credit now comes from the matched credits
+ */
+async function handleTdsImportSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const file = form.querySelector('#tdsStatementFile').files[0];
+  if (!file) {
+    showToast('Choose a Form 26AS or AIS file to import', 'error');
+    return;
+  }
+  
+  try {
+    showLoading('Importing statement...');
+    
+    const result = await unifiedApi.importTdsStatement({ content: await file.text() });
+    if (!result) {
+      hideLoading();
+      showToast('Statement import needs a connection to the server', 'warning');
+      return;
+    }
+    
+    taxState.tdsReconciliation = await unifiedApi.getTdsReconciliation(getFinancialYear());
+    taxState.savedCalculation = await unifiedApi.calculateTax();
+    
+    form.reset();
+    updateTdsReconciliation();
+    updateTaxPayments();
+    
+    hideLoading();
+    showToast(`Imported ${result.parsed} TDS credits from ${result.source}`, 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to import TDS statement:', error);
+    showToast(`Failed to import statement: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the reconciliation summary and the entries that need attention
+ */
+function updateTdsReconciliation() {
+  const tbody = document.getElementById('tdsReconciliationTableBody');
+  if (!tbody) return;
+  
+  const report = taxState.tdsReconciliation;
+  if (!report) {
+    tbody.innerHTML = '<tr><td colspan="5" class="empty-state">Import Form 26AS or AIS to reconcile TDS</td></tr>';
+    return;
+  }
+  
+  const { summary } = report;
+  document.getElementById('tdsMatchedCount').textContent = `${summary.matchedCredits} of ${summary.statementCredits}`;
+  updateAnimatedValue('tdsStatementCredit', summary.totalCredit);
+  updateAnimatedValue('tdsRecorded', summary.recordedTds);
+  updateAnimatedValue('tdsShortDeduction', summary.shortDeductionAmount);
+  updateAnimatedValue('tdsMissingCredit', summary.missingCreditAmount);
+  updateAnimatedValue('tdsUnrecordedIncome', summary.unrecordedIncomeAmount);
+  
+  const rows = [
+    ...report.shortDeductions.map(({ credit, income, recordedTds }) => ({
+      issue: 'Short deduction',
+      name: income.clientName,
+      date: credit.transactionDate,
+      amount: credit.amountPaid,
+      tds: `${formatCurrency(credit.taxDeposited)} of ${formatCurrency(recordedTds)}`
+    })),
+    ...report.missingCredits.map(income => ({
+      issue: 'Missing credit',
+      name: income.clientName,
+      date: income.date,
+      amount: income.amount,
+      tds: formatCurrency(income.tds.amount)
+    })),
+    ...report.unrecordedIncome.map(credit => ({
+      issue: 'Income not recorded',
+      name: `${credit.deductorName} (${credit.tan})`,
+      date: credit.transactionDate,
+      amount: credit.amountPaid,
+      tds: formatCurrency(credit.taxDeposited)
+    })),
+    ...report.pendingCredits.map(credit => ({
+      issue: `Credit pending (status ${credit.bookingStatus})`,
+      name: `${credit.deductorName} (${credit.tan})`,
+      date: credit.transactionDate,
+      amount: credit.amountPaid,
+      tds: formatCurrency(credit.taxDeposited)
+    }))
+  ];
+  
+  tbody.innerHTML = rows.length === 0
+    ? '<tr><td colspan="5" class="empty-state">All TDS credits reconciled</td></tr>'
+    : rows.map(row => `
+      <tr>
+        <td>${row.issue}</td>
+        <td>${row.name}</td>
+        <td>${formatDate(row.date)}</td>
+        <td>${formatCurrency(row.amount)}</td>
+        <td>${row.tds}</td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Setup the GST returns panel, starting on the current month
+ */
+function setupGstPanel() {
+  const periodInput = document.getElementById('gstPeriod');
+  if (!periodInput) return;
+  
+  const today = new Date();
+  periodInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  
+  periodInput.addEventListener('change', loadGstPanel);
+  document.getElementById('gstFrequency').addEventListener('change', loadGstPanel);
+  document.getElementById('downloadGstr1').addEventListener('click', handleGstr1Download);
+  document.getElementById('purchaseForm').addEventListener('submit', handlePurchaseSubmit);
+}
+
+/**
+ * Financial year quarter containing a YYYY-MM period, e.g. 2024-25-Q2
+ */
+function getGstQuarter(period) {
+  const [year, month] = period.split('-').map(Number);
+  const quarter = Math.floor(((month + 8) % 12) / 3) + 1;
+  return `${getFinancialYear(new Date(year, month - 1, 1))}-Q${quarter}`;
+}
+
+/**
+ * Load the GSTR-3B summary for the chosen month or quarter, and the
+ * purchase bills of the chosen month
+ */
+async function loadGstPanel() {
+  const periodInput = document.getElementById('gstPeriod');
+  if (!periodInput || !periodInput.value) return;
+  
+  const period = periodInput.value;
+  const quarterly = document.getElementById('gstFrequency').value === 'quarterly';
+  
+  taxState.gstr3b = await unifiedApi.getGstr3b(quarterly ? { quarter: getGstQuarter(period) } : { period });
+  taxState.purchases = await unifiedApi.getPurchases(period);
+  updateGstPanel();
+}
+
+/**
+ * Handle purchase bill form submission
+ */
+async function handlePurchaseSubmit(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const formData = parseFormData(form);
+  
+  const validationRules = {
+    supplierName: { required: true, label: 'Supplier' },
+    billNumber: { required: true, label: 'Bill Number' },
+    billDate: { required: true, label: 'Bill Date' },
+    taxableValue: { required: true, min: 0, label: 'Taxable Value' }
+  };
+  
+  if (!validateForm(form, validationRules)) {
+    showToast('Please fix the errors in the form', 'error');
+    return;
+  }
+  
+  // Leave out taxes and the GSTIN when not entered
+  Object.keys(formData).forEach(key => {
+    if (formData[key] === '') delete formData[key];
+  });
+  formData.itcEligible = form.querySelector('#purchaseItcEligible').checked;
+  
+  try {
+    showLoading('Recording purchase...');
+    
+    const purchase = await unifiedApi.addPurchase(formData);
+    if (!purchase) {
+      hideLoading();
+      showToast('Purchase bills need a connection to the server', 'warning');
+      return;
+    }
+    
+    form.reset();
+    await loadGstPanel();
+    
+    hideLoading();
+    showToast('Purchase recorded', 'success');
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to record purchase:', error);
+    showToast(`Failed to record purchase: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete a recorded purchase bill
+ */
+async function deletePurchase(purchaseId) {
+  if (!confirm('Delete this purchase bill?')) return;
+  
+  try {
+    await unifiedApi.deletePurchase(purchaseId);
+    await loadGstPanel();
+    
+    showToast('Purchase deleted', 'success');
+    
+  } catch (error) {
+    console.error('Failed to delete purchase:', error);
+    showToast('Failed to delete purchase. Please try again.', 'error');
+  }
+}
+
+/**
+ * Download the chosen month's GSTR-1 as a file for the GST offline tool
+ */
+async function handleGstr1Download() {
+  const period = document.getElementById('gstPeriod').value;
+  if (!period) {
+    showToast('Choose a tax period first', 'error');
+    return;
+  }
+  
+  try {
+    const gstr1 = await unifiedApi.getGstr1File(period);
+    if (!gstr1) {
+      showToast('GSTR-1 needs a connection to the server', 'warning');
+      return;
+    }
+    
+    const blob = new Blob([JSON.stringify(gstr1, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `GSTR1_${gstr1.gstin}_${gstr1.fp}.json`);
+    
+  } catch (error) {
+    console.error('Failed to generate GSTR-1:', error);
+    showToast(`Failed to generate GSTR-1: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the GSTR-3B tax, credit and cash due by head, and the month's
+ * purchase bills
+ */
+function updateGstPanel() {
+  const tbody = document.getElementById('gstr3bTableBody');
+  if (!tbody) return;
+  
+  const summary = taxState.gstr3b;
+  if (!summary) {
+    tbody.innerHTML = '<tr><td colspan="4" class="empty-state">GST returns need a connection to the server</td></tr>';
+  } else {
+    // Credit used against each head, from whichever head it came from
+    const setOff = ['igst', 'cgst', 'sgst'].reduce((totals, head) => {
+      Object.entries(summary.itcUtilised[head]).forEach(([to, amount]) => {
+        totals[to] = (totals[to] || 0) + amount;
+      });
+      return totals;
+    }, {});
+    
+    const rows = [
+      ['Output tax', summary.liability],
+      ['Eligible ITC', summary.itc.eligible],
+      ['ITC set off', setOff],
+      ['Payable in cash', summary.cashPayable],
+      ['ITC carried forward', summary.itcCarryForward]
+    ];
+    
+    tbody.innerHTML = rows.map(([label, amounts]) => `
+      <tr>
+        <td>${label}</td>
+        <td>${formatCurrency(amounts.igst)}</td>
+        <td>${formatCurrency(amounts.cgst)}</td>
+        <td>${formatCurrency(amounts.sgst)}</td>
+      </tr>
+    `).join('');
+    
+    updateAnimatedValue('gstTaxableValue', summary.outwardSupplies.taxable.taxableValue);
+    updateAnimatedValue('gstZeroRated', summary.outwardSupplies.zeroRated.taxableValue);
+    updateAnimatedValue('gstCashPayable', summary.cashPayable.total);
+  }
+  
+  const purchasesBody = document.getElementById('purchasesTableBody');
+  const purchases = taxState.purchases;
+  
+  purchasesBody.innerHTML = purchases.length === 0
+    ? '<tr><td colspan="6" class="empty-state">No purchase bills recorded this month</td></tr>'
+    : purchases.map(purchase => `
+      <tr>
+        <td>${formatDate(purchase.billDate)}</td>
+        <td>${purchase.supplierName}${purchase.supplierGstin ? `<br><small>${purchase.supplierGstin}</small>` : ''}</td>
+        <td>${formatCurrency(purchase.taxableValue)}</td>
+        <td>${formatCurrency(purchase.igstAmount + purchase.cgstAmount + purchase.sgstAmount)}</td>
+        <td>${purchase.itcEligible ? 'Eligible' : 'Not eligible'}</td>
+        <td>
+          <button class="btn btn-sm btn-danger" onclick="deletePurchase('${purchase._id}')" title="Delete">
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Setup the ITR-4 draft check and download
+ */
+function setupItr4Draft() {
+  const checkButton = document.getElementById('checkItr4');
+  if (!checkButton) return;
+  
+  checkButton.addEventListener('click', handleItr4Check);
+  document.getElementById('downloadItr4').addEventListener('click', handleItr4Download);
+}
+
+/**
+ * Prepare the year's ITR-4 draft and list the fields to complete
+ */
+async function handleItr4Check() {
+  try {
+    showLoading('Preparing ITR-4 draft...');
+    taxState.itr4 = await unifiedApi.getItr4(getFinancialYear());
+    hideLoading();
+    
+    if (!taxState.itr4) {
+      showToast('The ITR-4 draft needs a connection to the server', 'warning');
+      return;
+    }
+    
+    updateItr4Report();
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Failed to prepare ITR-4:', error);
+    showToast(`Failed to prepare ITR-4: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the mandatory fields still to complete, then the warnings
+ */
+function updateItr4Report() {
+  const tbody = document.getElementById('itr4ReportTableBody');
+  if (!tbody) return;
+  
+  const { missingFields, warnings } = taxState.itr4.report;
+  const rows = [
+    ...missingFields.map(item => ({ ...item, status: 'Missing' })),
+    ...warnings.map(item => ({ ...item, status: 'Check' }))
+  ];
+  
+  tbody.innerHTML = rows.length === 0
+    ? '<tr><td colspan="3" class="empty-state">Nothing to complete; review the draft in the e-filing utility</td></tr>'
+    : rows.map(row => `
+      <tr>
+        <td>${row.status}</td>
+        <td>${row.field}</td>
+        <td>${row.message}</td>
+      </tr>
+    `).join('');
+  
+  document.getElementById('downloadItr4').disabled = false;
+}
+
+/**
+ * Download the prepared ITR-4 draft for the e-filing utility
+ */
+function handleItr4Download() {
+  const draft = taxState.itr4;
+  if (!draft) {
+    showToast('Check the draft first', 'error');
+    return;
+  }
+  
+  const pan = draft.itr.ITR.ITR4.PersonalInfo.PAN || 'DRAFT';
+  const blob = new Blob([JSON.stringify(draft.itr, null, 2)], { type: 'application/json' });
+  downloadFile(blob, `ITR4_${pan}_AY${draft.assessmentYear}.json`);
+  
+  if (draft.report.missingFields.length > 0) {
+    showToast(`Complete ${draft.report.missingFields.length} missing field(s) in the e-filing utility before filing`, 'warning');
+  }
+}
+
+/**
+ * Show recorded payments, the liability left after them, and the advance
+ * tax paid against each instalment of the schedule
+ */
+function updateTaxPayments() {
+  const tbody = document.getElementById('taxPaymentsTableBody');
+  if (!tbody) return;
+  
+  const payments = taxState.taxPayments;
+  
+  tbody.innerHTML = payments.length === 0
+    ? '<tr><td colspan="5" class="empty-state">No tax payments recorded this year</td></tr>'
+    : payments.map(payment => `
+      <tr>
+        <td>${formatDate(payment.paymentDate)}</td>
+        <td>${PAYMENT_TYPE_LABELS[payment.type] || payment.type}</td>
+        <td>${formatCurrency(payment.amount)}</td>
+        <td>${payment.cin || '-'}</td>
+        <td>
+          <button class="btn btn-sm btn-danger" onclick="deleteTaxPayment('${payment._id}')" title="Delete">
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `).join('');
+  
+  // Same formula as the API: tax after TDS less everything paid
+  const paidTotal = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const calculation = taxState.savedCalculation || {};
+  const liability = calculation.finalTaxPayable ?? calculation.totalTax ?? 0;
+  
+  updateAnimatedValue('taxPaidTotal', paidTotal);
+  updateAnimatedValue('remainingLiability', Math.max(0, liability - paidTotal));
+  
+  // Advance tax counts towards the first instalment due on or after it was paid
+  const instalments = getInstalmentDates(getFinancialYear());
+  const paidByInstalment = {};
+  payments
+    .filter(payment => payment.type === 'advance')
+    .forEach(payment => {
+      const paidOn = new Date(payment.paymentDate);
+      paidOn.setHours(0, 0, 0, 0);
+      const instalment = instalments.find(item => item.date >= paidOn);
+      if (instalment) {
+        paidByInstalment[instalment.key] = (paidByInstalment[instalment.key] || 0) + payment.amount;
+      }
+    });
+  
+  document.querySelectorAll('.schedule-paid').forEach(input => {
+    const paid = paidByInstalment[input.dataset.instalment];
+    if (paid) {
+      input.value = paid;
+    }
+  });
+}
+
+/**
+ * Advance tax entered as paid on each instalment date of the year
+ */
+function getAdvanceTaxPayments(financialYear) {
+  const instalments = getInstalmentDates(financialYear);
+  
+  return Array.from(document.querySelectorAll('.schedule-paid'))
+    .map(input => {
+      const instalment = instalments.find(item => item.key === input.dataset.instalment);
+      const date = instalment.date;
+      return {
+        date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+        amount: parseFloat(input.value) || 0
+      };
+    })
+    .filter(payment => payment.amount > 0);
+}
+
+/**
+ * Show interest under Sections 234C and 234B on the advance tax schedule.
+ * Uses the API, or the shared tax engine when offline.
+ */
+async function updateAdvanceTaxInterest(calculation) {
+  const container = document.getElementById('advanceTaxInterest');
+  if (!container || !calculation) return;
+  
+  const interestData = {
+    fy: calculation.financialYear,
+    payments: getAdvanceTaxPayments(calculation.financialYear),
+    taxLiability: calculation.totalTax
+  };
+  
+  const interest = await unifiedApi.calculateInterest(interestData) ||
+    calculateAdvanceTaxInterest({
+      assessedTax: interestData.taxLiability,
+      payments: interestData.payments,
+      financialYear: interestData.fy
+    });
+  
+  taxState.interest = interest;
+  
+  document.querySelectorAll('.schedule-interest').forEach(element => {
+    element.textContent = '';
+  });
+  interest.section234C.instalments
+    .filter(instalment => instalment.interest > 0)
+    .forEach(instalment => {
+      const element = document.getElementById(`${instalment.key}Interest`);
+      if (element) {
+        element.textContent = `234C: ${formatCurrency(instalment.interest)} on ${formatCurrency(instalment.shortfall)} short`;
+      }
+    });
+  
+  updateAnimatedValue('interest234C', interest.section234C.interest);
+  updateAnimatedValue('interest234B', interest.section234B.interest);
+  updateAnimatedValue('totalInterest', interest.totalInterest);
+  container.style.display = interest.liable ? 'block' : 'none';
+}
+
 /**
  * Update tax slabs visualization
  */
@@ -341,6 +988,59 @@ function addRegimeComparison(newRegimeTax, oldRegimeTax) {
   resultsContainer.insertAdjacentHTML('beforeend', comparisonHTML);
 }
 
+/**
+ * Show Section 44ADA presumptive income next to the books-of-account figure
+ */
+function updatePresumptiveComparison(calculation) {
+  const taxSection = document.querySelector('.tax-section');
+  const presumptive = calculation && calculation.presumptive;
+  if (!taxSection || !presumptive) return;
+  
+  // Remove existing comparison
+  const existingComparison = taxSection.querySelector('.presumptive-comparison-result');
+  if (existingComparison) {
+    existingComparison.remove();
+  }
+  
+  const { comparison } = presumptive;
+  const usePresumptive = comparison.recommended === 'presumptive';
+  
+  const comparisonHTML = `
+    <div class="form-card presumptive-comparison-result">
+      <h3>Section 44ADA vs Books of Account (FY ${calculation.financialYear})</h3>
+      <div class="comparison-row">
+        <span>Gross Receipts:</span>
+        <span>${formatCurrency(presumptive.grossReceipts)}</span>
+      </div>
+      <div class="comparison-row">
+        <span>Presumptive Income (${presumptive.presumptiveRate * 100}%):</span>
+        <span>${formatCurrency(comparison.presumptive.taxableIncome)} → tax ${formatCurrency(comparison.presumptive.tax)}</span>
+      </div>
+      <div class="comparison-row">
+        <span>Books (receipts − ${formatCurrency(comparison.books.businessExpenses)} expenses):</span>
+        <span>${formatCurrency(comparison.books.taxableIncome)} → tax ${formatCurrency(comparison.books.tax)}</span>
+      </div>
+      <div class="comparison-row">
+        <span>Cash Receipts:</span>
+        <span>${presumptive.cashSharePercent}% (limit ${formatCurrency(presumptive.receiptsLimit)})</span>
+      </div>
+      ${presumptive.reason ? `
+        <div class="recommendation">
+          <i class="fas fa-exclamation-triangle"></i>
+          <strong>${presumptive.reason}</strong>
+        </div>
+      ` : `
+        <div class="recommendation">
+          <i class="fas fa-lightbulb"></i>
+          <strong>${usePresumptive ? 'Presumptive taxation' : 'Books of account'} saves ${formatCurrency(comparison.savings)}</strong>
+        </div>
+      `}
+    </div>
+  `;
+  
+  taxSection.insertAdjacentHTML('beforeend', comparisonHTML);
+}
+
 /**
  * Update animated value
  */
@@ -357,8 +1057,10 @@ function updateAnimatedValue(elementId, value, prefix = '', suffix = '') {
 
 /**
  * Compare tax regimes
+ * Uses the server comparison (with the deductions saved on the profile)
+ * and falls back to the form's deductions when offline
  */
-function compareRegimes() {
+async function compareRegimes() {
   const form = document.getElementById('taxForm');
   const formData = parseFormData(form);
   
@@ -369,12 +1071,17 @@ function compareRegimes() {
   
   showLoading('Comparing regimes...');
   
-  // Calculate both regimes
-  const newRegimeCalculation = calculateIndianTax(formData.annualIncome, formData.deductions);
-  const oldRegimeTax = calculateOldRegimeTax(formData.annualIncome, formData.deductions);
+  const comparison = await unifiedApi.compareRegimes(formData.annualIncome);
   
-  // Show comparison modal
-  showRegimeComparisonModal(newRegimeCalculation.totalTax, oldRegimeTax, formData.annualIncome);
+  if (comparison) {
+    showRegimeComparisonModal(comparison.newRegime.tax, comparison.oldRegime.tax, comparison.income);
+  } else {
+    // Calculate both regimes locally
+    const newRegimeCalculation = calculateIndianTax(formData.annualIncome, formData.deductions);
+    const oldRegimeTax = calculateOldRegimeTax(formData.annualIncome, formData.deductions);
+    
+    showRegimeComparisonModal(newRegimeCalculation.totalTax, oldRegimeTax, formData.annualIncome);
+  }
   
   hideLoading();
 }
@@ -652,6 +1359,8 @@ document.addEventListener('keydown', (e) => {
 
 // Make functions globally available
 window.compareRegimes = compareRegimes;
+window.deleteTaxPayment = deleteTaxPayment;
+window.deletePurchase = deletePurchase;
 window.closeRegimeModal = closeRegimeModal;
 window.exportTaxCalculation = exportTaxCalculation;
 window.generateTaxReport = generateTaxReport;
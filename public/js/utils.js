@@ -2,15 +2,29 @@
  * Utility Functions - Common helper functions used across the application
  */
 
+import {
+  getFinancialYear,
+  selectTaxRules,
+  calculateTaxBreakdown,
+  getSlabBreakdown,
+  calculateEffectiveRate
+} from '../shared/taxEngine.mjs';
+
+export { getFinancialYear };
+
 /**
- * Format currency in Indian format
+ * Format currency in Indian format, or another currency (e.g. USD) with cents
  */
-export function formatCurrency(amount) {
+export function formatCurrency(amount, currency = 'INR') {
   if (amount === null || amount === undefined) return '₹0';
   
   const num = parseFloat(amount);
   if (isNaN(num)) return '₹0';
   
+  if (currency !== 'INR') {
+    return num.toLocaleString('en-US', { style: 'currency', currency });
+  }
+  
   // Format with Indian numbering system
   const formatted = num.toLocaleString('en-IN', {
     style: 'currency',
@@ -180,6 +194,16 @@ function getToastIcon(type) {
   return icons[type] || icons.info;
 }
 
+/**
+ * Escape text for inserting into HTML. Names, descriptions and notes are
+ * stored as typed, so escape them wherever they are rendered.
+ */
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
 /**
  * Validate email format
  */
@@ -238,60 +262,66 @@ export function deepClone(obj) {
 }
 
 /**
- * Calculate tax based on Indian tax slabs (New Regime)
+ * Tax rule tables keyed by financial year, shared with the backend
  */
-export function calculateIndianTax(income, deductions = 0) {
-  const taxableIncome = Math.max(0, income - deductions);
-  let tax = 0;
-  
-  // New Tax Regime FY 2024-25
-  const slabs = [
-    { min: 0, max: 250000, rate: 0 },
-    { min: 250000, max: 500000, rate: 0.05 },
-    { min: 500000, max: 750000, rate: 0.10 },
-    { min: 750000, max: 1000000, rate: 0.15 },
-    { min: 1000000, max: 1250000, rate: 0.20 },
-    { min: 1250000, max: 1500000, rate: 0.25 },
-    { min: 1500000, max: Infinity, rate: 0.30 }
-  ];
-  
-  const appliedSlabs = [];
-  
-  for (const slab of slabs) {
-    if (taxableIncome > slab.min) {
-      const taxableInSlab = Math.min(taxableIncome, slab.max) - slab.min;
-      const slabTax = taxableInSlab * slab.rate;
-      tax += slabTax;
-      
-      if (slabTax > 0) {
-        appliedSlabs.push({
-          range: `₹${slab.min.toLocaleString('en-IN')} - ₹${slab.max === Infinity ? '∞' : slab.max.toLocaleString('en-IN')}`,
-          rate: `${(slab.rate * 100).toFixed(0)}%`,
-          amount: slabTax
-        });
-      }
+let taxRules = null;
+
+/**
+ * Load the tax rule tables (cached by the service worker for offline use)
+ */
+export async function loadTaxRules() {
+  if (!taxRules) {
+    const response = await fetch('/shared/taxRules.json');
+    if (!response.ok) {
+      throw new Error(`Failed to load tax rules: ${response.status}`);
     }
+    taxRules = await response.json();
+  }
+  return taxRules;
+}
+
+/**
+ * Get the rules for a financial year, falling back to the latest earlier table.
+ * Call loadTaxRules() first.
+ */
+export function getTaxRules(financialYear = getFinancialYear()) {
+  if (!taxRules) {
+    throw new Error('Tax rules have not been loaded');
   }
   
-  return {
-    grossIncome: income,
-    deductions: deductions,
-    taxableIncome: taxableIncome,
-    totalTax: tax,
-    effectiveRate: taxableIncome > 0 ? (tax / taxableIncome) * 100 : 0,
-    slabs: appliedSlabs
-  };
+  return selectTaxRules(taxRules, financialYear);
 }
 
 /**
- * Calculate advance tax schedule
+ * Calculate tax for a financial year with the shared tax engine, so the
+ * result matches the API (rebate, surcharge and cess included).
+ * Options: regime ('new' or 'old', default 'new'), financialYear (default current)
  */
-export function calculateAdvanceTax(totalTax) {
+export function calculateIndianTax(income, deductions = 0, options = {}) {
+  const { regime = 'new', financialYear = getFinancialYear() } = options;
+  const rules = getTaxRules(financialYear);
+  const regimeKey = regime === 'old' ? 'oldRegime' : 'newRegime';
+  const taxableIncome = Math.max(0, income - deductions);
+  const breakdown = calculateTaxBreakdown(taxableIncome, rules, regimeKey);
+  
+  const appliedSlabs = getSlabBreakdown(taxableIncome, rules[regimeKey].slabs)
+    .filter(slab => slab.tax > 0)
+    .map(slab => ({
+      range: `₹${slab.from.toLocaleString('en-IN')} - ₹${slab.to === null ? '∞' : slab.to.toLocaleString('en-IN')}`,
+      rate: `${(slab.rate * 100).toFixed(0)}%`,
+      amount: slab.tax
+    }));
+  
   return {
-    june: Math.round(totalTax * 0.15),
-    september: Math.round(totalTax * 0.45),
-    december: Math.round(totalTax * 0.75),
-    march: Math.round(totalTax * 1.0)
+    financialYear,
+    taxRulesYear: rules.financialYear,
+    grossIncome: income,
+    deductions: deductions,
+    taxableIncome: taxableIncome,
+    totalTax: breakdown.totalTax,
+    effectiveRate: calculateEffectiveRate(breakdown.totalTax, income),
+    breakdown,
+    slabs: appliedSlabs
   };
 }
 
@@ -309,42 +339,6 @@ export function downloadFile(blob, filename) {
   window.URL.revokeObjectURL(url);
 }
 
-/**
- * Get next tax due date
- */
-export function getNextTaxDueDate() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  
-  // Advance tax due dates
-  const dueDates = [
-    { month: 5, day: 15, name: 'June 15' },    // June 15
-    { month: 8, day: 15, name: 'September 15' }, // September 15
-    { month: 11, day: 15, name: 'December 15' }, // December 15
-    { month: 2, day: 15, name: 'March 15' }     // March 15 (next year)
-  ];
-  
-  for (const dueDate of dueDates) {
-    const dueDateObj = new Date(currentYear, dueDate.month, dueDate.day);
-    if (dueDateObj > now) {
-      return {
-        date: dueDateObj,
-        name: dueDate.name,
-        daysUntil: Math.ceil((dueDateObj - now) / (1000 * 60 * 60 * 24))
-      };
-    }
-  }
-  
-  // If all dates have passed this year, return next year's first date
-  const nextYear = currentYear + 1;
-  const firstDueDate = new Date(nextYear, 5, 15); // June 15 next year
-  return {
-    date: firstDueDate,
-    name: 'June 15',
-    daysUntil: Math.ceil((firstDueDate - now) / (1000 * 60 * 60 * 24))
-  };
-}
-
 /**
  * Parse and validate form data
  */
@@ -479,10 +473,10 @@ export function validateForm(form, rules) {
 }
 
 /**
- * Get current user ID (for demo purposes)
+ * Get the signed-in user's ID
  */
 export function getCurrentUserId() {
-  return localStorage.getItem('userId') || '691bec955e1fb116f369d007';
+  return localStorage.getItem('userId');
 }
 
 /**
@@ -492,6 +486,28 @@ export function setCurrentUserId(userId) {
   localStorage.setItem('userId', userId);
 }
 
+/**
+ * Get the session token issued at login
+ */
+export function getAuthToken() {
+  return localStorage.getItem('authToken');
+}
+
+/**
+ * Store the session token issued at login
+ */
+export function setAuthToken(token) {
+  localStorage.setItem('authToken', token);
+}
+
+/**
+ * Forget the signed-in user and their session token
+ */
+export function clearSession() {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('userId');
+}
+
 /**
  * Get user preferences
  */
@@ -500,6 +516,32 @@ export function getUserPreferences() {
   return prefs ? JSON.parse(prefs) : {};
 }
 
+/**
+ * The rate in force for a currency on a date (YYYY-MM-DD, default today)
+ * from the user's rate table: the latest one from up to a week before,
+ * as the server looks rates up. Null when the table has none.
+ */
+export function findExchangeRate(rates, currency, date) {
+  const [year, month, day] = (date || new Date().toISOString().split('T')[0]).split('-').map(Number);
+  const end = new Date(year, month - 1, day + 1);
+  const start = new Date(year, month - 1, day - 7);
+  
+  return rates
+    .filter(rate => {
+      const rateDate = new Date(rate.date);
+      return rate.currency === currency && rateDate >= start && rateDate < end;
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date))[0] || null;
+}
+
+/**
+ * Settings saved from the Settings tab of the profile page
+ */
+export function getUserSettings() {
+  const settings = localStorage.getItem('userSettings');
+  return settings ? JSON.parse(settings) : {};
+}
+
 /**
  * Set user preferences
  */
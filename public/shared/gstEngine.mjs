@@ -0,0 +1,457 @@
+/**
+ * Shared GST Engine
+ * Pure GST calculations used by both the Express services and the browser,
+ * so the invoice preview matches the saved invoice and its PDF.
+ */
+
+/**
+ * GST state and union territory codes, as used in the first two digits of
+ * a GSTIN and to declare the place of supply
+ */
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+/**
+ * Place of supply declared for services exported outside India
+ */
+export const EXPORT_PLACE_OF_SUPPLY = '96';
+
+/**
+ * Declaration an export invoice must carry when no IGST is charged
+ */
+export const LUT_DECLARATION = 'Supply meant for export under LUT without payment of IGST';
+
+/**
+ * Standard GST rate on professional and IT services
+ */
+export const DEFAULT_GST_RATE = 0.18;
+
+/**
+ * GST rates a line item may be charged at
+ */
+export const GST_RATES = [0, 0.05, 0.12, 0.18, 0.28];
+
+/**
+ * SAC for information technology design and development services, used
+ * for line items that do not give one
+ */
+export const DEFAULT_SAC = '998314';
+
+/**
+ * Service Accounting Codes freelancers commonly bill under, with the
+ * description reported in the GSTR-1 HSN summary
+ */
+export const SAC_CODES = {
+  '998311': 'Management consulting and management services',
+  '998313': 'Information technology consulting and support services',
+  '998314': 'Information technology design and development services',
+  '998315': 'Hosting and information technology infrastructure provisioning services',
+  '998316': 'IT infrastructure and network management services',
+  '998319': 'Other information technology services',
+  '998361': 'Advertising services',
+  '998391': 'Specialty design services',
+  '998395': 'Translation and interpretation services',
+  '998399': 'Other professional, technical and business services',
+  '999293': 'Commercial training and coaching services'
+};
+
+/**
+ * Units a line item's quantity may be billed in
+ */
+export const LINE_UNITS = ['hours', 'days', 'months', 'units'];
+
+/**
+ * Aggregate turnover in a financial year above which a supplier of
+ * services must register for GST
+ */
+export const GST_REGISTRATION_THRESHOLD = 2000000;
+
+/**
+ * Lower threshold in the special category states that kept it (Manipur,
+ * Mizoram, Nagaland and Tripura)
+ */
+export const SPECIAL_CATEGORY_THRESHOLD = 1000000;
+export const SPECIAL_CATEGORY_STATES = ['13', '14', '15', '16'];
+
+/**
+ * Share of the threshold at which turnover is reported as approaching it
+ */
+export const THRESHOLD_WARNING_SHARE = 0.8;
+
+/**
+ * Days allowed to apply for registration after the threshold is crossed
+ */
+export const REGISTRATION_DAYS = 30;
+
+/**
+ * How often a registered user files returns: every month, or every
+ * quarter under the Quarterly Return Monthly Payment (QRMP) scheme
+ */
+export const GST_FILING_FREQUENCIES = ['monthly', 'quarterly'];
+
+/**
+ * States and union territories whose quarterly GSTR-3B is due on the
+ * 22nd of the month after the quarter; everywhere else it is the 24th
+ */
+export const GSTR3B_22ND_STATES = ['22', '23', '24', '26', '27', '29', '30', '31', '32', '33', '34', '35', '36', '37'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check a GSTIN's format, state code and check digit. The check digit is
+ * a base-36 Luhn checksum of the first fourteen characters.
+ */
+export function isValidGstin(gstin) {
+  const value = String(gstin || '').trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(value) || !GST_STATES[value.slice(0, 2)]) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+}
+
+/**
+ * State code from the first two digits of a GSTIN, or null
+ */
+export function getStateCodeFromGstin(gstin) {
+  const code = String(gstin || '').slice(0, 2);
+  return GST_STATES[code] ? code : null;
+}
+
+/**
+ * "27 - Maharashtra" for a state code, or an empty string
+ */
+export function formatStateCode(stateCode) {
+  if (stateCode === EXPORT_PLACE_OF_SUPPLY) {
+    return `${stateCode} - Other Countries`;
+  }
+  return GST_STATES[stateCode] ? `${stateCode} - ${GST_STATES[stateCode]}` : '';
+}
+
+/**
+ * Place of supply for services to a registered or known client: the
+ * client's state, read from its GSTIN when not given. Unknown clients are
+ * treated as being in the supplier's state.
+ */
+export function getPlaceOfSupply({ placeOfSupply, clientStateCode, clientGstin, supplierStateCode } = {}) {
+  return placeOfSupply || clientStateCode || getStateCodeFromGstin(clientGstin) || supplierStateCode || null;
+}
+
+/**
+ * Split the GST on a taxable value. A supply within the supplier's state
+ * is charged CGST and SGST at half the rate each; a supply to another
+ * state is charged IGST at the full rate. Each tax is rounded to the rupee.
+ */
+export function calculateGstSplit(taxableValue, { supplierStateCode, placeOfSupply, rate = DEFAULT_GST_RATE } = {}) {
+  const interState = Boolean(supplierStateCode && placeOfSupply) && supplierStateCode !== placeOfSupply;
+
+  if (interState) {
+    const igst = Math.round(taxableValue * rate);
+    return { supplyType: 'inter-state', rate, cgst: 0, sgst: 0, igst, total: igst };
+  }
+
+  const half = Math.round(taxableValue * rate / 2);
+  return { supplyType: 'intra-state', rate, cgst: half, sgst: half, igst: 0, total: half * 2 };
+}
+
+/**
+ * GST on an export of services. Under a Letter of Undertaking (LUT) the
+ * supply is zero-rated and no tax is charged; otherwise IGST is paid at
+ * the full rate on the rupee value and claimed back as a refund.
+ */
+export function calculateExportGst(taxableValue, { gstPayment = 'lut', rate = DEFAULT_GST_RATE } = {}) {
+  const igst = gstPayment === 'igst' ? Math.round(taxableValue * rate) : 0;
+  return { supplyType: 'export', rate, cgst: 0, sgst: 0, igst, total: igst };
+}
+
+/**
+ * Value of a line item before GST, in the invoice currency: quantity times
+ * rate less discount, to the paisa or cent. Lines saved before quantities
+ * and rates were recorded carry only their amount.
+ */
+export function lineAmount({ quantity = 1, rate, discount = 0, amount } = {}) {
+  if (rate === undefined || rate === null) {
+    return amount || 0;
+  }
+  return Math.round((quantity * rate - (discount || 0)) * 100) / 100;
+}
+
+/**
+ * Work out each line item's amount, rupee taxable value and GST, and the
+ * invoice totals as the sum of the lines. `taxOf(taxableValue, rate)`
+ * splits the tax on one line, e.g. with calculateGstSplit; foreign
+ * currency lines are converted at `exchangeRate` and rounded to the rupee.
+ */
+export function calculateLineItems(items, { exchangeRate = 1, taxOf } = {}) {
+  const totals = { subtotal: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+
+  const lines = items.map(item => {
+    const amount = lineAmount(item);
+    const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+    const taxableValue = exchangeRate === 1 ? amount : Math.round(amount * exchangeRate);
+    const gst = taxOf ? taxOf(taxableValue, gstRate) : { cgst: 0, sgst: 0, igst: 0, total: 0 };
+
+    totals.subtotal += amount;
+    totals.taxableValue += taxableValue;
+    totals.cgst += gst.cgst;
+    totals.sgst += gst.sgst;
+    totals.igst += gst.igst;
+    totals.total += gst.total;
+
+    return {
+      description: item.description,
+      sac: item.sac || DEFAULT_SAC,
+      quantity: item.quantity ?? 1,
+      unit: item.unit,
+      rate: item.rate ?? amount,
+      discount: item.discount || 0,
+      gstRate,
+      amount,
+      taxableValue,
+      cgstAmount: gst.cgst,
+      sgstAmount: gst.sgst,
+      igstAmount: gst.igst,
+      gstAmount: gst.total
+    };
+  });
+
+  // Line amounts may carry paise or cents; keep the sums to two places
+  totals.subtotal = Math.round(totals.subtotal * 100) / 100;
+  totals.taxableValue = Math.round(totals.taxableValue * 100) / 100;
+  return { lines, ...totals };
+}
+
+/**
+ * Taxable value and tax per GST rate, for the tax summary printed under
+ * the line items. Rates are in ascending order.
+ */
+export function summariseTaxByRate(lines) {
+  const byRate = new Map();
+  lines.forEach(line => {
+    const gstRate = line.gstRate ?? DEFAULT_GST_RATE;
+    const row = byRate.get(gstRate) || { gstRate, taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, gstAmount: 0 };
+    row.taxableValue += line.taxableValue ?? line.amount;
+    row.cgstAmount += line.cgstAmount || 0;
+    row.sgstAmount += line.sgstAmount || 0;
+    row.igstAmount += line.igstAmount || 0;
+    row.gstAmount += line.gstAmount || 0;
+    byRate.set(gstRate, row);
+  });
+  return [...byRate.values()].sort((a, b) => a.gstRate - b.gstRate);
+}
+
+/**
+ * Set input tax credit off against the output tax of a return, head by
+ * head, in the order the GST Act requires: IGST credit first against IGST,
+ * then CGST and SGST; CGST credit against CGST, then IGST; SGST credit
+ * against SGST, then IGST. CGST and SGST credit never cross. What is left
+ * of the tax is paid in cash; what is left of the credit carries forward.
+ */
+export function setOffItc(liability, credit) {
+  const heads = ['igst', 'cgst', 'sgst'];
+  const due = { ...liability };
+  const available = { ...credit };
+  const utilised = Object.fromEntries(heads.map(head => [head, { igst: 0, cgst: 0, sgst: 0 }]));
+
+  const use = (from, to) => {
+    const amount = Math.min(available[from], due[to]);
+    available[from] -= amount;
+    due[to] -= amount;
+    utilised[from][to] += amount;
+  };
+
+  use('igst', 'igst');
+  use('igst', 'cgst');
+  use('igst', 'sgst');
+  use('cgst', 'cgst');
+  use('cgst', 'igst');
+  use('sgst', 'sgst');
+  use('sgst', 'igst');
+
+  return { utilised, cash: due, carryForward: available };
+}
+
+/**
+ * Registration threshold for a supplier of services in a state
+ */
+export function getRegistrationThreshold(stateCode) {
+  return SPECIAL_CATEGORY_STATES.includes(stateCode) ? SPECIAL_CATEGORY_THRESHOLD : GST_REGISTRATION_THRESHOLD;
+}
+
+/**
+ * Where a financial year's aggregate turnover stands against the
+ * registration threshold. `entries` are dated amounts ({ date, amount },
+ * negative for credit notes); `start` and `end` bound the year, end
+ * exclusive. The run-rate is the turnover so far over the days of the year
+ * gone by `asOf`, and the crossing date is projected at that rate when it
+ * falls within the year.
+ */
+export function assessGstThreshold(entries, { threshold, start, end, asOf = new Date() }) {
+  const sorted = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let turnover = 0;
+  let crossedOn = null;
+
+  sorted.forEach(({ date, amount }) => {
+    turnover += amount;
+    if (!crossedOn && turnover > threshold) {
+      crossedOn = new Date(date);
+    }
+  });
+  if (turnover <= threshold) {
+    crossedOn = null;
+  }
+
+  const yearStart = new Date(start);
+  const yearEnd = new Date(end);
+  const until = Math.min(Math.max(new Date(asOf).getTime(), yearStart.getTime()), yearEnd.getTime());
+  const daysElapsed = Math.max(1, Math.ceil((until - yearStart) / DAY_MS));
+  const daysInYear = Math.round((yearEnd - yearStart) / DAY_MS);
+  const dailyRunRate = turnover > 0 ? turnover / daysElapsed : 0;
+
+  let projectedCrossingDate = null;
+  if (!crossedOn && dailyRunRate > 0 && until < yearEnd.getTime()) {
+    const crossing = new Date(yearStart.getTime() + Math.ceil(threshold / dailyRunRate) * DAY_MS);
+    if (crossing < yearEnd) {
+      projectedCrossingDate = crossing;
+    }
+  }
+
+  let status = 'below';
+  if (crossedOn) {
+    status = 'exceeded';
+  } else if (projectedCrossingDate || turnover >= threshold * THRESHOLD_WARNING_SHARE) {
+    status = 'approaching';
+  }
+
+  return {
+    threshold,
+    turnover: Math.round(turnover * 100) / 100,
+    percentOfThreshold: Math.round(turnover / threshold * 1000) / 10,
+    status,
+    crossedOn,
+    registrationDueBy: crossedOn ? new Date(crossedOn.getTime() + REGISTRATION_DAYS * DAY_MS) : null,
+    dailyRunRate: Math.round(dailyRunRate * 100) / 100,
+    projectedTurnover: Math.round(dailyRunRate * daysInYear),
+    projectedCrossingDate
+  };
+}
+
+/**
+ * Returns and payments falling due for one tax period (a calendar month).
+ * Monthly filers file GSTR-1 by the 11th and GSTR-3B by the 20th of the
+ * next month. QRMP filers may upload B2B invoices through the Invoice
+ * Furnishing Facility (IFF) by the 13th and pay tax on form PMT-06 by the
+ * 25th for the first two months of a quarter, then file GSTR-1 by the 13th
+ * and GSTR-3B by the 22nd or 24th, by state, after the quarter.
+ */
+function getPeriodFilings(year, month, { frequency = 'monthly', stateCode } = {}) {
+  const due = day => new Date(year, month + 1, day);
+  const period = `${year}-${String(month + 1).padStart(2, '0')}`;
+  const monthLabel = `${MONTH_NAMES[month]} ${year}`;
+
+  if (frequency !== 'quarterly') {
+    return [
+      { form: 'GSTR-1', period, description: `GSTR-1 for ${monthLabel}`, date: due(11) },
+      { form: 'GSTR-3B', period, description: `GSTR-3B for ${monthLabel}`, date: due(20) }
+    ];
+  }
+
+  const monthOfQuarter = (month + 9) % 3;
+  if (monthOfQuarter < 2) {
+    return [
+      { form: 'IFF', period, description: `IFF for ${monthLabel} (optional)`, date: due(13) },
+      { form: 'PMT-06', period, description: `PMT-06 tax payment for ${monthLabel}`, date: due(25) }
+    ];
+  }
+
+  // Quarters are labelled by financial year, e.g. 2024-25-Q2
+  const startYear = month < 3 ? year - 1 : year;
+  const quarter = `${startYear}-${String(startYear + 1).slice(-2)}-Q${Math.floor(((month + 9) % 12) / 3) + 1}`;
+  return [
+    { form: 'GSTR-1', period: quarter, description: `GSTR-1 for ${quarter}`, date: due(13) },
+    { form: 'GSTR-3B', period: quarter, description: `GSTR-3B for ${quarter}`, date: due(GSTR3B_22ND_STATES.includes(stateCode) ? 22 : 24) }
+  ];
+}
+
+/**
+ * The next due date of each GST return and payment on or after a date,
+ * in date order
+ */
+export function getGstDueDates(date = new Date(), { frequency = 'monthly', stateCode } = {}) {
+  const today = new Date(date);
+  today.setHours(0, 0, 0, 0);
+
+  // Every kind of filing falls due at least once within a quarter
+  const filings = [];
+  for (let offset = -1; offset <= 3; offset++) {
+    const month = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+    filings.push(...getPeriodFilings(month.getFullYear(), month.getMonth(), { frequency, stateCode }));
+  }
+
+  return filings
+    .filter(filing => filing.date >= today)
+    .sort((a, b) => a.date - b.date)
+    .filter((filing, index, upcoming) => upcoming.findIndex(other => other.form === filing.form) === index)
+    .map(filing => ({
+      ...filing,
+      name: `${MONTH_NAMES[filing.date.getMonth()]} ${filing.date.getDate()}`,
+      daysUntil: Math.round((filing.date - today) / DAY_MS)
+    }));
+}
+
+/**
+ * The next GST return or payment due on or after a date
+ */
+export function getNextGstDue(date = new Date(), options = {}) {
+  return getGstDueDates(date, options)[0];
+}
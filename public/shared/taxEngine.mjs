@@ -0,0 +1,361 @@
+/**
+ * Shared Tax Engine
+ * Pure income tax calculations used by both the Express services and the
+ * browser, so live results on the Tax page match the API. No I/O here:
+ * callers load taxRules.json themselves and pass the tables in.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Advance tax instalments within a financial year: month (0-indexed) and
+ * day of the due date, and the cumulative share of tax due by then.
+ * Months before April fall in the second calendar year of the FY.
+ * Section 234C charges `interestMonths` of interest on a shortfall, except
+ * when at least `minimumShare` of the tax was paid by the date.
+ */
+export const ADVANCE_TAX_INSTALMENTS = [
+  { key: 'june', month: 5, day: 15, share: 0.15, minimumShare: 0.12, interestMonths: 3 },
+  { key: 'september', month: 8, day: 15, share: 0.45, minimumShare: 0.36, interestMonths: 3 },
+  { key: 'december', month: 11, day: 15, share: 0.75, minimumShare: 0.75, interestMonths: 3 },
+  { key: 'march', month: 2, day: 15, share: 1.0, minimumShare: 1.0, interestMonths: 1 }
+];
+
+/**
+ * Statutory parameters for interest on advance tax (Sections 208, 234B,
+ * 234C and Rule 119A)
+ */
+export const ADVANCE_TAX_INTEREST = {
+  liabilityThreshold: 10000, // no advance tax below this net liability
+  monthlyRate: 0.01,
+  section234BShare: 0.9 // 234B applies when less than 90% was paid in advance
+};
+
+/**
+ * Financial year label (e.g. "2024-25") for a date
+ */
+export function getFinancialYear(date = new Date()) {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Rules for a financial year from the table keyed by year. Years newer than
+ * the latest table use the latest table; `financialYear` on the result says
+ * which table was applied.
+ */
+export function selectTaxRules(rulesTable, financialYear) {
+  const applicable = Object.keys(rulesTable).sort().filter(fy => fy <= financialYear);
+  if (applicable.length === 0) {
+    throw new Error(`No tax rules available for FY ${financialYear}`);
+  }
+
+  const appliedYear = applicable[applicable.length - 1];
+  return { financialYear: appliedYear, ...rulesTable[appliedYear] };
+}
+
+/**
+ * Tax charged in each { from, to, rate } slab an income reaches
+ */
+export function getSlabBreakdown(taxableIncome, slabs) {
+  return slabs
+    .filter(slab => taxableIncome > slab.from)
+    .map(slab => {
+      const upper = slab.to === null ? taxableIncome : Math.min(taxableIncome, slab.to);
+      return { from: slab.from, to: slab.to, rate: slab.rate, tax: (upper - slab.from) * slab.rate };
+    });
+}
+
+/**
+ * Tax on an amount under a list of { from, to, rate } slabs
+ */
+export function calculateSlabTax(taxableIncome, slabs) {
+  return getSlabBreakdown(taxableIncome, slabs).reduce((tax, slab) => tax + slab.tax, 0);
+}
+
+/**
+ * Section 87A rebate on slab tax. Where the regime allows marginal relief,
+ * tax just above the income limit is capped at the excess.
+ */
+export function calculateRebate(taxableIncome, slabTax, rebateRules) {
+  if (taxableIncome <= rebateRules.incomeLimit) {
+    return Math.min(slabTax, rebateRules.maxRebate);
+  }
+  if (rebateRules.marginalRelief) {
+    return Math.max(0, slabTax - (taxableIncome - rebateRules.incomeLimit));
+  }
+  return 0;
+}
+
+/**
+ * Surcharge band an income falls in, or undefined below the first band
+ */
+export function getSurchargeBand(taxableIncome, surchargeRules) {
+  return surchargeRules.filter(band => taxableIncome > band.above).pop();
+}
+
+/**
+ * Surcharge with marginal relief: crossing a band threshold may not cost
+ * more in tax plus surcharge than the income earned above the threshold
+ */
+export function calculateSurcharge(taxableIncome, tax, regimeRules) {
+  const band = getSurchargeBand(taxableIncome, regimeRules.surcharge);
+  if (!band) {
+    return { surchargeRate: 0, surcharge: 0, marginalRelief: 0 };
+  }
+
+  const surcharge = tax * band.rate;
+  const previousBand = getSurchargeBand(band.above, regimeRules.surcharge);
+  const taxAtThreshold = calculateSlabTax(band.above, regimeRules.slabs) *
+    (1 + (previousBand ? previousBand.rate : 0));
+  const ceiling = taxAtThreshold + (taxableIncome - band.above);
+  const marginalRelief = Math.max(0, tax + surcharge - ceiling);
+
+  return {
+    surchargeRate: band.rate,
+    surcharge: Math.round(surcharge - marginalRelief),
+    marginalRelief: Math.round(marginalRelief)
+  };
+}
+
+/**
+ * Full income tax computation under one regime ('newRegime' or 'oldRegime')
+ * of a year's rules (from selectTaxRules): slab tax, 87A rebate, surcharge
+ * and cess
+ */
+export function calculateTaxBreakdown(taxableIncome, rules, regime = 'newRegime') {
+  const regimeRules = rules[regime];
+
+  const slabTax = Math.round(calculateSlabTax(taxableIncome, regimeRules.slabs));
+  const rebate = Math.round(calculateRebate(taxableIncome, slabTax, regimeRules.rebate));
+  const taxAfterRebate = slabTax - rebate;
+  const { surchargeRate, surcharge, marginalRelief } =
+    calculateSurcharge(taxableIncome, taxAfterRebate, regimeRules);
+  const cess = Math.round((taxAfterRebate + surcharge) * rules.cessRate);
+
+  return {
+    regime,
+    taxRulesYear: rules.financialYear,
+    taxableIncome,
+    slabTax,
+    rebate,
+    taxAfterRebate,
+    surchargeRate,
+    surcharge,
+    marginalRelief,
+    cessRate: rules.cessRate,
+    cess,
+    totalTax: taxAfterRebate + surcharge + cess
+  };
+}
+
+/**
+ * Tax as a percentage of gross income, to two decimals
+ */
+export function calculateEffectiveRate(tax, income) {
+  return income > 0 ? Math.round((tax / income) * 10000) / 100 : 0;
+}
+
+/**
+ * Cumulative advance tax due by each instalment date
+ */
+export function calculateAdvanceTaxSchedule(totalTax) {
+  return ADVANCE_TAX_INSTALMENTS.reduce((schedule, instalment) => {
+    schedule[instalment.key] = Math.round(totalTax * instalment.share);
+    return schedule;
+  }, {});
+}
+
+/**
+ * Instalment due dates of a financial year, in order
+ */
+export function getInstalmentDates(financialYear) {
+  const startYear = parseInt(financialYear.split('-')[0], 10);
+  return ADVANCE_TAX_INSTALMENTS.map(instalment => ({
+    ...instalment,
+    date: new Date(instalment.month < 3 ? startYear + 1 : startYear, instalment.month, instalment.day)
+  }));
+}
+
+/**
+ * Next advance tax instalment on or after a date (rolling into the next
+ * financial year after March 15), with the share of tax already due
+ */
+export function getNextAdvanceTaxInstalment(date = new Date()) {
+  const today = new Date(date);
+  today.setHours(0, 0, 0, 0);
+
+  const financialYear = getFinancialYear(today);
+  const instalments = getInstalmentDates(financialYear);
+  const passed = instalments.filter(instalment => instalment.date < today);
+  const next = instalments.find(instalment => instalment.date >= today) ||
+    getInstalmentDates(getFinancialYear(new Date(today.getFullYear(), 3, 1)))[0];
+
+  return {
+    financialYear,
+    date: next.date,
+    name: `${MONTH_NAMES[next.month]} ${next.day}`,
+    daysUntil: Math.round((next.date - today) / DAY_MS),
+    shareDue: passed.length > 0 ? passed[passed.length - 1].share : 0
+  };
+}
+
+/**
+ * Advance tax of a financial year already due on a date, on an estimated
+ * tax, and the next due date. All of a past year's tax is due and it has
+ * no next date; none of a future year's is due before its June instalment.
+ */
+export function getAdvanceTaxDue(estimatedTax, date = new Date(), financialYear = getFinancialYear(date)) {
+  const currentYear = getFinancialYear(date);
+  if (financialYear !== currentYear) {
+    const isPast = financialYear < currentYear;
+    const [first] = getInstalmentDates(financialYear);
+    return {
+      amountDue: isPast ? Math.round(estimatedTax) : 0,
+      nextDueDate: isPast ? null : `${MONTH_NAMES[first.month]} ${first.day}, ${first.date.getFullYear()}`,
+      percentageDue: isPast ? 100 : 0
+    };
+  }
+
+  const next = getNextAdvanceTaxInstalment(date);
+
+  return {
+    amountDue: Math.round(estimatedTax * next.shareDue),
+    nextDueDate: `${next.name}, ${next.date.getFullYear()}`,
+    percentageDue: next.shareDue * 100
+  };
+}
+
+/**
+ * Rule 119A: interest is charged on the amount rounded down to a multiple of ₹100
+ */
+function roundDownToHundred(amount) {
+  return Math.max(0, Math.floor(amount / 100) * 100);
+}
+
+/**
+ * Section 288B: amounts payable are rounded to the nearest multiple of ₹10
+ */
+function roundToTen(amount) {
+  return Math.round(amount / 10) * 10;
+}
+
+/**
+ * Months from the start of `from` to `to`, counting a part month as a full month
+ */
+function countMonths(from, to) {
+  if (to < from) {
+    return 0;
+  }
+  return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()) + 1;
+}
+
+/**
+ * Advance tax paid on or before a date
+ */
+function sumPaidBy(payments, date) {
+  return payments
+    .filter(payment => payment.date <= date)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+}
+
+/**
+ * Interest under Sections 234C (deferment of each instalment) and 234B
+ * (shortfall in advance tax, charged from April 1 after the year until the
+ * return is filed or tax is assessed).
+ *
+ * assessedTax is the year's tax less TDS. payments are { date, amount } of
+ * advance tax; payments after March 31 count as self-assessment tax and
+ * stop 234B interest on the amount they cover. Presumptive taxpayers
+ * (Section 44ADA) pay a single instalment by March 15.
+ */
+export function calculateAdvanceTaxInterest({ assessedTax, payments = [], financialYear, filingDate, presumptive = false }) {
+  const startYear = parseInt(financialYear.split('-')[0], 10);
+  const yearEnd = new Date(startYear + 1, 2, 31, 23, 59, 59, 999);
+  const assessmentStart = new Date(startYear + 1, 3, 1);
+  const determinationDate = new Date(filingDate || new Date(startYear + 1, 6, 31));
+  const sortedPayments = payments
+    .map(payment => ({ date: new Date(payment.date), amount: payment.amount }))
+    .sort((a, b) => a.date - b.date);
+  const advanceTaxPaid = sumPaidBy(sortedPayments, yearEnd);
+  const liable = assessedTax >= ADVANCE_TAX_INTEREST.liabilityThreshold;
+  const rate = ADVANCE_TAX_INTEREST.monthlyRate;
+
+  // Section 234C: interest on each instalment paid short
+  const schedule = presumptive
+    ? getInstalmentDates(financialYear).filter(instalment => instalment.key === 'march')
+    : getInstalmentDates(financialYear);
+  const instalments = schedule.map(instalment => {
+    const dueBy = new Date(instalment.date);
+    dueBy.setHours(23, 59, 59, 999);
+    const required = Math.round(assessedTax * instalment.share);
+    const paid = sumPaidBy(sortedPayments, dueBy);
+    const shortfall = Math.max(0, required - paid);
+    const exempt = paid >= assessedTax * instalment.minimumShare;
+    const interest = liable && !exempt
+      ? roundDownToHundred(shortfall) * rate * instalment.interestMonths
+      : 0;
+
+    return {
+      key: instalment.key,
+      dueDate: instalment.date,
+      share: instalment.share,
+      required,
+      paid,
+      shortfall,
+      months: instalment.interestMonths,
+      interest
+    };
+  });
+
+  // Section 234B: 1% a month on the unpaid tax from April 1; self-assessment
+  // payments reduce the balance after the month they are made in
+  const section234BApplies = liable && advanceTaxPaid < assessedTax * ADVANCE_TAX_INTEREST.section234BShare;
+  const periods = [];
+  if (section234BApplies) {
+    let balance = assessedTax - advanceTaxPaid;
+    let monthsCharged = 0;
+    const selfAssessment = sortedPayments.filter(payment => payment.date > yearEnd && payment.date <= determinationDate);
+
+    for (const point of [...selfAssessment, { date: determinationDate, amount: 0 }]) {
+      const months = countMonths(assessmentStart, point.date) - monthsCharged;
+      if (months > 0 && balance > 0) {
+        periods.push({
+          until: point.date,
+          amount: roundDownToHundred(balance),
+          months,
+          interest: roundDownToHundred(balance) * rate * months
+        });
+        monthsCharged += months;
+      }
+      balance -= point.amount;
+    }
+  }
+
+  const total234C = roundToTen(instalments.reduce((sum, instalment) => sum + instalment.interest, 0));
+  const total234B = roundToTen(periods.reduce((sum, period) => sum + period.interest, 0));
+
+  return {
+    financialYear,
+    assessedTax,
+    advanceTaxPaid,
+    liable,
+    determinationDate,
+    section234C: {
+      instalments,
+      interest: total234C
+    },
+    section234B: {
+      applicable: section234BApplies,
+      shortfall: section234BApplies ? assessedTax - advanceTaxPaid : 0,
+      periods,
+      interest: total234B
+    },
+    totalInterest: total234C + total234B
+  };
+}
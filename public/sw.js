@@ -1,12 +1,13 @@
 // Service Worker for TechTresses Application
 // Basic PWA functionality
 
-const CACHE_NAME = 'techtresses-v1';
+const CACHE_NAME = 'techtresses-v6';
 const urlsToCache = [
   '/',
   '/css/styles.css',
   '/css/animations.css',
   '/js/main.js',
+  '/js/auth.js',
   '/js/utils.js',
   '/js/api.js',
   '/js/dashboard.js',
@@ -14,7 +15,10 @@ const urlsToCache = [
   '/js/tax.js',
   '/js/invoice.js',
   '/js/profile.js',
-  '/js/charts.js'
+  '/js/charts.js',
+  '/shared/taxRules.json',
+  '/shared/taxEngine.mjs',
+  '/shared/gstEngine.mjs'
 ];
 
 // Install event - cache resources
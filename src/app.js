@@ -10,7 +10,15 @@ require('dotenv').config();
 const connectDB = require('./utils/database');
 const incomeRoutes = require('./routes/income');
 const taxRoutes = require('./routes/tax');
+const taxPaymentRoutes = require('./routes/taxPayment');
+const tdsRoutes = require('./routes/tds');
 const invoiceRoutes = require('./routes/invoice');
+const purchaseRoutes = require('./routes/purchase');
+const exchangeRateRoutes = require('./routes/exchangeRate');
+const gstRoutes = require('./routes/gst');
+const brandingRoutes = require('./routes/branding');
+const userRoutes = require('./routes/user');
+const authRoutes = require('./routes/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -68,9 +76,17 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/income', incomeRoutes);
+app.use('/api/tax/payments', taxPaymentRoutes);
+app.use('/api/tax/tds', tdsRoutes);
 app.use('/api/tax', taxRoutes);
 app.use('/api/invoice', invoiceRoutes);
+app.use('/api/gst/purchases', purchaseRoutes);
+app.use('/api/gst', gstRoutes);
+app.use('/api/exchangeRates', exchangeRateRoutes);
+app.use('/api/user/branding', brandingRoutes);
+app.use('/api/user', userRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -79,17 +95,45 @@ app.get('/', (req, res) => {
     message: 'Welcome to Freelancer Tax Buddy API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       income: '/api/income',
       tax: '/api/tax',
       invoice: '/api/invoice',
+      gst: '/api/gst',
+      exchangeRates: '/api/exchangeRates',
+      user: '/api/user',
       health: '/health'
     },
     documentation: {
+      signup: 'POST /api/auth/signup',
+      login: 'POST /api/auth/login',
       addIncome: 'POST /api/income/addIncome',
-      calculateTax: 'GET /api/tax/calculateTax?userId=...',
+      calculateTax: 'GET /api/tax/calculateTax?fy=2024-25',
       getDeductions: 'POST /api/tax/getDeductions',
       generateInvoice: 'POST /api/invoice/generateInvoice',
-      nextDueDate: 'GET /api/tax/nextDueDate?userId=...'
+      createInvoice: 'POST /api/invoice',
+      listInvoices: 'GET /api/invoice',
+      downloadInvoice: 'GET /api/invoice/:id/pdf',
+      setInvoiceStatus: 'PUT /api/invoice/:id/status',
+      recordInvoicePayment: 'POST /api/invoice/:id/payments',
+      gstSummary: 'GET /api/gst/summary?period=2024-07',
+      gstr1: 'GET /api/gst/gstr1?period=2024-07',
+      gstr3b: 'GET /api/gst/gstr3b?period=2024-07',
+      recordPurchase: 'POST /api/gst/purchases',
+      nextDueDate: 'GET /api/tax/nextDueDate',
+      gstThreshold: 'GET /api/tax/gstThreshold?fy=2024-25',
+      itr4Draft: 'GET /api/tax/itr4?fy=2024-25',
+      advanceTaxInterest: 'POST /api/tax/interest',
+      recordTaxPayment: 'POST /api/tax/payments',
+      listTaxPayments: 'GET /api/tax/payments?fy=2024-25',
+      importTdsStatement: 'POST /api/tax/tds/import',
+      tdsReconciliation: 'GET /api/tax/tds/reconciliation?fy=2024-25',
+      importExchangeRates: 'POST /api/exchangeRates/import',
+      listExchangeRates: 'GET /api/exchangeRates?currency=USD',
+      getUser: 'GET /api/user/me',
+      updateUser: 'PUT /api/user/me',
+      getBranding: 'GET /api/user/branding',
+      updateBranding: 'PUT /api/user/branding'
     }
   });
 });
@@ -100,7 +144,7 @@ app.use((req, res) => {
     success: false,
     message: 'Endpoint not found',
     path: req.originalUrl,
-    availableEndpoints: ['/api/income', '/api/tax', '/api/invoice', '/health']
+    availableEndpoints: ['/api/auth', '/api/income', '/api/tax', '/api/invoice', '/api/gst', '/api/exchangeRates', '/api/user', '/health']
   });
 });
 
@@ -0,0 +1,23 @@
+// Income tax rule tables keyed by financial year. The data lives under
+// public/shared so the browser calculators read exactly the same tables.
+// Adding a new year is a matter of adding an entry to taxRules.json.
+const TAX_RULES = require('../../public/shared/taxRules.json');
+const { selectTaxRules } = require('../../public/shared/taxEngine.mjs');
+
+const SUPPORTED_FINANCIAL_YEARS = Object.keys(TAX_RULES).sort();
+
+// Every TDS section that appears in any year's table
+const TDS_SECTIONS = [...new Set(
+  Object.values(TAX_RULES).flatMap(rules => Object.keys(rules.tds || {}))
+)].sort();
+
+// Rules for a financial year. Years newer than the latest table use the
+// latest table until their own is added; `financialYear` on the result
+// says which table was actually applied.
+const getTaxRules = (financialYear) => selectTaxRules(TAX_RULES, financialYear);
+
+module.exports = {
+  SUPPORTED_FINANCIAL_YEARS,
+  TDS_SECTIONS,
+  getTaxRules
+};
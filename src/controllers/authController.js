@@ -0,0 +1,68 @@
+const authService = require('../services/authService');
+const { validationResult } = require('express-validator');
+
+class AuthController {
+  // Register a new user
+  async signup(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, password } = req.body;
+      const { token, user } = await authService.signup({ name, email, password });
+
+      res.status(201).json({
+        success: true,
+        message: 'Account created successfully',
+        data: { token, user }
+      });
+
+    } catch (error) {
+      console.error('Error signing up:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to create account',
+        error: error.message
+      });
+    }
+  }
+
+  // Log in with email and password
+  async login(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, password } = req.body;
+      const { token, user } = await authService.login({ email, password });
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged in successfully',
+        data: { token, user }
+      });
+
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to log in',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,57 @@
+const brandingService = require('../services/brandingService');
+const { validationResult } = require('express-validator');
+
+class BrandingController {
+  // Get the signed-in user's invoice branding
+  async getBranding(req, res) {
+    try {
+      const branding = await brandingService.getBranding(req.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Branding retrieved successfully',
+        data: brandingService.toView(branding)
+      });
+
+    } catch (error) {
+      console.error('Error getting branding:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve branding',
+        error: error.message
+      });
+    }
+  }
+
+  // Update the logo, signature, accent colour, footer or terms
+  async updateBranding(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const branding = await brandingService.updateBranding(req.userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Branding updated successfully',
+        data: brandingService.toView(branding)
+      });
+
+    } catch (error) {
+      console.error('Error updating branding:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to update branding',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new BrandingController();
@@ -0,0 +1,119 @@
+const exchangeRateService = require('../services/exchangeRateService');
+const { validationResult } = require('express-validator');
+
+class ExchangeRateController {
+  // List the signed-in user's exchange rates, optionally for one currency
+  async getRates(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const rates = await exchangeRateService.getRates(req.userId, { currency: req.query.currency });
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rates retrieved successfully',
+        data: rates,
+        count: rates.length
+      });
+
+    } catch (error) {
+      console.error('Error getting exchange rates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve exchange rates',
+        error: error.message
+      });
+    }
+  }
+
+  // Add one day's rate, replacing any rate already held for that day
+  async saveRate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const rate = await exchangeRateService.saveRate(req.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Exchange rate saved successfully',
+        data: rate
+      });
+
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to save exchange rate',
+        error: error.message
+      });
+    }
+  }
+
+  // Import a CSV rate table
+  async importRates(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { content, source } = req.body;
+      const result = await exchangeRateService.importRates(req.userId, content, source);
+
+      res.status(201).json({
+        success: true,
+        message: 'Exchange rates imported successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to import exchange rates',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete one rate
+  async deleteRate(req, res) {
+    try {
+      const rate = await exchangeRateService.deleteRate(req.userId, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rate deleted successfully',
+        data: rate
+      });
+
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to delete exchange rate',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ExchangeRateController();
@@ -0,0 +1,113 @@
+const gstService = require('../services/gstService');
+const { validationResult } = require('express-validator');
+const { getTaxPeriod, getQuarterStartPeriod } = require('../utils/financialYear');
+
+class GstController {
+  // Outward supplies for a tax period (default: current month), with
+  // exports shown apart from domestic supplies
+  async getSummary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const period = req.query.period || getTaxPeriod();
+      const summary = await gstService.getSummary(req.userId, period);
+
+      res.status(200).json({
+        success: true,
+        message: 'GST summary retrieved successfully',
+        data: summary
+      });
+
+    } catch (error) {
+      console.error('Error getting GST summary:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to retrieve GST summary',
+        error: error.message
+      });
+    }
+  }
+
+  // GSTR-1 for a tax period in the offline tool's JSON layout, with the
+  // documents that could not be classified. ?download=true sends just the
+  // return as a file for upload.
+  async getGstr1(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await gstService.getGstr1(req.userId, req.query.period);
+
+      if (req.query.download === 'true') {
+        const filename = `GSTR1_${result.gstr1.gstin}_${result.gstr1.fp}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.status(200).json(result.gstr1);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: result.flagged.length > 0
+          ? `GSTR-1 generated; ${result.flagged.length} document(s) could not be classified`
+          : 'GSTR-1 generated successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error generating GSTR-1:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to generate GSTR-1',
+        error: error.message
+      });
+    }
+  }
+
+  // GSTR-3B for a month (?period=, default: current) or a quarter
+  // (?quarter=2024-25-Q2) for quarterly filers
+  async getGstr3b(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { period, quarter } = req.query;
+      const summary = quarter
+        ? await gstService.getGstr3b(req.userId, getQuarterStartPeriod(quarter), 3)
+        : await gstService.getGstr3b(req.userId, period || getTaxPeriod());
+
+      res.status(200).json({
+        success: true,
+        message: 'GSTR-3B summary calculated successfully',
+        data: quarter ? { quarter, ...summary } : summary
+      });
+
+    } catch (error) {
+      console.error('Error calculating GSTR-3B summary:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to calculate GSTR-3B summary',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new GstController();
@@ -1,6 +1,18 @@
 const Income = require('../models/income');
 const User = require('../models/user');
+const taxService = require('../services/taxService');
+const exchangeRateService = require('../services/exchangeRateService');
 const { body, validationResult } = require('express-validator');
+const { getFinancialYear, financialYearDateQuery } = require('../utils/financialYear');
+
+// Income fields a user may set or edit
+const INCOME_FIELDS = [
+  'clientName', 'amount', 'date', 'currency', 'originalAmount', 'firc',
+  'tdsDeducted', 'tds', 'gstApplicable', 'paymentMode', 'notes'
+];
+// Fields of an entry recorded from an invoice payment that may still be
+// edited here; the amounts follow the payment
+const INVOICE_PAYMENT_FIELDS = ['paymentMode', 'notes'];
 
 class IncomeController {
   // Add new income entry
@@ -17,7 +29,11 @@ class IncomeController {
         });
       }
 
-      const { clientName, amount, tdsDeducted, gstApplicable, notes, userId } = req.body;
+      const {
+        clientName, amount, date, currency, originalAmount, exchangeRate, firc,
+        tdsDeducted, tds, gstApplicable, paymentMode, notes
+      } = req.body;
+      const { userId } = req;
 
       // Additional business logic validation
       if (amount <= 0) {
@@ -43,12 +59,27 @@ class IncomeController {
         });
       }
 
+      // Foreign receipts are converted at the rate given or the one in the
+      // user's rate table for the receipt date
+      const conversion = await exchangeRateService.resolveRate(userId, {
+        currency,
+        exchangeRate,
+        date: date || new Date()
+      });
+
       // Create new income entry
       const income = new Income({
         clientName,
         amount,
+        date,
+        currency: currency || 'INR',
+        originalAmount,
+        ...conversion,
+        firc,
         tdsDeducted: tdsDeducted || false,
+        tds,
         gstApplicable: gstApplicable || false,
+        paymentMode: paymentMode || 'bank',
         notes: notes || '',
         userId
       });
@@ -63,7 +94,7 @@ class IncomeController {
 
     } catch (error) {
       console.error('Error adding income:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: 'Failed to add income entry',
         error: error.message
@@ -71,17 +102,10 @@ class IncomeController {
     }
   }
 
-  // Get all income for a user
+  // Get all income for the signed-in user
   async getIncome(req, res) {
     try {
-      const { userId } = req.params;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'User ID is required'
-        });
-      }
+      const { userId } = req;
 
       const incomes = await Income.find({ userId }).sort({ date: -1 });
 
@@ -102,17 +126,23 @@ class IncomeController {
     }
   }
 
-  // Update income entry
+  // Update income entry. Loaded and saved so the rupee amount and TDS
+  // details are filled in and tdsDeducted stays in step with them.
   async updateIncome(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { id } = req.params;
-      const updates = req.body;
 
-      const income = await Income.findByIdAndUpdate(
-        id,
-        updates,
-        { new: true, runValidators: true }
-      );
+      // Ownership is fixed at creation and cannot be reassigned
+      const income = await Income.findOne({ _id: id, userId: req.userId });
 
       if (!income) {
         return res.status(404).json({
@@ -121,15 +151,46 @@ class IncomeController {
         });
       }
 
+      if (income.invoiceId && Object.keys(req.body).some(field => !INVOICE_PAYMENT_FIELDS.includes(field))) {
+        return res.status(400).json({
+          success: false,
+          message: 'This entry is a payment against an invoice; change the payment on the invoice instead'
+        });
+      }
+
+      INCOME_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          income[field] = req.body[field];
+        }
+      });
+
+      // A new currency or rate means converting again; changing only the
+      // date or amount keeps the rate already recorded
+      if (req.body.currency !== undefined || req.body.exchangeRate !== undefined) {
+        Object.assign(income, await exchangeRateService.resolveRate(req.userId, {
+          currency: income.currency,
+          exchangeRate: req.body.exchangeRate,
+          date: income.date
+        }));
+      }
+
+      // Unticking TDS clears the recorded deduction
+      if (req.body.tdsDeducted === false && req.body.tds === undefined) {
+        income.tds = {};
+      }
+
+      const savedIncome = await income.save();
+
       res.status(200).json({
         success: true,
         message: 'Income entry updated successfully',
-        data: income
+        data: savedIncome
       });
 
     } catch (error) {
       console.error('Error updating income:', error);
-      res.status(500).json({
+      // The model rejects a ticked TDS box left without any details
+      res.status(error.name === 'ValidationError' ? 400 : error.status || 500).json({
         success: false,
         message: 'Failed to update income entry',
         error: error.message
@@ -142,7 +203,7 @@ class IncomeController {
     try {
       const { id } = req.params;
 
-      const income = await Income.findByIdAndDelete(id);
+      const income = await Income.findOne({ _id: id, userId: req.userId });
 
       if (!income) {
         return res.status(404).json({
@@ -151,6 +212,15 @@ class IncomeController {
         });
       }
 
+      if (income.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This entry is a payment against an invoice; remove the payment from the invoice instead'
+        });
+      }
+
+      await income.deleteOne();
+
       res.status(200).json({
         success: true,
         message: 'Income entry deleted successfully',
@@ -167,30 +237,65 @@ class IncomeController {
     }
   }
 
-  // Get income summary for a user
-  async getIncomeSummary(req, res) {
+  // List the financial years the signed-in user has income in, newest first
+  async getFinancialYears(req, res) {
     try {
-      const { userId } = req.params;
+      const { userId } = req;
+
+      const dates = await Income.distinct('date', { userId });
+      const financialYears = [...new Set(dates.map(date => getFinancialYear(date)))]
+        .sort()
+        .reverse();
+
+      res.status(200).json({
+        success: true,
+        message: 'Financial years retrieved successfully',
+        data: {
+          financialYears,
+          current: getFinancialYear()
+        }
+      });
 
-      if (!userId) {
+    } catch (error) {
+      console.error('Error getting financial years:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve financial years',
+        error: error.message
+      });
+    }
+  }
+
+  // Get income summary for the signed-in user for a financial year (default: current)
+  async getIncomeSummary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'User ID is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      const incomes = await Income.find({ userId });
+      const { userId } = req;
+      const financialYear = req.query.fy || getFinancialYear();
+
+      const incomes = await Income.find({
+        userId,
+        date: financialYearDateQuery(financialYear)
+      });
 
       const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
-      const tdsCollected = incomes
-        .filter(income => income.tdsDeducted)
-        .reduce((sum, income) => sum + (income.amount * 0.10), 0);
+      const tdsCredit = taxService.getTDSCredit(incomes);
       const gstApplicableCount = incomes.filter(income => income.gstApplicable).length;
 
       const summary = {
+        financialYear,
         totalIncome,
         totalEntries: incomes.length,
-        tdsCollected: Math.round(tdsCollected),
+        tdsCollected: tdsCredit.total,
+        tdsBySection: tdsCredit.bySection,
         gstApplicableCount,
         averageIncome: incomes.length > 0 ? Math.round(totalIncome / incomes.length) : 0
       };
@@ -1,102 +1,426 @@
 const invoiceService = require('../services/invoiceService');
+const { validationResult } = require('express-validator');
+
+// Render a saved invoice with the user's bank details and send it as a
+// download, in the template given or the one the invoice was saved with
+async function sendInvoicePdf(res, userId, invoice, templateId) {
+  const invoiceData = await invoiceService.getInvoiceData(userId, invoice);
+  const pdfBuffer = await invoiceService.generateInvoice(invoiceData, templateId || invoiceData.templateId);
+  const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.setHeader('X-Invoice-Id', invoice._id.toString());
+
+  res.send(pdfBuffer);
+}
 
 class InvoiceController {
-  // Generate PDF invoice
+  // Create an invoice from the request and return it as a PDF
   async generateInvoice(req, res) {
     try {
-      const { clientName, amount, gstApplicable, tds, bankDetails, userId } = req.body;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { clientName, client, amount, items } = req.body;
+      const { userId } = req;
 
       // Validation
-      if (!clientName || !amount || !userId) {
+      if (!(clientName || client?.name) || !(amount || items?.length)) {
         return res.status(400).json({
           success: false,
-          message: 'Client name, amount, and user ID are required'
+          message: 'Client name and an amount or line items are required'
         });
       }
 
-      if (amount <= 0) {
+      if (amount !== undefined && amount <= 0) {
         return res.status(400).json({
           success: false,
           message: 'Amount must be greater than 0'
         });
       }
 
-      // Get invoice data with user bank details
-      const invoiceData = await invoiceService.getInvoiceData(userId, {
-        clientName,
-        amount,
-        gstApplicable: gstApplicable || false,
-        tds: tds || false,
-        bankDetails
+      const invoice = await invoiceService.createInvoice(userId, req.body);
+      await sendInvoicePdf(res, userId, invoice);
+
+    } catch (error) {
+      console.error('Error generating invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to generate invoice',
+        error: error.message
       });
+    }
+  }
 
-      // Generate PDF
-      const pdfBuffer = await invoiceService.generateInvoice(invoiceData);
+  // Create and number a new invoice
+  async createInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-      // Set response headers for PDF download
-      const filename = `invoice-${clientName.replace(/\s+/g, '-')}-${Date.now()}.pdf`;
-      
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      res.setHeader('Content-Length', pdfBuffer.length);
+      const invoice = await invoiceService.createInvoice(req.userId, req.body);
 
-      res.send(pdfBuffer);
+      res.status(201).json({
+        success: true,
+        message: 'Invoice created successfully',
+        data: invoice
+      });
 
     } catch (error) {
-      console.error('Error generating invoice:', error);
+      console.error('Error creating invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to create invoice',
+        error: error.message
+      });
+    }
+  }
+
+  // List the user's invoices
+  async getInvoices(req, res) {
+    try {
+      const invoices = await invoiceService.getInvoices(req.userId, {
+        status: req.query.status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoices retrieved successfully',
+        data: invoices,
+        count: invoices.length
+      });
+
+    } catch (error) {
+      console.error('Error getting invoices:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to generate invoice',
+        message: 'Failed to retrieve invoices',
         error: error.message
       });
     }
   }
 
-  // Get invoice preview (without generating PDF)
-  async getInvoicePreview(req, res) {
+  // Get a single invoice
+  async getInvoice(req, res) {
     try {
-      const { clientName, amount, gstApplicable, tds, userId } = req.body;
+      const invoice = await invoiceService.getInvoice(req.userId, req.params.id);
 
-      // Validation
-      if (!clientName || !amount || !userId) {
+      res.status(200).json({
+        success: true,
+        message: 'Invoice retrieved successfully',
+        data: invoice
+      });
+
+    } catch (error) {
+      console.error('Error getting invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to retrieve invoice',
+        error: error.message
+      });
+    }
+  }
+
+  // Download a saved invoice as a PDF
+  async downloadInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Client name, amount, and user ID are required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      if (amount <= 0) {
+      const invoice = await invoiceService.getInvoice(req.userId, req.params.id);
+      await sendInvoicePdf(res, req.userId, invoice, req.query.templateId);
+
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to download invoice',
+        error: error.message
+      });
+    }
+  }
+
+  // Update an invoice
+  async updateInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Amount must be greater than 0'
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invoice = await invoiceService.updateInvoice(req.userId, req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice updated successfully',
+        data: invoice
+      });
+
+    } catch (error) {
+      console.error('Error updating invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to update invoice',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancel an invoice (invoices are never deleted so the series stays gap-free)
+  async cancelInvoice(req, res) {
+    try {
+      const invoice = await invoiceService.cancelInvoice(req.userId, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice cancelled successfully',
+        data: invoice
+      });
+
+    } catch (error) {
+      console.error('Error cancelling invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to cancel invoice',
+        error: error.message
+      });
+    }
+  }
+
+  // Issue a draft, mark an invoice sent or cancel it
+  async setInvoiceStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invoice = await invoiceService.setStatus(req.userId, req.params.id, req.body.status);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoice status updated successfully',
+        data: invoice
+      });
+
+    } catch (error) {
+      console.error('Error updating invoice status:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to update invoice status',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a payment against an invoice, adding it to income
+  async recordPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      // Calculate invoice amounts
-      let basicAmount = amount;
-      let gstAmount = 0;
-      let tdsAmount = 0;
-      let totalAmount = amount;
+      const invoice = await invoiceService.recordPayment(req.userId, req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: invoice
+      });
+
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to record payment',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a payment and the income entry it created
+  async deletePayment(req, res) {
+    try {
+      const invoice = await invoiceService.deletePayment(req.userId, req.params.id, req.params.paymentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment deleted successfully',
+        data: invoice
+      });
 
-      if (gstApplicable) {
-        gstAmount = Math.round(amount * 0.18);
-        totalAmount += gstAmount;
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to delete payment',
+        error: error.message
+      });
+    }
+  }
+
+  // Issue a credit note against an invoice
+  async createCreditNote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
       }
 
-      if (tds) {
-        tdsAmount = Math.round(amount * 0.10);
-        totalAmount -= tdsAmount;
+      const creditNote = await invoiceService.createCreditNote(req.userId, req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit note created successfully',
+        data: creditNote
+      });
+
+    } catch (error) {
+      console.error('Error creating credit note:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to create credit note',
+        error: error.message
+      });
+    }
+  }
+
+  // List the credit notes issued against an invoice
+  async getCreditNotes(req, res) {
+    try {
+      const creditNotes = await invoiceService.getCreditNotes(req.userId, req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit notes retrieved successfully',
+        data: creditNotes,
+        count: creditNotes.length
+      });
+
+    } catch (error) {
+      console.error('Error getting credit notes:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to retrieve credit notes',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the number the next invoice will be issued under
+  async getNextInvoiceNumber(req, res) {
+    try {
+      const invoiceNumber = await invoiceService.peekNextInvoiceNumber(req.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Next invoice number retrieved successfully',
+        data: { invoiceNumber }
+      });
+
+    } catch (error) {
+      console.error('Error getting next invoice number:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to retrieve next invoice number',
+        error: error.message
+      });
+    }
+  }
+
+  // Get invoice preview (without generating PDF)
+  async getInvoicePreview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { clientName, client, amount, items, gstApplicable, tds } = req.body;
+
+      // Validation
+      if (!(clientName || client?.name) || !(amount || items?.length)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Client name and an amount or line items are required'
+        });
+      }
+
+      if (amount !== undefined && amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount must be greater than 0'
+        });
       }
 
+      // Calculate invoice amounts, split by place of supply
+      const calculation = await invoiceService.calculateInvoice(req.userId, req.body);
+
       const preview = {
-        clientName,
-        basicAmount,
-        gstApplicable,
-        gstAmount,
-        tds,
-        tdsAmount,
-        totalAmount,
-        invoiceNumber: `INV-${Date.now()}`,
+        clientName: calculation.client.name,
+        clientGstin: calculation.client.gstin,
+        supplierGstin: calculation.supplier.gstin,
+        invoiceType: calculation.invoiceType,
+        currency: calculation.currency,
+        exchangeRate: calculation.exchangeRate,
+        exportDetails: calculation.exportDetails,
+        placeOfSupply: calculation.placeOfSupply,
+        supplyType: calculation.supplyType,
+        items: calculation.items,
+        basicAmount: calculation.subtotal,
+        taxableValue: calculation.taxableValue,
+        gstApplicable: gstApplicable || false,
+        cgstAmount: calculation.cgstAmount,
+        sgstAmount: calculation.sgstAmount,
+        igstAmount: calculation.igstAmount,
+        gstAmount: calculation.gstAmount,
+        taxSummary: calculation.taxSummary,
+        tds: tds || false,
+        tdsAmount: calculation.tdsAmount,
+        totalAmount: calculation.totalAmount,
+        netReceivable: calculation.netReceivable,
+        invoiceNumber: await invoiceService.peekNextInvoiceNumber(req.userId),
         date: new Date().toLocaleDateString('en-IN')
       };
 
@@ -108,7 +432,7 @@ class InvoiceController {
 
     } catch (error) {
       console.error('Error generating invoice preview:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: 'Failed to generate invoice preview',
         error: error.message
@@ -119,38 +443,45 @@ class InvoiceController {
   // Calculate invoice amounts
   async calculateInvoiceAmounts(req, res) {
     try {
-      const { amount, gstApplicable, tds } = req.body;
-
-      if (!amount || amount <= 0) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Valid amount is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      let basicAmount = amount;
-      let gstAmount = 0;
-      let tdsAmount = 0;
-      let totalAmount = amount;
+      const { amount, items, gstApplicable, tds } = req.body;
 
-      if (gstApplicable) {
-        gstAmount = Math.round(amount * 0.18);
-        totalAmount += gstAmount;
+      if (!items?.length && (!amount || amount <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid amount or line items are required'
+        });
       }
 
-      if (tds) {
-        tdsAmount = Math.round(amount * 0.10);
-        totalAmount -= tdsAmount;
-      }
+      const totals = await invoiceService.calculateInvoice(req.userId, req.body);
 
       const calculation = {
-        basicAmount,
+        invoiceType: totals.invoiceType,
+        currency: totals.currency,
+        exchangeRate: totals.exchangeRate,
+        items: totals.items,
+        basicAmount: totals.subtotal,
+        taxableValue: totals.taxableValue,
+        placeOfSupply: totals.placeOfSupply,
+        supplyType: totals.supplyType,
         gstApplicable: gstApplicable || false,
-        gstAmount,
+        cgstAmount: totals.cgstAmount,
+        sgstAmount: totals.sgstAmount,
+        igstAmount: totals.igstAmount,
+        gstAmount: totals.gstAmount,
+        taxSummary: totals.taxSummary,
         tds: tds || false,
-        tdsAmount,
-        totalAmount,
-        netReceivable: Math.max(0, totalAmount)
+        tdsAmount: totals.tdsAmount,
+        totalAmount: totals.totalAmount,
+        netReceivable: totals.netReceivable
       };
 
       res.status(200).json({
@@ -161,7 +492,7 @@ class InvoiceController {
 
     } catch (error) {
       console.error('Error calculating invoice amounts:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: 'Failed to calculate invoice amounts',
         error: error.message
@@ -169,29 +500,11 @@ class InvoiceController {
     }
   }
 
-  // Get invoice templates
+  // List the invoice templates, marking the user's default
   async getInvoiceTemplates(req, res) {
     try {
-      const templates = [
-        {
-          id: 'standard',
-          name: 'Standard Invoice',
-          description: 'Basic invoice with client details and amount breakdown',
-          features: ['Client details', 'Amount breakdown', 'TDS/GST calculation', 'Bank details']
-        },
-        {
-          id: 'detailed',
-          name: 'Detailed Invoice',
-          description: 'Comprehensive invoice with project details and terms',
-          features: ['Client details', 'Project description', 'Itemized billing', 'Tax breakdown', 'Payment terms', 'Bank details']
-        },
-        {
-          id: 'simple',
-          name: 'Simple Invoice',
-          description: 'Minimal invoice with essential information only',
-          features: ['Client name', 'Amount', 'Basic tax info', 'Payment details']
-        }
-      ];
+      const defaultTemplateId = await invoiceService.getDefaultTemplateId(req.userId);
+      const templates = invoiceService.getTemplates(defaultTemplateId);
 
       res.status(200).json({
         success: true,
@@ -201,7 +514,7 @@ class InvoiceController {
 
     } catch (error) {
       console.error('Error getting invoice templates:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: 'Failed to retrieve invoice templates',
         error: error.message
@@ -0,0 +1,191 @@
+const Purchase = require('../models/purchase');
+const { validationResult } = require('express-validator');
+
+// Purchase bill fields a user may set or edit
+const PURCHASE_FIELDS = [
+  'supplierName', 'supplierGstin', 'billNumber', 'billDate', 'taxPeriod', 'description',
+  'taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'itcEligible', 'notes'
+];
+
+class PurchaseController {
+  // Record a purchase bill
+  async createPurchase(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const purchase = new Purchase({ userId: req.userId });
+      PURCHASE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          purchase[field] = req.body[field];
+        }
+      });
+
+      const savedPurchase = await purchase.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Purchase recorded successfully',
+        data: savedPurchase
+      });
+
+    } catch (error) {
+      console.error('Error recording purchase:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record purchase',
+        error: error.message
+      });
+    }
+  }
+
+  // List the signed-in user's purchase bills, optionally for one tax period
+  async getPurchases(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const filter = { userId: req.userId };
+      if (req.query.period) {
+        filter.taxPeriod = req.query.period;
+      }
+
+      const purchases = await Purchase.find(filter).sort({ billDate: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchases retrieved successfully',
+        data: purchases,
+        count: purchases.length
+      });
+
+    } catch (error) {
+      console.error('Error getting purchases:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve purchases',
+        error: error.message
+      });
+    }
+  }
+
+  // Get one purchase bill
+  async getPurchase(req, res) {
+    try {
+      const purchase = await Purchase.findOne({ _id: req.params.id, userId: req.userId });
+
+      if (!purchase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase retrieved successfully',
+        data: purchase
+      });
+
+    } catch (error) {
+      console.error('Error getting purchase:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve purchase',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a purchase bill. The tax period follows a new bill date unless
+  // one was given.
+  async updatePurchase(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const purchase = await Purchase.findOne({ _id: req.params.id, userId: req.userId });
+
+      if (!purchase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase not found'
+        });
+      }
+
+      PURCHASE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          purchase[field] = req.body[field];
+        }
+      });
+
+      if (req.body.billDate !== undefined && req.body.taxPeriod === undefined) {
+        purchase.taxPeriod = undefined;
+      }
+
+      const savedPurchase = await purchase.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase updated successfully',
+        data: savedPurchase
+      });
+
+    } catch (error) {
+      console.error('Error updating purchase:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update purchase',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a purchase bill
+  async deletePurchase(req, res) {
+    try {
+      const purchase = await Purchase.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+      if (!purchase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase deleted successfully',
+        data: purchase
+      });
+
+    } catch (error) {
+      console.error('Error deleting purchase:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete purchase',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PurchaseController();
@@ -1,19 +1,25 @@
 const taxService = require('../services/taxService');
+const itrService = require('../services/itrService');
+const { validationResult } = require('express-validator');
+const { getFinancialYear } = require('../utils/financialYear');
 
 class TaxController {
-  // Calculate tax for a user
+  // Calculate tax for the signed-in user for a financial year (default: current)
   async calculateTax(req, res) {
     try {
-      const { userId } = req.query;
-
-      if (!userId) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'User ID is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      const taxCalculation = await taxService.calculateTax(userId);
+      const { userId } = req;
+      const financialYear = req.query.fy || getFinancialYear();
+
+      const taxCalculation = await taxService.calculateTax(userId, financialYear);
 
       res.status(200).json({
         success: true,
@@ -64,16 +70,9 @@ class TaxController {
   // Get next due dates
   async getNextDueDate(req, res) {
     try {
-      const { userId } = req.query;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'User ID is required'
-        });
-      }
+      const { userId } = req;
 
-      const dueDates = taxService.getNextDueDate(userId);
+      const dueDates = await taxService.getNextDueDate(userId);
 
       res.status(200).json({
         success: true,
@@ -91,54 +90,98 @@ class TaxController {
     }
   }
 
-  // Get tax regime comparison
-  async getTaxRegimeComparison(req, res) {
+  // Aggregate turnover against the GST registration threshold for a
+  // financial year (default: current), with any warning to show
+  async getGSTThreshold(req, res) {
     try {
-      const { income } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-      if (!income || income <= 0) {
+      const financialYear = req.query.fy || getFinancialYear();
+      const status = await taxService.getGSTThresholdStatus(req.userId, financialYear);
+
+      res.status(200).json({
+        success: true,
+        message: 'GST threshold status retrieved successfully',
+        data: status
+      });
+
+    } catch (error) {
+      console.error('Error checking GST threshold:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check GST threshold',
+        error: error.message
+      });
+    }
+  }
+
+  // Draft ITR-4 for a financial year (default: current) with the report of
+  // fields to complete. ?download=true sends just the return as a file for
+  // the e-filing utility.
+  async getItr4(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Valid income amount is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
+      }
+
+      const financialYear = req.query.fy || getFinancialYear();
+      const result = await itrService.buildItr4(req.userId, financialYear);
+
+      if (req.query.download === 'true') {
+        const pan = result.itr.ITR.ITR4.PersonalInfo.PAN || 'DRAFT';
+        res.setHeader('Content-Disposition', `attachment; filename="ITR4_${pan}_AY${result.assessmentYear}.json"`);
+        return res.status(200).json(result.itr);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `ITR-4 draft prepared; ${result.report.missingFields.length} mandatory field(s) to complete`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error preparing ITR-4:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to prepare ITR-4',
+        error: error.message
+      });
     }
+  }
 
-      // Calculate tax under new regime
-      const newRegimeTax = taxService.calculateIncomeTax(parseFloat(income));
-
-      // Calculate tax under old regime (simplified version)
-      let oldRegimeTax = 0;
-      const incomeNum = parseFloat(income);
-      
-      // Old regime slabs (with standard deduction of 50,000)
-      const taxableIncome = Math.max(0, incomeNum - 50000);
-      
-      if (taxableIncome <= 250000) {
-        oldRegimeTax = 0;
-      } else if (taxableIncome <= 500000) {
-        oldRegimeTax = (taxableIncome - 250000) * 0.05;
-      } else if (taxableIncome <= 1000000) {
-        oldRegimeTax = 12500 + (taxableIncome - 500000) * 0.20;
-      } else {
-        oldRegimeTax = 112500 + (taxableIncome - 1000000) * 0.30;
+  // Compare tax regimes using the user's income and stored deductions
+  async getTaxRegimeComparison(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
       }
 
-      // Add cess (4% on tax)
-      oldRegimeTax = Math.round(oldRegimeTax * 1.04);
-
-      const comparison = {
-        income: incomeNum,
-        newRegime: {
-          tax: newRegimeTax,
-          effectiveRate: ((newRegimeTax / incomeNum) * 100).toFixed(2)
-        },
-        oldRegime: {
-          tax: oldRegimeTax,
-          effectiveRate: ((oldRegimeTax / incomeNum) * 100).toFixed(2)
-        },
-        recommended: newRegimeTax <= oldRegimeTax ? 'New Regime' : 'Old Regime',
-        savings: Math.abs(newRegimeTax - oldRegimeTax)
-      };
+      const { income } = req.query;
+      const financialYear = req.query.fy || getFinancialYear();
+
+      // Without an income, compare on the user's recorded income for the year
+      const comparison = await taxService.compareRegimes(
+        req.userId,
+        financialYear,
+        income !== undefined ? parseFloat(income) : undefined
+      );
 
       res.status(200).json({
         success: true,
@@ -159,32 +202,44 @@ class TaxController {
   // Get advance tax calculation
   async getAdvanceTax(req, res) {
     try {
-      const { userId, estimatedIncome } = req.query;
-
-      if (!userId) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'User ID is required'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
+      const { estimatedIncome } = req.query;
+      const { userId } = req;
+      const financialYear = req.query.fy || getFinancialYear();
+
+      // Advance tax is due on the tax left after TDS
       let taxAmount;
-      if (estimatedIncome) {
-        taxAmount = taxService.calculateIncomeTax(parseFloat(estimatedIncome));
+      if (estimatedIncome !== undefined) {
+        taxAmount = taxService.calculateIncomeTax(parseFloat(estimatedIncome), financialYear);
       } else {
         // Calculate from actual income
-        const taxCalculation = await taxService.calculateTax(userId);
-        taxAmount = taxCalculation.incomeTax;
+        const taxCalculation = await taxService.calculateTax(userId, financialYear);
+        taxAmount = taxCalculation.finalTaxPayable;
       }
 
-      const advanceTaxInfo = taxService.getAdvanceTaxDue(taxAmount);
+      const advanceTaxInfo = taxService.getAdvanceTaxDue(taxAmount, financialYear);
+      const taxPaid = await taxService.getTaxPaid(userId, financialYear);
+      const advanceTaxPaid = taxPaid.advance;
 
       res.status(200).json({
         success: true,
         message: 'Advance tax calculated successfully',
         data: {
+          financialYear,
           estimatedTax: taxAmount,
-          ...advanceTaxInfo
+          ...advanceTaxInfo,
+          advanceTaxPaid,
+          shortfall: Math.max(0, advanceTaxInfo.amountDue - advanceTaxPaid),
+          // Self-assessment and regular tax paid for the year count too
+          remainingLiability: Math.max(0, taxAmount - taxPaid.total)
         }
       });
 
@@ -197,6 +252,43 @@ class TaxController {
       });
     }
   }
+
+  // Calculate 234B/234C interest on advance tax paid short or late
+  async getInterest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { payments, filingDate, taxLiability } = req.body;
+      const financialYear = req.body.fy || getFinancialYear();
+
+      const interest = await taxService.calculateAdvanceTaxInterest(req.userId, financialYear, {
+        payments,
+        filingDate,
+        taxLiability
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Interest calculated successfully',
+        data: interest
+      });
+
+    } catch (error) {
+      console.error('Error calculating interest:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to calculate interest',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new TaxController();
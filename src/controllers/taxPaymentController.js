@@ -0,0 +1,194 @@
+const TaxPayment = require('../models/taxPayment');
+const { validationResult } = require('express-validator');
+
+// Challan fields a user may set or edit
+const PAYMENT_FIELDS = ['type', 'financialYear', 'amount', 'paymentDate', 'bsrCode', 'challanNumber', 'cin', 'notes'];
+const CIN_PARTS = ['bsrCode', 'challanNumber', 'paymentDate'];
+
+// Status for an error: mongoose rejecting the client's input is a 400
+function errorStatus(error) {
+  return ['ValidationError', 'CastError'].includes(error.name) ? 400 : 500;
+}
+
+class TaxPaymentController {
+  // Record a tax payment (challan)
+  async createPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const payment = new TaxPayment({ userId: req.userId });
+      PAYMENT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          payment[field] = req.body[field];
+        }
+      });
+
+      const savedPayment = await payment.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Tax payment recorded successfully',
+        data: savedPayment
+      });
+
+    } catch (error) {
+      console.error('Error recording tax payment:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: 'Failed to record tax payment',
+        error: error.message
+      });
+    }
+  }
+
+  // List the signed-in user's tax payments, optionally for one financial year
+  async getPayments(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const filter = { userId: req.userId };
+      if (req.query.fy) {
+        filter.financialYear = req.query.fy;
+      }
+
+      const payments = await TaxPayment.find(filter).sort({ paymentDate: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Tax payments retrieved successfully',
+        data: payments,
+        count: payments.length
+      });
+
+    } catch (error) {
+      console.error('Error getting tax payments:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve tax payments',
+        error: error.message
+      });
+    }
+  }
+
+  // Get one tax payment
+  async getPayment(req, res) {
+    try {
+      const payment = await TaxPayment.findOne({ _id: req.params.id, userId: req.userId });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax payment not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Tax payment retrieved successfully',
+        data: payment
+      });
+
+    } catch (error) {
+      console.error('Error getting tax payment:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve tax payment',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a tax payment. The CIN is rebuilt when the challan details
+  // change and no CIN was given.
+  async updatePayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const payment = await TaxPayment.findOne({ _id: req.params.id, userId: req.userId });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax payment not found'
+        });
+      }
+
+      PAYMENT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          payment[field] = req.body[field];
+        }
+      });
+
+      if (req.body.cin === undefined && CIN_PARTS.some(field => req.body[field] !== undefined)) {
+        payment.cin = undefined;
+      }
+
+      const savedPayment = await payment.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Tax payment updated successfully',
+        data: savedPayment
+      });
+
+    } catch (error) {
+      console.error('Error updating tax payment:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: 'Failed to update tax payment',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a tax payment
+  async deletePayment(req, res) {
+    try {
+      const payment = await TaxPayment.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax payment not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Tax payment deleted successfully',
+        data: payment
+      });
+
+    } catch (error) {
+      console.error('Error deleting tax payment:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: 'Failed to delete tax payment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TaxPaymentController();
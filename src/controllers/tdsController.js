@@ -0,0 +1,134 @@
+const TdsCredit = require('../models/tdsCredit');
+const tdsReconciliationService = require('../services/tdsReconciliationService');
+const { validationResult } = require('express-validator');
+const { getFinancialYear } = require('../utils/financialYear');
+
+class TdsController {
+  // Import a Form 26AS (text or CSV) or AIS (JSON) statement
+  async importStatement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { content, format } = req.body;
+      const result = await tdsReconciliationService.importStatement(req.userId, content, format);
+
+      res.status(201).json({
+        success: true,
+        message: 'TDS statement imported successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error importing TDS statement:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Failed to import TDS statement',
+        error: error.message
+      });
+    }
+  }
+
+  // List imported TDS credits for a financial year (default: current)
+  async getCredits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const financialYear = req.query.fy || getFinancialYear();
+      const credits = await TdsCredit.find({ userId: req.userId, financialYear }).sort({ transactionDate: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'TDS credits retrieved successfully',
+        data: credits,
+        count: credits.length
+      });
+
+    } catch (error) {
+      console.error('Error getting TDS credits:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve TDS credits',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete the imported TDS credits for a financial year, e.g. before
+  // importing a revised statement
+  async deleteCredits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const financialYear = req.query.fy || getFinancialYear();
+      const result = await TdsCredit.deleteMany({ userId: req.userId, financialYear });
+
+      res.status(200).json({
+        success: true,
+        message: 'TDS credits deleted successfully',
+        data: { financialYear, deleted: result.deletedCount }
+      });
+
+    } catch (error) {
+      console.error('Error deleting TDS credits:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete TDS credits',
+        error: error.message
+      });
+    }
+  }
+
+  // Reconcile imported credits with income entries for a financial year
+  async getReconciliation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const financialYear = req.query.fy || getFinancialYear();
+      const report = await tdsReconciliationService.reconcile(req.userId, financialYear);
+
+      res.status(200).json({
+        success: true,
+        message: 'TDS reconciliation completed successfully',
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error reconciling TDS:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile TDS',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TdsController();
@@ -0,0 +1,152 @@
+const User = require('../models/user');
+const { validationResult } = require('express-validator');
+
+// Profile fields a user may set directly
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'panNumber', 'gstRegistered', 'gstNumber', 'stateCode', 'gstFilingFrequency', 'expenses'];
+const BANK_FIELDS = ['accountNumber', 'ifscCode', 'bankName', 'accountHolder', 'upiId'];
+const INVOICE_SETTINGS_FIELDS = ['prefix', 'padding', 'resetEveryFinancialYear', 'defaultTemplateId'];
+const TAX_PROFILE_FIELDS = ['presumptive44ADA'];
+const DEDUCTION_FIELDS = [
+  'section80C',
+  'section80D.selfAndFamily',
+  'section80D.parents',
+  'section80D.selfSeniorCitizen',
+  'section80D.parentsSeniorCitizen',
+  'section80CCD1B',
+  'section80TTA',
+  'homeLoanInterest',
+  'hra.basicSalary',
+  'hra.hraReceived',
+  'hra.rentPaid',
+  'hra.metroCity'
+];
+
+// Copy whitelisted fields from the request body onto the user document.
+// Bank details, tax profile, deductions and invoice settings are merged so
+// each form can be saved on its own.
+function applyProfileUpdates(user, updates) {
+  PROFILE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) {
+      user[field] = updates[field];
+    }
+  });
+
+  if (updates.bankDetails) {
+    BANK_FIELDS.forEach(field => {
+      if (updates.bankDetails[field] !== undefined) {
+        user.set(`bankDetails.${field}`, updates.bankDetails[field]);
+      }
+    });
+  }
+
+  if (updates.taxProfile) {
+    TAX_PROFILE_FIELDS.forEach(field => {
+      if (updates.taxProfile[field] !== undefined) {
+        user.set(`taxProfile.${field}`, updates.taxProfile[field]);
+      }
+    });
+  }
+
+  if (updates.deductions) {
+    DEDUCTION_FIELDS.forEach(path => {
+      const value = path.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), updates.deductions);
+      if (value !== undefined) {
+        user.set(`deductions.${path}`, value);
+      }
+    });
+  }
+
+  if (updates.invoiceSettings) {
+    INVOICE_SETTINGS_FIELDS.forEach(field => {
+      if (updates.invoiceSettings[field] !== undefined) {
+        user.set(`invoiceSettings.${field}`, updates.invoiceSettings[field]);
+      }
+    });
+  }
+}
+
+class UserController {
+  // Get the signed-in user's profile
+  async getUser(req, res) {
+    try {
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User retrieved successfully',
+        data: user
+      });
+
+    } catch (error) {
+      console.error('Error getting user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve user',
+        error: error.message
+      });
+    }
+  }
+
+  // Update the signed-in user's profile
+  async updateUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (req.body.email && req.body.email !== user.email) {
+        const emailTaken = await User.exists({ email: req.body.email, _id: { $ne: user._id } });
+        if (emailTaken) {
+          return res.status(400).json({
+            success: false,
+            message: 'Email is already in use'
+          });
+        }
+      }
+
+      applyProfileUpdates(user, req.body);
+
+      // A GST number is meaningless once the user is no longer registered
+      if (!user.gstRegistered) {
+        user.gstNumber = undefined;
+      }
+
+      const savedUser = await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'User updated successfully',
+        data: savedUser
+      });
+
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new UserController();
@@ -0,0 +1,35 @@
+const authService = require('../services/authService');
+
+// Require a valid session token and expose the caller's ID as req.userId
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    req.userId = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired session token'
+      });
+    }
+
+    console.error('Error verifying session token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify session token',
+      error: error.message
+    });
+  }
+}
+
+module.exports = { authenticate };
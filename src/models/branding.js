@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An image stored with the type it is embedded as. PDFKit draws PNG and
+// JPEG images only.
+const imageSchema = new mongoose.Schema({
+  data: {
+    type: Buffer,
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: ['image/png', 'image/jpeg'],
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// How a user's invoices look: logo, signature, accent colour and the
+// footer and terms printed at the end of every invoice. Kept apart from
+// the user document so profile reads do not carry the images.
+const brandingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  logo: {
+    type: imageSchema
+  },
+  signature: {
+    type: imageSchema
+  },
+  // Colour of the title, headings and table rules, e.g. #6A0DAD
+  accentColor: {
+    type: String,
+    trim: true,
+    match: /^#[0-9A-Fa-f]{6}$/
+  },
+  // Replaces "Thank you for your business!"
+  footerText: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Branding', brandingSchema);
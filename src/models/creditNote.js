@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// The part of a credit note falling under one SAC and GST rate of the
+// invoice, reported on its own line in GSTR-1
+const creditLineSchema = new mongoose.Schema({
+  sac: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number
+  },
+  // Amount credited in the invoice currency, before GST
+  amount: {
+    type: Number,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+// A credit note reducing the value of an issued invoice, e.g. for a
+// discount agreed after billing or work not delivered. It takes the
+// client, place of supply and GST treatment of the invoice it amends.
+const creditNoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  noteNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  noteDate: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Amount credited in the invoice currency, before GST
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The same amount in rupees
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  },
+  // The amount split across the invoice's SACs and GST rates in proportion
+  // to their value on the invoice
+  lines: {
+    type: [creditLineSchema],
+    default: undefined
+  },
+  // Taxable value + GST, in rupees
+  totalAmount: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ userId: 1, noteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ userId: 1, noteDate: -1 });
+creditNoteSchema.index({ invoiceId: 1 });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One day's rupee rate for a foreign currency, entered by the user or
+// imported from a rate table (e.g. RBI reference rates or the bank's TT
+// buying rates). Re-importing a table updates the same documents.
+const exchangeRateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Rupees per unit of the currency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.0001
+  },
+  // Where the rate came from, e.g. "RBI reference rate"
+  source: {
+    type: String,
+    trim: true,
+    default: 'Manual entry'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ userId: 1, currency: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
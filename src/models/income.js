@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TDS_SECTIONS } = require('../config/taxRules');
 
 const incomeSchema = new mongoose.Schema({
   clientName: {
@@ -6,27 +7,107 @@ const incomeSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Amount in rupees; the figure tax and GST are worked out on
   amount: {
     type: Number,
     required: true,
     min: 0
   },
+  // Currency the client paid in, with the amount in that currency and
+  // the rupees per unit it was converted at
+  currency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    default: 'INR'
+  },
+  originalAmount: {
+    type: Number,
+    min: 0
+  },
+  exchangeRate: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Where the rate came from ("Manual entry" or the rate table's source)
+  // and the day it was quoted for
+  rateSource: {
+    type: String,
+    trim: true
+  },
+  rateDate: {
+    type: Date
+  },
+  // Foreign Inward Remittance Certificate / Advice the bank issued for
+  // the receipt, needed to evidence an export of services
+  firc: {
+    reference: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    date: {
+      type: Date
+    },
+    bank: {
+      type: String,
+      trim: true
+    }
+  },
   date: {
     type: Date,
     default: Date.now
   },
+  // Kept in sync with tds.amount so older clients can still filter on it
   tdsDeducted: {
     type: Boolean,
     default: false
   },
+  // Tax deducted at source by the client, as shown on Form 16A / 26AS
+  tds: {
+    section: {
+      type: String,
+      enum: TDS_SECTIONS
+    },
+    // Fraction of the amount, e.g. 0.1 for 10%
+    rate: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Deductor's tax deduction account number
+    tan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z]{4}[0-9]{5}[A-Z]$/
+    }
+  },
   gstApplicable: {
     type: Boolean,
     default: false
   },
+  paymentMode: {
+    type: String,
+    enum: ['bank', 'upi', 'cheque', 'cash'],
+    default: 'bank'
+  },
   notes: {
     type: String,
     trim: true
   },
+  // Invoice the entry was recorded as a payment against. Such entries
+  // are changed through the invoice's payments.
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -36,4 +117,40 @@ const incomeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Remember the amounts as loaded, to tell whether an update changed them
+incomeSchema.post('init', function() {
+  this.$locals.saved = { amount: this.amount, tdsRate: this.tds.rate, tdsAmount: this.tds.amount };
+});
+
+// Convert a foreign-currency receipt to rupees, work out the TDS amount
+// from the rate when only the rate was given or when the rate or amount
+// changed without a new TDS amount, then keep the tdsDeducted flag in step
+// with the recorded amount. A bare flag is the pre-TDS-details shape that
+// migrateIncomeTds converts; new entries must say what was deducted.
+incomeSchema.pre('validate', function() {
+  if (this.currency === 'INR') {
+    this.exchangeRate = 1;
+    this.originalAmount = this.amount;
+    this.rateSource = undefined;
+    this.rateDate = undefined;
+  } else if (this.originalAmount > 0 && this.exchangeRate > 0) {
+    this.amount = Math.round(this.originalAmount * this.exchangeRate * 100) / 100;
+  }
+
+  const tds = this.tds;
+  const saved = this.$locals.saved;
+  const baseChanged = Boolean(saved) && (this.amount !== saved.amount || tds.rate !== saved.tdsRate);
+  const tdsAmountKept = Boolean(saved) && tds.amount === saved.tdsAmount;
+
+  if (tds.rate && this.amount && (!tds.amount || (baseChanged && tdsAmountKept))) {
+    tds.amount = Math.round(this.amount * tds.rate);
+  }
+
+  if (this.tdsDeducted && !tds.amount && !(tds.rate && tds.section)) {
+    this.invalidate('tds', 'Give the TDS amount, or the section and rate, when TDS was deducted');
+  }
+
+  this.tdsDeducted = tds.amount > 0;
+});
+
 module.exports = mongoose.model('Income', incomeSchema);
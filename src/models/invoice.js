@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const {
+  GST_STATES,
+  EXPORT_PLACE_OF_SUPPLY,
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC,
+  LINE_UNITS
+} = require('../../public/shared/gstEngine.mjs');
+const { TDS_SECTIONS } = require('../config/taxRules');
+
+const STATE_CODES = Object.keys(GST_STATES);
+
+// Draft, issued and sent are set by the user; partially-paid and paid
+// follow the payments recorded, and an unpaid invoice past its due date
+// is overdue
+const INVOICE_STATUSES = ['draft', 'issued', 'sent', 'partially-paid', 'paid', 'overdue', 'cancelled'];
+
+// One billed service. Amount is quantity x rate less discount, in the
+// invoice currency; the taxable value and GST are in rupees.
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Service Accounting Code the line is reported under in GSTR-1
+  sac: {
+    type: String,
+    trim: true,
+    match: /^99\d{4}$/,
+    default: DEFAULT_SAC
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  unit: {
+    type: String,
+    enum: LINE_UNITS
+  },
+  // Price per unit, in the invoice currency
+  rate: {
+    type: Number,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  gstRate: {
+    type: Number,
+    enum: GST_RATES,
+    default: DEFAULT_GST_RATE
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+// Money received against the invoice. Each payment is also an income
+// entry, so the Income page and the tax worked out from it include it.
+const paymentSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  // Received, in the invoice currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // TDS the client withheld from this payment, in rupees
+  tdsAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Rupees per unit of the invoice currency on the day it was received
+  exchangeRate: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  paymentMode: {
+    type: String,
+    enum: ['bank', 'upi', 'cheque', 'cash'],
+    default: 'bank'
+  },
+  // Bank or UPI transaction reference
+  reference: {
+    type: String,
+    trim: true
+  },
+  incomeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Income'
+  }
+}, {
+  timestamps: true
+});
+
+const invoiceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  invoiceDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date
+  },
+  // Export invoices are billed to clients outside India
+  invoiceType: {
+    type: String,
+    enum: ['domestic', 'export'],
+    default: 'domestic'
+  },
+  // Currency the line items and totals are in
+  currency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    default: 'INR'
+  },
+  // Rupees per unit of the invoice currency
+  exchangeRate: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Where the rate came from ("Manual entry" or the rate table's source)
+  // and the day it was quoted for
+  rateSource: {
+    type: String,
+    trim: true
+  },
+  rateDate: {
+    type: Date
+  },
+  // Foreign Inward Remittance Certificate / Advice for the payment
+  // against this invoice
+  firc: {
+    reference: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    date: {
+      type: Date
+    },
+    bank: {
+      type: String,
+      trim: true
+    }
+  },
+  // How GST is handled on an export: zero-rated under a Letter of
+  // Undertaking, or IGST paid and claimed as a refund
+  exportDetails: {
+    gstPayment: {
+      type: String,
+      enum: ['lut', 'igst']
+    },
+    lutArn: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    country: {
+      type: String,
+      trim: true
+    }
+  },
+  client: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    stateCode: {
+      type: String,
+      enum: STATE_CODES
+    }
+  },
+  // The freelancer's GST details as they were when the invoice was issued
+  supplier: {
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    stateCode: {
+      type: String,
+      enum: STATE_CODES
+    }
+  },
+  // State code the supply is made to; decides CGST/SGST or IGST.
+  // Exports are supplied to 96 (Other Countries).
+  placeOfSupply: {
+    type: String,
+    enum: [...STATE_CODES, EXPORT_PLACE_OF_SUPPLY]
+  },
+  items: {
+    type: [lineItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'An invoice needs at least one line item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Subtotal in rupees, the value GST is charged and reported on
+  taxableValue: {
+    type: Number,
+    min: 0
+  },
+  gstApplicable: {
+    type: Boolean,
+    default: false
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state', 'export'],
+    default: 'intra-state'
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  // CGST + SGST + IGST, in rupees
+  gstAmount: {
+    type: Number,
+    default: 0
+  },
+  tds: {
+    type: Boolean,
+    default: false
+  },
+  // Section and rate (a fraction) the client deducts TDS under
+  tdsSection: {
+    type: String,
+    enum: TDS_SECTIONS,
+    default: '194J'
+  },
+  tdsRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.1
+  },
+  tdsAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  netReceivable: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Layout the PDF is drawn with: standard, detailed or simple
+  templateId: {
+    type: String,
+    trim: true,
+    default: 'standard'
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'issued'
+  },
+  sentAt: {
+    type: Date
+  },
+  payments: {
+    type: [paymentSchema],
+    default: []
+  },
+  // What the invoice's credit notes took off totalAmount, GST the client
+  // pays included, in the invoice currency
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Totals of the payments: received in the invoice currency, TDS in
+  // rupees, and what is still owed on totalAmount after credit notes,
+  // in the invoice currency
+  amountReceived: {
+    type: Number,
+    default: 0
+  },
+  tdsWithheld: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// What is still owed after credit notes, payments and the TDS withheld
+// from them, in the invoice currency. TDS is recorded in rupees, so it is
+// converted at the rate of the payment it was withheld from.
+invoiceSchema.methods.getBalanceDue = function() {
+  const settled = this.payments.reduce((total, payment) => {
+    return total + payment.amount + (payment.tdsAmount || 0) / (payment.exchangeRate || 1);
+  }, 0);
+  return Math.round((this.totalAmount - (this.creditedAmount || 0) - settled) * 100) / 100;
+};
+
+// What a credit note takes off the invoice, in the invoice currency: the
+// amount credited and the GST on it, which export clients do not pay
+invoiceSchema.methods.getCreditOf = function(note) {
+  const gst = this.invoiceType === 'export' ? 0 : (note.gstAmount || 0) / (this.exchangeRate || 1);
+  return Math.round((note.amount + gst) * 100) / 100;
+};
+
+// Keep the payment totals in step with the payments
+invoiceSchema.pre('validate', function() {
+  const sum = field => this.payments.reduce((total, payment) => total + (payment[field] || 0), 0);
+  this.amountReceived = Math.round(sum('amount') * 100) / 100;
+  this.tdsWithheld = Math.round(sum('tdsAmount') * 100) / 100;
+  this.balanceDue = this.getBalanceDue();
+});
+
+invoiceSchema.index({ userId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, invoiceDate: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One counter per user per numbering series. The series is the financial
+// year (e.g. "2024-25") when numbering resets every April 1, or "all".
+const invoiceCounterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  series: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+invoiceCounterSchema.index({ userId: 1, series: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
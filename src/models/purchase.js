@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { getTaxPeriod } = require('../utils/financialYear');
+
+// A purchase bill from a supplier, e.g. a laptop, software subscription or
+// co-working rent. The GST paid on it can be claimed as input tax credit
+// (ITC) when the supplier is registered and the purchase is for business.
+const purchaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supplierName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  supplierGstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  billNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  billDate: {
+    type: Date,
+    required: true
+  },
+  // Tax period (e.g. "2024-07") the credit is claimed in; defaults to the
+  // month of the bill
+  taxPeriod: {
+    type: String,
+    match: /^\d{4}-\d{2}$/
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // False for blocked credits (Section 17(5)) such as food or personal use
+  itcEligible: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+purchaseSchema.index({ userId: 1, taxPeriod: 1 });
+
+// Default the tax period from the bill date. Credit needs a tax invoice
+// from a registered supplier, so bills without a GSTIN are not eligible.
+purchaseSchema.pre('validate', function() {
+  if (!this.taxPeriod && this.billDate) {
+    this.taxPeriod = getTaxPeriod(this.billDate);
+  }
+
+  if (!this.supplierGstin) {
+    this.itcEligible = false;
+  }
+});
+
+module.exports = mongoose.model('Purchase', purchaseSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// Income tax paid through a challan (ITNS 280). Advance tax counts towards
+// the financial year it is paid in. Self-assessment and regular assessment
+// tax may be paid during the year or after it ends, so their challans must
+// say which year they are for.
+const taxPaymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['advance', 'self-assessment', 'regular'],
+    required: true
+  },
+  financialYear: {
+    type: String,
+    match: /^\d{4}-\d{2}$/,
+    required: [
+      function() { return this.type !== 'advance'; },
+      'Financial year is required for self-assessment and regular assessment tax'
+    ]
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paymentDate: {
+    type: Date,
+    required: true
+  },
+  bsrCode: {
+    type: String,
+    trim: true,
+    match: /^\d{7}$/
+  },
+  challanNumber: {
+    type: String,
+    trim: true,
+    match: /^\d{5}$/
+  },
+  // Challan Identification Number: BSR code, payment date (DDMMYYYY) and challan serial number
+  cin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+taxPaymentSchema.index({ userId: 1, financialYear: 1 });
+
+// Default the financial year of advance tax from the payment date and
+// build the CIN from the challan details when it was not entered
+taxPaymentSchema.pre('validate', function() {
+  if (!this.financialYear && this.type === 'advance' && this.paymentDate) {
+    this.financialYear = getFinancialYear(this.paymentDate);
+  }
+
+  if (!this.cin && this.bsrCode && this.challanNumber && this.paymentDate) {
+    const date = this.paymentDate;
+    const ddmmyyyy = String(date.getDate()).padStart(2, '0') +
+      String(date.getMonth() + 1).padStart(2, '0') +
+      date.getFullYear();
+    this.cin = `${this.bsrCode}${ddmmyyyy}${this.challanNumber}`;
+  }
+});
+
+module.exports = mongoose.model('TaxPayment', taxPaymentSchema);
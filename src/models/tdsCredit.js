@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// One TDS credit as reported by the government against the user's PAN, imported
+// from Form 26AS or the Annual Information Statement (AIS). Re-importing a
+// statement updates the same documents instead of adding duplicates.
+const tdsCreditSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['26AS', 'AIS'],
+    required: true
+  },
+  financialYear: {
+    type: String,
+    match: /^\d{4}-\d{2}$/
+  },
+  deductorName: {
+    type: String,
+    trim: true
+  },
+  tan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    required: true
+  },
+  section: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  transactionDate: {
+    type: Date,
+    required: true
+  },
+  // Gross amount the deductor paid or credited
+  amountPaid: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxDeducted: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The credit that can actually be claimed
+  taxDeposited: {
+    type: Number,
+    min: 0
+  },
+  // 26AS booking status: F (final), U (unmatched), P (provisional), O (overbooked)
+  bookingStatus: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
+}, {
+  timestamps: true
+});
+
+tdsCreditSchema.index({ userId: 1, financialYear: 1 });
+tdsCreditSchema.index(
+  { userId: 1, tan: 1, section: 1, transactionDate: 1, amountPaid: 1, taxDeducted: 1 },
+  { unique: true }
+);
+
+// Default the financial year from the transaction date and the deposited
+// amount from the amount deducted
+tdsCreditSchema.pre('validate', function() {
+  if (!this.financialYear && this.transactionDate) {
+    this.financialYear = getFinancialYear(this.transactionDate);
+  }
+
+  if (this.taxDeposited === undefined || this.taxDeposited === null) {
+    this.taxDeposited = this.taxDeducted;
+  }
+});
+
+module.exports = mongoose.model('TdsCredit', tdsCreditSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { GST_STATES, GST_FILING_FREQUENCIES, getStateCodeFromGstin } = require('../../public/shared/gstEngine.mjs');
+
+const SALT_ROUNDS = 12;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -13,13 +17,53 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  password: {
+    type: String,
+    minlength: 8,
+    select: false
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
   gstRegistered: {
     type: Boolean,
     default: false
   },
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // GST state code of the user's place of business, e.g. "27" for Maharashtra
+  stateCode: {
+    type: String,
+    enum: Object.keys(GST_STATES)
+  },
+  // Monthly returns, or quarterly under the QRMP scheme
+  gstFilingFrequency: {
+    type: String,
+    enum: GST_FILING_FREQUENCIES,
+    default: 'monthly'
+  },
+  // Old-regime deduction claims for the year (amounts in rupees)
   deductions: {
-    type: Object,
-    default: {}
+    section80C: { type: Number, min: 0, default: 0 },
+    section80D: {
+      selfAndFamily: { type: Number, min: 0, default: 0 },
+      parents: { type: Number, min: 0, default: 0 },
+      selfSeniorCitizen: { type: Boolean, default: false },
+      parentsSeniorCitizen: { type: Boolean, default: false }
+    },
+    section80CCD1B: { type: Number, min: 0, default: 0 },
+    section80TTA: { type: Number, min: 0, default: 0 },
+    homeLoanInterest: { type: Number, min: 0, default: 0 },
+    hra: {
+      basicSalary: { type: Number, min: 0, default: 0 },
+      hraReceived: { type: Number, min: 0, default: 0 },
+      rentPaid: { type: Number, min: 0, default: 0 },
+      metroCity: { type: Boolean, default: false }
+    }
   },
   expenses: [{
     category: String,
@@ -29,16 +73,73 @@ const userSchema = new mongoose.Schema({
   }],
   panNumber: {
     type: String,
-    trim: true
+    trim: true,
+    uppercase: true
   },
   bankDetails: {
     accountNumber: String,
     ifscCode: String,
     bankName: String,
+    accountHolder: String,
     upiId: String
+  },
+  taxProfile: {
+    // Declare 50% of gross professional receipts as income under Section 44ADA
+    presumptive44ADA: {
+      type: Boolean,
+      default: false
+    }
+  },
+  invoiceSettings: {
+    prefix: {
+      type: String,
+      trim: true,
+      default: 'INV'
+    },
+    padding: {
+      type: Number,
+      min: 1,
+      max: 8,
+      default: 4
+    },
+    resetEveryFinancialYear: {
+      type: Boolean,
+      default: true
+    },
+    // Invoice template used when an invoice does not choose one
+    defaultTemplateId: {
+      type: String,
+      trim: true,
+      default: 'standard'
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  }
 });
 
+// Take the state code from the GSTIN when it was not chosen
+userSchema.pre('validate', function() {
+  if (!this.stateCode) {
+    this.stateCode = getStateCodeFromGstin(this.gstNumber) || undefined;
+  }
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function() {
+  if (!this.isModified('password') || !this.password) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+// Compare a plain-text password against the stored hash
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
 module.exports = mongoose.model('User', userSchema);
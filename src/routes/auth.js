@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const authController = require('../controllers/authController');
+
+// Validation middleware
+const validateSignup = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+  body('password')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters')
+];
+
+const validateLogin = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// POST /api/auth/signup
+router.post('/signup', validateSignup, authController.signup);
+
+// POST /api/auth/login
+router.post('/login', validateLogin, authController.login);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const brandingController = require('../controllers/brandingController');
+const { authenticate } = require('../middleware/auth');
+
+// Images are data URLs (data:image/png;base64,...); the service checks
+// the type and size. An empty string removes a field.
+const validateBranding = [
+  body(['logo', 'signature'])
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Images must be sent as data URLs'),
+  body('accentColor')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Accent colour must be a hex colour such as #6A0DAD'),
+  body('footerText')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Footer must be less than 300 characters'),
+  body('terms')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Terms must be less than 1000 characters')
+];
+
+router.use(authenticate);
+
+// GET /api/user/branding
+router.get('/', brandingController.getBranding);
+
+// PUT /api/user/branding
+router.put('/', validateBranding, brandingController.updateBranding);
+
+module.exports = router;
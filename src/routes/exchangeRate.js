@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authenticate } = require('../middleware/auth');
+
+const validateCurrencyQuery = [
+  query('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a 3-letter code such as USD')
+];
+
+const validateRate = [
+  body('currency')
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a 3-letter code such as USD')
+    .not().equals('INR')
+    .withMessage('Rates are for foreign currencies; INR is always 1'),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than 0')
+    .toFloat(),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Source must be less than 100 characters')
+    .escape()
+];
+
+// Rate table content: CSV as a string
+const validateImport = [
+  body('content')
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Rate table content is required'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Source must be less than 100 characters')
+    .escape()
+];
+
+router.use(authenticate);
+
+// GET /api/exchangeRates?currency=USD
+router.get('/', validateCurrencyQuery, exchangeRateController.getRates);
+
+// POST /api/exchangeRates
+router.post('/', validateRate, exchangeRateController.saveRate);
+
+// POST /api/exchangeRates/import
+router.post('/import', validateImport, exchangeRateController.importRates);
+
+// DELETE /api/exchangeRates/:id
+router.delete('/:id', exchangeRateController.deleteRate);
+
+module.exports = router;
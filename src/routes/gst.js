@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const gstController = require('../controllers/gstController');
+const { authenticate } = require('../middleware/auth');
+const { isValidTaxPeriod, isValidQuarter } = require('../utils/financialYear');
+
+// Optional ?period=2024-07; defaults to the current month
+const validatePeriod = [
+  query('period')
+    .optional()
+    .custom(isValidTaxPeriod)
+    .withMessage('Period must look like 2024-07')
+];
+
+// Required ?period=2024-07, with an optional download=true
+const validateReturnPeriod = [
+  query('period')
+    .custom(isValidTaxPeriod)
+    .withMessage('Period must look like 2024-07'),
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('Download must be true or false')
+];
+
+// Optional ?period=2024-07 or ?quarter=2024-25-Q2
+const validateReturnPeriodOrQuarter = [
+  ...validatePeriod,
+  query('quarter')
+    .optional()
+    .custom(isValidQuarter)
+    .withMessage('Quarter must look like 2024-25-Q2')
+];
+
+router.use(authenticate);
+
+// GET /api/gst/summary?period=2024-07
+router.get('/summary', validatePeriod, gstController.getSummary);
+
+// GET /api/gst/gstr1?period=2024-07
+router.get('/gstr1', validateReturnPeriod, gstController.getGstr1);
+
+// GET /api/gst/gstr3b?period=2024-07 or ?quarter=2024-25-Q2
+router.get('/gstr3b', validateReturnPeriodOrQuarter, gstController.getGstr3b);
+
+module.exports = router;
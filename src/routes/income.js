@@ -1,50 +1,175 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const incomeController = require('../controllers/incomeController');
+const { authenticate } = require('../middleware/auth');
+const { isValidFinancialYear } = require('../utils/financialYear');
+const { TDS_SECTIONS } = require('../config/taxRules');
 
-// Validation middleware
-const validateIncome = [
-  body('clientName')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Client name must be between 2 and 100 characters')
-    .escape(),
-  body('amount')
-    .isFloat({ gt: 0 })
-    .withMessage('Amount must be greater than 0'),
-  body('userId')
-    .notEmpty()
-    .withMessage('User ID is required'),
+// Receipts in another currency give the amount in that currency instead
+// of in rupees
+const isForeignCurrency = (value, { req }) =>
+  Boolean(req.body.currency) && String(req.body.currency).trim().toUpperCase() !== 'INR';
+const isRupees = (value, meta) => !isForeignCurrency(value, meta);
+
+// Validation middleware shared by create and update
+const incomeFields = [
   body('tdsDeducted')
     .optional()
     .isBoolean()
-    .withMessage('TDS deducted must be a boolean'),
+    .withMessage('TDS deducted must be a boolean')
+    .toBoolean(),
   body('gstApplicable')
     .optional()
     .isBoolean()
     .withMessage('GST applicable must be a boolean'),
+  body('paymentMode')
+    .optional()
+    .isIn(['bank', 'upi', 'cheque', 'cash'])
+    .withMessage('Payment mode must be bank, upi, cheque or cash'),
   body('notes')
     .optional()
     .trim()
     .isLength({ max: 500 })
     .withMessage('Notes must be less than 500 characters')
-    .escape()
+    .escape(),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a 3-letter code such as USD'),
+  body('originalAmount')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Amount received must be greater than 0')
+    .toFloat(),
+  body('exchangeRate')
+    .optional({ values: 'falsy' })
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be greater than 0')
+    .toFloat(),
+  body('firc')
+    .optional()
+    .isObject()
+    .withMessage('FIRC details must be an object'),
+  body('firc.reference')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('FIRC reference must be less than 50 characters')
+    .escape(),
+  body('firc.date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('FIRC date must be a valid date')
+    .toDate(),
+  body('firc.bank')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('FIRC bank must be less than 100 characters')
+    .escape(),
+  body('tds')
+    .optional()
+    .isObject()
+    .withMessage('TDS details must be an object'),
+  body('tds.section')
+    .optional({ values: 'falsy' })
+    .isIn(TDS_SECTIONS)
+    .withMessage(`TDS section must be one of ${TDS_SECTIONS.join(', ')}`),
+  body('tds.rate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('TDS rate must be a fraction between 0 and 1')
+    .toFloat(),
+  body('tds.amount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('TDS amount cannot be negative')
+    .toFloat()
+    .custom((value, { req }) => req.body.amount === undefined || value <= Number(req.body.amount))
+    .withMessage('TDS amount cannot be more than the income amount'),
+  body('tds.tan')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{4}[0-9]{5}[A-Z]$/)
+    .withMessage('TAN must be in the format ABCD12345E')
 ];
 
+const validateIncome = [
+  body('clientName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters')
+    .escape(),
+  body('amount')
+    .if(isRupees)
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('originalAmount')
+    .if(isForeignCurrency)
+    .exists({ values: 'null' })
+    .withMessage('Amount received in the foreign currency is required'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+    .toDate(),
+  ...incomeFields,
+  // A ticked TDS box needs the amount, or the section and rate to work it out
+  body('tds')
+    .if(body('tdsDeducted').equals('true'))
+    .custom(tds => tds?.amount > 0 || Boolean(tds?.rate && tds?.section))
+    .withMessage('Give the TDS amount, or the section and rate, when TDS was deducted')
+];
+
+const validateIncomeUpdate = [
+  body('clientName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters')
+    .escape(),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+    .toDate(),
+  ...incomeFields
+];
+
+// Optional ?fy=2024-25; defaults to the current financial year
+const validateFinancialYear = [
+  query('fy')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25')
+];
+
+router.use(authenticate);
+
 // POST /api/income/addIncome
 router.post('/addIncome', validateIncome, incomeController.addIncome);
 
-// GET /api/income/:userId
-router.get('/:userId', incomeController.getIncome);
+// GET /api/income
+router.get('/', incomeController.getIncome);
+
+// GET /api/income/summary?fy=2024-25
+router.get('/summary', validateFinancialYear, incomeController.getIncomeSummary);
+
+// GET /api/income/financialYears
+router.get('/financialYears', incomeController.getFinancialYears);
 
 // PUT /api/income/:id
-router.put('/:id', incomeController.updateIncome);
+router.put('/:id', validateIncomeUpdate, incomeController.updateIncome);
 
 // DELETE /api/income/:id
 router.delete('/:id', incomeController.deleteIncome);
 
-// GET /api/income/summary/:userId
-router.get('/summary/:userId', incomeController.getIncomeSummary);
-
 module.exports = router;
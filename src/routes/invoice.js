@@ -1,17 +1,357 @@
 const express = require('express');
 const router = express.Router();
+const { body, query } = require('express-validator');
 const invoiceController = require('../controllers/invoiceController');
+const invoiceService = require('../services/invoiceService');
+const { authenticate } = require('../middleware/auth');
+const { GST_STATES, GST_RATES, LINE_UNITS, isValidGstin } = require('../../public/shared/gstEngine.mjs');
+const { TDS_SECTIONS } = require('../config/taxRules');
+
+const STATE_CODES = Object.keys(GST_STATES);
+const TEMPLATE_IDS = invoiceService.getTemplates().map(template => template.id);
+// ARN of the Letter of Undertaking filed on the GST portal (form RFD-11)
+const LUT_ARN_PATTERN = /^AD[0-9]{2}[0-9A-Z]{11}$/;
+// Service Accounting Codes are six digits under chapter 99
+const SAC_PATTERN = /^99[0-9]{4}$/;
+
+// The line item an items[n].field path points into
+function itemAt(req, path) {
+  return req.body.items[Number(path.match(/\d+/)[0])] || {};
+}
+
+// Validation middleware shared by create and update
+const invoiceFields = [
+  body('clientName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters'),
+  body('client')
+    .optional()
+    .isObject()
+    .withMessage('Client must be an object'),
+  body('client.name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters'),
+  body('client.email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Client email is invalid'),
+  body('client.address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Client address must be less than 500 characters'),
+  body(['client.gstin', 'clientGstin'])
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Client GSTIN is invalid'),
+  body(['client.stateCode', 'clientStateCode', 'placeOfSupply'])
+    .optional({ values: 'falsy' })
+    .isIn(STATE_CODES)
+    .withMessage('State code must be a GST state code such as 27'),
+  body('invoiceType')
+    .optional()
+    .isIn(['domestic', 'export'])
+    .withMessage('Invoice type must be domestic or export'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter code such as USD'),
+  body('exchangeRate')
+    .optional({ values: 'falsy' })
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be greater than 0')
+    .toFloat(),
+  body('exportDetails')
+    .optional()
+    .isObject()
+    .withMessage('Export details must be an object'),
+  body('exportDetails.gstPayment')
+    .optional()
+    .isIn(['lut', 'igst'])
+    .withMessage('GST payment on an export must be lut or igst'),
+  body('exportDetails.lutArn')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .matches(LUT_ARN_PATTERN)
+    .withMessage('LUT ARN must look like AD270325001234X'),
+  body('exportDetails.country')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Country must be less than 60 characters'),
+  body('firc')
+    .optional()
+    .isObject()
+    .withMessage('FIRC details must be an object'),
+  body('firc.reference')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('FIRC reference must be less than 50 characters'),
+  body('firc.date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('FIRC date must be a valid date')
+    .toDate(),
+  body('firc.bank')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('FIRC bank must be less than 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Item description is required')
+    .isLength({ max: 500 })
+    .withMessage('Item description must be less than 500 characters'),
+  body('items.*.sac')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(SAC_PATTERN)
+    .withMessage('SAC must be a 6-digit code starting with 99, such as 998314'),
+  body('items.*.quantity')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Item quantity must be greater than 0')
+    .toFloat(),
+  body('items.*.unit')
+    .optional({ values: 'falsy' })
+    .isIn(LINE_UNITS)
+    .withMessage(`Item unit must be one of ${LINE_UNITS.join(', ')}`),
+  body('items.*.rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Item rate cannot be negative')
+    .toFloat(),
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Item discount cannot be negative')
+    .toFloat()
+    .custom((discount, { req, path }) => {
+      const item = itemAt(req, path);
+      return discount <= (item.quantity ?? 1) * (item.rate ?? item.amount ?? 0);
+    })
+    .withMessage('Item discount cannot be more than quantity x rate'),
+  body('items.*.gstRate')
+    .optional()
+    .isIn(GST_RATES)
+    .withMessage(`Item GST rate must be one of ${GST_RATES.join(', ')}`)
+    .toFloat(),
+  body('items.*.amount')
+    .if((amount, { req, path }) => itemAt(req, path).rate === undefined)
+    .isFloat({ gt: 0 })
+    .withMessage('Item needs a rate, or an amount greater than 0')
+    .toFloat(),
+  body('gstApplicable')
+    .optional()
+    .isBoolean()
+    .withMessage('GST applicable must be a boolean')
+    .toBoolean(),
+  body('tds')
+    .optional()
+    .isBoolean()
+    .withMessage('TDS must be a boolean')
+    .toBoolean(),
+  body('tdsSection')
+    .optional()
+    .isIn(TDS_SECTIONS)
+    .withMessage(`TDS section must be one of ${TDS_SECTIONS.join(', ')}`),
+  body('tdsRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('TDS rate must be a fraction between 0 and 1')
+    .toFloat(),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .toDate(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  body('templateId')
+    .optional()
+    .isIn(TEMPLATE_IDS)
+    .withMessage(`Template must be one of ${TEMPLATE_IDS.join(', ')}`)
+];
+
+const validateTemplateQuery = [
+  query('templateId')
+    .optional()
+    .isIn(TEMPLATE_IDS)
+    .withMessage(`Template must be one of ${TEMPLATE_IDS.join(', ')}`)
+];
+
+const validateInvoice = [
+  ...invoiceFields,
+  body('invoiceDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invoice date must be a valid date')
+    .toDate(),
+  body('status')
+    .optional()
+    .isIn(['draft', 'issued'])
+    .withMessage('A new invoice is either draft or issued')
+];
+
+const validateInvoiceUpdate = [
+  ...invoiceFields,
+  body('status')
+    .not()
+    .exists()
+    .withMessage('Use PUT /api/invoice/:id/status to change the status')
+];
+
+// Paid, partially paid and overdue follow from the payments and due date
+const validateStatus = [
+  body('status')
+    .isIn(['issued', 'sent', 'cancelled'])
+    .withMessage('Status must be issued, sent or cancelled')
+];
+
+const validatePayment = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount received must be greater than 0')
+    .toFloat(),
+  body('tdsAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('TDS withheld cannot be negative')
+    .toFloat(),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date')
+    .toDate(),
+  body('paymentMode')
+    .optional()
+    .isIn(['bank', 'upi', 'cheque', 'cash'])
+    .withMessage('Payment mode must be bank, upi, cheque or cash'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference must be less than 100 characters'),
+  body('exchangeRate')
+    .optional({ values: 'falsy' })
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be greater than 0')
+    .toFloat(),
+  body('firc')
+    .optional()
+    .isObject()
+    .withMessage('FIRC details must be an object'),
+  body('firc.reference')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('FIRC reference must be less than 50 characters'),
+  body('firc.date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('FIRC date must be a valid date')
+    .toDate(),
+  body('firc.bank')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('FIRC bank must be less than 100 characters')
+];
+
+const validateCreditNote = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters'),
+  body('noteDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Credit note date must be a valid date')
+    .toDate()
+];
+
+router.use(authenticate);
 
 // POST /api/invoice/generateInvoice
-router.post('/generateInvoice', invoiceController.generateInvoice);
+router.post('/generateInvoice', validateInvoice, invoiceController.generateInvoice);
 
 // POST /api/invoice/preview
-router.post('/preview', invoiceController.getInvoicePreview);
+router.post('/preview', invoiceFields, invoiceController.getInvoicePreview);
 
 // POST /api/invoice/calculate
-router.post('/calculate', invoiceController.calculateInvoiceAmounts);
+router.post('/calculate', invoiceFields, invoiceController.calculateInvoiceAmounts);
 
 // GET /api/invoice/templates
 router.get('/templates', invoiceController.getInvoiceTemplates);
 
+// GET /api/invoice/nextNumber
+router.get('/nextNumber', invoiceController.getNextInvoiceNumber);
+
+// POST /api/invoice
+router.post('/', validateInvoice, invoiceController.createInvoice);
+
+// GET /api/invoice?status=...
+router.get('/', invoiceController.getInvoices);
+
+// GET /api/invoice/:id
+router.get('/:id', invoiceController.getInvoice);
+
+// GET /api/invoice/:id/pdf?templateId=...
+router.get('/:id/pdf', validateTemplateQuery, invoiceController.downloadInvoice);
+
+// PUT /api/invoice/:id
+router.put('/:id', validateInvoiceUpdate, invoiceController.updateInvoice);
+
+// PUT /api/invoice/:id/status
+router.put('/:id/status', validateStatus, invoiceController.setInvoiceStatus);
+
+// POST /api/invoice/:id/payments
+router.post('/:id/payments', validatePayment, invoiceController.recordPayment);
+
+// DELETE /api/invoice/:id/payments/:paymentId
+router.delete('/:id/payments/:paymentId', invoiceController.deletePayment);
+
+// POST /api/invoice/:id/creditNotes
+router.post('/:id/creditNotes', validateCreditNote, invoiceController.createCreditNote);
+
+// GET /api/invoice/:id/creditNotes
+router.get('/:id/creditNotes', invoiceController.getCreditNotes);
+
+// DELETE /api/invoice/:id
+router.delete('/:id', invoiceController.cancelInvoice);
+
 module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const purchaseController = require('../controllers/purchaseController');
+const { authenticate } = require('../middleware/auth');
+const { isValidTaxPeriod } = require('../utils/financialYear');
+const { isValidGstin } = require('../../public/shared/gstEngine.mjs');
+
+// Validation middleware shared by create and update
+const purchaseFields = [
+  body('supplierGstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Supplier GSTIN is invalid'),
+  body('taxPeriod')
+    .optional()
+    .custom(isValidTaxPeriod)
+    .withMessage('Tax period must look like 2024-07'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters')
+    .escape(),
+  body(['cgstAmount', 'sgstAmount', 'igstAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tax amounts cannot be negative')
+    .toFloat(),
+  body('igstAmount')
+    .optional()
+    .custom((igst, { req }) => !(igst > 0 && (req.body.cgstAmount > 0 || req.body.sgstAmount > 0)))
+    .withMessage('A bill carries either IGST or CGST and SGST, not both'),
+  body('itcEligible')
+    .optional()
+    .isBoolean()
+    .withMessage('ITC eligible must be a boolean')
+    .toBoolean(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+    .escape()
+];
+
+const validatePurchase = [
+  ...purchaseFields,
+  body('supplierName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Supplier name must be between 2 and 100 characters')
+    .escape(),
+  body('billNumber')
+    .trim()
+    .isLength({ min: 1, max: 16 })
+    .withMessage('Bill number must be 1 to 16 characters'),
+  body('billDate')
+    .isISO8601()
+    .withMessage('Bill date must be a valid date')
+    .toDate(),
+  body('taxableValue')
+    .isFloat({ min: 0 })
+    .withMessage('Taxable value cannot be negative')
+    .toFloat()
+];
+
+const validatePurchaseUpdate = [
+  ...purchaseFields,
+  body('supplierName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Supplier name must be between 2 and 100 characters')
+    .escape(),
+  body('billNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 16 })
+    .withMessage('Bill number must be 1 to 16 characters'),
+  body('billDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Bill date must be a valid date')
+    .toDate(),
+  body('taxableValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Taxable value cannot be negative')
+    .toFloat()
+];
+
+// Optional ?period=2024-07
+const validatePeriod = [
+  query('period')
+    .optional()
+    .custom(isValidTaxPeriod)
+    .withMessage('Period must look like 2024-07')
+];
+
+router.use(authenticate);
+
+// POST /api/gst/purchases
+router.post('/', validatePurchase, purchaseController.createPurchase);
+
+// GET /api/gst/purchases?period=2024-07
+router.get('/', validatePeriod, purchaseController.getPurchases);
+
+// GET /api/gst/purchases/:id
+router.get('/:id', purchaseController.getPurchase);
+
+// PUT /api/gst/purchases/:id
+router.put('/:id', validatePurchaseUpdate, purchaseController.updatePurchase);
+
+// DELETE /api/gst/purchases/:id
+router.delete('/:id', purchaseController.deletePurchase);
+
+module.exports = router;
@@ -1,20 +1,102 @@
 const express = require('express');
 const router = express.Router();
+const { query, body } = require('express-validator');
 const taxController = require('../controllers/taxController');
+const { authenticate } = require('../middleware/auth');
+const { isValidFinancialYear } = require('../utils/financialYear');
+const { SUPPORTED_FINANCIAL_YEARS } = require('../config/taxRules');
 
-// GET /api/tax/calculateTax?userId=...
-router.get('/calculateTax', taxController.calculateTax);
+// Optional ?fy=2024-25; defaults to the current financial year
+const validateFinancialYear = [
+  query('fy')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25')
+    .bail()
+    .custom(fy => fy >= SUPPORTED_FINANCIAL_YEARS[0])
+    .withMessage(`Tax rules are available from FY ${SUPPORTED_FINANCIAL_YEARS[0]}`)
+];
+
+// Optional ?income=... to compare on a figure other than the recorded income
+const validateIncomeOverride = [
+  query('income')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Valid income amount is required')
+];
+
+// Optional ?estimatedIncome=... for advance tax on an estimate
+const validateEstimatedIncome = [
+  query('estimatedIncome')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Estimated income must be a number of 0 or more')
+    .toFloat()
+];
+
+// Optional ?download=true for the ITR-4 draft as a file
+const validateDownload = [
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('Download must be true or false')
+];
+
+// Advance tax payments and the filing date for interest under 234B/234C
+const validateInterest = [
+  body('fy')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25')
+    .bail()
+    .custom(fy => fy >= SUPPORTED_FINANCIAL_YEARS[0])
+    .withMessage(`Tax rules are available from FY ${SUPPORTED_FINANCIAL_YEARS[0]}`),
+  body('payments')
+    .optional()
+    .isArray()
+    .withMessage('Payments must be an array'),
+  body('payments.*.date')
+    .isISO8601()
+    .withMessage('Payment date must be a valid date'),
+  body('payments.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be greater than 0')
+    .toFloat(),
+  body('filingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Filing date must be a valid date'),
+  body('taxLiability')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tax liability cannot be negative')
+    .toFloat()
+];
+
+router.use(authenticate);
+
+// GET /api/tax/calculateTax?fy=2024-25
+router.get('/calculateTax', validateFinancialYear, taxController.calculateTax);
 
 // POST /api/tax/getDeductions
 router.post('/getDeductions', taxController.getDeductions);
 
-// GET /api/tax/nextDueDate?userId=...
+// GET /api/tax/nextDueDate
 router.get('/nextDueDate', taxController.getNextDueDate);
 
-// GET /api/tax/regimeComparison?income=...
-router.get('/regimeComparison', taxController.getTaxRegimeComparison);
+// GET /api/tax/gstThreshold?fy=2024-25
+router.get('/gstThreshold', validateFinancialYear, taxController.getGSTThreshold);
+
+// GET /api/tax/itr4?fy=2024-25&download=true
+router.get('/itr4', validateFinancialYear, validateDownload, taxController.getItr4);
+
+// GET /api/tax/regimeComparison?fy=2024-25&income=...
+router.get('/regimeComparison', validateFinancialYear, validateIncomeOverride, taxController.getTaxRegimeComparison);
+
+// GET /api/tax/advanceTax?estimatedIncome=...&fy=2024-25
+router.get('/advanceTax', validateFinancialYear, validateEstimatedIncome, taxController.getAdvanceTax);
 
-// GET /api/tax/advanceTax?userId=...&estimatedIncome=...
-router.get('/advanceTax', taxController.getAdvanceTax);
+// POST /api/tax/interest
+router.post('/interest', validateInterest, taxController.getInterest);
 
 module.exports = router;
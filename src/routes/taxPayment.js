@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const taxPaymentController = require('../controllers/taxPaymentController');
+const { authenticate } = require('../middleware/auth');
+const { isValidFinancialYear } = require('../utils/financialYear');
+
+// Validation middleware shared by create and update
+const paymentFields = [
+  body('financialYear')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25'),
+  body('bsrCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{7}$/)
+    .withMessage('BSR code must be 7 digits'),
+  body('challanNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{5}$/)
+    .withMessage('Challan serial number must be 5 digits'),
+  body('cin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{20}$/)
+    .withMessage('CIN must be 20 digits (BSR code, DDMMYYYY date and challan number)'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+    .escape()
+];
+
+const validatePayment = [
+  ...paymentFields,
+  body('type')
+    .isIn(['advance', 'self-assessment', 'regular'])
+    .withMessage('Type must be advance, self-assessment or regular'),
+  body('financialYear')
+    .if(body('type').not().equals('advance'))
+    .notEmpty()
+    .withMessage('Financial year is required for self-assessment and regular assessment tax'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('paymentDate')
+    .isISO8601()
+    .withMessage('Payment date must be a valid date')
+    .toDate()
+];
+
+const validatePaymentUpdate = [
+  ...paymentFields,
+  body('type')
+    .optional()
+    .isIn(['advance', 'self-assessment', 'regular'])
+    .withMessage('Type must be advance, self-assessment or regular'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date')
+    .toDate()
+];
+
+// Optional ?fy=2024-25
+const validateFinancialYear = [
+  query('fy')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25')
+];
+
+router.use(authenticate);
+
+// POST /api/tax/payments
+router.post('/', validatePayment, taxPaymentController.createPayment);
+
+// GET /api/tax/payments?fy=2024-25
+router.get('/', validateFinancialYear, taxPaymentController.getPayments);
+
+// GET /api/tax/payments/:id
+router.get('/:id', taxPaymentController.getPayment);
+
+// PUT /api/tax/payments/:id
+router.put('/:id', validatePaymentUpdate, taxPaymentController.updatePayment);
+
+// DELETE /api/tax/payments/:id
+router.delete('/:id', taxPaymentController.deletePayment);
+
+module.exports = router;
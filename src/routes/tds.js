@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const tdsController = require('../controllers/tdsController');
+const { authenticate } = require('../middleware/auth');
+const { isValidFinancialYear } = require('../utils/financialYear');
+
+// Statement content: 26AS text or CSV as a string, AIS JSON as a string or object
+const validateImport = [
+  body('format')
+    .optional()
+    .isIn(['26as-text', '26as-csv', 'ais-json'])
+    .withMessage('Format must be 26as-text, 26as-csv or ais-json'),
+  body('content')
+    .custom(content => (typeof content === 'string' && content.trim() !== '') ||
+      (typeof content === 'object' && content !== null))
+    .withMessage('Statement content is required')
+];
+
+// Optional ?fy=2024-25; defaults to the current financial year
+const validateFinancialYear = [
+  query('fy')
+    .optional()
+    .custom(isValidFinancialYear)
+    .withMessage('Financial year must look like 2024-25')
+];
+
+router.use(authenticate);
+
+// POST /api/tax/tds/import
+router.post('/import', validateImport, tdsController.importStatement);
+
+// GET /api/tax/tds/credits?fy=2024-25
+router.get('/credits', validateFinancialYear, tdsController.getCredits);
+
+// DELETE /api/tax/tds/credits?fy=2024-25
+router.delete('/credits', validateFinancialYear, tdsController.deleteCredits);
+
+// GET /api/tax/tds/reconciliation?fy=2024-25
+router.get('/reconciliation', validateFinancialYear, tdsController.getReconciliation);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const userController = require('../controllers/userController');
+const invoiceService = require('../services/invoiceService');
+const { authenticate } = require('../middleware/auth');
+const { GST_STATES, GST_FILING_FREQUENCIES, isValidGstin } = require('../../public/shared/gstEngine.mjs');
+
+const TEMPLATE_IDS = invoiceService.getTemplates().map(template => template.id);
+
+// Validation middleware
+const validateProfile = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[+]?[0-9\s-]{10,15}$/)
+    .withMessage('Phone number is invalid'),
+  body('panNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
+    .withMessage('PAN must be in the format ABCDE1234F'),
+  body('gstRegistered')
+    .optional()
+    .isBoolean()
+    .withMessage('GST registered must be a boolean')
+    .toBoolean(),
+  body('gstNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('GST number is invalid'),
+  body('stateCode')
+    .optional({ values: 'falsy' })
+    .isIn(Object.keys(GST_STATES))
+    .withMessage('State code must be a GST state code such as 27'),
+  body('gstFilingFrequency')
+    .optional()
+    .isIn(GST_FILING_FREQUENCIES)
+    .withMessage('GST filing frequency must be monthly or quarterly'),
+  body('bankDetails')
+    .optional()
+    .isObject()
+    .withMessage('Bank details must be an object'),
+  body('bankDetails.bankName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Bank name must be between 2 and 100 characters'),
+  body('bankDetails.accountNumber')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('bankDetails.ifscCode')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+    .withMessage('IFSC code is invalid'),
+  body('bankDetails.accountHolder')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account holder name must be between 2 and 100 characters'),
+  body('bankDetails.upiId')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[\w.-]+@[\w.-]+$/)
+    .withMessage('UPI ID is invalid'),
+  body('taxProfile')
+    .optional()
+    .isObject()
+    .withMessage('Tax profile must be an object'),
+  body('taxProfile.presumptive44ADA')
+    .optional()
+    .isBoolean()
+    .withMessage('Presumptive taxation must be a boolean')
+    .toBoolean(),
+  body('deductions')
+    .optional()
+    .isObject()
+    .withMessage('Deductions must be an object'),
+  body([
+    'deductions.section80C',
+    'deductions.section80D.selfAndFamily',
+    'deductions.section80D.parents',
+    'deductions.section80CCD1B',
+    'deductions.section80TTA',
+    'deductions.homeLoanInterest',
+    'deductions.hra.basicSalary',
+    'deductions.hra.hraReceived',
+    'deductions.hra.rentPaid'
+  ])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Deduction amounts cannot be negative')
+    .toFloat(),
+  body([
+    'deductions.section80D.selfSeniorCitizen',
+    'deductions.section80D.parentsSeniorCitizen',
+    'deductions.hra.metroCity'
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean')
+    .toBoolean(),
+  body('invoiceSettings')
+    .optional()
+    .isObject()
+    .withMessage('Invoice settings must be an object'),
+  body('invoiceSettings.prefix')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Invoice prefix must be 1 to 10 letters, digits or hyphens'),
+  body('invoiceSettings.padding')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Invoice number padding must be between 1 and 8 digits')
+    .toInt(),
+  body('invoiceSettings.resetEveryFinancialYear')
+    .optional()
+    .isBoolean()
+    .withMessage('Reset every financial year must be a boolean')
+    .toBoolean(),
+  body('invoiceSettings.defaultTemplateId')
+    .optional()
+    .isIn(TEMPLATE_IDS)
+    .withMessage(`Default invoice template must be one of ${TEMPLATE_IDS.join(', ')}`),
+  body('expenses')
+    .optional()
+    .isArray()
+    .withMessage('Expenses must be an array'),
+  body('expenses.*.category')
+    .trim()
+    .notEmpty()
+    .withMessage('Expense category is required'),
+  body('expenses.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Expense amount must be greater than 0')
+    .toFloat(),
+  body('expenses.*.date')
+    .optional()
+    .isISO8601()
+    .withMessage('Expense date must be a valid date')
+    .toDate(),
+  body('expenses.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Expense description must be less than 500 characters')
+];
+
+router.use(authenticate);
+
+// GET /api/user/me
+router.get('/me', userController.getUser);
+
+// PUT /api/user/me
+router.put('/me', validateProfile, userController.updateUser);
+
+module.exports = router;
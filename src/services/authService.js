@@ -0,0 +1,72 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+
+class AuthService {
+  // Sign a session token carrying the user's ID
+  generateToken(userId) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.sign(
+      { sub: userId.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+  }
+
+  // Verify a session token and return the user ID it was issued for
+  verifyToken(token) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.sub;
+  }
+
+  // Register a new user and issue a session token
+  async signup({ name, email, password }) {
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      const error = new Error('User already exists');
+      error.status = 400;
+      throw error;
+    }
+
+    const user = new User({
+      name,
+      email,
+      password,
+      gstRegistered: false,
+      deductions: {},
+      expenses: [],
+      bankDetails: {}
+    });
+
+    const savedUser = await user.save();
+
+    return {
+      token: this.generateToken(savedUser._id),
+      user: savedUser
+    };
+  }
+
+  // Check credentials and issue a session token
+  async login({ email, password }) {
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      const error = new Error('Invalid email or password');
+      error.status = 401;
+      throw error;
+    }
+
+    return {
+      token: this.generateToken(user._id),
+      user
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,107 @@
+const zlib = require('zlib');
+const PDFDocument = require('pdfkit');
+const Branding = require('../models/branding');
+
+// Largest logo or signature accepted, once decoded
+const MAX_IMAGE_BYTES = 500 * 1024;
+const DATA_URL_PATTERN = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=]+)$/;
+
+// Leading bytes of each image type, so an upload is the type it claims
+const FILE_SIGNATURES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff]
+};
+
+const IMAGE_FIELDS = { logo: 'Logo', signature: 'Signature' };
+const TEXT_FIELDS = ['accentColor', 'footerText', 'terms'];
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Whether pdfkit can embed an image. PNG pixel data is only inflated when
+// the PDF is written, so it is inflated here too: a file that merely
+// starts like a PNG would otherwise fail every invoice it appears on.
+function isReadableImage(data) {
+  try {
+    const image = new PDFDocument({ autoFirstPage: false }).openImage(data);
+    if (image.image?.imgData) {
+      zlib.inflateSync(image.image.imgData);
+    }
+    return image.width > 0 && image.height > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Image from a data URL such as the browser's FileReader produces
+function parseImage(dataUrl, label) {
+  const match = DATA_URL_PATTERN.exec(String(dataUrl).replace(/\s/g, ''));
+  if (!match) {
+    throw serviceError(`${label} must be a PNG or JPEG image`, 400);
+  }
+
+  const [, contentType, base64] = match;
+  const data = Buffer.from(base64, 'base64');
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw serviceError(`${label} must be ${MAX_IMAGE_BYTES / 1024} KB or smaller`, 400);
+  }
+  if (!FILE_SIGNATURES[contentType].every((byte, index) => data[index] === byte) || !isReadableImage(data)) {
+    throw serviceError(`${label} is not a valid ${contentType === 'image/png' ? 'PNG' : 'JPEG'} file`, 400);
+  }
+
+  return { data, contentType };
+}
+
+// Stored image as a data URL for the browser
+function toDataUrl(image) {
+  return image && image.data ? `data:${image.contentType};base64,${image.data.toString('base64')}` : null;
+}
+
+class BrandingService {
+  // Whether a stored logo or signature can still be drawn on a PDF
+  isReadableImage(image) {
+    return Boolean(image?.data) && isReadableImage(image.data);
+  }
+
+  // The user's branding, or null if they have not set any
+  async getBranding(userId) {
+    return Branding.findOne({ userId });
+  }
+
+  // Branding as the profile page and invoice preview use it, with the
+  // images as data URLs
+  toView(branding) {
+    return {
+      accentColor: branding?.accentColor || null,
+      footerText: branding?.footerText || null,
+      terms: branding?.terms || null,
+      logo: toDataUrl(branding?.logo),
+      signature: toDataUrl(branding?.signature)
+    };
+  }
+
+  // Change any of the branding fields. Images are sent as data URLs; an
+  // empty value removes an image, colour or text.
+  async updateBranding(userId, updates) {
+    const branding = await this.getBranding(userId) || new Branding({ userId });
+
+    Object.entries(IMAGE_FIELDS).forEach(([field, label]) => {
+      if (updates[field] !== undefined) {
+        branding[field] = updates[field] ? parseImage(updates[field], label) : undefined;
+      }
+    });
+    TEXT_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        branding[field] = updates[field] || undefined;
+      }
+    });
+
+    return branding.save();
+  }
+}
+
+module.exports = new BrandingService();
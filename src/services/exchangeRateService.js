@@ -0,0 +1,188 @@
+const ExchangeRate = require('../models/exchangeRate');
+const { parseStatementDate, splitCsvLine } = require('../utils/csv');
+
+// A receipt or invoice may use the latest rate from up to this many days
+// before its date, covering weekends and bank holidays
+const RATE_LOOKBACK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Header cell reduced to letters: "Rate (INR)" -> "rateinr"
+function toKey(header) {
+  return header.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Currency a rate-table column is for: "USD", "INR / 1 USD", "EUR-INR"
+function toCurrency(header) {
+  const codes = (header.toUpperCase().match(/\b[A-Z]{3}\b/g) || []).filter(code => code !== 'INR');
+  return codes.length === 1 ? codes[0] : null;
+}
+
+// Rate as printed in a table ("83.4512", "1,234.50")
+function parseRate(value) {
+  const rate = parseFloat(String(value ?? '').replace(/[,\s₹]/g, ''));
+  return rate > 0 ? rate : null;
+}
+
+// YYYY-MM-DD for messages
+function formatDay(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+class ExchangeRateService {
+  // Read a rate table. Two CSV layouts are accepted: one row per rate
+  // (Date, Currency, Rate[, Source]) or one row per day with a column per
+  // currency (Date, USD, EUR, ...), as RBI and bank downloads are laid out.
+  parseRateTable(content) {
+    const lines = String(content).split(/\r?\n/).filter(line => line.trim() !== '');
+    const headerIndex = lines.findIndex(line => splitCsvLine(line).some(cell => toKey(cell) === 'date'));
+    if (headerIndex === -1) {
+      throw serviceError('Rate table needs a header row with a Date column', 400);
+    }
+
+    const headers = splitCsvLine(lines[headerIndex]);
+    const keys = headers.map(toKey);
+    const dateColumn = keys.indexOf('date');
+    const currencyColumn = keys.indexOf('currency');
+    const rateColumn = keys.findIndex(key => key.startsWith('rate'));
+    const sourceColumn = keys.indexOf('source');
+    const longForm = currencyColumn !== -1 && rateColumn !== -1;
+
+    const currencyColumns = longForm ? [] : headers
+      .map((header, index) => ({ index, currency: index === dateColumn ? null : toCurrency(header) }))
+      .filter(column => column.currency);
+    if (!longForm && currencyColumns.length === 0) {
+      throw serviceError('Rate table needs Currency and Rate columns or a column per currency', 400);
+    }
+
+    const rates = [];
+    let skipped = 0;
+
+    lines.slice(headerIndex + 1).forEach(line => {
+      const cells = splitCsvLine(line);
+      const date = parseStatementDate(cells[dateColumn]);
+
+      if (longForm) {
+        const currency = String(cells[currencyColumn] || '').trim().toUpperCase();
+        const rate = parseRate(cells[rateColumn]);
+        if (!date || !CURRENCY_PATTERN.test(currency) || currency === 'INR' || !rate) {
+          skipped++;
+          return;
+        }
+        rates.push({ currency, date, rate, ...(sourceColumn !== -1 && cells[sourceColumn] && { source: cells[sourceColumn] }) });
+        return;
+      }
+
+      if (!date) {
+        skipped++;
+        return;
+      }
+      currencyColumns.forEach(({ index, currency }) => {
+        const rate = parseRate(cells[index]);
+        if (rate) {
+          rates.push({ currency, date, rate });
+        }
+      });
+    });
+
+    return { rates, skipped };
+  }
+
+  // Store the rates from a table. A currency and date already in the
+  // user's table takes the imported rate.
+  async importRates(userId, content, source) {
+    const { rates, skipped } = this.parseRateTable(content);
+    if (rates.length === 0) {
+      throw serviceError('No exchange rates found in the table', 400);
+    }
+
+    const result = await ExchangeRate.bulkWrite(rates.map(rate => ({
+      updateOne: {
+        filter: { userId, currency: rate.currency, date: rate.date },
+        update: { $set: { rate: rate.rate, source: rate.source || source || 'Imported rate table' } },
+        upsert: true
+      }
+    })));
+
+    return {
+      parsed: rates.length,
+      imported: result.upsertedCount,
+      updated: result.modifiedCount,
+      skipped,
+      currencies: [...new Set(rates.map(rate => rate.currency))].sort()
+    };
+  }
+
+  // Add or replace one day's rate
+  async saveRate(userId, { currency, date, rate, source }) {
+    const day = parseStatementDate(date);
+    if (!day) {
+      throw serviceError('Rate date is invalid', 400);
+    }
+
+    return ExchangeRate.findOneAndUpdate(
+      { userId, currency: currency.toUpperCase(), date: day },
+      { rate, source: source || 'Manual entry' },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // The user's rate table, newest first, optionally for one currency
+  async getRates(userId, { currency } = {}) {
+    const query = { userId };
+    if (currency) {
+      query.currency = currency.toUpperCase();
+    }
+    return ExchangeRate.find(query).sort({ date: -1, currency: 1 });
+  }
+
+  async deleteRate(userId, rateId) {
+    const rate = await ExchangeRate.findOneAndDelete({ _id: rateId, userId });
+    if (!rate) {
+      throw serviceError('Exchange rate not found', 404);
+    }
+    return rate;
+  }
+
+  // The rate in force on a date: the latest one on or shortly before it
+  async findRate(userId, currency, date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    return ExchangeRate.findOne({
+      userId,
+      currency,
+      date: { $lte: day, $gt: new Date(day.getTime() - (RATE_LOOKBACK_DAYS + 1) * DAY_MS) }
+    }).sort({ date: -1 });
+  }
+
+  // Conversion details to store with a foreign-currency amount. A rate the
+  // user typed in is kept as given; otherwise it comes from their table.
+  async resolveRate(userId, { currency, exchangeRate, date = new Date() }) {
+    if (!currency || currency === 'INR') {
+      return { exchangeRate: 1, rateSource: undefined, rateDate: undefined };
+    }
+    if (exchangeRate > 0) {
+      return { exchangeRate, rateSource: 'Manual entry', rateDate: new Date(date) };
+    }
+
+    const rate = await this.findRate(userId, currency, date);
+    if (!rate) {
+      throw serviceError(
+        `No ${currency} rate on or within ${RATE_LOOKBACK_DAYS} days before ${formatDay(date)}; ` +
+        'enter the exchange rate or import a rate table', 400);
+    }
+
+    return { exchangeRate: rate.rate, rateSource: rate.source, rateDate: rate.date };
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,514 @@
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const User = require('../models/user');
+const Purchase = require('../models/purchase');
+const { taxPeriodDateQuery, getTaxPeriod } = require('../utils/financialYear');
+const {
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC,
+  SAC_CODES,
+  isValidGstin,
+  setOffItc
+} = require('../../public/shared/gstEngine.mjs');
+
+// Schema version of the GSTR-1 offline tool JSON
+const GSTR1_VERSION = 'GST3.2';
+
+// An inter-state invoice to an unregistered client above this value is
+// reported invoice by invoice (B2CL) instead of in the B2CS totals. The
+// limit fell from ₹2.5 lakh to ₹1 lakh from August 2024.
+const B2CL_LIMITS = [
+  { from: new Date(2024, 7, 1), limit: 100000 },
+  { from: new Date(0), limit: 250000 }
+];
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Round to paise
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// dd-mm-yyyy, as the offline tool writes dates
+function toPortalDate(date) {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+}
+
+// "2024-07" as the return period the portal expects, "072024"
+function toReturnPeriod(period) {
+  const [year, month] = period.split('-');
+  return `${month}${year}`;
+}
+
+function b2clLimit(date) {
+  return B2CL_LIMITS.find(({ from }) => new Date(date) >= from).limit;
+}
+
+// Value GST is reported on. Invoices from before export support were
+// always billed in rupees.
+function taxableValueOf(invoice) {
+  return invoice.taxableValue ?? invoice.subtotal;
+}
+
+// Count, taxable value and tax of a group of invoices
+function summarise(invoices) {
+  return invoices.reduce((totals, invoice) => ({
+    count: totals.count + 1,
+    taxableValue: totals.taxableValue + taxableValueOf(invoice),
+    cgstAmount: totals.cgstAmount + (invoice.cgstAmount || 0),
+    sgstAmount: totals.sgstAmount + (invoice.sgstAmount || 0),
+    igstAmount: totals.igstAmount + (invoice.igstAmount || 0),
+    gstAmount: totals.gstAmount + (invoice.gstAmount || 0)
+  }), { count: 0, taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, gstAmount: 0 });
+}
+
+// Tax rate in percent, as the return reports it
+function ratePercent(rate) {
+  return +(rate * 100).toFixed(2);
+}
+
+// Invoice value in rupees: what the client is billed including GST, or for
+// an export, the rupee value of the supply
+function invoiceValueOf(invoice) {
+  return invoice.invoiceType === 'export' ? taxableValueOf(invoice) : invoice.totalAmount;
+}
+
+// Taxable value and tax of an invoice's line items or a credit note's
+// lines. Documents from before tax was worked out per line are one line
+// at the standard SAC and rate.
+function taxLinesOf(document) {
+  const lines = document.lines ?? document.items;
+  if (lines?.length && lines.every(line => line.taxableValue !== undefined && line.taxableValue !== null)) {
+    return lines;
+  }
+  return [{
+    sac: DEFAULT_SAC,
+    gstRate: DEFAULT_GST_RATE,
+    taxableValue: taxableValueOf(document),
+    cgstAmount: document.cgstAmount,
+    sgstAmount: document.sgstAmount,
+    igstAmount: document.igstAmount
+  }];
+}
+
+// Lines summed into one row per key, e.g. per GST rate
+function groupLines(lines, keyOf) {
+  const groups = new Map();
+  lines.forEach(({ line, sign = 1 }) => {
+    const key = keyOf(line);
+    const group = groups.get(key) || {
+      sac: line.sac || DEFAULT_SAC,
+      gstRate: line.gstRate ?? DEFAULT_GST_RATE,
+      taxableValue: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0
+    };
+    group.taxableValue += sign * line.taxableValue;
+    group.cgstAmount += sign * (line.cgstAmount || 0);
+    group.sgstAmount += sign * (line.sgstAmount || 0);
+    group.igstAmount += sign * (line.igstAmount || 0);
+    groups.set(key, group);
+  });
+  return [...groups.values()];
+}
+
+// A document's taxable value and tax per GST rate
+function rateRows(document) {
+  return groupLines(taxLinesOf(document).map(line => ({ line })), line => line.gstRate ?? DEFAULT_GST_RATE);
+}
+
+// One rate line of an invoice or note, with the tax heads for its supply
+function itemDetails(row, interState) {
+  const details = { txval: round2(row.taxableValue), rt: ratePercent(row.gstRate) };
+  if (interState) {
+    details.iamt = round2(row.igstAmount || 0);
+  } else {
+    details.camt = round2(row.cgstAmount || 0);
+    details.samt = round2(row.sgstAmount || 0);
+  }
+  details.csamt = 0;
+  return details;
+}
+
+// The itms of a B2B, B2CL or CDNR entry: one per GST rate
+function rateItems(document, interState) {
+  return rateRows(document).map((row, index) => ({ num: index + 1, itm_det: itemDetails(row, interState) }));
+}
+
+// The GSTR-1 table an invoice belongs in, or why it cannot be placed
+function classifyInvoice(invoice) {
+  if (invoice.invoiceType === 'export') {
+    return { section: 'exp' };
+  }
+  if (!invoice.gstApplicable) {
+    return { reason: 'No GST was charged; report it under nil-rated, exempt or non-GST supplies' };
+  }
+  if (!invoice.placeOfSupply) {
+    return { reason: 'Place of supply is unknown; set your state on the profile or the client\'s state' };
+  }
+
+  const gstin = invoice.client?.gstin;
+  if (gstin) {
+    return isValidGstin(gstin) ? { section: 'b2b' } : { reason: `Client GSTIN ${gstin} is invalid` };
+  }
+  if (invoice.supplyType === 'inter-state' && invoice.totalAmount > b2clLimit(invoice.invoiceDate)) {
+    return { section: 'b2cl' };
+  }
+  return { section: 'b2cs' };
+}
+
+// Add an entry to the list kept under `key`
+function addToGroup(groups, key, entry) {
+  if (!groups.has(key)) {
+    groups.set(key, []);
+  }
+  groups.get(key).push(entry);
+}
+
+// HSN/SAC summary: taxable value and tax per SAC and rate, less credit notes
+function buildHsnSummary(invoices, creditNotes) {
+  const lines = [
+    ...invoices.flatMap(invoice => taxLinesOf(invoice).map(line => ({ line }))),
+    ...creditNotes.flatMap(note => taxLinesOf(note).map(line => ({ line, sign: -1 })))
+  ];
+
+  return groupLines(lines, line => `${line.sac || DEFAULT_SAC}|${line.gstRate ?? DEFAULT_GST_RATE}`)
+    .sort((a, b) => a.sac.localeCompare(b.sac) || a.gstRate - b.gstRate)
+    .map((row, index) => ({
+      num: index + 1,
+      hsn_sc: row.sac,
+      desc: SAC_CODES[row.sac] || '',
+      uqc: 'NA',
+      qty: 0,
+      rt: ratePercent(row.gstRate),
+      txval: round2(row.taxableValue),
+      iamt: round2(row.igstAmount),
+      camt: round2(row.cgstAmount),
+      samt: round2(row.sgstAmount),
+      csamt: 0
+    }));
+}
+
+// Zeroed taxable value and tax heads for a GSTR-3B table row
+function heads() {
+  return { taxableValue: 0, igst: 0, cgst: 0, sgst: 0 };
+}
+
+// Every amount of a row rounded to paise
+function roundHeads(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, round2(value)]));
+}
+
+class GstService {
+  // Invoices issued in a tax period (or `months` periods from it), in date
+  // order. Drafts, not yet issued, and cancelled invoices are left out.
+  async getPeriodInvoices(userId, period, months = 1) {
+    return Invoice.find({
+      userId,
+      status: { $nin: ['draft', 'cancelled'] },
+      invoiceDate: taxPeriodDateQuery(period, months)
+    }).sort({ invoiceDate: 1, sequence: 1 });
+  }
+
+  // Credit notes issued in a tax period (or `months` periods from it), each
+  // with the invoice it amends
+  async getPeriodCreditNotes(userId, period, months = 1) {
+    const creditNotes = await CreditNote.find({ userId, noteDate: taxPeriodDateQuery(period, months) })
+      .sort({ noteDate: 1, sequence: 1 });
+    const invoices = await Invoice.find({ _id: { $in: creditNotes.map(note => note.invoiceId) } });
+    const invoicesById = new Map(invoices.map(invoice => [invoice._id.toString(), invoice]));
+
+    return creditNotes.map(note => ({ note, invoice: invoicesById.get(note.invoiceId.toString()) }));
+  }
+
+  // Supplies counted in a financial year's aggregate turnover, dated and
+  // in rupees: the taxable value of every invoice, exports included, less
+  // the credit notes issued against them
+  async getTurnoverEntries(userId, financialYear) {
+    const firstPeriod = `${financialYear.slice(0, 4)}-04`;
+    const invoices = await this.getPeriodInvoices(userId, firstPeriod, 12);
+    const creditNotes = await this.getPeriodCreditNotes(userId, firstPeriod, 12);
+
+    return [
+      ...invoices.map(invoice => ({
+        date: invoice.invoiceDate,
+        amount: taxableValueOf(invoice),
+        export: invoice.invoiceType === 'export'
+      })),
+      ...creditNotes.map(({ note, invoice }) => ({
+        date: note.noteDate,
+        amount: -note.taxableValue,
+        export: invoice?.invoiceType === 'export'
+      }))
+    ];
+  }
+
+  // Outward supplies for a tax period. Exports are reported apart from
+  // domestic supplies, split into zero-rated supplies under an LUT and
+  // supplies on which IGST was paid.
+  async getSummary(userId, period) {
+    const invoices = await this.getPeriodInvoices(userId, period);
+    const domestic = invoices.filter(invoice => invoice.invoiceType !== 'export');
+    const exports = invoices.filter(invoice => invoice.invoiceType === 'export');
+    const withPayment = exports.filter(invoice => invoice.exportDetails?.gstPayment === 'igst');
+    const withoutPayment = exports.filter(invoice => invoice.exportDetails?.gstPayment !== 'igst');
+
+    return {
+      period,
+      domestic: summarise(domestic),
+      exports: {
+        withoutPayment: {
+          ...summarise(withoutPayment),
+          lutArns: [...new Set(withoutPayment.map(invoice => invoice.exportDetails?.lutArn).filter(Boolean))]
+        },
+        withPayment: summarise(withPayment)
+      },
+      total: summarise(invoices)
+    };
+  }
+
+  // GSTR-1 for a tax period in the offline tool's JSON layout, built from
+  // the invoices and credit notes issued in the period. Documents that
+  // cannot be placed in a table are left out and listed in `flagged`.
+  async getGstr1(userId, period) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+    if (!isValidGstin(user.gstNumber)) {
+      throw serviceError('Add a valid GSTIN to your profile to generate GSTR-1', 400);
+    }
+
+    const invoices = await this.getPeriodInvoices(userId, period);
+    const creditNotes = await this.getPeriodCreditNotes(userId, period);
+
+    const b2b = new Map();
+    const b2cl = new Map();
+    const b2cs = new Map();
+    const exp = new Map();
+    const cdnr = new Map();
+    const flagged = [];
+    const reported = [];
+    const reportedNotes = [];
+
+    invoices.forEach(invoice => {
+      const { section, reason } = classifyInvoice(invoice);
+      if (!section) {
+        flagged.push({ type: 'invoice', id: invoice._id, number: invoice.invoiceNumber, date: invoice.invoiceDate, reason });
+        return;
+      }
+      reported.push(invoice);
+
+      const interState = invoice.supplyType !== 'intra-state';
+      const entry = {
+        inum: invoice.invoiceNumber,
+        idt: toPortalDate(invoice.invoiceDate),
+        val: round2(invoiceValueOf(invoice))
+      };
+
+      if (section === 'b2b') {
+        addToGroup(b2b, invoice.client.gstin, {
+          ...entry,
+          pos: invoice.placeOfSupply,
+          rchrg: 'N',
+          inv_typ: 'R',
+          itms: rateItems(invoice, interState)
+        });
+      } else if (section === 'b2cl') {
+        addToGroup(b2cl, invoice.placeOfSupply, {
+          ...entry,
+          itms: rateItems(invoice, true)
+        });
+      } else if (section === 'exp') {
+        addToGroup(exp, invoice.exportDetails?.gstPayment === 'igst' ? 'WPAY' : 'WOPAY', {
+          ...entry,
+          itms: rateItems(invoice, true).map(({ itm_det: { txval, rt, iamt, csamt } }) => ({ txval, rt, iamt, csamt }))
+        });
+      } else {
+        rateRows(invoice).forEach(row => {
+          addToGroup(b2cs, `${interState ? 'INTER' : 'INTRA'}|${invoice.placeOfSupply}|${row.gstRate}`, row);
+        });
+      }
+    });
+
+    creditNotes.forEach(({ note, invoice }) => {
+      const flag = reason => flagged.push({ type: 'credit-note', id: note._id, number: note.noteNumber, date: note.noteDate, reason });
+
+      if (!invoice) {
+        flag('The invoice this credit note amends no longer exists');
+        return;
+      }
+      if (classifyInvoice(invoice).section !== 'b2b') {
+        flag('Credit notes to unregistered or overseas clients go in CDNUR or B2CS, which are not generated');
+        return;
+      }
+      reportedNotes.push(note);
+
+      addToGroup(cdnr, invoice.client.gstin, {
+        ntty: 'C',
+        nt_num: note.noteNumber,
+        nt_dt: toPortalDate(note.noteDate),
+        val: round2(note.totalAmount),
+        pos: invoice.placeOfSupply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: rateItems(note, invoice.supplyType !== 'intra-state')
+      });
+    });
+
+    const gstr1 = {
+      gstin: user.gstNumber,
+      fp: toReturnPeriod(period),
+      version: GSTR1_VERSION,
+      hash: 'hash'
+    };
+
+    if (b2b.size > 0) {
+      gstr1.b2b = [...b2b].map(([ctin, inv]) => ({ ctin, inv }));
+    }
+    if (b2cl.size > 0) {
+      gstr1.b2cl = [...b2cl].map(([pos, inv]) => ({ pos, inv }));
+    }
+    if (b2cs.size > 0) {
+      gstr1.b2cs = [...b2cs].map(([key, rows]) => {
+        const [supplyType, pos, rate] = key.split('|');
+        const totals = rows.reduce((sum, row) => ({
+          txval: sum.txval + row.taxableValue,
+          iamt: sum.iamt + row.igstAmount,
+          camt: sum.camt + row.cgstAmount,
+          samt: sum.samt + row.sgstAmount
+        }), { txval: 0, iamt: 0, camt: 0, samt: 0 });
+
+        return {
+          sply_ty: supplyType,
+          pos,
+          typ: 'OE',
+          txval: round2(totals.txval),
+          rt: ratePercent(Number(rate)),
+          ...(supplyType === 'INTER'
+            ? { iamt: round2(totals.iamt) }
+            : { camt: round2(totals.camt), samt: round2(totals.samt) }),
+          csamt: 0
+        };
+      });
+    }
+    if (exp.size > 0) {
+      gstr1.exp = [...exp].map(([exportType, inv]) => ({ exp_typ: exportType, inv }));
+    }
+    if (cdnr.size > 0) {
+      gstr1.cdnr = [...cdnr].map(([ctin, nt]) => ({ ctin, nt }));
+    }
+
+    const hsn = buildHsnSummary(reported, reportedNotes);
+    if (hsn.length > 0) {
+      gstr1.hsn = { data: hsn };
+    }
+
+    return {
+      gstr1,
+      flagged,
+      summary: {
+        invoices: invoices.length,
+        creditNotes: creditNotes.length,
+        reported: reported.length + reportedNotes.length,
+        flagged: flagged.length
+      }
+    };
+  }
+
+  // GSTR-3B for a month, or a quarter when `months` is 3: tax on outward
+  // supplies net of credit notes (table 3.1), inter-state supplies to
+  // unregistered clients (3.2), input tax credit from purchase bills (4)
+  // and the tax left to pay in cash once the credit is set off (6.1).
+  // Credit carried forward from earlier periods is not included.
+  async getGstr3b(userId, period, months = 1) {
+    const invoices = await this.getPeriodInvoices(userId, period, months);
+    const creditNotes = await this.getPeriodCreditNotes(userId, period, months);
+    const [year, month] = period.split('-').map(Number);
+    const periods = Array.from({ length: months }, (_, i) => getTaxPeriod(new Date(year, month - 1 + i, 1)));
+    const purchases = await Purchase.find({ userId, taxPeriod: { $in: periods } });
+
+    const taxable = heads();
+    const zeroRated = heads();
+    const nilExempt = heads();
+    const unregistered = new Map();
+
+    const add = (totals, document, sign = 1) => {
+      totals.taxableValue += sign * taxableValueOf(document);
+      totals.igst += sign * (document.igstAmount || 0);
+      totals.cgst += sign * (document.cgstAmount || 0);
+      totals.sgst += sign * (document.sgstAmount || 0);
+    };
+    const bucketOf = invoice => {
+      if (invoice.invoiceType === 'export') {
+        return zeroRated;
+      }
+      return invoice.gstApplicable ? taxable : nilExempt;
+    };
+
+    invoices.forEach(invoice => {
+      add(bucketOf(invoice), invoice);
+
+      if (invoice.invoiceType !== 'export' && invoice.gstApplicable && invoice.supplyType === 'inter-state' &&
+          !isValidGstin(invoice.client?.gstin)) {
+        if (!unregistered.has(invoice.placeOfSupply)) {
+          unregistered.set(invoice.placeOfSupply, heads());
+        }
+        add(unregistered.get(invoice.placeOfSupply), invoice);
+      }
+    });
+    creditNotes
+      .filter(({ invoice }) => invoice)
+      .forEach(({ note, invoice }) => add(bucketOf(invoice), note, -1));
+
+    const eligible = heads();
+    const ineligible = heads();
+    purchases.forEach(purchase => add(purchase.itcEligible ? eligible : ineligible, purchase));
+
+    const liability = {
+      igst: round2(taxable.igst + zeroRated.igst),
+      cgst: round2(taxable.cgst),
+      sgst: round2(taxable.sgst)
+    };
+    const credit = { igst: round2(eligible.igst), cgst: round2(eligible.cgst), sgst: round2(eligible.sgst) };
+    const setOff = setOffItc(liability, credit);
+    const cash = roundHeads(setOff.cash);
+
+    return {
+      period,
+      to: periods[periods.length - 1],
+      outwardSupplies: {
+        taxable: roundHeads(taxable),
+        zeroRated: roundHeads(zeroRated),
+        nilExempt: roundHeads(nilExempt)
+      },
+      interStateUnregistered: [...unregistered].map(([placeOfSupply, totals]) => ({
+        placeOfSupply,
+        taxableValue: round2(totals.taxableValue),
+        igst: round2(totals.igst)
+      })),
+      itc: {
+        eligible: roundHeads(eligible),
+        ineligible: roundHeads(ineligible)
+      },
+      liability,
+      itcUtilised: Object.fromEntries(Object.entries(setOff.utilised).map(([head, used]) => [head, roundHeads(used)])),
+      cashPayable: { ...cash, total: round2(cash.igst + cash.cgst + cash.sgst) },
+      itcCarryForward: roundHeads(setOff.carryForward),
+      counts: {
+        invoices: invoices.length,
+        creditNotes: creditNotes.length,
+        purchases: purchases.length
+      }
+    };
+  }
+}
+
+module.exports = new GstService();
@@ -1,9 +1,376 @@
 const PDFDocument = require('pdfkit');
 const User = require('../models/user');
+const Invoice = require('../models/invoice');
+const InvoiceCounter = require('../models/invoiceCounter');
+const CreditNote = require('../models/creditNote');
+const Income = require('../models/income');
+const exchangeRateService = require('./exchangeRateService');
+const brandingService = require('./brandingService');
+const { getFinancialYear } = require('../utils/financialYear');
+const {
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC,
+  EXPORT_PLACE_OF_SUPPLY,
+  LUT_DECLARATION,
+  getStateCodeFromGstin,
+  getPlaceOfSupply,
+  calculateGstSplit,
+  calculateExportGst,
+  lineAmount,
+  calculateLineItems,
+  summariseTaxByRate,
+  formatStateCode
+} = require('../../public/shared/gstEngine.mjs');
+
+// Fields that may change after an invoice has been issued. The date is
+// fixed because it decides which numbering series the invoice belongs to.
+const EDITABLE_FIELDS = [
+  'client', 'placeOfSupply', 'items', 'gstApplicable', 'tds', 'tdsSection', 'tdsRate', 'dueDate', 'notes',
+  'invoiceType', 'currency', 'exchangeRate', 'exportDetails', 'firc', 'templateId'
+];
+// Of those, the fields that change what the invoice bills. They are fixed
+// once a payment has been recorded against it.
+const BILLING_FIELDS = [
+  'client', 'placeOfSupply', 'items', 'gstApplicable', 'tds', 'tdsSection', 'tdsRate',
+  'invoiceType', 'currency', 'exchangeRate', 'exportDetails'
+];
+
+// Line item table on the PDF: column headings and widths in points,
+// filling the 495pt between the A4 margins
+const ITEM_COLUMNS = [
+  { label: '#', width: 20 },
+  { label: 'Description', width: 170 },
+  { label: 'Qty', width: 60, align: 'right' },
+  { label: 'Rate', width: 70, align: 'right' },
+  { label: 'Discount', width: 60, align: 'right' },
+  { label: 'GST', width: 35, align: 'right' },
+  { label: 'Amount', width: 80, align: 'right' }
+];
+// Tax breakdown table on the detailed template
+const TAX_COLUMNS = [
+  { label: 'GST Rate', width: 65 },
+  { label: 'Taxable Value', width: 110, align: 'right' },
+  { label: 'CGST', width: 80, align: 'right' },
+  { label: 'SGST', width: 80, align: 'right' },
+  { label: 'IGST', width: 80, align: 'right' },
+  { label: 'Total Tax', width: 80, align: 'right' }
+];
+const CELL_PADDING = 4;
+
+// Largest the logo and signature are drawn, in points
+const LOGO_SIZE = [150, 60];
+const SIGNATURE_SIZE = [120, 50];
+const DEFAULT_ACCENT = 'black';
+
+// Registry of invoice templates. `layout` names the InvoiceService method
+// that draws the PDF; the rest is what GET /templates lists.
+const INVOICE_TEMPLATES = {
+  standard: {
+    name: 'Standard Invoice',
+    description: 'Basic invoice with client details and amount breakdown',
+    features: ['Client details', 'Amount breakdown', 'TDS/GST calculation', 'Bank details'],
+    layout: 'addInvoiceContent'
+  },
+  detailed: {
+    name: 'Detailed Invoice',
+    description: 'Comprehensive invoice with project details and terms',
+    features: ['Client details', 'Project description', 'Itemized billing', 'Tax breakdown', 'Payment terms', 'Bank details'],
+    layout: 'addDetailedInvoiceContent'
+  },
+  simple: {
+    name: 'Simple Invoice',
+    description: 'Minimal invoice with essential information only',
+    features: ['Client name', 'Amount', 'Basic tax info', 'Payment details'],
+    layout: 'addSimpleInvoiceContent'
+  }
+};
+const TEMPLATE_IDS = Object.keys(INVOICE_TEMPLATES);
+const DEFAULT_TEMPLATE_ID = 'standard';
+
+// Days the client has to pay when the invoice has no due date
+const PAYMENT_TERM_DAYS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses the user may move an invoice to, from each status. Payments
+// move it on to partially-paid or paid, and an unpaid invoice becomes
+// overdue the day after it falls due; those are never set by hand.
+const STATUS_TRANSITIONS = {
+  draft: ['issued', 'cancelled'],
+  issued: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  'partially-paid': [],
+  overdue: ['cancelled'],
+  paid: [],
+  cancelled: []
+};
+// Issued invoices not yet paid in full, which can take payments
+const OPEN_STATUSES = ['issued', 'sent', 'partially-paid', 'overdue'];
+
+// Invoices without their own TDS details deduct at 10% under 194J, the
+// rate for professional fees
+const DEFAULT_TDS = { section: '194J', rate: 0.1 };
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Client details with the state code read from the GSTIN when not given
+function normalizeClient(client) {
+  return client && {
+    ...client,
+    stateCode: client.stateCode || getStateCodeFromGstin(client.gstin) || undefined
+  };
+}
+
+// Invoice type, currency and export details. Domestic invoices are billed
+// in rupees; exports default to zero-rating under an LUT.
+function readInvoiceType({ invoiceType, currency, exchangeRate, exportDetails }) {
+  if (invoiceType !== 'export') {
+    return { invoiceType: 'domestic', currency: 'INR', exchangeRate: 1, exportDetails: undefined };
+  }
+
+  const invoiceCurrency = currency || 'INR';
+  return {
+    invoiceType,
+    currency: invoiceCurrency,
+    exchangeRate: invoiceCurrency === 'INR' ? 1 : exchangeRate,
+    exportDetails: { gstPayment: 'lut', ...exportDetails }
+  };
+}
+
+// Reject an export that cannot be reported: a foreign currency needs an
+// exchange rate, and a zero-rated supply needs the LUT it is made under
+function checkExportDetails({ invoiceType, currency, exchangeRate, exportDetails }) {
+  if (invoiceType !== 'export') {
+    return;
+  }
+  if (currency !== 'INR' && !(exchangeRate > 0)) {
+    throw serviceError('Exchange rate is required for an invoice in a foreign currency', 400);
+  }
+  if (exportDetails.gstPayment === 'lut' && !exportDetails.lutArn) {
+    throw serviceError('LUT ARN is required for an export without payment of IGST', 400);
+  }
+}
+
+// GST on a credit note follows the invoice it amends
+function creditNoteGst(invoice, taxableValue, rate = DEFAULT_GST_RATE) {
+  if (invoice.invoiceType === 'export') {
+    return calculateExportGst(taxableValue, { gstPayment: invoice.exportDetails?.gstPayment, rate });
+  }
+  if (!invoice.gstApplicable) {
+    return { cgst: 0, sgst: 0, igst: 0, total: 0 };
+  }
+  return calculateGstSplit(taxableValue, {
+    supplierStateCode: invoice.supplier?.stateCode,
+    placeOfSupply: invoice.placeOfSupply,
+    rate
+  });
+}
+
+// Share a credited amount between the invoice's SACs and GST rates in
+// proportion to their value, the last taking what rounding leaves over
+function splitCredit(invoice, amount) {
+  const groups = new Map();
+  invoice.items.forEach(item => {
+    const sac = item.sac || DEFAULT_SAC;
+    const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+    const key = `${sac}|${gstRate}`;
+    const group = groups.get(key) || { sac, gstRate, value: 0 };
+    group.value += lineAmount(item);
+    groups.set(key, group);
+  });
+
+  let left = amount;
+  return [...groups.values()]
+    .map((group, index, all) => {
+      const share = index === all.length - 1
+        ? left
+        : Math.round(amount * group.value / invoice.subtotal * 100) / 100;
+      left = Math.round((left - share) * 100) / 100;
+      return { sac: group.sac, gstRate: group.gstRate, amount: share };
+    })
+    .filter(line => line.amount > 0);
+}
+
+// Tax per GST rate for the summary under the line items. Invoices saved
+// before tax was worked out per line were all at the standard rate.
+function taxByRate(invoice) {
+  if (invoice.items.every(item => item.taxableValue !== undefined && item.taxableValue !== null)) {
+    return summariseTaxByRate(invoice.items);
+  }
+  return [{
+    gstRate: DEFAULT_GST_RATE,
+    taxableValue: invoice.taxableValue ?? invoice.subtotal,
+    cgstAmount: invoice.cgstAmount || 0,
+    sgstAmount: invoice.sgstAmount || 0,
+    igstAmount: invoice.igstAmount || 0,
+    gstAmount: invoice.gstAmount || 0
+  }];
+}
+
+// Date payment is due: the invoice's due date, or the payment term from
+// the invoice date
+function dueDateOf({ dueDate, invoiceDate }) {
+  if (dueDate) {
+    return new Date(dueDate);
+  }
+  const date = new Date(invoiceDate);
+  date.setDate(date.getDate() + PAYMENT_TERM_DAYS);
+  return date;
+}
+
+// Status as written in messages, e.g. "partially paid"
+function statusLabel(status) {
+  return status.replace('-', ' ');
+}
+
+// What is still owed on an invoice after its credit notes, payments and
+// the TDS withheld from them, in the invoice currency
+function balanceOf(invoice) {
+  return invoice.getBalanceDue();
+}
+
+// Status of an issued invoice from its payments and due date
+function paymentStatusOf(invoice, now = new Date()) {
+  if (balanceOf(invoice) <= 0) {
+    return 'paid';
+  }
+  if (now.getTime() >= dueDateOf(invoice).getTime() + DAY_MS) {
+    return 'overdue';
+  }
+  if (invoice.payments.length > 0) {
+    return 'partially-paid';
+  }
+  return invoice.sentAt ? 'sent' : 'issued';
+}
+
+// TDS a client is taken to have withheld from a payment when none is
+// given: the invoice's share for the amount paid, or all that is left
+// when the payment settles the invoice
+function defaultTdsOf(invoice, amount) {
+  const tdsLeft = Math.max(invoice.tdsAmount - invoice.payments.reduce((sum, payment) => sum + (payment.tdsAmount || 0), 0), 0);
+  if (amount + tdsLeft >= balanceOf(invoice) || !invoice.netReceivable) {
+    return tdsLeft;
+  }
+  return Math.min(Math.round(invoice.tdsAmount * amount / invoice.netReceivable), tdsLeft);
+}
+
+// Heading of the document: a tax invoice when GST is charged or the
+// supplier is GST registered, otherwise a plain invoice
+function titleOf({ status, gstApplicable, supplier }) {
+  return `${status === 'draft' ? 'DRAFT ' : ''}${gstApplicable || supplier?.gstin ? 'TAX INVOICE' : 'INVOICE'}`;
+}
+
+// TDS as printed, e.g. "TDS u/s 194J @ 10%"
+function tdsLabel({ tdsSection = DEFAULT_TDS.section, tdsRate = DEFAULT_TDS.rate }) {
+  return `TDS u/s ${tdsSection} @ ${+(tdsRate * 100).toFixed(2)}%`;
+}
+
+// Quantity as printed, e.g. "40 hours"
+function formatQuantity({ quantity = 1, unit }) {
+  return unit ? `${quantity} ${unit}` : String(quantity);
+}
+
+// Amount in the invoice currency, e.g. ₹1,00,000 or USD 1,200.00
+function formatAmount(amount, currency = 'INR') {
+  return currency === 'INR'
+    ? `₹${amount.toLocaleString('en-IN')}`
+    : `${currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Client and line items from either the full invoice shape or the
+// single-line shape the invoice form has always posted (clientName,
+// clientGstin, clientStateCode, amount, description)
+function readInvoiceInput(data) {
+  const client = data.client || (data.clientName ? {
+    name: data.clientName,
+    gstin: data.clientGstin,
+    stateCode: data.clientStateCode
+  } : null);
+
+  const items = data.items || (data.amount ? [{
+    description: data.description || 'Freelance Development/Consulting Services',
+    amount: data.amount
+  }] : []);
+
+  return { ...data, ...readInvoiceType(data), client: normalizeClient(client), items };
+}
+
+// As readInvoiceInput, for invoices that will be saved
+function normalizeInvoiceInput(data) {
+  const input = readInvoiceInput(data);
+  if (!input.client || !input.client.name) {
+    throw serviceError('Client name is required', 400);
+  }
+  if (input.items.length === 0) {
+    throw serviceError('At least one line item is required', 400);
+  }
+  checkExportDetails(input);
+  return input;
+}
+
+// The user's GSTIN and state, as printed on their invoices
+function getSupplier(user) {
+  return {
+    gstin: user.gstNumber || undefined,
+    stateCode: user.stateCode || getStateCodeFromGstin(user.gstNumber) || undefined
+  };
+}
+
+// Colour of the title, headings and table headings: the user's accent
+// colour, or black for an invoice without branding
+function accentOf({ branding }) {
+  return branding?.accentColor || DEFAULT_ACCENT;
+}
+
+// Underlined section heading in the accent colour
+function addHeading(doc, label, accent = DEFAULT_ACCENT) {
+  doc.fillColor(accent).fontSize(14).text(label, { underline: true }).fillColor('black');
+}
+
+// GST heading for a tax line, e.g. "CGST (9%)"
+function gstLabel(tax, rate) {
+  return `${tax} (${+(rate * 100).toFixed(2)}%)`;
+}
 
 class InvoiceService {
-  // Generate PDF invoice
-  async generateInvoice(invoiceData) {
+  // Templates an invoice can be drawn with, for GET /templates
+  getTemplates(defaultTemplateId = DEFAULT_TEMPLATE_ID) {
+    return Object.entries(INVOICE_TEMPLATES).map(([id, { name, description, features }]) => ({
+      id,
+      name,
+      description,
+      features,
+      isDefault: id === defaultTemplateId
+    }));
+  }
+
+  // A template from the registry; unknown ids are rejected
+  getTemplate(templateId = DEFAULT_TEMPLATE_ID) {
+    const template = INVOICE_TEMPLATES[templateId];
+    if (!template) {
+      throw serviceError(`Unknown invoice template "${templateId}"; use ${TEMPLATE_IDS.join(', ')}`, 400);
+    }
+    return template;
+  }
+
+  // The template the user's invoices are drawn with unless one is chosen
+  async getDefaultTemplateId(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+    return user.invoiceSettings?.defaultTemplateId || DEFAULT_TEMPLATE_ID;
+  }
+
+  // Generate PDF invoice in the chosen template, or the one the invoice
+  // was saved with
+  async generateInvoice(invoiceData, templateId = invoiceData.templateId) {
+    const template = this.getTemplate(templateId);
+
     return new Promise((resolve, reject) => {
       try {
         // Create a new PDF document
@@ -26,7 +393,7 @@ class InvoiceService {
         });
 
         // Invoice content
-        this.addInvoiceContent(doc, invoiceData);
+        this[template.layout](doc, invoiceData);
 
         // Finalize the PDF
         doc.end();
@@ -36,81 +403,348 @@ class InvoiceService {
     });
   }
 
-  // Add content to the invoice
+  // Standard template: parties, line items, amount breakdown, bank
+  // details and notes
   addInvoiceContent(doc, invoiceData) {
-    const { clientName, amount, gstApplicable, tds, bankDetails } = invoiceData;
+    this.addLogo(doc, invoiceData);
+    this.addTitle(doc, invoiceData);
+    this.addInvoiceDetails(doc, invoiceData);
+    this.addParties(doc, invoiceData);
 
-    // Header
-    doc.fontSize(20).text('TAX INVOICE', { align: 'center' });
+    // Line items
+    this.addLineItemTable(doc, invoiceData);
     doc.moveDown();
 
-    // Invoice details
-    const invoiceNumber = `INV-${Date.now()}`;
-    const currentDate = new Date().toLocaleDateString('en-IN');
-    
-    doc.fontSize(12);
-    doc.text(`Invoice Number: ${invoiceNumber}`);
-    doc.text(`Date: ${currentDate}`);
+    this.addAmountDetails(doc, invoiceData);
     doc.moveDown();
-
-    // Freelancer details
-    doc.fontSize(14).text('Bill To:', { underline: true });
-    doc.fontSize(12);
-    doc.text(clientName);
+    doc.fontSize(14).text(`Total Amount: ${formatAmount(invoiceData.netReceivable, invoiceData.currency)}`, { bold: true });
     doc.moveDown();
 
-    // Services
-    doc.fontSize(14).text('Services:', { underline: true });
-    doc.fontSize(12);
-    doc.text('Freelance Development/Consulting Services');
+    this.addBankDetails(doc, invoiceData);
+    this.addSignature(doc, invoiceData);
+    this.addFooterNotes(doc, invoiceData);
+    this.addTerms(doc, invoiceData);
+  }
+
+  // Detailed template: the standard layout with the client's contact
+  // details, due date, project description, a tax table per rate and the
+  // payment terms
+  addDetailedInvoiceContent(doc, invoiceData) {
+    const { currency = 'INR', notes, tds, tdsAmount, gstApplicable, invoiceType } = invoiceData;
+    const isExport = invoiceType === 'export';
+    const accent = accentOf(invoiceData);
+
+    this.addLogo(doc, invoiceData);
+    this.addTitle(doc, invoiceData);
+    this.addInvoiceDetails(doc, invoiceData, { showDueDate: true });
+    this.addParties(doc, invoiceData, { showContact: true });
+
+    if (notes) {
+      addHeading(doc, 'Project Description:', accent);
+      doc.fontSize(11).text(notes);
+      doc.moveDown();
+    }
+
+    addHeading(doc, 'Services:', accent);
+    doc.moveDown(0.5);
+    this.addLineItemTable(doc, invoiceData);
     doc.moveDown();
 
-    // Amount details
-    doc.fontSize(14).text('Amount Details:', { underline: true });
+    // Tax breakdown per GST rate and head
+    if (gstApplicable) {
+      addHeading(doc, 'Tax Breakdown:', accent);
+      doc.moveDown(0.5);
+      this.addTable(doc, TAX_COLUMNS, taxByRate(invoiceData).map(row => [
+        `${+(row.gstRate * 100).toFixed(2)}%`,
+        formatAmount(row.taxableValue),
+        formatAmount(row.cgstAmount),
+        formatAmount(row.sgstAmount),
+        formatAmount(row.igstAmount),
+        formatAmount(row.gstAmount)
+      ]), { accent });
+      doc.moveDown();
+    }
+
+    // Amount summary
+    addHeading(doc, 'Amount Summary:', accent);
     doc.fontSize(12);
-    doc.text(`Basic Amount: ₹${amount.toLocaleString('en-IN')}`);
+    doc.text(`Basic Amount: ${formatAmount(invoiceData.subtotal, currency)}`);
+    if (currency !== 'INR') {
+      doc.text(`Taxable Value: ${formatAmount(invoiceData.taxableValue)}`);
+    }
+    if (gstApplicable) {
+      doc.text(`Total GST${isExport ? ' (refundable, not payable by the client)' : ''}: ${formatAmount(invoiceData.gstAmount)}`);
+    }
+    if (!isExport && gstApplicable) {
+      doc.text(`Total Amount (with GST): ${formatAmount(invoiceData.totalAmount)}`);
+    }
+    if (tds) {
+      doc.text(`Less ${tdsLabel(invoiceData)}: ${formatAmount(tdsAmount)}`);
+    }
+    doc.fontSize(14).text(`Net Payable: ${formatAmount(invoiceData.netReceivable, currency)}`);
+    doc.moveDown();
 
-    // TDS calculation
+    // Payment terms
+    addHeading(doc, 'Payment Terms:', accent);
+    doc.fontSize(11);
+    doc.text(`Payment is due by ${dueDateOf(invoiceData).toLocaleDateString('en-IN')}.`);
     if (tds) {
-      const tdsAmount = Math.round(amount * 0.10);
-      doc.text(`TDS (10%): ₹${tdsAmount.toLocaleString('en-IN')}`);
-      doc.text(`Net Amount (after TDS): ₹${(amount - tdsAmount).toLocaleString('en-IN')}`);
+      doc.text('Please share the TDS certificate (Form 16A) for the tax deducted.');
     }
+    doc.moveDown();
 
-    // GST calculation
-    if (gstApplicable) {
-      const gstAmount = Math.round(amount * 0.18);
-      doc.text(`GST (18%): ₹${gstAmount.toLocaleString('en-IN')}`);
-      doc.text(`Total Amount (with GST): ₹${(amount + gstAmount).toLocaleString('en-IN')}`);
+    this.addBankDetails(doc, invoiceData);
+    this.addSignature(doc, invoiceData);
+    this.addFooterNotes(doc, invoiceData);
+    this.addTerms(doc, invoiceData);
+  }
+
+  // Simple template: number, client, one line per service and the total,
+  // with the declarations the invoice is required to carry
+  addSimpleInvoiceContent(doc, invoiceData) {
+    const {
+      invoiceNumber, invoiceDate, client, supplierName, supplier, currency = 'INR', items,
+      gstApplicable, gstAmount, tds, tdsAmount, netReceivable, invoiceType, exportDetails, bankDetails, branding
+    } = invoiceData;
+
+    this.addLogo(doc, invoiceData);
+    doc.fillColor(accentOf(invoiceData)).fontSize(18)
+      .text(titleOf(invoiceData))
+      .fillColor('black');
+    doc.fontSize(11);
+    doc.text(`${invoiceNumber}  |  ${new Date(invoiceDate).toLocaleDateString('en-IN')}`);
+    if (supplierName) {
+      doc.text(`From: ${supplierName}${supplier?.gstin ? ` (GSTIN ${supplier.gstin})` : ''}`);
     }
+    doc.text(`To: ${client.name}${client.gstin ? ` (GSTIN ${client.gstin})` : ''}`);
+    doc.moveDown();
 
-    // Total amount
-    let totalAmount = amount;
+    items.forEach(item => {
+      doc.text(`${item.description} (SAC ${item.sac || DEFAULT_SAC}): ${formatAmount(item.amount, currency)}`);
+    });
+    doc.moveDown(0.5);
     if (gstApplicable) {
-      totalAmount += Math.round(amount * 0.18);
+      doc.text(`GST: ${formatAmount(gstAmount)}`);
     }
     if (tds) {
-      totalAmount -= Math.round(amount * 0.10);
+      doc.text(`${tdsLabel(invoiceData)}: -${formatAmount(tdsAmount)}`);
+    }
+    doc.fontSize(14).text(`Total: ${formatAmount(netReceivable, currency)}`);
+    doc.moveDown();
+
+    doc.fontSize(10);
+    if (bankDetails && (bankDetails.accountNumber || bankDetails.upiId)) {
+      const payTo = [
+        bankDetails.accountNumber && `A/c ${bankDetails.accountNumber}`,
+        bankDetails.ifscCode && `IFSC ${bankDetails.ifscCode}`,
+        bankDetails.upiId && `UPI ${bankDetails.upiId}`
+      ].filter(Boolean).join(', ');
+      doc.text(`Pay to: ${payTo}`);
     }
+    if (invoiceType === 'export' && exportDetails?.gstPayment !== 'igst') {
+      doc.text(`${LUT_DECLARATION} (LUT ARN: ${exportDetails?.lutArn || 'N/A'}).`);
+    }
+    if (branding?.footerText) {
+      doc.text(branding.footerText);
+    }
+    this.addSignature(doc, invoiceData);
+    this.addTerms(doc, invoiceData);
+  }
+
+  // The user's logo above the title, if they have uploaded one. An image
+  // that no longer decodes is left out rather than failing the PDF.
+  addLogo(doc, { branding }) {
+    if (!brandingService.isReadableImage(branding?.logo)) {
+      return;
+    }
+    const top = doc.y;
+    doc.image(branding.logo.data, doc.page.margins.left, top, { fit: LOGO_SIZE });
+    doc.x = doc.page.margins.left;
+    doc.y = top + LOGO_SIZE[1];
+    doc.moveDown(0.5);
+  }
 
+  // Signature image over "Authorised Signatory", at the right, if the user
+  // has uploaded one that decodes
+  addSignature(doc, { branding, supplierName }) {
+    if (!brandingService.isReadableImage(branding?.signature)) {
+      return;
+    }
+    const height = SIGNATURE_SIZE[1] + 40;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const left = doc.page.width - doc.page.margins.right - SIGNATURE_SIZE[0];
+    const options = { width: SIGNATURE_SIZE[0], align: 'center' };
+    doc.fontSize(10);
+    if (supplierName) {
+      doc.text(`For ${supplierName}`, left, doc.y, options);
+    }
+    const top = doc.y + 4;
+    doc.image(branding.signature.data, left, top, { fit: SIGNATURE_SIZE, align: 'center' });
+    doc.text('Authorised Signatory', left, top + SIGNATURE_SIZE[1] + 4, options);
+    doc.x = doc.page.margins.left;
     doc.moveDown();
-    doc.fontSize(14).text(`Total Amount: ₹${totalAmount.toLocaleString('en-IN')}`, { bold: true });
+  }
+
+  // The user's terms and conditions, after the notes
+  addTerms(doc, { branding }) {
+    if (!branding?.terms) {
+      return;
+    }
+    doc.moveDown();
+    doc.fillColor(accentOf({ branding })).fontSize(9).text('Terms & Conditions:', { underline: true }).fillColor('black');
+    doc.text(branding.terms);
+  }
+
+  // Title, a tax invoice or a plain one, marked as a draft or an export
+  // where it is one
+  addTitle(doc, invoiceData) {
+    const { invoiceType, branding } = invoiceData;
+    doc.fillColor(accentOf({ branding })).fontSize(20)
+      .text(titleOf(invoiceData), { align: 'center' })
+      .fillColor('black');
+    if (invoiceType === 'export') {
+      doc.fontSize(12).text('Export of Services', { align: 'center' });
+    }
+    doc.moveDown();
+  }
+
+  // Number, dates, place of supply and, for a foreign currency export,
+  // the exchange rate
+  addInvoiceDetails(doc, invoiceData, { showDueDate = false } = {}) {
+    const { invoiceNumber, invoiceDate, placeOfSupply, invoiceType, currency = 'INR', exchangeRate, rateSource, rateDate } = invoiceData;
+
+    doc.fontSize(12);
+    doc.text(`Invoice Number: ${invoiceNumber}`);
+    doc.text(`Date: ${new Date(invoiceDate).toLocaleDateString('en-IN')}`);
+    if (showDueDate) {
+      doc.text(`Due Date: ${dueDateOf(invoiceData).toLocaleDateString('en-IN')}`);
+    }
+    if (placeOfSupply) {
+      doc.text(`Place of Supply: ${formatStateCode(placeOfSupply)}`);
+    }
+    if (invoiceType === 'export' && currency !== 'INR') {
+      doc.text(`Currency: ${currency} (1 ${currency} = ₹${exchangeRate})`);
+      if (rateDate) {
+        doc.text(`Exchange rate as on ${new Date(rateDate).toLocaleDateString('en-IN')}${rateSource ? ` (${rateSource})` : ''}`);
+      }
+    }
     doc.moveDown();
+  }
 
-    // Bank details
-    if (bankDetails) {
-      doc.fontSize(14).text('Payment Details:', { underline: true });
+  // Freelancer and client details
+  addParties(doc, { supplier, supplierName, client, invoiceType, exportDetails, branding }, { showContact = false } = {}) {
+    const isExport = invoiceType === 'export';
+    const accent = accentOf({ branding });
+
+    if (supplierName || supplier?.gstin) {
+      addHeading(doc, 'From:', accent);
       doc.fontSize(12);
-      doc.text(`Bank Name: ${bankDetails.bankName || 'N/A'}`);
-      doc.text(`Account Number: ${bankDetails.accountNumber || 'N/A'}`);
-      doc.text(`IFSC Code: ${bankDetails.ifscCode || 'N/A'}`);
-      doc.text(`UPI ID: ${bankDetails.upiId || 'N/A'}`);
+      if (supplierName) {
+        doc.text(supplierName);
+      }
+      if (supplier?.gstin) {
+        doc.text(`GSTIN: ${supplier.gstin}`);
+      }
+      if (supplier?.stateCode) {
+        doc.text(`State: ${formatStateCode(supplier.stateCode)}`);
+      }
       doc.moveDown();
     }
 
-    // Footer
+    addHeading(doc, 'Bill To:', accent);
+    doc.fontSize(12);
+    doc.text(client.name);
+    if (client.address) {
+      doc.text(client.address);
+    }
+    if (showContact && client.email) {
+      doc.text(`Email: ${client.email}`);
+    }
+    if (client.gstin) {
+      doc.text(`GSTIN: ${client.gstin}`);
+    }
+    if (client.stateCode && !isExport) {
+      doc.text(`State: ${formatStateCode(client.stateCode)}`);
+    }
+    if (isExport && exportDetails?.country) {
+      doc.text(`Country: ${exportDetails.country}`);
+    }
+    doc.moveDown();
+  }
+
+  // Basic amount, tax per rate and head, and TDS
+  addAmountDetails(doc, invoiceData) {
+    const {
+      invoiceType, currency = 'INR', exportDetails, subtotal, taxableValue, gstApplicable,
+      supplyType, gstAmount, tds, tdsAmount, totalAmount
+    } = invoiceData;
+    const isExport = invoiceType === 'export';
+
+    addHeading(doc, 'Amount Details:', accentOf(invoiceData));
+    doc.fontSize(12);
+    doc.text(`Basic Amount: ${formatAmount(subtotal, currency)}`);
+    const taxRows = taxByRate(invoiceData);
+
+    // Exports: IGST, if paid, is on the rupee value and refunded to the
+    // supplier rather than collected from the client
+    if (isExport) {
+      if (currency !== 'INR') {
+        doc.text(`Taxable Value: ${formatAmount(taxableValue)}`);
+      }
+      if (exportDetails?.gstPayment === 'igst') {
+        taxRows.forEach(row => {
+          doc.text(`${gstLabel('IGST', row.gstRate)} on ${formatAmount(row.taxableValue)}: ${formatAmount(row.igstAmount)}`);
+        });
+      }
+    }
+
+    // TDS calculation
+    if (tds) {
+      doc.text(`${tdsLabel(invoiceData)}: ₹${tdsAmount.toLocaleString('en-IN')}`);
+      doc.text(`Net Amount (after TDS): ₹${(subtotal - tdsAmount).toLocaleString('en-IN')}`);
+    }
+
+    // GST calculation, per rate: CGST + SGST within the state, IGST across
+    // states
+    if (gstApplicable && !isExport) {
+      taxRows.forEach(row => {
+        const on = `on ${formatAmount(row.taxableValue)}`;
+        if (supplyType === 'inter-state') {
+          doc.text(`${gstLabel('IGST', row.gstRate)} ${on}: ${formatAmount(row.igstAmount)}`);
+        } else {
+          doc.text(`${gstLabel('CGST', row.gstRate / 2)} ${on}: ${formatAmount(row.cgstAmount)}`);
+          doc.text(`${gstLabel('SGST', row.gstRate / 2)} ${on}: ${formatAmount(row.sgstAmount)}`);
+        }
+      });
+      if (taxRows.length > 1) {
+        doc.text(`Total GST: ₹${gstAmount.toLocaleString('en-IN')}`);
+      }
+      doc.text(`Total Amount (with GST): ₹${totalAmount.toLocaleString('en-IN')}`);
+    }
+  }
+
+  // Bank account and UPI ID for payment
+  addBankDetails(doc, { bankDetails, branding }) {
+    if (!bankDetails) {
+      return;
+    }
+    addHeading(doc, 'Payment Details:', accentOf({ branding }));
+    doc.fontSize(12);
+    doc.text(`Bank Name: ${bankDetails.bankName || 'N/A'}`);
+    doc.text(`Account Number: ${bankDetails.accountNumber || 'N/A'}`);
+    doc.text(`IFSC Code: ${bankDetails.ifscCode || 'N/A'}`);
+    doc.text(`UPI ID: ${bankDetails.upiId || 'N/A'}`);
+    doc.moveDown();
+  }
+
+  // Footer with the user's closing line and the TDS, GST and export
+  // declarations
+  addFooterNotes(doc, { tds, invoiceType, exportDetails, gstApplicable, branding }) {
     doc.fontSize(10).text('This is a computer-generated invoice.', { align: 'center' });
-    doc.text('Thank you for your business!', { align: 'center' });
+    doc.text(branding?.footerText || 'Thank you for your business!', { align: 'center' });
 
     // Add note about TDS and GST
     doc.moveDown();
@@ -118,23 +752,638 @@ class InvoiceService {
     if (tds) {
       doc.text('• TDS (Tax Deducted at Source) has been deducted as per Indian tax laws.');
     }
-    if (gstApplicable) {
+    if (invoiceType === 'export') {
+      if (exportDetails?.gstPayment === 'igst') {
+        doc.text('• Supply meant for export on payment of IGST.');
+      } else {
+        doc.text(`• ${LUT_DECLARATION}.`);
+        doc.text(`• LUT ARN: ${exportDetails?.lutArn || 'N/A'}`);
+      }
+    } else if (gstApplicable) {
       doc.text('• GST (Goods and Services Tax) is applicable as per current rates.');
     }
-    doc.text('• Please make payment within 15 days of invoice date.');
+    doc.text(`• Please make payment within ${PAYMENT_TERM_DAYS} days of invoice date.`);
+  }
+
+  // Line items as a table: description and SAC, quantity, rate, discount,
+  // GST rate and amount
+  addLineItemTable(doc, { items, currency, gstApplicable, branding }) {
+    this.addTable(doc, ITEM_COLUMNS, items.map((item, index) => [
+      String(index + 1),
+      `${item.description}\nSAC ${item.sac || DEFAULT_SAC}`,
+      formatQuantity(item),
+      formatAmount(item.rate ?? item.amount, currency),
+      item.discount ? formatAmount(item.discount, currency) : '-',
+      gstApplicable ? `${+((item.gstRate ?? DEFAULT_GST_RATE) * 100).toFixed(2)}%` : '-',
+      formatAmount(item.amount, currency)
+    ]), { accent: accentOf({ branding }) });
+  }
+
+  // A ruled table, its headings in the accent colour. A row that would run
+  // past the bottom margin starts a new page, with the column headings
+  // repeated.
+  addTable(doc, columns, rows, { accent = DEFAULT_ACCENT } = {}) {
+    const left = doc.page.margins.left;
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+
+    const drawRow = (cells, { bold = false } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const height = Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(cell, { width: columns[index].width - CELL_PADDING }))) + CELL_PADDING * 2;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (!bold) {
+          drawHeader();
+          doc.font('Helvetica').fontSize(9);
+        }
+      }
+
+      const top = doc.y;
+      let x = left;
+      doc.fillColor(bold ? accent : 'black');
+      cells.forEach((cell, index) => {
+        const { width: columnWidth, align = 'left' } = columns[index];
+        doc.text(cell, x + CELL_PADDING / 2, top + CELL_PADDING, { width: columnWidth - CELL_PADDING, align });
+        x += columnWidth;
+      });
+      doc.moveTo(left, top + height).lineTo(left + width, top + height).lineWidth(0.5).stroke(bold ? accent : 'black');
+      doc.y = top + height;
+    };
+    const drawHeader = () => drawRow(columns.map(column => column.label), { bold: true });
+
+    drawHeader();
+    rows.forEach(row => drawRow(row));
+
+    doc.font('Helvetica').fontSize(12).fillColor('black');
+    doc.x = left;
+  }
+
+  // Work out the place of supply, each line's tax and the totals from the
+  // line items. GST is charged on each line at its own rate, split into
+  // CGST and SGST when the client is in the supplier's state and charged as
+  // IGST otherwise. TDS is deducted at the invoice's rate. Exports are
+  // zero-rated under an LUT or carry IGST that the client does not pay,
+  // and have no TDS. What the client is billed (subtotal, TDS, total and
+  // net receivable) is in `currency`; the taxable value and GST are
+  // always in rupees.
+  calculateTotals({
+    items, gstApplicable, tds, tdsRate = DEFAULT_TDS.rate, supplier, client, placeOfSupply,
+    invoiceType, currency = 'INR', exchangeRate = 1, exportDetails
+  }) {
+    if (invoiceType === 'export') {
+      const { lines, subtotal, taxableValue, igst, total } = calculateLineItems(items, {
+        exchangeRate,
+        taxOf: (value, rate) => calculateExportGst(value, { gstPayment: exportDetails?.gstPayment, rate })
+      });
+      return {
+        currency,
+        items: lines,
+        placeOfSupply: EXPORT_PLACE_OF_SUPPLY,
+        supplyType: 'export',
+        // In the invoice currency
+        subtotal,
+        tdsAmount: 0,
+        totalAmount: subtotal,
+        netReceivable: subtotal,
+        // In rupees
+        taxableValue,
+        cgstAmount: 0,
+        sgstAmount: 0,
+        igstAmount: igst,
+        gstAmount: total
+      };
+    }
+
+    const supplierStateCode = supplier?.stateCode;
+    const place = getPlaceOfSupply({
+      placeOfSupply,
+      clientStateCode: client?.stateCode,
+      clientGstin: client?.gstin,
+      supplierStateCode
+    });
+    const { supplyType } = calculateGstSplit(0, { supplierStateCode, placeOfSupply: place });
+    const { lines, subtotal, taxableValue, cgst, sgst, igst, total } = calculateLineItems(items, {
+      exchangeRate,
+      taxOf: gstApplicable
+        ? (value, rate) => calculateGstSplit(value, { supplierStateCode, placeOfSupply: place, rate })
+        : undefined
+    });
+    const tdsAmount = tds ? Math.round(subtotal * tdsRate) : 0;
+    const totalAmount = subtotal + total;
+
+    return {
+      currency: 'INR',
+      items: lines,
+      subtotal,
+      taxableValue,
+      placeOfSupply: place || undefined,
+      supplyType,
+      cgstAmount: cgst,
+      sgstAmount: sgst,
+      igstAmount: igst,
+      gstAmount: total,
+      tdsAmount,
+      totalAmount,
+      netReceivable: totalAmount - tdsAmount
+    };
+  }
+
+  // Input with the exchange rate filled in for an export billed in a
+  // foreign currency, from the user's rate table when none was given
+  async withExchangeRate(userId, data, date) {
+    if (data.invoiceType !== 'export' || !data.currency || data.currency === 'INR') {
+      return { ...data, rateSource: undefined, rateDate: undefined };
+    }
+
+    const conversion = await exchangeRateService.resolveRate(userId, {
+      currency: data.currency,
+      exchangeRate: data.exchangeRate,
+      date
+    });
+    return { ...data, ...conversion };
+  }
+
+  // Amounts for an invoice that has not been saved, using the user's GST
+  // state: the figures /calculate and /preview return, with the line items
+  // and the tax per GST rate
+  async calculateInvoice(userId, data) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+
+    const date = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+    const input = readInvoiceInput(await this.withExchangeRate(userId, data, date));
+    checkExportDetails(input);
+    const supplier = getSupplier(user);
+    const totals = this.calculateTotals({ ...input, supplier });
+
+    return {
+      client: input.client,
+      supplier,
+      invoiceType: input.invoiceType,
+      currency: input.currency,
+      exchangeRate: input.exchangeRate,
+      rateSource: input.rateSource,
+      rateDate: input.rateDate,
+      exportDetails: input.exportDetails,
+      ...totals,
+      taxSummary: summariseTaxByRate(totals.items)
+    };
+  }
+
+  // Numbering series an invoice dated `date` belongs to
+  getNumberingSeries(settings, date) {
+    const financialYear = getFinancialYear(date);
+    return {
+      financialYear,
+      series: settings.resetEveryFinancialYear ? financialYear : 'all'
+    };
+  }
+
+  // Format a sequence number, e.g. INV/2024-25/0007
+  formatInvoiceNumber(settings, financialYear, sequence) {
+    const number = String(sequence).padStart(settings.padding, '0');
+    return settings.resetEveryFinancialYear
+      ? `${settings.prefix}/${financialYear}/${number}`
+      : `${settings.prefix}/${number}`;
+  }
+
+  // Number the next invoice dated `date` will get, without reserving it
+  async peekNextInvoiceNumber(userId, date = new Date()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+
+    const settings = user.invoiceSettings;
+    const { financialYear, series } = this.getNumberingSeries(settings, date);
+    const counter = await InvoiceCounter.findOne({ userId, series });
+
+    return this.formatInvoiceNumber(settings, financialYear, (counter ? counter.seq : 0) + 1);
+  }
+
+  // Atomically take the next number in a series
+  async reserveSequence(userId, series) {
+    const counter = await InvoiceCounter.findOneAndUpdate(
+      { userId, series },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  }
+
+  // Hand a reserved number back. Only possible while it is still the
+  // latest one issued in the series: once another has been reserved the
+  // counter is left alone, since stepping it back would issue that number
+  // twice, and the unused number is logged. Returns whether it was released.
+  async releaseSequence(userId, series, sequence) {
+    const counter = await InvoiceCounter.findOneAndUpdate(
+      { userId, series, seq: sequence },
+      { $inc: { seq: -1 } },
+      { new: true }
+    );
+    if (!counter) {
+      console.warn(`Number ${sequence} of series ${series} was left unused: a later number had already been issued`);
+    }
+    return Boolean(counter);
+  }
+
+  // Save a new invoice under the next number in its series
+  async createInvoice(userId, data) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+
+    const date = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+    const input = normalizeInvoiceInput(await this.withExchangeRate(userId, data, date));
+    const {
+      client, items, dueDate, notes, invoiceType, currency, exchangeRate, rateSource, rateDate, exportDetails, firc
+    } = input;
+    const isExport = invoiceType === 'export';
+    const settings = user.invoiceSettings;
+    const { financialYear, series } = this.getNumberingSeries(settings, date);
+    const supplier = getSupplier(user);
+    const templateId = data.templateId || user.invoiceSettings?.defaultTemplateId || DEFAULT_TEMPLATE_ID;
+    this.getTemplate(templateId);
+
+    const invoice = new Invoice({
+      userId,
+      financialYear,
+      invoiceDate: date,
+      dueDate,
+      invoiceType,
+      currency,
+      exchangeRate,
+      rateSource,
+      rateDate,
+      exportDetails,
+      firc,
+      client,
+      supplier,
+      items,
+      gstApplicable: isExport ? exportDetails.gstPayment === 'igst' : input.gstApplicable || false,
+      tds: isExport ? false : input.tds || false,
+      tdsSection: input.tdsSection,
+      tdsRate: input.tdsRate,
+      notes,
+      templateId,
+      status: data.status === 'draft' ? 'draft' : 'issued',
+      ...this.calculateTotals({ ...input, supplier })
+    });
+
+    // Reject bad input before a number is consumed
+    await invoice.validate({ pathsToSkip: ['invoiceNumber', 'sequence'] });
+
+    const sequence = await this.reserveSequence(userId, series);
+    invoice.sequence = sequence;
+    invoice.invoiceNumber = this.formatInvoiceNumber(settings, financialYear, sequence);
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      await this.releaseSequence(userId, series, sequence);
+      throw error;
+    }
+  }
+
+  // List a user's invoices, newest first
+  async getInvoices(userId, filters = {}) {
+    await this.markOverdue(userId);
+
+    const query = { userId };
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    return Invoice.find(query).sort({ invoiceDate: -1, sequence: -1 });
+  }
+
+  // Fetch one of the user's invoices
+  async getInvoice(userId, invoiceId) {
+    const invoice = await Invoice.findOne({ _id: invoiceId, userId });
+    if (!invoice) {
+      throw serviceError('Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  // Edit an invoice. The number and date never change, and once a payment
+  // is recorded neither does what it bills.
+  async updateInvoice(userId, invoiceId, updates) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    if (invoice.status === 'cancelled') {
+      throw serviceError('Cancelled invoices cannot be edited', 400);
+    }
+    if (invoice.payments.length > 0 && BILLING_FIELDS.some(field => updates[field] !== undefined)) {
+      throw serviceError('Invoices with payments recorded cannot be changed; issue a credit note instead', 400);
+    }
+    if (updates.templateId !== undefined) {
+      this.getTemplate(updates.templateId);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        invoice[field] = field === 'client' ? normalizeClient(updates.client) : updates[field];
+      }
+    });
+
+    // A new client means a new place of supply unless one was given
+    if (updates.client !== undefined && updates.placeOfSupply === undefined) {
+      invoice.placeOfSupply = undefined;
+    }
+
+    // A new currency or rate means converting again at the rate given or
+    // the one in the user's table for the invoice date
+    if (updates.currency !== undefined || updates.exchangeRate !== undefined) {
+      Object.assign(invoice, await this.withExchangeRate(userId, {
+        invoiceType: invoice.invoiceType,
+        currency: invoice.currency,
+        exchangeRate: updates.exchangeRate
+      }, invoice.invoiceDate));
+    }
+
+    // Exports carry IGST only when it is paid, and never TDS
+    const typeFields = readInvoiceType(invoice);
+    checkExportDetails(typeFields);
+    Object.assign(invoice, typeFields);
+    if (typeFields.currency === 'INR') {
+      invoice.rateSource = undefined;
+      invoice.rateDate = undefined;
+    }
+    if (typeFields.invoiceType === 'export') {
+      invoice.gstApplicable = typeFields.exportDetails.gstPayment === 'igst';
+      invoice.tds = false;
+    }
+
+    Object.assign(invoice, this.calculateTotals(invoice));
+
+    // A new due date can make an invoice overdue or no longer overdue
+    if (OPEN_STATUSES.includes(invoice.status)) {
+      invoice.status = paymentStatusOf(invoice);
+    }
+    return invoice.save();
   }
 
-  // Get invoice data with user bank details
+  // Move an invoice on by hand: issue a draft, mark it sent or cancel it
+  async setStatus(userId, invoiceId, status) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    if (invoice.status === status) {
+      throw serviceError(`Invoice is already ${statusLabel(status)}`, 400);
+    }
+    if (status === 'cancelled' && invoice.payments.length > 0) {
+      throw serviceError('Invoices with payments recorded cannot be cancelled; issue a credit note instead', 400);
+    }
+    // Its credit notes stay in the GST returns, so the supply they reduce must too
+    if (status === 'cancelled' && (invoice.creditedAmount > 0 || await CreditNote.exists({ userId, invoiceId: invoice._id }))) {
+      throw serviceError('Invoices with credit notes cannot be cancelled; credit the rest of the invoice instead', 400);
+    }
+    if (!STATUS_TRANSITIONS[invoice.status].includes(status)) {
+      throw serviceError(`A ${statusLabel(invoice.status)} invoice cannot be marked ${statusLabel(status)}`, 400);
+    }
+
+    if (status === 'cancelled') {
+      invoice.status = 'cancelled';
+      invoice.cancelledAt = new Date();
+    } else {
+      if (status === 'sent') {
+        invoice.sentAt = new Date();
+      }
+      invoice.status = paymentStatusOf(invoice);
+    }
+    return invoice.save();
+  }
+
+  // Cancel an invoice. It is kept so the number series has no gaps.
+  async cancelInvoice(userId, invoiceId) {
+    return this.setStatus(userId, invoiceId, 'cancelled');
+  }
+
+  // Mark the user's unpaid invoices overdue from the day after they fall
+  // due. Invoices without a due date are due PAYMENT_TERM_DAYS after
+  // their date.
+  async markOverdue(userId, now = new Date()) {
+    const dueBy = new Date(now.getTime() - DAY_MS);
+
+    return Invoice.updateMany({
+      userId,
+      status: { $in: ['issued', 'sent', 'partially-paid'] },
+      $or: [
+        { dueDate: { $lte: dueBy } },
+        { dueDate: null, invoiceDate: { $lte: new Date(dueBy.getTime() - PAYMENT_TERM_DAYS * DAY_MS) } }
+      ]
+    }, { status: 'overdue' });
+  }
+
+  // Record money received against an invoice and add it to the user's
+  // income. The income entry is the fee part of what was settled, TDS
+  // included: the GST collected is owed to the government, while the TDS
+  // is credited against the user's own tax.
+  async recordPayment(userId, invoiceId, { amount, tdsAmount, date: paymentDate, paymentMode, reference, exchangeRate, firc }) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    if (invoice.status === 'draft') {
+      throw serviceError('Issue the invoice before recording a payment against it', 400);
+    }
+    if (!OPEN_STATUSES.includes(invoice.status)) {
+      throw serviceError(`A ${statusLabel(invoice.status)} invoice cannot take payments`, 400);
+    }
+
+    const date = paymentDate ? new Date(paymentDate) : new Date();
+    if (date < invoice.invoiceDate) {
+      throw serviceError('A payment cannot be dated before its invoice', 400);
+    }
+    if (invoice.invoiceType === 'export' && tdsAmount > 0) {
+      throw serviceError('TDS is not withheld on exports', 400);
+    }
+
+    // Foreign receipts are converted at the rate given or the one in the
+    // user's rate table for the day they were received
+    const conversion = await exchangeRateService.resolveRate(userId, {
+      currency: invoice.currency,
+      exchangeRate,
+      date
+    });
+
+    // TDS is in rupees; it settles the balance at the payment's rate
+    const tds = tdsAmount ?? defaultTdsOf(invoice, amount);
+    const balance = balanceOf(invoice);
+    const settled = Math.round((amount + tds / conversion.exchangeRate) * 100) / 100;
+    if (settled > balance) {
+      throw serviceError(`Only ${formatAmount(balance, invoice.currency)} is left to pay on this invoice`, 400);
+    }
+
+    const fee = invoice.totalAmount > 0
+      ? Math.round(settled * invoice.subtotal / invoice.totalAmount * 100) / 100
+      : settled;
+
+    const income = await new Income({
+      userId,
+      invoiceId: invoice._id,
+      clientName: invoice.client.name,
+      amount: Math.round(fee * conversion.exchangeRate * 100) / 100,
+      date,
+      currency: invoice.currency,
+      originalAmount: fee,
+      ...conversion,
+      firc,
+      tds: tds > 0 ? { section: invoice.tdsSection || DEFAULT_TDS.section, amount: tds } : undefined,
+      gstApplicable: invoice.gstApplicable,
+      paymentMode,
+      notes: `Payment against invoice ${invoice.invoiceNumber}${reference ? ` (${reference})` : ''}`
+    }).save();
+
+    invoice.payments.push({
+      date,
+      amount,
+      tdsAmount: tds,
+      exchangeRate: conversion.exchangeRate,
+      paymentMode,
+      reference,
+      incomeId: income._id
+    });
+    invoice.status = paymentStatusOf(invoice);
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      await Income.deleteOne({ _id: income._id });
+      throw error;
+    }
+  }
+
+  // Remove a payment recorded in error, with its income entry
+  async deletePayment(userId, invoiceId, paymentId) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    const payment = invoice.payments.id(paymentId);
+    if (!payment) {
+      throw serviceError('Payment not found', 404);
+    }
+
+    invoice.payments.pull(payment._id);
+    invoice.status = paymentStatusOf(invoice);
+    await invoice.save();
+
+    if (payment.incomeId) {
+      await Income.deleteOne({ _id: payment.incomeId, userId });
+    }
+    return invoice;
+  }
+
+  // Issue a credit note against an invoice. Credit notes are numbered in
+  // their own series per financial year (CN/2024-25/0001), and together
+  // may not credit more than the invoice was for. The GST reversed follows
+  // the rates of the invoice's line items. The credit comes off what the
+  // client still owes, which may leave the invoice paid.
+  async createCreditNote(userId, invoiceId, { amount, reason, noteDate }) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    if (invoice.status === 'cancelled') {
+      throw serviceError('Cancelled invoices cannot be credited', 400);
+    }
+    if (invoice.status === 'draft') {
+      throw serviceError('Draft invoices cannot be credited; edit them instead', 400);
+    }
+
+    const date = noteDate ? new Date(noteDate) : new Date();
+    if (date < invoice.invoiceDate) {
+      throw serviceError('A credit note cannot be dated before its invoice', 400);
+    }
+
+    const existing = await CreditNote.find({ userId, invoiceId: invoice._id });
+    const remaining = invoice.subtotal - existing.reduce((sum, note) => sum + note.amount, 0);
+    if (amount > remaining) {
+      throw serviceError(`Only ${remaining} of the invoice is left to credit`, 400);
+    }
+
+    const lines = splitCredit(invoice, amount).map(line => {
+      const taxableValue = invoice.exchangeRate === 1 ? line.amount : Math.round(line.amount * invoice.exchangeRate);
+      const gst = creditNoteGst(invoice, taxableValue, line.gstRate);
+      return {
+        ...line,
+        taxableValue,
+        cgstAmount: gst.cgst,
+        sgstAmount: gst.sgst,
+        igstAmount: gst.igst,
+        gstAmount: gst.total
+      };
+    });
+    const sum = field => lines.reduce((total, line) => total + line[field], 0);
+    const taxableValue = Math.round(sum('taxableValue') * 100) / 100;
+    const gstAmount = sum('gstAmount');
+    const financialYear = getFinancialYear(date);
+
+    const note = new CreditNote({
+      userId,
+      invoiceId: invoice._id,
+      financialYear,
+      noteDate: date,
+      reason,
+      amount,
+      taxableValue,
+      cgstAmount: sum('cgstAmount'),
+      sgstAmount: sum('sgstAmount'),
+      igstAmount: sum('igstAmount'),
+      gstAmount,
+      lines,
+      totalAmount: taxableValue + gstAmount
+    });
+
+    // Reject bad input before a number is consumed
+    await note.validate({ pathsToSkip: ['noteNumber', 'sequence'] });
+
+    const series = `CN/${financialYear}`;
+    const sequence = await this.reserveSequence(userId, series);
+    note.sequence = sequence;
+    note.noteNumber = `${series}/${String(sequence).padStart(4, '0')}`;
+
+    try {
+      await note.save();
+    } catch (error) {
+      await this.releaseSequence(userId, series, sequence);
+      throw error;
+    }
+
+    invoice.creditedAmount = Math.round(((invoice.creditedAmount || 0) + invoice.getCreditOf(note)) * 100) / 100;
+    if (OPEN_STATUSES.includes(invoice.status)) {
+      invoice.status = paymentStatusOf(invoice);
+    }
+    try {
+      await invoice.save();
+    } catch (error) {
+      await CreditNote.deleteOne({ _id: note._id });
+      await this.releaseSequence(userId, series, sequence);
+      throw error;
+    }
+    return note;
+  }
+
+  // Credit notes issued against one of the user's invoices
+  async getCreditNotes(userId, invoiceId) {
+    const invoice = await this.getInvoice(userId, invoiceId);
+    return CreditNote.find({ userId, invoiceId: invoice._id }).sort({ noteDate: 1, sequence: 1 });
+  }
+
+  // Get invoice data with user bank details and branding
   async getInvoiceData(userId, invoiceData) {
     try {
-      const user = await User.findById(userId);
+      const [user, branding] = await Promise.all([
+        User.findById(userId),
+        brandingService.getBranding(userId)
+      ]);
       if (!user) {
         throw new Error('User not found');
       }
 
+      const invoice = invoiceData.toObject ? invoiceData.toObject() : invoiceData;
+
       return {
-        ...invoiceData,
-        bankDetails: user.bankDetails || {}
+        ...invoice,
+        // Invoices from before GST details were recorded use the current profile
+        supplier: invoice.supplier?.gstin || invoice.supplier?.stateCode ? invoice.supplier : getSupplier(user),
+        supplierName: user.name,
+        bankDetails: user.bankDetails || {},
+        branding
       };
     } catch (error) {
       throw new Error(`Failed to get invoice data: ${error.message}`);
@@ -0,0 +1,354 @@
+const User = require('../models/user');
+const taxService = require('./taxService');
+const gstService = require('./gstService');
+const tdsReconciliationService = require('./tdsReconciliationService');
+
+// ITR-4 (Sugam) is open to residents with total income up to ₹50 lakh
+const ITR4_INCOME_LIMIT = 5000000;
+
+// Nature of business code for professionals under Section 44ADA: other
+// professional services
+const DEFAULT_PROFESSION_CODE = '16019';
+
+// Old-regime claims that go in the Chapter VI-A schedule, by the schema
+// field for each section
+const CHAPTER_VIA_FIELDS = {
+  '80C': 'Section80C',
+  '80D': 'Section80D',
+  '80CCD(1B)': 'Section80CCD1B',
+  '80TTA': 'Section80TTA'
+};
+
+const ITR4_DESCRIPTION = 'For Individuals, HUFs and Firms (other than LLP) being a resident having total income upto Rs.50 lakh and having income from Business or Profession which is computed under sections 44AD, 44ADA or 44AE';
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The return schema takes whole rupees
+function rupees(amount) {
+  return Math.round(amount || 0);
+}
+
+// yyyy-mm-dd, as the schema writes dates
+function toSchemaDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// "Asha Rao Kulkarni" -> first name "Asha Rao", surname "Kulkarni"
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    FirstName: parts.slice(0, -1).join(' ') || undefined,
+    SurNameOrOrgName: parts[parts.length - 1] || ''
+  };
+}
+
+// TDS claimed per deductor. An entry matched to a Form 26AS / AIS credit
+// takes the deductor and deposited amount from the statement, and claims
+// nothing while the credit is pending booking; any other entry takes the
+// TAN and TDS recorded on it.
+function groupTdsByDeductor(incomes, matched) {
+  const statementMatches = new Map(matched.map(match => [String(match.income._id), match]));
+  const deductors = new Map();
+
+  incomes.forEach(income => {
+    const match = statementMatches.get(String(income._id));
+    const credit = match?.credit;
+    const tds = match ? match.claimableTds : (income.tds?.amount || 0);
+    if (tds <= 0) return;
+
+    const tan = credit?.tan || income.tds?.tan || '';
+    const key = tan || `untracked:${income.clientName}`;
+    const deductor = deductors.get(key) || {
+      tan,
+      name: credit?.deductorName || income.clientName,
+      grossAmount: 0,
+      tds: 0
+    };
+    deductor.grossAmount += income.amount;
+    deductor.tds += tds;
+    deductors.set(key, deductor);
+  });
+
+  return [...deductors.values()];
+}
+
+// Chapter VI-A schedule from the old-regime deductions allowed; both 80D
+// lines (self and parents) add up under one field
+function chapterVIA(items) {
+  const schedule = Object.fromEntries(Object.values(CHAPTER_VIA_FIELDS).map(field => [field, 0]));
+  items
+    .filter(item => CHAPTER_VIA_FIELDS[item.section])
+    .forEach(item => {
+      schedule[CHAPTER_VIA_FIELDS[item.section]] += rupees(item.allowed);
+    });
+  schedule.TotalChapVIADeductions = Object.values(schedule).reduce((sum, amount) => sum + amount, 0);
+  return schedule;
+}
+
+class ItrService {
+  // Draft ITR-4 for a financial year in the e-filing utility's JSON layout,
+  // filled from the profile, income, TDS credits, challans and GST
+  // invoices, under the regime the regime comparison recommends. The
+  // report lists the mandatory fields the app could not fill, which must
+  // be completed before filing, and warnings worth checking before the
+  // draft is imported. Receipts beyond the Section 44ADA limit are refused,
+  // as ITR-4 only takes presumptive income.
+  async buildItr4(userId, financialYear) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw serviceError('User not found', 404);
+    }
+
+    const calculation = await taxService.calculateTax(userId, financialYear);
+    const { presumptive, taxPaid } = calculation;
+    if (presumptive && !presumptive.eligible) {
+      throw serviceError(`${presumptive.reason}. ITR-4 cannot be used; file ITR-3 instead`, 400);
+    }
+
+    // The same comparison the tax page shows decides the regime
+    const comparison = await taxService.compareRegimes(userId, financialYear);
+    const oldRegime = comparison.recommended === 'Old Regime';
+    const taxBreakdown = oldRegime ? comparison.oldRegime.breakdown : comparison.newRegime.breakdown;
+
+    const { incomes } = await taxService.getYearIncome(user, financialYear);
+    const { matched, unmatchedCredits } = await tdsReconciliationService.getMatches(userId, financialYear, incomes);
+    const interest = await taxService.calculateAdvanceTaxInterest(userId, financialYear, {
+      taxLiability: Math.max(0, taxBreakdown.totalTax - calculation.tdsCollected)
+    });
+    const turnoverEntries = await gstService.getTurnoverEntries(userId, financialYear);
+
+    const missingFields = [];
+    const warnings = [];
+    const missing = (field, message) => missingFields.push({ field, message });
+    const check = (field, message) => warnings.push({ field, message });
+
+    const assessmentYear = String(parseInt(financialYear.slice(0, 4), 10) + 1);
+
+    // Who is filing
+    if (!user.panNumber) {
+      missing('PersonalInfo.PAN', 'PAN is not on your profile');
+    }
+    if (!user.phone) {
+      missing('PersonalInfo.Address.MobileNo', 'Mobile number is not on your profile');
+    }
+    missing('PersonalInfo.DOB', 'Date of birth is not kept in the app; enter it in the e-filing utility');
+    missing('PersonalInfo.Address', 'Address is not kept in the app; enter it in the e-filing utility');
+
+    // Whether ITR-4 can be used at all
+    if (!presumptive) {
+      missing('ScheduleBP.PersumptiveInc44ADA', 'Presumptive taxation under Section 44ADA is not turned on in your profile; ITR-4 is only for presumptive income');
+    }
+    if (taxBreakdown.taxableIncome > ITR4_INCOME_LIMIT) {
+      missing('IncomeDeductions.TotalIncome', 'Total income is above ₹50 lakh; ITR-4 cannot be used');
+    }
+    check('ScheduleBP.NatOfBus44ADA', `Nature of business is set to code ${DEFAULT_PROFESSION_CODE} (other professional services); change it if another code fits better`);
+    check('ScheduleBP.FinanclPartclrOfBusiness', 'Sundry debtors, creditors, stock and cash balance at year end are not tracked; enter them in the e-filing utility');
+
+    // Deductions count only under the old regime, which business income
+    // can opt into only by filing Form 10-IEA before the due date
+    const deductions = oldRegime ? comparison.oldRegime.breakdown.deductions : [];
+    const chapterVIADeductions = chapterVIA(deductions);
+    const homeLoanInterest = rupees(deductions
+      .filter(item => item.section === '24(b)')
+      .reduce((sum, item) => sum + item.allowed, 0));
+    if (oldRegime) {
+      check('FilingStatus.OptOutNewTaxRegime', `The old regime comes out ₹${comparison.savings.toLocaleString('en-IN')} lower with the deductions on your profile; file Form 10-IEA to opt out of the new regime before filing`);
+    } else if (comparison.oldRegime.breakdown.totalDeductions > 0) {
+      check('FilingStatus.OptOutNewTaxRegime', `Deductions of ₹${comparison.oldRegime.breakdown.totalDeductions.toLocaleString('en-IN')} on your profile are only allowed under the old regime, which still comes out higher; this draft uses the new regime`);
+    }
+    if (deductions.some(item => item.section === '10(13A)')) {
+      check('IncomeDeductions.Salary', 'The HRA exemption on your profile is claimed against salary, which the app does not record; enter the salary and the exemption in the e-filing utility');
+    }
+
+    // TDS credits per deductor
+    const deductors = groupTdsByDeductor(incomes, matched);
+    deductors
+      .filter(deductor => !deductor.tan)
+      .forEach(deductor => missing('TDSonOthThanSals.TAN', `TDS from ${deductor.name} has no TAN; add it to the income entry or import Form 26AS`));
+    unmatchedCredits.forEach(credit => {
+      check('TDSonOthThanSals', `A TDS credit of ₹${credit.taxDeposited.toLocaleString('en-IN')} from ${credit.deductorName || credit.tan} has no income entry behind it and is not claimed`);
+    });
+    matched
+      .filter(match => match.claimableTds === 0 && match.credit.taxDeposited > 0)
+      .forEach(({ credit }) => {
+        check('TDSonOthThanSals', `A TDS credit of ₹${credit.taxDeposited.toLocaleString('en-IN')} from ${credit.deductorName || credit.tan} is not yet booked on Form 26AS (status ${credit.bookingStatus}) and is not claimed`);
+      });
+
+    // Advance and self-assessment tax challans
+    const challans = taxPaid.payments.filter(payment => payment.type !== 'regular');
+    challans
+      .filter(payment => !payment.bsrCode || !payment.challanNumber)
+      .forEach(payment => missing('ScheduleIT.TaxPayment', `The challan paid on ${toSchemaDate(payment.paymentDate)} has no BSR code or serial number`));
+
+    // Refund account
+    const { bankDetails = {} } = user;
+    if (!bankDetails.accountNumber || !bankDetails.ifscCode) {
+      missing('Refund.BankAccountDtls', 'Bank account number and IFSC are not on your profile');
+    }
+
+    // Turnover reported under the GSTIN
+    const gstTurnover = turnoverEntries.reduce((sum, entry) => sum + entry.amount, 0);
+    if (user.gstRegistered && !user.gstNumber) {
+      missing('ScheduleBP.GSTINNoDtls', 'You are GST registered but your GSTIN is not on your profile');
+    }
+
+    // Tax, interest and what is left to pay
+    const grossTaxLiability = rupees(taxBreakdown.totalTax);
+    const interest234B = rupees(interest.section234B.interest);
+    const interest234C = rupees(interest.section234C.interest);
+    const totalInterest = interest234B + interest234C;
+    const taxPlusInterest = grossTaxLiability + totalInterest;
+    const tdsClaimed = rupees(deductors.reduce((sum, deductor) => sum + deductor.tds, 0));
+    const totalTaxesPaid = rupees(taxPaid.advance) + rupees(taxPaid.selfAssessment) + tdsClaimed;
+    const balancePayable = Math.max(0, taxPlusInterest - totalTaxesPaid);
+    const refundDue = Math.max(0, totalTaxesPaid - taxPlusInterest);
+    if (balancePayable > 0) {
+      check('TaxPaid.BalTaxPayable', `₹${balancePayable.toLocaleString('en-IN')} is still payable; pay it as self-assessment tax and record the challan before filing`);
+    }
+    if (totalInterest > 0) {
+      check('TaxComputation.TotalIntrstPay', `Interest under Sections 234B and 234C is worked out to July 31, ${assessmentYear}; it grows if you file later`);
+    }
+
+    const itr4 = {
+      CreationInfo: {
+        SWVersionNo: '1.0',
+        SWCreatedBy: 'SW00000000',
+        JSONCreatedBy: 'SW00000000',
+        JSONCreationDate: toSchemaDate(new Date()),
+        IntermediaryCity: 'Delhi',
+        Digest: '-'
+      },
+      Form_ITR4: {
+        FormName: 'ITR-4',
+        Description: ITR4_DESCRIPTION,
+        AssessmentYear: assessmentYear,
+        SchemaVer: 'Ver1.0',
+        FormVer: 'Ver1.0'
+      },
+      PersonalInfo: {
+        AssesseeName: splitName(user.name),
+        PAN: user.panNumber || '',
+        Address: {
+          CountryCode: '91',
+          StateCode: user.stateCode || '',
+          CountryCodeMobile: 91,
+          MobileNo: String(user.phone || '').replace(/\D/g, '').slice(-10),
+          EmailAddress: user.email
+        },
+        Status: 'I'
+      },
+      FilingStatus: {
+        ReturnFileSec: 11,
+        OptOutNewTaxRegime: oldRegime ? 'Y' : 'N',
+        ItrFilingDueDate: `${assessmentYear}-07-31`
+      },
+      IncomeDeductions: {
+        IncomeFromBusinessProf: rupees(calculation.taxableIncome),
+        TotalIncomeOfHP: -homeLoanInterest,
+        GrossTotIncome: rupees(taxBreakdown.taxableIncome) + chapterVIADeductions.TotalChapVIADeductions,
+        DeductUndChapVIA: chapterVIADeductions,
+        TotalIncome: rupees(taxBreakdown.taxableIncome)
+      },
+      TaxComputation: {
+        TotalTaxPayable: rupees(taxBreakdown.slabTax),
+        Rebate87A: rupees(taxBreakdown.rebate),
+        TaxPayableOnRebate: rupees(taxBreakdown.taxAfterRebate),
+        EducationCess: rupees(taxBreakdown.cess),
+        GrossTaxLiability: grossTaxLiability,
+        Section89: 0,
+        NetTaxLiability: grossTaxLiability,
+        TotalIntrstPay: totalInterest,
+        IntrstPay: {
+          IntrstPayUs234A: 0,
+          IntrstPayUs234B: interest234B,
+          IntrstPayUs234C: interest234C,
+          LateFilingFee234F: 0
+        },
+        TotTaxPlusIntrstPay: taxPlusInterest
+      },
+      TaxPaid: {
+        TaxesPaid: {
+          AdvanceTax: rupees(taxPaid.advance),
+          TDS: tdsClaimed,
+          TCS: 0,
+          SelfAssessmentTax: rupees(taxPaid.selfAssessment),
+          TotalTaxesPaid: totalTaxesPaid
+        },
+        BalTaxPayable: balancePayable
+      },
+      Refund: {
+        RefundDue: refundDue,
+        BankAccountDtls: {
+          AddtnlBankDetails: bankDetails.accountNumber ? [{
+            IFSCCode: bankDetails.ifscCode || '',
+            BankName: bankDetails.bankName || '',
+            BankAccountNo: bankDetails.accountNumber,
+            AccountType: 'SB',
+            UseForRefund: 'true'
+          }] : []
+        }
+      },
+      ScheduleBP: {
+        NatOfBus44ADA: [{
+          NameOfBusiness: user.name,
+          CodeADA: DEFAULT_PROFESSION_CODE
+        }],
+        PersumptiveInc44ADA: {
+          GrsReceipt: rupees(presumptive ? presumptive.grossReceipts : calculation.totalIncome),
+          TotPersumptiveInc44ADA: rupees(calculation.taxableIncome)
+        },
+        GSTINNoDtls: user.gstNumber ? [{
+          GSTINNo: user.gstNumber,
+          AmtTurnGrossRcptGSTIN: rupees(gstTurnover)
+        }] : []
+      },
+      TDSonOthThanSals: {
+        TDSonOthThanSal: deductors.map(deductor => ({
+          EmployerOrDeductorOrCollectDetl: {
+            TAN: deductor.tan,
+            EmployerOrDeductorOrCollecterName: deductor.name
+          },
+          AmtForTaxDeduct: rupees(deductor.grossAmount),
+          DeductedYr: financialYear.slice(0, 4),
+          TotTDSOnAmtPaid: rupees(deductor.tds),
+          ClaimOutOfTotTDSOnAmtPaid: rupees(deductor.tds)
+        })),
+        TotalTDSonOthThanSals: tdsClaimed
+      },
+      ScheduleIT: {
+        TaxPayment: challans.map(payment => ({
+          BSRCode: payment.bsrCode || '',
+          DateDep: toSchemaDate(payment.paymentDate),
+          SrlNoOfChaln: parseInt(payment.challanNumber, 10) || 0,
+          Amt: rupees(payment.amount)
+        })),
+        TotalTaxPayments: rupees(challans.reduce((sum, payment) => sum + payment.amount, 0))
+      },
+      Verification: {
+        Declaration: {
+          AssesseeVerName: user.name,
+          AssesseeVerPAN: user.panNumber || ''
+        },
+        Capacity: 'S'
+      }
+    };
+
+    return {
+      financialYear,
+      assessmentYear,
+      itr: { ITR: { ITR4: itr4 } },
+      report: {
+        missingFields,
+        warnings
+      }
+    };
+  }
+}
+
+module.exports = new ItrService();
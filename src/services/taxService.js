@@ -1,85 +1,137 @@
 const Income = require('../models/income');
 const User = require('../models/user');
+const TaxPayment = require('../models/taxPayment');
+const { getFinancialYear, getFinancialYearRange, financialYearDateQuery } = require('../utils/financialYear');
+const { getTaxRules } = require('../config/taxRules');
+const taxEngine = require('../../public/shared/taxEngine.mjs');
+const gstEngine = require('../../public/shared/gstEngine.mjs');
+const tdsReconciliationService = require('./tdsReconciliationService');
+const gstService = require('./gstService');
+
+// One deduction line: the amount claimed, capped at the section limit
+function cappedDeduction(section, description, claimed, limit) {
+  const amount = claimed || 0;
+  return {
+    section,
+    description,
+    claimed: amount,
+    limit,
+    allowed: Math.min(amount, limit)
+  };
+}
 
 class TaxService {
-  // Calculate income tax using NEW REGIME slabs (FY 2024-25)
-  calculateIncomeTax(totalIncome) {
-    let tax = 0;
-    
-    // New Regime Slabs:
-    // 0 - 2,50,000: 0%
-    // 2,50,001 - 5,00,000: 5%
-    // 5,00,001 - 7,50,000: 10%
-    // 7,50,001 - 10,00,000: 15%
-    // 10,00,001 - 12,50,000: 20%
-    // 12,50,001 - 15,00,000: 25%
-    // Above 15,00,000: 30%
-    
-    if (totalIncome <= 250000) {
-      tax = 0;
-    } else if (totalIncome <= 500000) {
-      tax = (totalIncome - 250000) * 0.05;
-    } else if (totalIncome <= 750000) {
-      tax = 12500 + (totalIncome - 500000) * 0.10;
-    } else if (totalIncome <= 1000000) {
-      tax = 37500 + (totalIncome - 750000) * 0.15;
-    } else if (totalIncome <= 1250000) {
-      tax = 75000 + (totalIncome - 1000000) * 0.20;
-    } else if (totalIncome <= 1500000) {
-      tax = 125000 + (totalIncome - 1250000) * 0.25;
-    } else {
-      tax = 187500 + (totalIncome - 1500000) * 0.30;
-    }
-    
-    return Math.round(tax);
-  }
-
-  // Apply TDS at 10%
-  applyTDS(amount) {
-    return Math.round(amount * 0.10);
-  }
-
-  // Check GST threshold (20 lakhs)
-  checkGSTThreshold(totalIncome) {
-    return totalIncome > 2000000;
-  }
-
-  // Calculate advance tax due based on current date
-  getAdvanceTaxDue(estimatedTax) {
-    const today = new Date();
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1; // Months are 0-indexed
-    
-    // Advance Tax Schedule:
-    // By June 15: 15% of estimated tax
-    // By September 15: 45% of estimated tax
-    // By December 15: 75% of estimated tax
-    // By March 15: 100% of estimated tax
-    
-    let percentageDue = 0;
-    let nextDueDate = '';
-    
-    if (currentMonth < 6) {
-      percentageDue = 0;
-      nextDueDate = `June 15, ${currentYear}`;
-    } else if (currentMonth < 9) {
-      percentageDue = 0.15;
-      nextDueDate = `September 15, ${currentYear}`;
-    } else if (currentMonth < 12) {
-      percentageDue = 0.45;
-      nextDueDate = `December 15, ${currentYear}`;
-    } else {
-      percentageDue = 0.75;
-      nextDueDate = `March 15, ${currentYear + 1}`;
+  // Full income tax computation for a financial year under the new regime
+  // (or 'oldRegime'): slab tax, 87A rebate, surcharge and cess. The
+  // arithmetic lives in the shared tax engine so the browser matches it.
+  calculateTaxBreakdown(taxableIncome, financialYear = getFinancialYear(), regime = 'newRegime') {
+    return taxEngine.calculateTaxBreakdown(taxableIncome, getTaxRules(financialYear), regime);
+  }
+
+  // Total income tax (including rebate, surcharge and cess) for a
+  // financial year under the new regime or 'oldRegime'
+  calculateIncomeTax(totalIncome, financialYear = getFinancialYear(), regime = 'newRegime') {
+    return this.calculateTaxBreakdown(totalIncome, financialYear, regime).totalTax;
+  }
+
+  // TDS credit on a set of income entries, in total and per section. An
+  // entry matched to a Form 26AS / AIS credit counts the amount the
+  // deductor deposited, or nothing while that credit is pending booking;
+  // any other entry counts the TDS recorded on it.
+  getTDSCredit(incomes, matched = []) {
+    const statementMatches = new Map(matched.map(match => [String(match.income._id), match]));
+    const bySection = {};
+    let total = 0;
+    let fromStatements = 0;
+
+    incomes.forEach(income => {
+      const match = statementMatches.get(String(income._id));
+      const credit = match?.credit;
+      const amount = match ? match.claimableTds : (income.tds?.amount || 0);
+      if (match) {
+        fromStatements += amount;
+      }
+      if (amount > 0) {
+        const section = income.tds?.section || credit?.section || 'unspecified';
+        bySection[section] = (bySection[section] || 0) + amount;
+        total += amount;
+      }
+    });
+
+    return { total, bySection, fromStatements };
+  }
+
+  // Whether a year's aggregate turnover is above the GST registration
+  // threshold for the user's state: ₹20 lakh, or ₹10 lakh in a special
+  // category state
+  checkGSTThreshold(turnover, stateCode) {
+    return turnover > gstEngine.getRegistrationThreshold(stateCode);
+  }
+
+  // Aggregate turnover for a financial year against the GST registration
+  // threshold, with the date it was crossed or, at the current run-rate,
+  // is projected to be. Turnover is the value of the invoices issued,
+  // exports included since zero-rated supplies count too, less credit
+  // notes. When more income was received than invoiced (payments recorded
+  // without an invoice), the income received is used instead.
+  async getGSTThresholdStatus(userId, financialYear = getFinancialYear()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
     }
-    
+
+    const entries = await gstService.getTurnoverEntries(userId, financialYear);
+    const { incomes, totalIncome } = await this.getYearIncome(user, financialYear);
+    const invoicedTurnover = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const exportTurnover = entries
+      .filter(entry => entry.export)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const fromIncome = totalIncome > invoicedTurnover;
+
+    const stateCode = user.stateCode || null;
+    const assessment = gstEngine.assessGstThreshold(
+      fromIncome ? incomes.map(income => ({ date: income.date, amount: income.amount })) : entries,
+      { threshold: gstEngine.getRegistrationThreshold(stateCode), ...getFinancialYearRange(financialYear) }
+    );
+
     return {
-      amountDue: Math.round(estimatedTax * percentageDue),
-      nextDueDate,
-      percentageDue: percentageDue * 100
+      financialYear,
+      stateCode,
+      specialCategoryState: gstEngine.SPECIAL_CATEGORY_STATES.includes(stateCode),
+      gstRegistered: Boolean(user.gstRegistered),
+      turnoverSource: fromIncome ? 'income' : 'invoices',
+      invoicedTurnover: Math.round(invoicedTurnover * 100) / 100,
+      exportTurnover: Math.round(exportTurnover * 100) / 100,
+      incomeReceived: totalIncome,
+      ...assessment,
+      registrationRequired: assessment.status === 'exceeded' && !user.gstRegistered,
+      warning: user.gstRegistered ? null : this.getGSTThresholdWarning(assessment)
     };
   }
 
+  // What an unregistered user should be told about their turnover, if anything
+  getGSTThresholdWarning({ threshold, turnover, percentOfThreshold, status, crossedOn, registrationDueBy, projectedCrossingDate }) {
+    const limit = `₹${threshold / 100000} lakh`;
+    const formatDate = date => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    if (status === 'exceeded') {
+      return `Turnover of ₹${turnover.toLocaleString('en-IN')} crossed the ${limit} GST registration threshold on ${formatDate(crossedOn)}; apply for registration by ${formatDate(registrationDueBy)}`;
+    }
+    if (projectedCrossingDate) {
+      return `At the current rate, turnover will cross the ${limit} GST registration threshold around ${formatDate(projectedCrossingDate)}`;
+    }
+    if (status === 'approaching') {
+      return `Turnover is ${percentOfThreshold}% of the ${limit} GST registration threshold`;
+    }
+    return null;
+  }
+
+  // Advance tax of a financial year already due today on an estimated
+  // tax, and the next due date
+  getAdvanceTaxDue(estimatedTax, financialYear = getFinancialYear()) {
+    return taxEngine.getAdvanceTaxDue(estimatedTax, new Date(), financialYear);
+  }
+
   // Calculate deductions based on expenses and 80C options
   calculateDeductions(income, expenses) {
     const deductions = [];
@@ -162,43 +214,259 @@ class TaxService {
     };
   }
 
-  // Get next due dates for advance tax and GST
-  getNextDueDate(userId) {
-    const today = new Date();
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth() + 1;
+  // Get next due dates for advance tax and, for a GST registered user, the
+  // next GSTR-1, GSTR-3B and (under QRMP) IFF and PMT-06 due dates for
+  // their filing frequency and state
+  async getNextDueDate(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
 
     // Calculate next advance tax due date
-    let nextAdvanceTaxDue = '';
-    if (currentMonth < 6) {
-      nextAdvanceTaxDue = `June 15, ${currentYear}`;
-    } else if (currentMonth < 9) {
-      nextAdvanceTaxDue = `September 15, ${currentYear}`;
-    } else if (currentMonth < 12) {
-      nextAdvanceTaxDue = `December 15, ${currentYear}`;
-    } else {
-      nextAdvanceTaxDue = `March 15, ${currentYear + 1}`;
-    }
+    const nextInstalment = taxEngine.getNextAdvanceTaxInstalment();
+    const nextAdvanceTaxDue = `${nextInstalment.name}, ${nextInstalment.date.getFullYear()}`;
 
-    // Calculate next GST due date (if user is GST registered)
-    let nextGSTDue = null;
-    // GST is typically filed monthly (18th of next month) or quarterly
-    // For simplicity, we'll use quarterly filing
-    const gstQuarters = [
-      { end: 'April 18', due: 'April 18' },
-      { end: 'July 18', due: 'July 18' },
-      { end: 'October 18', due: 'October 18' },
-      { end: 'January 18', due: 'January 18' }
-    ];
+    const gstDueDates = user.gstRegistered
+      ? gstEngine.getGstDueDates(new Date(), { frequency: user.gstFilingFrequency, stateCode: user.stateCode })
+      : [];
 
     return {
       nextAdvanceTaxDue,
-      nextGSTDue
+      nextGSTDue: gstDueDates[0] || null,
+      gstFilingFrequency: user.gstRegistered ? user.gstFilingFrequency : null,
+      gstDueDates
+    };
+  }
+
+  // HRA exemption: the least of HRA received, rent paid above 10% of basic
+  // salary, and 50% (metro) or 40% (other cities) of basic salary
+  calculateHRAExemption(hra, hraRules) {
+    const basicSalary = hra.basicSalary || 0;
+    const salaryShare = hra.metroCity ? hraRules.metroShare : hraRules.nonMetroShare;
+
+    return Math.max(0, Math.round(Math.min(
+      hra.hraReceived || 0,
+      (hra.rentPaid || 0) - basicSalary * hraRules.rentOverBasicShare,
+      basicSalary * salaryShare
+    )));
+  }
+
+  // Old-regime deductions from the user's claims, each capped at the
+  // section limit for the financial year. Only claimed sections are listed.
+  calculateOldRegimeDeductions(deductions = {}, financialYear = getFinancialYear()) {
+    const limits = getTaxRules(financialYear).oldRegime.deductionLimits;
+    const mediclaim = deductions.section80D || {};
+    const hra = deductions.hra || {};
+
+    const items = [
+      cappedDeduction('80C', 'Investments (PPF, ELSS, life insurance, EPF)', deductions.section80C, limits.section80C),
+      cappedDeduction('80D', 'Health insurance - self and family', mediclaim.selfAndFamily,
+        mediclaim.selfSeniorCitizen ? limits.section80D.selfAndFamilySenior : limits.section80D.selfAndFamily),
+      cappedDeduction('80D', 'Health insurance - parents', mediclaim.parents,
+        mediclaim.parentsSeniorCitizen ? limits.section80D.parentsSenior : limits.section80D.parents),
+      cappedDeduction('80CCD(1B)', 'Additional NPS contribution', deductions.section80CCD1B, limits.section80CCD1B),
+      cappedDeduction('80TTA', 'Savings account interest', deductions.section80TTA, limits.section80TTA),
+      cappedDeduction('24(b)', 'Home loan interest (self-occupied)', deductions.homeLoanInterest, limits.homeLoanInterest)
+    ];
+
+    if (hra.hraReceived > 0) {
+      const exemption = this.calculateHRAExemption(hra, limits.hra);
+      items.push({
+        section: '10(13A)',
+        description: 'House rent allowance exemption',
+        claimed: hra.hraReceived,
+        limit: exemption,
+        allowed: exemption
+      });
+    }
+
+    const claimedItems = items.filter(item => item.claimed > 0);
+    return {
+      items: claimedItems,
+      total: claimedItems.reduce((sum, item) => sum + item.allowed, 0)
     };
   }
 
-  // Get complete tax calculation for a user
-  async calculateTax(userId) {
+  // Standard deduction under a regime: it comes off salary only, up to the
+  // year's limit, so professional receipts on their own get none
+  getStandardDeduction(salaryIncome, financialYear = getFinancialYear(), regime = 'newRegime') {
+    return Math.min(salaryIncome || 0, getTaxRules(financialYear)[regime].standardDeduction);
+  }
+
+  // Old-regime income tax: the standard deduction on any salary and the
+  // user's deductions come off income before the old-regime slabs,
+  // rebate, surcharge and cess
+  calculateOldRegimeTax(income, deductions, financialYear = getFinancialYear(), salaryIncome = 0) {
+    const standardDeduction = this.getStandardDeduction(salaryIncome, financialYear, 'oldRegime');
+    const { items, total } = this.calculateOldRegimeDeductions(deductions, financialYear);
+    const taxableIncome = Math.max(0, income - standardDeduction - total);
+
+    return {
+      income,
+      standardDeduction,
+      deductions: items,
+      totalDeductions: total,
+      ...this.calculateTaxBreakdown(taxableIncome, financialYear, 'oldRegime')
+    };
+  }
+
+  // Business expenses recorded on the user's profile within a financial year
+  getBusinessExpenses(user, financialYear) {
+    const { start, end } = getFinancialYearRange(financialYear);
+    return (user.expenses || [])
+      .filter(expense => expense.date && expense.date >= start && expense.date < end)
+      .reduce((sum, expense) => sum + (expense.amount || 0), 0);
+  }
+
+  // Income under Section 44ADA alongside the regular books-of-account
+  // computation (receipts less expenses). Receipts above the limit make
+  // the scheme unavailable, so the books figure is used instead. The
+  // higher limit applies while cash receipts stay within the allowed share.
+  calculatePresumptiveIncome(incomes, businessExpenses, financialYear) {
+    const rules = getTaxRules(financialYear).presumptive44ADA;
+
+    const grossReceipts = incomes.reduce((sum, income) => sum + income.amount, 0);
+    const cashReceipts = incomes
+      .filter(income => income.paymentMode === 'cash')
+      .reduce((sum, income) => sum + income.amount, 0);
+    const cashShare = grossReceipts > 0 ? cashReceipts / grossReceipts : 0;
+    const receiptsLimit = cashShare <= rules.maxCashShare
+      ? rules.enhancedReceiptsLimit
+      : rules.receiptsLimit;
+    const eligible = grossReceipts <= receiptsLimit;
+
+    const presumptiveIncome = Math.round(grossReceipts * rules.rate);
+    const booksIncome = Math.max(0, grossReceipts - businessExpenses);
+    const presumptiveTax = this.calculateIncomeTax(presumptiveIncome, financialYear);
+    const booksTax = this.calculateIncomeTax(booksIncome, financialYear);
+
+    return {
+      eligible,
+      grossReceipts,
+      cashReceipts,
+      cashSharePercent: Math.round(cashShare * 10000) / 100,
+      receiptsLimit,
+      presumptiveRate: rules.rate,
+      taxableIncome: eligible ? presumptiveIncome : booksIncome,
+      reason: eligible
+        ? null
+        : `Gross receipts exceed the Section 44ADA limit of ₹${receiptsLimit.toLocaleString('en-IN')}; income is computed from books of account`,
+      comparison: {
+        presumptive: {
+          taxableIncome: presumptiveIncome,
+          tax: presumptiveTax
+        },
+        books: {
+          grossReceipts,
+          businessExpenses,
+          taxableIncome: booksIncome,
+          tax: booksTax
+        },
+        recommended: eligible && presumptiveTax <= booksTax ? 'presumptive' : 'books',
+        savings: Math.abs(presumptiveTax - booksTax)
+      }
+    };
+  }
+
+  // Income received in a financial year and the amount taxed on it
+  // (gross receipts, or presumptive income under Section 44ADA)
+  async getYearIncome(user, financialYear) {
+    const incomes = await Income.find({
+      userId: user._id,
+      date: financialYearDateQuery(financialYear)
+    });
+    const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
+
+    // Professionals under Section 44ADA are taxed on a share of receipts
+    const presumptive = user.taxProfile && user.taxProfile.presumptive44ADA
+      ? this.calculatePresumptiveIncome(incomes, this.getBusinessExpenses(user, financialYear), financialYear)
+      : null;
+
+    return {
+      incomes,
+      totalIncome,
+      presumptive,
+      taxableIncome: presumptive ? presumptive.taxableIncome : totalIncome
+    };
+  }
+
+  // Compare both regimes on the user's income for the year (or a given
+  // income) and their stored deductions. The standard deduction comes off
+  // the salary part of the income alike in both; recorded income is all
+  // professional receipts, so none by default.
+  async compareRegimes(userId, financialYear = getFinancialYear(), incomeOverride, salaryIncome = 0) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const income = incomeOverride !== undefined
+      ? incomeOverride
+      : (await this.getYearIncome(user, financialYear)).taxableIncome;
+    const newRegime = this.calculateTaxBreakdown(
+      Math.max(0, income - this.getStandardDeduction(salaryIncome, financialYear)),
+      financialYear
+    );
+    const oldRegime = this.calculateOldRegimeTax(income, user.deductions, financialYear, salaryIncome);
+
+    return {
+      financialYear,
+      taxRulesYear: newRegime.taxRulesYear,
+      income,
+      newRegime: {
+        tax: newRegime.totalTax,
+        effectiveRate: taxEngine.calculateEffectiveRate(newRegime.totalTax, income),
+        breakdown: newRegime
+      },
+      oldRegime: {
+        tax: oldRegime.totalTax,
+        effectiveRate: taxEngine.calculateEffectiveRate(oldRegime.totalTax, income),
+        breakdown: oldRegime
+      },
+      recommended: newRegime.totalTax <= oldRegime.totalTax ? 'New Regime' : 'Old Regime',
+      savings: Math.abs(newRegime.totalTax - oldRegime.totalTax)
+    };
+  }
+
+  // Tax already paid for a financial year through challans, by type
+  async getTaxPaid(userId, financialYear) {
+    const payments = await TaxPayment.find({ userId, financialYear }).sort({ paymentDate: 1 });
+    const sumOf = type => payments
+      .filter(payment => payment.type === type)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+
+    return {
+      advance: sumOf('advance'),
+      selfAssessment: sumOf('self-assessment'),
+      regular: sumOf('regular'),
+      total: payments.reduce((sum, payment) => sum + payment.amount, 0),
+      payments
+    };
+  }
+
+  // Interest under Sections 234B and 234C on the year's advance tax
+  // payments, by default the advance and self-assessment tax recorded for
+  // the year. The liability defaults to the user's tax for the year less
+  // TDS; presumptive (44ADA) users have a single March 15 instalment.
+  async calculateAdvanceTaxInterest(userId, financialYear = getFinancialYear(), options = {}) {
+    const { filingDate, taxLiability } = options;
+    const calculation = await this.calculateTax(userId, financialYear);
+    const payments = options.payments || calculation.taxPaid.payments
+      .filter(payment => payment.type !== 'regular')
+      .map(payment => ({ date: payment.paymentDate, amount: payment.amount }));
+
+    return taxEngine.calculateAdvanceTaxInterest({
+      assessedTax: taxLiability !== undefined ? taxLiability : calculation.finalTaxPayable,
+      payments,
+      financialYear,
+      filingDate,
+      presumptive: calculation.incomeComputation === 'presumptive44ADA'
+    });
+  }
+
+  // Get complete tax calculation for a user for one financial year
+  async calculateTax(userId, financialYear = getFinancialYear()) {
     try {
       // Get user details
       const user = await User.findById(userId);
@@ -206,35 +474,51 @@ class TaxService {
         throw new Error('User not found');
       }
 
-      // Get all income for the user
-      const incomes = await Income.find({ userId });
-      
-      // Calculate total income
-      const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
-      
-      // Calculate TDS collected
-      const tdsCollected = incomes
-        .filter(income => income.tdsDeducted)
-        .reduce((sum, income) => sum + this.applyTDS(income.amount), 0);
+      // Get the user's income received in this financial year
+      const { incomes, totalIncome, presumptive, taxableIncome } = await this.getYearIncome(user, financialYear);
       
-      // Check if GST is required
-      const gstRequired = user.gstRegistered && this.checkGSTThreshold(totalIncome);
+      // TDS credit from the imported statements where they match an entry,
+      // otherwise from the amounts recorded on the entries
+      const { matched } = await tdsReconciliationService.getMatches(userId, financialYear, incomes);
+      const tdsCredit = this.getTDSCredit(incomes, matched);
+      const tdsCollected = tdsCredit.total;
       
-      // Calculate income tax
-      const incomeTax = this.calculateIncomeTax(totalIncome);
+      // Check if GST registration is required
+      const gstRequired = this.checkGSTThreshold(totalIncome, user.stateCode);
       
-      // Calculate advance tax adjustments
-      const advanceTaxInfo = this.getAdvanceTaxDue(incomeTax);
+      // Calculate income tax with rebate, surcharge and cess
+      const taxBreakdown = this.calculateTaxBreakdown(taxableIncome, financialYear);
+      const incomeTax = taxBreakdown.totalTax;
       
       // Final tax payable (income tax - TDS already deducted)
       const finalTaxPayable = Math.max(0, incomeTax - tdsCollected);
+      
+      // Advance tax is due on what TDS does not cover
+      const advanceTaxInfo = this.getAdvanceTaxDue(finalTaxPayable, financialYear);
+
+      // What is left after advance, self-assessment and regular tax paid
+      const taxPaid = await this.getTaxPaid(userId, financialYear);
+      const remainingLiability = Math.max(0, finalTaxPayable - taxPaid.total);
+      const refundDue = Math.max(0, tdsCollected + taxPaid.total - incomeTax);
 
       return {
+        financialYear,
+        taxRulesYear: taxBreakdown.taxRulesYear,
         totalIncome,
+        taxableIncome,
+        incomeComputation: presumptive ? 'presumptive44ADA' : 'grossReceipts',
+        presumptive,
         gstRequired,
         tdsCollected,
+        tdsBySection: tdsCredit.bySection,
+        tdsFromStatements: tdsCredit.fromStatements,
         incomeTax,
+        effectiveRate: taxEngine.calculateEffectiveRate(incomeTax, totalIncome),
+        taxBreakdown,
         finalTaxPayable,
+        taxPaid,
+        remainingLiability,
+        refundDue,
         advanceTaxDue: advanceTaxInfo.amountDue,
         nextAdvanceTaxDue: advanceTaxInfo.nextDueDate,
         incomeBreakdown: incomes.map(income => ({
@@ -242,7 +526,9 @@ class TaxService {
           amount: income.amount,
           date: income.date,
           tdsDeducted: income.tdsDeducted,
-          gstApplicable: income.gstApplicable
+          tds: income.tds,
+          gstApplicable: income.gstApplicable,
+          paymentMode: income.paymentMode
         }))
       };
     } catch (error) {
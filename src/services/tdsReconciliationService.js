@@ -0,0 +1,433 @@
+const Income = require('../models/income');
+const TdsCredit = require('../models/tdsCredit');
+const { financialYearDateQuery } = require('../utils/financialYear');
+const { parseStatementDate, splitCsvLine } = require('../utils/csv');
+
+const TAN_PATTERN = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+
+// A credit matches an income entry when the gross amounts agree to the
+// rupee and the deductor booked it within this many days of the entry
+const AMOUNT_TOLERANCE = 1;
+const MATCH_WINDOW_DAYS = 45;
+
+// 26AS booking statuses whose credit can be claimed: F (final) and O
+// (overbooked). U (unmatched) and P (provisional) credits are pending until
+// the deductor's deposit is booked. Statements without a booking status,
+// such as AIS, report booked credits only.
+const CLAIMABLE_STATUSES = ['F', 'O'];
+
+// Words that differ between how a client is named on an invoice and how
+// the deductor is named on 26AS
+const NAME_NOISE = new Set(['the', 'private', 'pvt', 'limited', 'ltd', 'llp', 'inc', 'co', 'company', 'india']);
+
+// Columns of a flat 26AS CSV, keyed by the header with everything but
+// letters removed
+const CSV_COLUMNS = {
+  nameofdeductor: 'deductorName',
+  deductorname: 'deductorName',
+  tanofdeductor: 'tan',
+  deductortan: 'tan',
+  tan: 'tan',
+  section: 'section',
+  transactiondate: 'transactionDate',
+  statusofbooking: 'bookingStatus',
+  bookingstatus: 'bookingStatus',
+  amountpaidcredited: 'amountPaid',
+  amountpaid: 'amountPaid',
+  taxdeducted: 'taxDeducted',
+  tdsdeducted: 'taxDeducted',
+  tdsdeposited: 'taxDeposited',
+  taxdeposited: 'taxDeposited'
+};
+
+// Field a CSV header maps to, if any: "Amount Paid / Credited(Rs.)" -> amountPaid
+function toColumn(header) {
+  return CSV_COLUMNS[header.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z]/g, '')];
+}
+
+// Rupee amount as printed on a statement ("1,00,000.00")
+function parseAmount(value) {
+  const amount = parseFloat(String(value ?? '').replace(/[,\s₹]/g, ''));
+  return Number.isNaN(amount) ? null : amount;
+}
+
+// Client or deductor name reduced to the words that identify it
+function normaliseName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NAME_NOISE.has(word))
+    .join(' ');
+}
+
+function namesMatch(a, b) {
+  const first = normaliseName(a);
+  const second = normaliseName(b);
+  return Boolean(first && second) && (first === second || first.includes(second) || second.includes(first));
+}
+
+// Error carrying the HTTP status the controller should respond with
+function serviceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A parsed credit, or null when a required value is missing
+function toCredit(fields) {
+  const tan = String(fields.tan || '').trim().toUpperCase();
+  const transactionDate = parseStatementDate(fields.transactionDate);
+  const amountPaid = parseAmount(fields.amountPaid);
+  const taxDeducted = parseAmount(fields.taxDeducted);
+
+  if (!TAN_PATTERN.test(tan) || !transactionDate || amountPaid === null || taxDeducted === null) {
+    return null;
+  }
+
+  const taxDeposited = parseAmount(fields.taxDeposited);
+  return {
+    deductorName: String(fields.deductorName || '').trim(),
+    tan,
+    section: String(fields.section || '').trim().toUpperCase(),
+    transactionDate,
+    amountPaid,
+    taxDeducted,
+    taxDeposited: taxDeposited === null ? taxDeducted : taxDeposited,
+    bookingStatus: String(fields.bookingStatus || '').trim().toUpperCase() || undefined
+  };
+}
+
+// Whether a statement credit can be claimed yet
+function isClaimable(credit) {
+  return !credit.bookingStatus || CLAIMABLE_STATUSES.includes(credit.bookingStatus);
+}
+
+function summariseCredit(credit) {
+  return {
+    _id: credit._id,
+    source: credit.source,
+    deductorName: credit.deductorName,
+    tan: credit.tan,
+    section: credit.section,
+    transactionDate: credit.transactionDate,
+    amountPaid: credit.amountPaid,
+    taxDeducted: credit.taxDeducted,
+    taxDeposited: credit.taxDeposited,
+    bookingStatus: credit.bookingStatus,
+    pending: !isClaimable(credit)
+  };
+}
+
+function summariseIncome(income) {
+  return {
+    _id: income._id,
+    clientName: income.clientName,
+    amount: income.amount,
+    date: income.date,
+    tds: income.tds
+  };
+}
+
+const sum = (items, amount) => items.reduce((total, item) => total + amount(item), 0);
+
+class TdsReconciliationService {
+  // Work out the statement format from its content
+  detectFormat(content) {
+    if (typeof content === 'object' && content !== null) {
+      return 'ais-json';
+    }
+
+    const text = String(content).trim();
+    if (text.startsWith('{') || text.startsWith('[')) {
+      return 'ais-json';
+    }
+    return text.includes('^') ? '26as-text' : '26as-csv';
+  }
+
+  // Part A (TDS on payments other than salary) of the caret-delimited text
+  // file downloaded from TRACES. Each deductor's summary row is followed by
+  // its transactions, which start with an empty column.
+  parse26ASText(text, split = line => line.split('^')) {
+    const credits = [];
+    let skipped = 0;
+    let inTdsPart = true;
+    let deductor = null;
+
+    String(text).split(/\r?\n/).forEach(line => {
+      const fields = split(line).map(field => field.trim());
+
+      if (/^PART[\s-]*[A-Z0-9]+/i.test(fields[0])) {
+        inTdsPart = /^PART[\s-]*(A|I)(?![A-Z0-9])/i.test(fields[0]);
+        deductor = null;
+        return;
+      }
+      if (!inTdsPart) {
+        return;
+      }
+
+      if (/^\d+$/.test(fields[0]) && TAN_PATTERN.test((fields[2] || '').toUpperCase())) {
+        deductor = { deductorName: fields[1], tan: fields[2] };
+        return;
+      }
+
+      if (deductor && fields[0] === '' && /^\d+$/.test(fields[1] || '') && /^\d{3}/.test(fields[2] || '')) {
+        const credit = toCredit({
+          ...deductor,
+          section: fields[2],
+          transactionDate: fields[3],
+          bookingStatus: fields[4],
+          amountPaid: fields[7],
+          taxDeducted: fields[8],
+          taxDeposited: fields[9]
+        });
+
+        if (credit) {
+          credits.push(credit);
+        } else {
+          skipped++;
+        }
+      }
+    });
+
+    return { credits, skipped };
+  }
+
+  // A 26AS CSV: either one transaction per row under a header naming the
+  // columns, or the TRACES layout with commas instead of carets
+  parse26ASCsv(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+    const headerIndex = lines.findIndex(line => {
+      const columns = splitCsvLine(line).map(toColumn);
+      return columns.includes('tan') && columns.includes('section') && columns.includes('amountPaid');
+    });
+
+    if (headerIndex === -1) {
+      return this.parse26ASText(text, splitCsvLine);
+    }
+
+    const columns = splitCsvLine(lines[headerIndex]).map(toColumn);
+    const credits = [];
+    let skipped = 0;
+
+    lines.slice(headerIndex + 1).forEach(line => {
+      const fields = {};
+      splitCsvLine(line).forEach((value, index) => {
+        if (columns[index]) {
+          fields[columns[index]] = value;
+        }
+      });
+
+      const credit = toCredit(fields);
+      if (credit) {
+        credits.push(credit);
+      } else {
+        skipped++;
+      }
+    });
+
+    return { credits, skipped };
+  }
+
+  // AIS JSON: TDS records (information codes starting TDS-) each with the
+  // deductor and a list of transactions. TCS and SFT records are ignored.
+  parseAISJson(content) {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw serviceError(`AIS statement is not valid JSON: ${error.message}`, 400);
+      }
+    }
+    const records = Array.isArray(data) ? data : (data.tdsTcs || data.TDS || data.tds || []);
+    const credits = [];
+    let skipped = 0;
+
+    records.forEach(record => {
+      const infoCode = String(record.infoCode || record.informationCode || 'TDS');
+      if (!/^TDS/i.test(infoCode)) {
+        return;
+      }
+
+      const transactions = record.transactions || record.details || [record];
+      transactions.forEach(transaction => {
+        const credit = toCredit({
+          deductorName: record.deductorName || record.nameOfDeductor || record.name,
+          tan: record.tan || record.tanOfDeductor || record.deductorTan,
+          section: record.section || infoCode.replace(/^TDS-?/i, ''),
+          transactionDate: transaction.transactionDate || transaction.dateOfPayment || transaction.date,
+          amountPaid: transaction.amountPaid ?? transaction.amountPaidCredited ?? transaction.amount,
+          taxDeducted: transaction.taxDeducted ?? transaction.tdsDeducted,
+          taxDeposited: transaction.taxDeposited ?? transaction.tdsDeposited,
+          bookingStatus: transaction.bookingStatus || transaction.status
+        });
+
+        if (credit) {
+          credits.push(credit);
+        } else {
+          skipped++;
+        }
+      });
+    });
+
+    return { credits, skipped };
+  }
+
+  // Parse a statement in any supported format into credits
+  parseStatement(content, format = this.detectFormat(content)) {
+    switch (format) {
+      case '26as-text':
+        return { source: '26AS', ...this.parse26ASText(content) };
+      case '26as-csv':
+        return { source: '26AS', ...this.parse26ASCsv(content) };
+      case 'ais-json':
+        return { source: 'AIS', ...this.parseAISJson(content) };
+      default:
+        throw serviceError(`Unsupported statement format: ${format}`, 400);
+    }
+  }
+
+  // Store the credits from a statement. A credit already imported (same
+  // deductor, section, date and amounts) is updated rather than duplicated.
+  async importStatement(userId, content, format) {
+    const { source, credits, skipped } = this.parseStatement(content, format);
+    if (credits.length === 0) {
+      throw serviceError('No TDS credits found in the statement', 400);
+    }
+
+    const documents = await Promise.all(credits.map(async credit => {
+      const document = new TdsCredit({ ...credit, userId, source });
+      await document.validate();
+      return document;
+    }));
+
+    const result = await TdsCredit.bulkWrite(documents.map(document => {
+      const { _id, createdAt, updatedAt, ...fields } = document.toObject();
+      return {
+        updateOne: {
+          filter: {
+            userId,
+            tan: fields.tan,
+            section: fields.section,
+            transactionDate: fields.transactionDate,
+            amountPaid: fields.amountPaid,
+            taxDeducted: fields.taxDeducted
+          },
+          update: { $set: fields },
+          upsert: true
+        }
+      };
+    }));
+
+    return {
+      source,
+      format: format || this.detectFormat(content),
+      parsed: credits.length,
+      imported: result.upsertedCount,
+      updated: result.modifiedCount,
+      skipped,
+      financialYears: [...new Set(documents.map(document => document.financialYear))].sort()
+    };
+  }
+
+  // Pair statement credits with income entries. A pair needs the gross
+  // amounts to agree and the dates to be close, plus the same deductor
+  // TAN or a matching client name; the closest candidate wins. Each pair
+  // carries the TDS it lets the user claim, none while the credit is pending.
+  matchCredits(credits, incomes) {
+    const available = new Set(incomes);
+    const matched = [];
+    const unmatchedCredits = [];
+    const windowMs = MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+    [...credits]
+      .sort((a, b) => a.transactionDate - b.transactionDate)
+      .forEach(credit => {
+        let best = null;
+
+        available.forEach(income => {
+          const gap = Math.abs(new Date(income.date) - credit.transactionDate);
+          if (Math.abs(income.amount - credit.amountPaid) > AMOUNT_TOLERANCE || gap > windowMs) {
+            return;
+          }
+
+          const tanMatch = Boolean(income.tds?.tan) && income.tds.tan === credit.tan;
+          const nameMatch = namesMatch(income.clientName, credit.deductorName);
+          if (!tanMatch && !nameMatch) {
+            return;
+          }
+
+          const score = (tanMatch ? 2 : 0) + (nameMatch ? 1 : 0) + (1 - gap / windowMs);
+          if (!best || score > best.score) {
+            best = { income, score };
+          }
+        });
+
+        if (best) {
+          available.delete(best.income);
+          const recordedTds = best.income.tds?.amount || 0;
+          matched.push({
+            credit,
+            income: best.income,
+            recordedTds,
+            claimableTds: isClaimable(credit) ? credit.taxDeposited : 0,
+            difference: credit.taxDeposited - recordedTds
+          });
+        } else {
+          unmatchedCredits.push(credit);
+        }
+      });
+
+    return { matched, unmatchedCredits, unmatchedIncomes: [...available] };
+  }
+
+  // Imported credits for a financial year matched against the income entries
+  async getMatches(userId, financialYear, incomes) {
+    const credits = await TdsCredit.find({ userId, financialYear });
+    return { credits, ...this.matchCredits(credits, incomes) };
+  }
+
+  // Reconciliation report for a financial year:
+  // - missingCredits: income with TDS recorded but no credit on the statements
+  // - shortDeductions: matched credits below the TDS recorded on the entry
+  // - unrecordedIncome: credits with no income entry behind them
+  // - pendingCredits: credits not yet booked (U or P), which cannot be claimed
+  async reconcile(userId, financialYear) {
+    const incomes = await Income.find({ userId, date: financialYearDateQuery(financialYear) }).sort({ date: 1 });
+    const { credits, matched, unmatchedCredits, unmatchedIncomes } = await this.getMatches(userId, financialYear, incomes);
+
+    const claimableCredits = credits.filter(isClaimable);
+    const pendingCredits = credits.filter(credit => !isClaimable(credit));
+    const shortDeductions = matched.filter(match => isClaimable(match.credit) && match.difference < -AMOUNT_TOLERANCE);
+    const missingCredits = unmatchedIncomes.filter(income => (income.tds?.amount || 0) > 0);
+    const toRow = match => ({
+      credit: summariseCredit(match.credit),
+      income: summariseIncome(match.income),
+      recordedTds: match.recordedTds,
+      difference: match.difference
+    });
+
+    return {
+      financialYear,
+      summary: {
+        statementCredits: credits.length,
+        matchedCredits: matched.length,
+        totalCredit: sum(claimableCredits, credit => credit.taxDeposited),
+        matchedCredit: sum(matched, match => match.claimableTds),
+        pendingCredit: sum(pendingCredits, credit => credit.taxDeposited),
+        recordedTds: sum(incomes, income => income.tds?.amount || 0),
+        shortDeductionAmount: -sum(shortDeductions, match => match.difference),
+        missingCreditAmount: sum(missingCredits, income => income.tds.amount),
+        unrecordedIncomeAmount: sum(unmatchedCredits, credit => credit.amountPaid)
+      },
+      matched: matched.map(toRow),
+      shortDeductions: shortDeductions.map(toRow),
+      missingCredits: missingCredits.map(summariseIncome),
+      unrecordedIncome: unmatchedCredits.map(summariseCredit),
+      pendingCredits: pendingCredits.map(summariseCredit)
+    };
+  }
+}
+
+module.exports = new TdsReconciliationService();
@@ -0,0 +1,62 @@
+// Parsing shared by the CSV and text statements users import: Form 26AS,
+// bank exchange rate tables and the like.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Statement dates: 15-Apr-2024, 15/04/2024, 15-04-2024 or 2024-04-15
+function parseStatementDate(value) {
+  const text = String(value ?? '').trim();
+  let match = /^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    return month === -1 ? null : new Date(parseInt(match[3], 10), month, parseInt(match[1], 10));
+  }
+
+  match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(text);
+  if (match) {
+    return new Date(parseInt(match[3], 10), parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+  }
+
+  match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) {
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+
+  return null;
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+module.exports = {
+  parseStatementDate,
+  splitCsvLine
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { runMigrations } = require('./migrations');
 
 const connectDB = async () => {
   try {
@@ -6,10 +7,13 @@ const connectDB = async () => {
     
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     
-    // Create sample user if no users exist
+    // Bring older documents up to the current schema
+    await runMigrations();
+    
+    // Create a sample user to sign in with if no users exist, in development only
     const User = require('../models/user');
     const userCount = await User.countDocuments();
-    if (userCount === 0) {
+    if (userCount === 0 && process.env.NODE_ENV === 'development') {
       await createSampleUser();
     }
     
@@ -22,6 +26,9 @@ const connectDB = async () => {
   }
 };
 
+// Password of the sample user, hashed like any other when it is saved
+const SAMPLE_USER_PASSWORD = 'freelancer123';
+
 const createSampleUser = async () => {
   const User = require('../models/user');
   const Income = require('../models/income');
@@ -31,6 +38,7 @@ const createSampleUser = async () => {
     const user = new User({
       name: 'John Doe',
       email: 'john@freelancer.com',
+      password: SAMPLE_USER_PASSWORD,
       gstRegistered: false,
       panNumber: 'ABCDE1234F',
       bankDetails: {
@@ -54,7 +62,7 @@ const createSampleUser = async () => {
         clientName: 'Tech Corp',
         amount: 50000,
         date: new Date('2024-03-15'),
-        tdsDeducted: true,
+        tds: { section: '194J', rate: 0.1, amount: 5000 },
         gstApplicable: false,
         notes: 'Website development project',
         userId: savedUser._id
@@ -63,7 +71,6 @@ const createSampleUser = async () => {
         clientName: 'Design Studio',
         amount: 30000,
         date: new Date('2024-04-20'),
-        tdsDeducted: false,
         gstApplicable: false,
         notes: 'UI/UX consulting',
         userId: savedUser._id
@@ -72,7 +79,7 @@ const createSampleUser = async () => {
         clientName: 'Startup XYZ',
         amount: 75000,
         date: new Date('2024-05-10'),
-        tdsDeducted: true,
+        tds: { section: '194J', rate: 0.1, amount: 7500 },
         gstApplicable: true,
         notes: 'Mobile app development',
         userId: savedUser._id
@@ -0,0 +1,71 @@
+// Indian financial years run from April 1 to March 31 and are labelled
+// by their start and end years, e.g. "2024-25".
+
+// Financial year label for a given date (shared with the browser)
+const { getFinancialYear } = require('../../public/shared/taxEngine.mjs');
+
+// Start (inclusive) and end (exclusive) dates of a financial year label
+const getFinancialYearRange = (financialYear) => {
+  const startYear = parseInt(financialYear.split('-')[0], 10);
+  return {
+    start: new Date(startYear, 3, 1),
+    end: new Date(startYear + 1, 3, 1)
+  };
+};
+
+// Mongo date condition matching every date inside a financial year
+const financialYearDateQuery = (financialYear) => {
+  const { start, end } = getFinancialYearRange(financialYear);
+  return { $gte: start, $lt: end };
+};
+
+// Check that a label looks like "2024-25" with consecutive years
+const isValidFinancialYear = (financialYear) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(financialYear || '');
+  if (!match) {
+    return false;
+  }
+  return (parseInt(match[1], 10) + 1) % 100 === parseInt(match[2], 10);
+};
+
+// GST returns are filed for a tax period, a calendar month labelled "2024-07"
+const getTaxPeriod = (date = new Date()) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Mongo date condition matching every date inside a tax period, or the
+// given number of months starting with it
+const taxPeriodDateQuery = (period, months = 1) => {
+  const [year, month] = period.split('-').map(Number);
+  return { $gte: new Date(year, month - 1, 1), $lt: new Date(year, month - 1 + months, 1) };
+};
+
+// Check that a label looks like "2024-07"
+const isValidTaxPeriod = (period) => /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '');
+
+// Quarterly filers report by quarter of the financial year, "2024-25-Q2"
+// (July to September 2024)
+const isValidQuarter = (quarter) => {
+  const match = /^(\d{4}-\d{2})-Q([1-4])$/.exec(quarter || '');
+  return Boolean(match) && isValidFinancialYear(match[1]);
+};
+
+// First tax period of a quarter: "2024-25-Q4" -> "2025-01"
+const getQuarterStartPeriod = (quarter) => {
+  const startYear = parseInt(quarter.slice(0, 4), 10);
+  const monthIndex = 3 + (parseInt(quarter.slice(-1), 10) - 1) * 3;
+  return getTaxPeriod(new Date(startYear, monthIndex, 1));
+};
+
+module.exports = {
+  getFinancialYear,
+  getFinancialYearRange,
+  financialYearDateQuery,
+  isValidFinancialYear,
+  getTaxPeriod,
+  taxPeriodDateQuery,
+  isValidTaxPeriod,
+  isValidQuarter,
+  getQuarterStartPeriod
+};
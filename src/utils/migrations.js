@@ -0,0 +1,60 @@
+const Income = require('../models/income');
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+
+// Data migrations run once the database is connected. Each one only
+// touches documents still in the old shape, so running them again is a
+// no-op.
+
+// Income entries used to record TDS as a bare tdsDeducted flag, always
+// read as 194J at 10%. Give them explicit TDS details with that amount.
+const migrateIncomeTds = async () => {
+  const result = await Income.updateMany(
+    { tdsDeducted: true, 'tds.amount': { $exists: false } },
+    [{
+      $set: {
+        tds: {
+          section: '194J',
+          rate: 0.1,
+          amount: { $round: [{ $multiply: ['$amount', 0.1] }, 0] }
+        }
+      }
+    }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Migrated TDS details for ${result.modifiedCount} income entries`);
+  }
+};
+
+// Credit notes used to leave the invoice balance alone. Take the credit
+// notes already issued off the balance of the invoices they amend, which
+// settles an open invoice they credit in full.
+const migrateInvoiceCredits = async () => {
+  const invoiceIds = await CreditNote.distinct('invoiceId');
+  const invoices = await Invoice.find({ _id: { $in: invoiceIds }, creditedAmount: { $exists: false } });
+
+  for (const invoice of invoices) {
+    const notes = await CreditNote.find({ invoiceId: invoice._id });
+    invoice.creditedAmount = Math.round(notes.reduce((sum, note) => sum + invoice.getCreditOf(note), 0) * 100) / 100;
+    if (['issued', 'sent', 'partially-paid', 'overdue'].includes(invoice.status) && invoice.getBalanceDue() <= 0) {
+      invoice.status = 'paid';
+    }
+    await invoice.save();
+  }
+
+  if (invoices.length > 0) {
+    console.log(`Took credit notes off the balance of ${invoices.length} invoices`);
+  }
+};
+
+const runMigrations = async () => {
+  await migrateIncomeTds();
+  await migrateInvoiceCredits();
+};
+
+module.exports = {
+  runMigrations,
+  migrateIncomeTds,
+  migrateInvoiceCredits
+};
@@ -9,9 +9,13 @@ const http = require('http');
 const BASE_URL = 'http://localhost:3000';
 const TEST_USER = {
   name: 'Test User',
-  email: `test${Date.now()}@example.com`
+  email: `test${Date.now()}@example.com`,
+  password: 'test-password-123'
 };
 
+// Session token issued at signup, sent with every subsequent request
+let authToken = null;
+
 // Utility function to make HTTP requests
 function makeRequest(path, method = 'GET', data = null) {
   return new Promise((resolve, reject) => {
@@ -21,7 +25,8 @@ function makeRequest(path, method = 'GET', data = null) {
       path: path,
       method: method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
       }
     };
 
@@ -72,11 +77,12 @@ async function testHealthCheck() {
 async function testCreateUser() {
   console.log('🔍 Testing User Creation...');
   try {
-    const response = await makeRequest('/api/create-user', 'POST', TEST_USER);
+    const response = await makeRequest('/api/auth/signup', 'POST', TEST_USER);
     if (response.status === 201 && response.data.success) {
+      authToken = response.data.data.token;
       console.log('✅ User Creation - PASSED');
-      console.log(`   User ID: ${response.data.data.userId}`);
-      return response.data.data.userId;
+      console.log(`   User ID: ${response.data.data.user._id}`);
+      return response.data.data.user._id;
     } else {
       console.log('❌ User Creation - FAILED:', response.data);
       return null;
@@ -102,8 +108,7 @@ async function testIncomeEndpoints(userId) {
       amount: 50000,
       tdsDeducted: true,
       gstApplicable: false,
-      notes: 'Test income entry',
-      userId: userId
+      notes: 'Test income entry'
     };
 
     const addResponse = await makeRequest('/api/income/addIncome', 'POST', incomeData);
@@ -116,7 +121,7 @@ async function testIncomeEndpoints(userId) {
     console.log('✅ Add Income - PASSED');
 
     // Test getting income
-    const getResponse = await makeRequest(`/api/income/${userId}`);
+    const getResponse = await makeRequest('/api/income');
     if (getResponse.status === 200 && getResponse.data.success) {
       console.log('✅ Get Income - PASSED');
       console.log(`   Found ${getResponse.data.data.length} income entries`);
@@ -126,7 +131,7 @@ async function testIncomeEndpoints(userId) {
     }
 
     // Test income summary
-    const summaryResponse = await makeRequest(`/api/income/summary/${userId}`);
+    const summaryResponse = await makeRequest('/api/income/summary');
     if (summaryResponse.status === 200 && summaryResponse.data.success) {
       console.log('✅ Income Summary - PASSED');
       console.log(`   Total Income: ₹${summaryResponse.data.data.totalIncome}`);
@@ -171,7 +176,7 @@ async function testTaxEndpoints(userId) {
 
   try {
     // Test tax calculation
-    const taxResponse = await makeRequest(`/api/tax/calculateTax?userId=${userId}`);
+    const taxResponse = await makeRequest('/api/tax/calculateTax');
     if (taxResponse.status === 200 && taxResponse.data.success) {
       console.log('✅ Tax Calculation - PASSED');
       console.log(`   Total Income: ₹${taxResponse.data.data.totalIncome}`);
@@ -192,7 +197,7 @@ async function testTaxEndpoints(userId) {
     }
 
     // Test next due date
-    const dueDateResponse = await makeRequest(`/api/tax/nextDueDate?userId=${userId}`);
+    const dueDateResponse = await makeRequest('/api/tax/nextDueDate');
     if (dueDateResponse.status === 200 && dueDateResponse.data.success) {
       console.log('✅ Next Due Date - PASSED');
     } else {
@@ -230,8 +235,7 @@ async function testInvoiceEndpoints(userId) {
       clientName: 'Test Client',
       amount: 50000,
       gstApplicable: true,
-      tds: true,
-      userId: userId
+      tds: true
     };
 
     const calcResponse = await makeRequest('/api/invoice/calculate', 'POST', invoiceData);
@@ -291,7 +295,7 @@ async function testFrontendAccess() {
     }
 
     // Test static assets (JS)
-    const jsResponse = await makeRequest('/js/main-simple.js');
+    const jsResponse = await makeRequest('/js/main.js');
     if (jsResponse.status === 200) {
       console.log('✅ JavaScript Assets - PASSED');
     } else {
@@ -0,0 +1,91 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const Branding = require('../src/models/branding');
+const brandingService = require('../src/services/brandingService');
+const invoiceService = require('../src/services/invoiceService');
+
+// CRC-32 of a PNG chunk's type and data
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// A 2x2 RGBA PNG; `truncate` cuts its pixel data short
+function png({ truncate = false } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(2, 0);
+  header.writeUInt32BE(2, 4);
+  header[8] = 8;
+  header[9] = 6;
+  const pixels = zlib.deflateSync(Buffer.alloc(2 * (1 + 2 * 4), 0xff));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', truncate ? pixels.subarray(0, 4) : pixels),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const dataUrl = data => `data:image/png;base64,${data.toString('base64')}`;
+
+describe('branding images', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores a PNG that decodes', async () => {
+    mock.method(Branding, 'findOne', async () => null);
+    mock.method(Branding.prototype, 'save', async function() {
+      return this;
+    });
+
+    const branding = await brandingService.updateBranding('user', { logo: dataUrl(png()) });
+    assert.equal(branding.logo.contentType, 'image/png');
+  });
+
+  it('refuses a file that only starts like a PNG', async () => {
+    mock.method(Branding, 'findOne', async () => null);
+
+    const corrupt = [png({ truncate: true }), png().subarray(0, 40)];
+    for (const data of corrupt) {
+      await assert.rejects(brandingService.updateBranding('user', { logo: dataUrl(data) }), { status: 400 });
+    }
+  });
+
+  it('leaves a stored image that does not decode off the PDF', async () => {
+    const invoice = {
+      invoiceNumber: 'INV/2024-25/0001',
+      invoiceDate: new Date(2024, 5, 1),
+      client: { name: 'Acme Pvt Ltd' },
+      items: [{ description: 'Consulting', quantity: 1, rate: 1000, amount: 1000 }],
+      subtotal: 1000,
+      totalAmount: 1000,
+      netReceivable: 1000,
+      branding: {
+        logo: { data: png({ truncate: true }), contentType: 'image/png' },
+        signature: { data: png().subarray(0, 40), contentType: 'image/png' }
+      }
+    };
+
+    for (const templateId of ['standard', 'detailed', 'simple']) {
+      const pdf = await invoiceService.generateInvoice(invoice, templateId);
+      assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    }
+  });
+});
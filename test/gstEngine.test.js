@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidGstin, getStateCodeFromGstin } = require('../public/shared/gstEngine.mjs');
+
+describe('isValidGstin', () => {
+  it('accepts a GSTIN with the right check digit', () => {
+    assert.equal(isValidGstin('27AAPFU0939F1ZV'), true);
+    assert.equal(getStateCodeFromGstin('27AAPFU0939F1ZV'), '27');
+  });
+
+  it('rejects a GSTIN with the wrong check digit', () => {
+    assert.equal(isValidGstin('27AAPFU0939F1ZW'), false);
+  });
+
+  it('rejects a GSTIN with a mistyped character', () => {
+    assert.equal(isValidGstin('27AAPFU0939G1ZV'), false);
+  });
+
+  it('rejects malformed and missing GSTINs', () => {
+    assert.equal(isValidGstin('27AAPFU0939F1Z'), false);
+    assert.equal(isValidGstin(''), false);
+    assert.equal(isValidGstin(undefined), false);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/user');
+const gstService = require('../src/services/gstService');
+
+const SUPPLIER_GSTIN = '27AAPFU0939F1ZV';
+
+// An inter-state invoice to an unregistered client in Karnataka
+function interStateInvoice(invoiceNumber, invoiceDate, totalAmount) {
+  const taxableValue = Math.round(totalAmount / 1.18 * 100) / 100;
+  return {
+    _id: invoiceNumber,
+    invoiceNumber,
+    invoiceDate: new Date(invoiceDate),
+    client: { name: 'Retail client' },
+    gstApplicable: true,
+    supplyType: 'inter-state',
+    placeOfSupply: '29',
+    subtotal: taxableValue,
+    taxableValue,
+    igstAmount: Math.round((totalAmount - taxableValue) * 100) / 100,
+    gstAmount: Math.round((totalAmount - taxableValue) * 100) / 100,
+    totalAmount,
+    items: []
+  };
+}
+
+// Invoice numbers GSTR-1 reports in B2CL, and the B2CS taxable value
+async function reportedSections(period, invoices) {
+  mock.method(gstService, 'getPeriodInvoices', async () => invoices);
+  const { gstr1 } = await gstService.getGstr1('user', period);
+  return {
+    b2cl: (gstr1.b2cl || []).flatMap(group => group.inv.map(invoice => invoice.inum)),
+    b2csTaxableValue: (gstr1.b2cs || []).reduce((sum, row) => sum + row.txval, 0)
+  };
+}
+
+describe('GSTR-1 B2CL threshold', () => {
+  beforeEach(() => {
+    mock.method(User, 'findById', async () => ({ gstNumber: SUPPLIER_GSTIN }));
+    mock.method(gstService, 'getPeriodCreditNotes', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reports invoices above ₹1 lakh in B2CL from August 2024', async () => {
+    const { b2cl, b2csTaxableValue } = await reportedSections('2024-08', [
+      interStateInvoice('INV/2024-25/0001', '2024-08-01', 100000),
+      interStateInvoice('INV/2024-25/0002', '2024-08-02', 100000.01)
+    ]);
+    assert.deepEqual(b2cl, ['INV/2024-25/0002']);
+    assert.equal(b2csTaxableValue, 84745.76);
+  });
+
+  it('reports invoices above ₹2.5 lakh in B2CL before August 2024', async () => {
+    const { b2cl } = await reportedSections('2024-07', [
+      interStateInvoice('INV/2024-25/0001', '2024-07-31', 250000),
+      interStateInvoice('INV/2024-25/0002', '2024-07-31', 250000.01),
+      interStateInvoice('INV/2024-25/0003', '2024-07-31', 150000)
+    ]);
+    assert.deepEqual(b2cl, ['INV/2024-25/0002']);
+  });
+
+  it('keeps intra-state invoices in B2CS whatever their value', async () => {
+    const invoice = interStateInvoice('INV/2024-25/0001', '2024-08-01', 500000);
+    Object.assign(invoice, {
+      supplyType: 'intra-state',
+      placeOfSupply: '27',
+      cgstAmount: invoice.igstAmount / 2,
+      sgstAmount: invoice.igstAmount / 2,
+      igstAmount: 0
+    });
+    const { b2cl } = await reportedSections('2024-08', [invoice]);
+    assert.deepEqual(b2cl, []);
+  });
+});
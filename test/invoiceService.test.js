@@ -0,0 +1,253 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../src/models/invoice');
+const InvoiceCounter = require('../src/models/invoiceCounter');
+const Income = require('../src/models/income');
+const CreditNote = require('../src/models/creditNote');
+const invoiceService = require('../src/services/invoiceService');
+const exchangeRateService = require('../src/services/exchangeRateService');
+
+const userId = new mongoose.Types.ObjectId();
+
+// A ₹1 lakh invoice with 18% GST and 10% TDS, due far in the future
+function makeInvoice(fields = {}) {
+  const invoice = new Invoice({
+    userId,
+    financialYear: '2024-25',
+    sequence: 1,
+    invoiceNumber: 'INV/2024-25/0001',
+    invoiceDate: new Date(2024, 5, 1),
+    dueDate: new Date(2099, 0, 1),
+    client: { name: 'Acme Pvt Ltd' },
+    items: [{ description: 'Consulting', quantity: 1, rate: 100000, amount: 100000 }],
+    subtotal: 100000,
+    gstApplicable: true,
+    cgstAmount: 9000,
+    sgstAmount: 9000,
+    gstAmount: 18000,
+    tds: true,
+    tdsAmount: 10000,
+    totalAmount: 118000,
+    netReceivable: 108000,
+    ...fields
+  });
+  // Saving validates, which keeps the payment totals in step
+  invoice.save = async function() {
+    await this.validate();
+    return this;
+  };
+  return invoice;
+}
+
+// Two lines at different GST rates, one of them discounted
+const ITEMS = [
+  { description: 'Design', sac: '998391', quantity: 10, rate: 1500, discount: 1000, gstRate: 0.18 },
+  { description: 'Hosting', quantity: 1, rate: 10000, gstRate: 0.05 }
+];
+
+describe('invoice totals', () => {
+  it('adds up GST line by line and splits it into CGST and SGST within the state', () => {
+    const totals = invoiceService.calculateTotals({
+      items: ITEMS,
+      gstApplicable: true,
+      tds: true,
+      supplier: { stateCode: '27' },
+      client: { stateCode: '27' }
+    });
+
+    assert.deepEqual(totals.items.map(line => [line.amount, line.gstAmount]), [[14000, 2520], [10000, 500]]);
+    assert.equal(totals.supplyType, 'intra-state');
+    assert.equal(totals.subtotal, 24000);
+    assert.equal(totals.cgstAmount, 1510);
+    assert.equal(totals.sgstAmount, 1510);
+    assert.equal(totals.igstAmount, 0);
+    assert.equal(totals.totalAmount, 27020);
+    assert.equal(totals.tdsAmount, 2400);
+    assert.equal(totals.netReceivable, 24620);
+  });
+
+  it('charges IGST across states and deducts TDS at the invoice rate', () => {
+    const totals = invoiceService.calculateTotals({
+      items: ITEMS,
+      gstApplicable: true,
+      tds: true,
+      tdsRate: 0.02,
+      supplier: { stateCode: '27' },
+      client: { stateCode: '29' }
+    });
+
+    assert.equal(totals.supplyType, 'inter-state');
+    assert.equal(totals.igstAmount, 3020);
+    assert.equal(totals.cgstAmount + totals.sgstAmount, 0);
+    assert.equal(totals.tdsAmount, 480);
+    assert.equal(totals.netReceivable, 26540);
+  });
+
+  it('keeps export totals in the invoice currency and the taxable value in rupees', () => {
+    const totals = invoiceService.calculateTotals({
+      items: [{ description: 'Development', quantity: 10, rate: 100 }],
+      invoiceType: 'export',
+      currency: 'USD',
+      exchangeRate: 83.25,
+      tds: true,
+      exportDetails: { gstPayment: 'lut' }
+    });
+
+    assert.equal(totals.currency, 'USD');
+    assert.equal(totals.totalAmount, 1000);
+    assert.equal(totals.taxableValue, 83250);
+    assert.equal(totals.gstAmount, 0);
+    assert.equal(totals.tdsAmount, 0);
+  });
+});
+
+describe('invoice status transitions', () => {
+  let invoice;
+
+  beforeEach(() => {
+    invoice = makeInvoice();
+    mock.method(invoiceService, 'getInvoice', async () => invoice);
+    mock.method(exchangeRateService, 'resolveRate', async (id, { exchangeRate }) => ({ exchangeRate: exchangeRate || 1 }));
+    mock.method(Income.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('issues a draft and marks it sent', async () => {
+    invoice.status = 'draft';
+    await invoiceService.setStatus(userId, invoice._id, 'issued');
+    assert.equal(invoice.status, 'issued');
+
+    await invoiceService.setStatus(userId, invoice._id, 'sent');
+    assert.equal(invoice.status, 'sent');
+    assert.ok(invoice.sentAt);
+  });
+
+  it('refuses transitions the status does not allow', async () => {
+    invoice.status = 'draft';
+    await assert.rejects(invoiceService.setStatus(userId, invoice._id, 'sent'), { status: 400 });
+    await assert.rejects(invoiceService.setStatus(userId, invoice._id, 'paid'), { status: 400 });
+    assert.equal(invoice.status, 'draft');
+  });
+
+  it('refuses payments against a draft', async () => {
+    invoice.status = 'draft';
+    await assert.rejects(
+      invoiceService.recordPayment(userId, invoice._id, { amount: 1000, date: '2024-06-10' }),
+      { status: 400 }
+    );
+  });
+
+  it('moves from partially paid to paid as payments and TDS cover the total', async () => {
+    await invoiceService.recordPayment(userId, invoice._id, { amount: 54000, tdsAmount: 5000, date: '2024-06-10' });
+    assert.equal(invoice.status, 'partially-paid');
+    assert.equal(invoice.balanceDue, 59000);
+
+    await invoiceService.recordPayment(userId, invoice._id, { amount: 54000, date: '2024-06-20' });
+    assert.equal(invoice.status, 'paid');
+    assert.equal(invoice.balanceDue, 0);
+    assert.equal(invoice.tdsWithheld, 10000);
+  });
+
+  it('refuses to cancel an invoice with payments', async () => {
+    await invoiceService.recordPayment(userId, invoice._id, { amount: 10000, tdsAmount: 0, date: '2024-06-10' });
+    await assert.rejects(invoiceService.setStatus(userId, invoice._id, 'cancelled'), { status: 400 });
+    assert.equal(invoice.status, 'partially-paid');
+  });
+
+  it('refuses to cancel an invoice with credit notes', async () => {
+    mock.method(CreditNote, 'exists', async () => null);
+    invoice.creditedAmount = 11800;
+    await assert.rejects(invoiceService.setStatus(userId, invoice._id, 'cancelled'), { status: 400 });
+
+    invoice.creditedAmount = 0;
+    mock.method(CreditNote, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    await assert.rejects(invoiceService.cancelInvoice(userId, invoice._id), { status: 400 });
+    assert.equal(invoice.status, 'issued');
+  });
+
+  it('cancels an issued invoice with no payments or credit notes', async () => {
+    mock.method(CreditNote, 'exists', async () => null);
+    await invoiceService.cancelInvoice(userId, invoice._id);
+    assert.equal(invoice.status, 'cancelled');
+  });
+
+  it('marks an invoice sent after its due date overdue', async () => {
+    invoice = makeInvoice({ status: 'issued', dueDate: new Date(2024, 5, 15) });
+    await invoiceService.setStatus(userId, invoice._id, 'sent');
+    assert.equal(invoice.status, 'overdue');
+  });
+
+  it('settles an invoice once credit notes cover what is left', async () => {
+    mock.method(CreditNote, 'find', async () => []);
+    mock.method(CreditNote.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(invoiceService, 'reserveSequence', async () => 1);
+
+    await invoiceService.recordPayment(userId, invoice._id, { amount: 84400, tdsAmount: 8000, date: '2024-06-10' });
+    assert.equal(invoice.status, 'partially-paid');
+
+    await invoiceService.createCreditNote(userId, invoice._id, { amount: 20000, noteDate: '2024-06-30' });
+    assert.equal(invoice.creditedAmount, 23600);
+    assert.equal(invoice.balanceDue, 2000);
+    assert.equal(invoice.status, 'partially-paid');
+
+    await invoiceService.recordPayment(userId, invoice._id, { amount: 2000, tdsAmount: 0, date: '2024-07-01' });
+    assert.equal(invoice.status, 'paid');
+  });
+});
+
+describe('invoice balance', () => {
+  it('converts TDS to the invoice currency at the rate of its payment', () => {
+    const invoice = makeInvoice({
+      invoiceType: 'export',
+      currency: 'USD',
+      exchangeRate: 80,
+      totalAmount: 1000,
+      payments: [{ date: new Date(2024, 5, 10), amount: 900, tdsAmount: 8000, exchangeRate: 80 }]
+    });
+    assert.equal(invoice.getBalanceDue(), 0);
+  });
+});
+
+describe('invoice numbering', () => {
+  let counter;
+
+  beforeEach(() => {
+    // One series, updated the way MongoDB applies the filter and $inc
+    counter = { seq: 0 };
+    mock.method(InvoiceCounter, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.seq !== undefined && filter.seq !== counter.seq) {
+        return null;
+      }
+      counter.seq += update.$inc.seq;
+      return { ...counter };
+    });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('hands back the latest number reserved', async () => {
+    const sequence = await invoiceService.reserveSequence(userId, '2024-25');
+    assert.equal(await invoiceService.releaseSequence(userId, '2024-25', sequence), true);
+    assert.equal(await invoiceService.reserveSequence(userId, '2024-25'), sequence);
+  });
+
+  it('never reissues a number once a later one has been reserved', async () => {
+    const failed = await invoiceService.reserveSequence(userId, '2024-25');
+    const saved = await invoiceService.reserveSequence(userId, '2024-25');
+
+    assert.equal(await invoiceService.releaseSequence(userId, '2024-25', failed), false);
+    assert.equal(counter.seq, saved);
+    assert.equal(await invoiceService.reserveSequence(userId, '2024-25'), saved + 1);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const taxEngine = require('../public/shared/taxEngine.mjs');
+const TAX_RULES = require('../public/shared/taxRules.json');
+const taxService = require('../src/services/taxService');
+
+const rules = taxEngine.selectTaxRules(TAX_RULES, '2024-25');
+
+describe('shared tax engine', () => {
+  it('gives the API the same tax the browser works out from taxRules.json', () => {
+    [300000, 700000, 1500000, 5010000].forEach(income => {
+      const browserTax = taxEngine.calculateTaxBreakdown(income, taxEngine.selectTaxRules(TAX_RULES, '2024-25'));
+      assert.equal(taxService.calculateIncomeTax(income, '2024-25'), browserTax.totalTax);
+    });
+  });
+
+  it('applies the latest rules to years without a table of their own', () => {
+    const latest = Object.keys(TAX_RULES).sort().pop();
+    assert.equal(taxEngine.selectTaxRules(TAX_RULES, '2099-00').financialYear, latest);
+  });
+
+  it('starts the financial year on April 1', () => {
+    assert.equal(taxEngine.getFinancialYear(new Date(2025, 2, 31)), '2024-25');
+    assert.equal(taxEngine.getFinancialYear(new Date(2025, 3, 1)), '2025-26');
+  });
+});
+
+describe('getNextAdvanceTaxInstalment', () => {
+  it('counts an instalment as next on its own due date', () => {
+    const next = taxEngine.getNextAdvanceTaxInstalment(new Date(2024, 5, 15));
+    assert.equal(next.name, 'June 15');
+    assert.equal(next.daysUntil, 0);
+    assert.equal(next.shareDue, 0);
+  });
+
+  it('counts the share of a passed instalment as due', () => {
+    const next = taxEngine.getNextAdvanceTaxInstalment(new Date(2024, 5, 16));
+    assert.equal(next.name, 'September 15');
+    assert.equal(next.shareDue, 0.15);
+  });
+
+  it('rolls into the next financial year after March 15', () => {
+    const next = taxEngine.getNextAdvanceTaxInstalment(new Date(2025, 2, 20));
+    assert.equal(next.financialYear, '2024-25');
+    assert.deepEqual(next.date, new Date(2025, 5, 15));
+    assert.equal(next.shareDue, 1);
+  });
+});
+
+describe('calculateTaxBreakdown', () => {
+  it('charges nothing up to the top of the nil slab', () => {
+    const tax = taxEngine.calculateTaxBreakdown(300000, rules);
+    assert.equal(tax.slabTax, 0);
+    assert.equal(tax.totalTax, 0);
+  });
+
+  it('rebates the whole tax at the new-regime rebate limit', () => {
+    const tax = taxEngine.calculateTaxBreakdown(700000, rules);
+    assert.equal(tax.slabTax, 20000);
+    assert.equal(tax.rebate, 20000);
+    assert.equal(tax.totalTax, 0);
+  });
+
+  it('limits the tax just above the rebate limit to the income above it', () => {
+    const tax = taxEngine.calculateTaxBreakdown(710000, rules);
+    assert.equal(tax.slabTax, 21000);
+    assert.equal(tax.taxAfterRebate, 10000);
+    assert.equal(tax.cess, 400);
+    assert.equal(tax.totalTax, 10400);
+  });
+
+  it('gives no marginal relief on the old-regime rebate', () => {
+    assert.equal(taxEngine.calculateTaxBreakdown(500000, rules, 'oldRegime').totalTax, 0);
+
+    const tax = taxEngine.calculateTaxBreakdown(500100, rules, 'oldRegime');
+    assert.equal(tax.rebate, 0);
+    assert.equal(tax.taxAfterRebate, 12520);
+    assert.equal(tax.totalTax, 13021);
+  });
+
+  it('charges no surcharge at ₹50 lakh', () => {
+    const tax = taxEngine.calculateTaxBreakdown(5000000, rules);
+    assert.equal(tax.surcharge, 0);
+    assert.equal(tax.totalTax, 1237600);
+  });
+
+  it('limits the surcharge just above ₹50 lakh to the income above it', () => {
+    const tax = taxEngine.calculateTaxBreakdown(5010000, rules);
+    assert.equal(tax.slabTax, 1193000);
+    assert.equal(tax.surcharge, 7000);
+    assert.equal(tax.marginalRelief, 112300);
+    assert.equal(tax.totalTax, 1248000);
+  });
+});
+
+describe('calculateAdvanceTaxInterest', () => {
+  it('rounds each 234C shortfall down to ₹100 and the total to ₹10', () => {
+    const interest = taxEngine.calculateAdvanceTaxInterest({ assessedTax: 123456, financialYear: '2024-25' });
+
+    assert.deepEqual(
+      interest.section234C.instalments.map(({ required, interest }) => [required, interest]),
+      [[18518, 555], [55555, 1665], [92592, 2775], [123456, 1234]]
+    );
+    assert.equal(interest.section234C.interest, 6230);
+    assert.equal(interest.section234B.interest, 4940);
+  });
+
+  it('charges no interest below ₹10,000 of tax', () => {
+    const interest = taxEngine.calculateAdvanceTaxInterest({ assessedTax: 9999, financialYear: '2024-25' });
+    assert.equal(interest.liable, false);
+    assert.equal(interest.section234C.interest, 0);
+    assert.equal(interest.section234B.interest, 0);
+  });
+
+  it('charges presumptive taxpayers on the March instalment only', () => {
+    const interest = taxEngine.calculateAdvanceTaxInterest({ assessedTax: 123456, financialYear: '2024-25', presumptive: true });
+    assert.deepEqual(interest.section234C.instalments.map(instalment => instalment.key), ['march']);
+    assert.equal(interest.section234C.interest, 1230);
+  });
+});
+
+describe('getAdvanceTaxDue', () => {
+  it('counts the instalments of the current year passed by the date', () => {
+    const due = taxEngine.getAdvanceTaxDue(100000, new Date(2024, 9, 1), '2024-25');
+    assert.equal(due.amountDue, 45000);
+    assert.equal(due.nextDueDate, 'December 15, 2024');
+  });
+
+  it('counts all of a past year as due', () => {
+    const due = taxEngine.getAdvanceTaxDue(100000, new Date(2024, 9, 1), '2023-24');
+    assert.equal(due.amountDue, 100000);
+    assert.equal(due.percentageDue, 100);
+    assert.equal(due.nextDueDate, null);
+  });
+
+  it('counts none of a future year as due before its first instalment', () => {
+    const due = taxEngine.getAdvanceTaxDue(100000, new Date(2024, 9, 1), '2025-26');
+    assert.equal(due.amountDue, 0);
+    assert.equal(due.nextDueDate, 'June 15, 2025');
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Income = require('../src/models/income');
+const TdsCredit = require('../src/models/tdsCredit');
+const taxService = require('../src/services/taxService');
+const tdsReconciliationService = require('../src/services/tdsReconciliationService');
+
+// A ₹1 lakh receipt from a client who deducted 10% under 194J
+function income(clientName, date) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    clientName,
+    amount: 100000,
+    date: new Date(date),
+    tds: { section: '194J', amount: 10000, tan: null }
+  };
+}
+
+// The 26AS credit for such a receipt with a booking status
+function credit(deductorName, tan, date, bookingStatus) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    deductorName,
+    tan,
+    section: '194J',
+    transactionDate: new Date(date),
+    amountPaid: 100000,
+    taxDeducted: 10000,
+    taxDeposited: 10000,
+    bookingStatus
+  };
+}
+
+const INCOMES = [
+  income('Acme Pvt Ltd', '2024-06-10'),
+  income('Globex Limited', '2024-07-10'),
+  income('Initech', '2024-08-10')
+];
+const CREDITS = [
+  credit('ACME PRIVATE LIMITED', 'MUMA12345A', '2024-06-12', 'F'),
+  credit('GLOBEX LTD', 'MUMG12345B', '2024-07-12', 'U'),
+  credit('INITECH', 'MUMI12345C', '2024-08-12', 'P'),
+  credit('HOOLI', 'MUMH12345D', '2024-09-12', 'O')
+];
+
+describe('TDS credit booking status', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims only the credits booked as final or overbooked', () => {
+    const { matched } = tdsReconciliationService.matchCredits(CREDITS, INCOMES);
+    assert.deepEqual(matched.map(match => [match.credit.bookingStatus, match.claimableTds]), [['F', 10000], ['U', 0], ['P', 0]]);
+
+    const tdsCredit = taxService.getTDSCredit(INCOMES, matched);
+    assert.equal(tdsCredit.total, 10000);
+    assert.equal(tdsCredit.fromStatements, 10000);
+  });
+
+  it('counts credits without a booking status as booked', () => {
+    const { matched } = tdsReconciliationService.matchCredits([credit('INITECH', 'MUMI12345C', '2024-08-12')], INCOMES);
+    assert.equal(matched[0].claimableTds, 10000);
+  });
+
+  it('reports pending credits apart from the claimable total', async () => {
+    mock.method(Income, 'find', () => ({ sort: async () => INCOMES }));
+    mock.method(TdsCredit, 'find', async () => CREDITS);
+
+    const report = await tdsReconciliationService.reconcile('user', '2024-25');
+    assert.equal(report.summary.totalCredit, 20000);
+    assert.equal(report.summary.matchedCredit, 10000);
+    assert.equal(report.summary.pendingCredit, 20000);
+    assert.deepEqual(report.pendingCredits.map(row => row.bookingStatus), ['U', 'P']);
+    assert.ok(report.pendingCredits.every(row => row.pending));
+    assert.deepEqual(report.shortDeductions, []);
+  });
+});